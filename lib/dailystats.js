@@ -0,0 +1,238 @@
+/**
+ * Day-of-year flood counts from USGS daily values (DV), NAVD88.
+ *
+ * Shared by the dashboard (window.TideLib.dailystats) and tools/update_daily_stats.js, which
+ * precomputes everything here into <dataDir>/daily_stats_navd88.json so the page doesn't pull
+ * decades of DV on every visit.
+ *
+ *  - rows: one per date, { y, m, d, date, highNavd, lowhiNavd } from statistics 00021 (daily
+ *    maximum) and 00022 (daily low-high / second high)
+ *  - a day adds one "event" per statistic at/above a stage, so 0..2 per day
+ *  - counts run on a 365-day axis (Feb 29 skipped) and are kept cumulative per year and stage
+ *  - thresholds are NAVD88, so counts don't depend on the display datum
+ *  - a past year with fewer than half its days reported is flagged sparse
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).dailystats = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const STAGES = ["minor", "moderate", "major"];
+  const STAGE_KEYS = { minor: "minorLow", moderate: "moderateLow", major: "majorLow" };
+
+  // -------------------------
+  // DV parsing
+  // -------------------------
+  function statCode(ts) {
+    const opt = ts?.variable?.options?.option || [];
+    const hit = opt.find(o => String(o?.name || "").toLowerCase() === "statistic code");
+    return hit ? String(hit.value) : null;
+  }
+
+  function dvPoints(ts) {
+    const vals = ts?.values?.[0]?.value || [];
+    return vals
+      .map(v => ({ date: String(v?.dateTime || "").slice(0, 10), ft: Number(v?.value) }))
+      .filter(p => /^\d{4}-\d{2}-\d{2}$/.test(p.date) && Number.isFinite(p.ft));
+  }
+
+  /** USGS DV JSON -> rows [{ y, m, d, date, highNavd, lowhiNavd }], chronological */
+  function parseDailyValues(json) {
+    const tss = json?.value?.timeSeries || [];
+    if (!tss.length) throw new Error("USGS DV returned no timeSeries.");
+
+    let tsHigh = null, tsLowHi = null;
+    for (const ts of tss) {
+      const sc = statCode(ts);
+      if (sc === "00021") tsHigh = ts;
+      else if (sc === "00022") tsLowHi = ts;
+    }
+    // No statistic metadata: take the two longest series
+    if (!tsHigh || !tsLowHi) {
+      const sorted = [...tss].sort((a, b) => (b?.values?.[0]?.value?.length || 0) - (a?.values?.[0]?.value?.length || 0));
+      if (!tsHigh) tsHigh = sorted.find(ts => ts !== tsLowHi) || null;
+      if (!tsLowHi) tsLowHi = sorted.find(ts => ts !== tsHigh) || null;
+    }
+    if (!tsHigh) throw new Error("USGS DV: could not identify daily HIGH (00021) series.");
+    if (!tsLowHi) throw new Error("USGS DV: could not identify daily LOW-HIGH (00022) series.");
+
+    const map = new Map();
+    const slot = date => {
+      if (!map.has(date)) map.set(date, { highNavd: null, lowhiNavd: null });
+      return map.get(date);
+    };
+    for (const p of dvPoints(tsHigh)) slot(p.date).highNavd = p.ft;
+    for (const p of dvPoints(tsLowHi)) slot(p.date).lowhiNavd = p.ft;
+
+    return [...map.entries()]
+      .map(([date, v]) => rowOf(date, v.highNavd, v.lowhiNavd))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  function rowOf(date, highNavd, lowhiNavd) {
+    return { y: +date.slice(0, 4), m: +date.slice(5, 7), d: +date.slice(8, 10), date, highNavd, lowhiNavd };
+  }
+
+  /** Compact cache rows [[date, high, lowhi]] <-> row objects */
+  function packRows(rows) {
+    return rows.map(r => [r.date, r.highNavd ?? null, r.lowhiNavd ?? null]);
+  }
+  function unpackRows(packed) {
+    return (packed || []).map(([date, hi, lo]) => rowOf(date, hi ?? null, lo ?? null));
+  }
+
+  /** Fresh rows win over cached ones for the same date */
+  function mergeRows(existing, fresh) {
+    const map = new Map();
+    for (const r of existing || []) map.set(r.date, r);
+    for (const r of fresh || []) map.set(r.date, r);
+    return [...map.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // -------------------------
+  // Calendar (365-day axis)
+  // -------------------------
+  function isLeapYear(y) {
+    return (y % 4 === 0 && y % 100 !== 0) || (y % 400 === 0);
+  }
+
+  /** 0..364, or null for Feb 29 */
+  function calIndex365(y, m, d) {
+    if (m === 2 && d === 29) return null;
+    const dt = Date.UTC(y, m - 1, d, 12);
+    const jan1 = Date.UTC(y, 0, 1, 12);
+    let idx = Math.floor((dt - jan1) / 86400000);
+    if (isLeapYear(y) && m > 2) idx -= 1;
+    return idx;
+  }
+
+  // -------------------------
+  // Counts
+  // -------------------------
+  function eventsAtOrAbove(r, levelNavd) {
+    let n = 0;
+    if (Number.isFinite(r.highNavd) && r.highNavd >= levelNavd) n++;
+    if (Number.isFinite(r.lowhiNavd) && r.lowhiNavd >= levelNavd) n++;
+    return n;
+  }
+
+  /** year -> cumulative count per calendar index at one NAVD88 level */
+  function cumulativeByYear(rows, levelNavd) {
+    const daily = new Map();
+    for (const r of rows) {
+      const idx = calIndex365(r.y, r.m, r.d);
+      if (idx === null) continue;
+      if (!daily.has(r.y)) daily.set(r.y, new Array(365).fill(0));
+      daily.get(r.y)[idx] += eventsAtOrAbove(r, levelNavd);
+    }
+    const out = new Map();
+    for (const [y, counts] of daily) {
+      let run = 0;
+      out.set(y, counts.map(c => (run += c)));
+    }
+    return out;
+  }
+
+  /** year -> { days, expected_days, sparse } (the current year is never sparse) */
+  function coverageByYear(rows, currentYear) {
+    const days = new Map();
+    for (const r of rows) {
+      if (!Number.isFinite(r.highNavd) && !Number.isFinite(r.lowhiNavd)) continue;
+      days.set(r.y, (days.get(r.y) || 0) + 1);
+    }
+    const years = rows.map(r => r.y);
+    const out = new Map();
+    if (!years.length) return out;
+    for (let y = Math.min(...years); y <= Math.max(...years); y++) {
+      const expected = isLeapYear(y) ? 366 : 365;
+      const have = days.get(y) || 0;
+      out.set(y, { days: have, expected_days: expected, sparse: y < currentYear && have < expected / 2 });
+    }
+    return out;
+  }
+
+  /**
+   * Per-year summary for the cache:
+   * [{ year, days, expected_days, sparse, cum: { minor: [365], moderate: [365], major: [365] } }]
+   * Years without any row (a total outage) are listed with empty cum so they stay visible as sparse.
+   */
+  function buildYearStats(rows, thresholdsNAVD88, { currentYear = new Date().getUTCFullYear() } = {}) {
+    const cov = coverageByYear(rows, currentYear);
+    const cum = {};
+    for (const s of STAGES) cum[s] = cumulativeByYear(rows, thresholdsNAVD88[STAGE_KEYS[s]]);
+
+    return [...cov.entries()].map(([year, c]) => {
+      const entry = { year, ...c, cum: {} };
+      for (const s of STAGES) entry.cum[s] = cum[s].get(year) || null;
+      return entry;
+    });
+  }
+
+  /**
+   * yearStats with one more curve, cum[key], counted at any NAVD88 level (an impact level), so
+   * doyEnvelope / yearToDate read it like a stage
+   */
+  function withLevel(yearStats, rows, key, levelNavd) {
+    const cum = cumulativeByYear(rows || [], levelNavd);
+    return (yearStats || []).map(e => ({ ...e, cum: { ...e.cum, [key]: cum.get(e.year) || null } }));
+  }
+
+  /**
+   * Average / min / max cumulative curve across years for one stage:
+   * { years, avg, min, max } or null when no year has data.
+   * Sparse years are left out (a half-reported year would read as a quiet one), as is
+   * excludeYear — pass the current year, which is drawn separately as year-to-date.
+   */
+  function doyEnvelope(yearStats, stage = "minor", { excludeYear = null } = {}) {
+    const curves = (yearStats || [])
+      .filter(e => e.year !== excludeYear && !e.sparse && Array.isArray(e.cum?.[stage]))
+      .map(e => ({ year: e.year, cum: e.cum[stage] }));
+    if (!curves.length) return null;
+
+    const avg = new Array(365).fill(0), min = new Array(365).fill(0), max = new Array(365).fill(0);
+    for (let i = 0; i < 365; i++) {
+      let lo = Infinity, hi = -Infinity, sum = 0;
+      for (const c of curves) {
+        const v = c.cum[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+        sum += v;
+      }
+      avg[i] = sum / curves.length;
+      min[i] = lo;
+      max[i] = hi;
+    }
+    return { years: curves.map(c => c.year), avg, min, max };
+  }
+
+  /** Year-to-date cumulative for one year, null after todayIdx */
+  function yearToDate(yearStats, year, stage, todayIdx) {
+    const cum = (yearStats || []).find(e => e.year === year)?.cum?.[stage];
+    return Array.from({ length: 365 }, (_, i) => (i <= todayIdx ? (cum ? cum[i] : 0) : null));
+  }
+
+  function sparseYears(yearStats) {
+    return (yearStats || []).filter(e => e.sparse).map(e => e.year);
+  }
+
+  return {
+    STAGES,
+    STAGE_KEYS,
+    parseDailyValues,
+    packRows,
+    unpackRows,
+    mergeRows,
+    isLeapYear,
+    calIndex365,
+    cumulativeByYear,
+    coverageByYear,
+    buildYearStats,
+    withLevel,
+    doyEnvelope,
+    yearToDate,
+    sparseYears
+  };
+});
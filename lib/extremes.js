@@ -0,0 +1,614 @@
+/**
+ * Extreme-value (return-period) analysis over the crest-anchored peaks archive.
+ *
+ * Shared by the dashboard (window.TideLib.extremes) and the node tools (require("../lib/extremes")).
+ * Inputs are peaks_navd88.json events ({ t, ft NAVD88, kind, ... }; highs only, QC-suspect ones
+ * skipped) plus, optionally, the station's historical top-ten list converted to NAVD88
+ * ([{ date "MM-DD-YYYY", ft }]).
+ *
+ *  - GEV on annual maxima, fit by maximum likelihood. Top-ten storms that fall before the gauge
+ *    record enter as historical information (Stedinger & Cohn): every other pre-record year is
+ *    known to have stayed below the smallest top-ten value.
+ *  - Peaks over threshold: crest highs declustered into storms (runs closer than runHours), a GPD
+ *    fit to the storm peaks and a Poisson rate. This is what gives 1-year levels and the return
+ *    period of an ordinary crest; the GEV is undefined at T = 1. Top-ten storms inside the gauge
+ *    record that the archive missed (gauge outages) are put back as storm peaks.
+ *  - 95% intervals from a seeded parametric bootstrap, so tool and dashboard agree run to run.
+ *
+ * Levels are NAVD88 unless shifted with shiftExtremesDatum; return periods don't depend on datum.
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).extremes = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const HIGHS_PER_DAY = 24 / 12.42;
+  const DEFAULT_RETURN_PERIODS = [1, 2, 10, 50, 100];
+
+  // Shape is kept inside ±0.5: beyond that a 25-year record says more about noise than the tail
+  const XI_LIMIT = 0.5;
+
+  // -------------------------
+  // Small numeric helpers
+  // -------------------------
+  function round(x, d = 3) {
+    if (x == null || !Number.isFinite(x)) return null;
+    const p = Math.pow(10, d);
+    return Math.round(x * p) / p;
+  }
+
+  function mean(a) {
+    return a.reduce((s, v) => s + v, 0) / a.length;
+  }
+
+  function quantile(sorted, p) {
+    if (!sorted.length) return null;
+    const i = (sorted.length - 1) * p;
+    const lo = Math.floor(i), hi = Math.ceil(i);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+  }
+
+  function logGamma(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const v of c) ser += v / ++y;
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+  }
+
+  /** Deterministic PRNG (mulberry32) so bootstrap intervals are reproducible */
+  function rng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function poisson(lambda, rand) {
+    // Knuth for small means, normal approximation above
+    if (lambda > 50) return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * normal(rand)));
+    const L = Math.exp(-lambda);
+    let k = 0, p = 1;
+    do { k++; p *= rand(); } while (p > L);
+    return k - 1;
+  }
+
+  function normal(rand) {
+    const u = 1 - rand(), v = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /** Nelder–Mead minimizer; f returns Infinity outside the feasible region */
+  function nelderMead(f, x0, { step = 0.1, maxIter = 600, tol = 1e-9 } = {}) {
+    const n = x0.length;
+    let simplex = [x0.slice()];
+    for (let i = 0; i < n; i++) {
+      const x = x0.slice();
+      x[i] += Array.isArray(step) ? step[i] : step;
+      simplex.push(x);
+    }
+    let vals = simplex.map(f);
+
+    for (let iter = 0; iter < maxIter; iter++) {
+      const order = vals.map((v, i) => i).sort((a, b) => vals[a] - vals[b]);
+      simplex = order.map(i => simplex[i]);
+      vals = order.map(i => vals[i]);
+      if (Math.abs(vals[n] - vals[0]) <= tol * (Math.abs(vals[0]) + tol)) break;
+
+      const centroid = new Array(n).fill(0);
+      for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+      const along = (k) => centroid.map((c, j) => c + k * (simplex[n][j] - c));
+
+      const xr = along(-1), fr = f(xr);
+      if (fr < vals[0]) {
+        const xe = along(-2), fe = f(xe);
+        if (fe < fr) { simplex[n] = xe; vals[n] = fe; } else { simplex[n] = xr; vals[n] = fr; }
+      } else if (fr < vals[n - 1]) {
+        simplex[n] = xr; vals[n] = fr;
+      } else {
+        const xc = fr < vals[n] ? along(-0.5) : along(0.5);
+        const fc = f(xc);
+        if (fc < Math.min(fr, vals[n])) {
+          simplex[n] = xc; vals[n] = fc;
+        } else {
+          for (let i = 1; i <= n; i++) {
+            simplex[i] = simplex[i].map((v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j]));
+            vals[i] = f(simplex[i]);
+          }
+        }
+      }
+    }
+    const best = vals.indexOf(Math.min(...vals));
+    return { x: simplex[best], value: vals[best] };
+  }
+
+  // -------------------------
+  // GEV (annual maxima)
+  // -------------------------
+  // F(x) = exp(-(1 + xi (x - mu) / sigma)^(-1/xi)); xi -> 0 is Gumbel
+
+  function gevLogCdf(x, { mu, sigma, xi }) {
+    const z = (x - mu) / sigma;
+    if (Math.abs(xi) < 1e-6) return -Math.exp(-z);
+    const y = 1 + xi * z;
+    if (y <= 0) return xi > 0 ? -Infinity : 0;
+    return -Math.pow(y, -1 / xi);
+  }
+
+  function gevLogPdf(x, { mu, sigma, xi }) {
+    const z = (x - mu) / sigma;
+    if (Math.abs(xi) < 1e-6) return -Math.log(sigma) - z - Math.exp(-z);
+    const y = 1 + xi * z;
+    if (y <= 0) return -Infinity;
+    return -Math.log(sigma) - (1 + 1 / xi) * Math.log(y) - Math.pow(y, -1 / xi);
+  }
+
+  function gevQuantile(p, { mu, sigma, xi }) {
+    const w = -Math.log(p);
+    if (Math.abs(xi) < 1e-6) return mu - sigma * Math.log(w);
+    return mu + sigma / xi * (Math.pow(w, -xi) - 1);
+  }
+
+  /** Starting values from L-moments (Hosking 1985) */
+  function gevLmomentStart(values) {
+    const x = values.slice().sort((a, b) => a - b);
+    const n = x.length;
+    let b0 = 0, b1 = 0, b2 = 0;
+    for (let i = 0; i < n; i++) {
+      b0 += x[i];
+      b1 += x[i] * i / (n - 1);
+      b2 += x[i] * i * (i - 1) / ((n - 1) * (n - 2));
+    }
+    b0 /= n; b1 /= n; b2 /= n;
+    const l1 = b0, l2 = 2 * b1 - b0, l3 = 6 * b2 - 6 * b1 + b0;
+    const t3 = l2 > 0 ? l3 / l2 : 0;
+    const c = 2 / (3 + t3) - Math.LN2 / Math.log(3);
+    let k = 7.859 * c + 2.9554 * c * c;
+    k = Math.max(-XI_LIMIT, Math.min(XI_LIMIT, k));
+    if (Math.abs(k) < 1e-4) {
+      const sigma = Math.max(1e-3, l2 / Math.LN2);
+      return { mu: l1 - 0.5772 * sigma, sigma, xi: 0 };
+    }
+    const g = Math.exp(logGamma(1 + k));
+    const sigma = Math.max(1e-3, l2 * k / ((1 - Math.pow(2, -k)) * g));
+    return { mu: l1 - sigma * (1 - g) / k, sigma, xi: -k };
+  }
+
+  /**
+   * ML fit. historical = { years, threshold, values[] }: `years` pre-record years, of which the
+   * `values` exceeded `threshold` and the rest are only known to have stayed below it.
+   */
+  function fitGEV(values, historical = null) {
+    if (values.length < 5) return null;
+    const hist = historical && historical.years > 0 ? historical : null;
+    const start = gevLmomentStart(hist ? values.concat(hist.values) : values);
+
+    const nll = ([mu, logSigma, xi]) => {
+      if (Math.abs(xi) > XI_LIMIT) return Infinity;
+      const p = { mu, sigma: Math.exp(logSigma), xi };
+      let ll = 0;
+      for (const v of values) ll += gevLogPdf(v, p);
+      if (hist) {
+        for (const v of hist.values) ll += gevLogPdf(v, p);
+        const below = hist.years - hist.values.length;
+        if (below > 0) ll += below * gevLogCdf(hist.threshold, p);
+      }
+      return Number.isFinite(ll) ? -ll : Infinity;
+    };
+
+    const x0 = [start.mu, Math.log(start.sigma), start.xi];
+    let best = nelderMead(nll, x0, { step: [start.sigma * 0.5, 0.3, 0.1] });
+    // one restart from the optimum shakes the simplex out of early collapse
+    best = nelderMead(nll, best.x, { step: [start.sigma * 0.2, 0.1, 0.05] });
+    if (!Number.isFinite(best.value)) return null;
+
+    const [mu, logSigma, xi] = best.x;
+    return { mu, sigma: Math.exp(logSigma), xi, loglik: -best.value };
+  }
+
+  /** Level exceeded on average once every T years (annual-max sense); null for T <= 1 */
+  function gevReturnLevel(p, T) {
+    if (!p || !(T > 1)) return null;
+    return gevQuantile(1 - 1 / T, p);
+  }
+
+  function gevReturnPeriod(p, x) {
+    if (!p) return null;
+    const exceed = -Math.expm1(gevLogCdf(x, p));
+    return exceed > 0 ? 1 / exceed : Infinity;
+  }
+
+  // -------------------------
+  // Peaks over threshold (GPD + Poisson)
+  // -------------------------
+  function highsOnly(events) {
+    const out = [];
+    for (const e of events || []) {
+      if (!e || e.kind === "CrestLow" || e.suspect) continue;   // QC-suspect crests (lib/qc.js) stay out
+      const ms = new Date(e.t).getTime();
+      const ft = Number(e.ft);
+      if (Number.isFinite(ms) && e.ft != null && Number.isFinite(ft)) out.push({ ms, ft, t: e.t });
+    }
+    return out.sort((a, b) => a.ms - b.ms);
+  }
+
+  /** Storm peaks: exceedances of u closer than runHours belong to one cluster; keep each max */
+  function decluster(highs, u, runHours = 72) {
+    const gap = runHours * 3600 * 1000;
+    const peaks = [];
+    let cur = null, lastMs = -Infinity;
+    for (const h of highs) {
+      if (h.ft < u) continue;
+      if (cur && h.ms - lastMs <= gap) {
+        if (h.ft > cur.ft) cur = h;
+      } else {
+        if (cur) peaks.push(cur);
+        cur = h;
+      }
+      lastMs = h.ms;
+    }
+    if (cur) peaks.push(cur);
+    return peaks;
+  }
+
+  /** Threshold giving about ratePerYear storm peaks per year of record (bisection on u) */
+  function chooseThreshold(highs, years, { ratePerYear = 5, runHours = 72 } = {}) {
+    const target = ratePerYear * years;
+    let lo = Math.min(...highs.map(h => h.ft));
+    let hi = Math.max(...highs.map(h => h.ft));
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (decluster(highs, mid, runHours).length > target) lo = mid; else hi = mid;
+    }
+    return hi;
+  }
+
+  function gpdLogPdf(y, sigma, xi) {
+    if (y < 0) return -Infinity;
+    if (Math.abs(xi) < 1e-6) return -Math.log(sigma) - y / sigma;
+    const w = 1 + xi * y / sigma;
+    if (w <= 0) return -Infinity;
+    return -Math.log(sigma) - (1 + 1 / xi) * Math.log(w);
+  }
+
+  function gpdSurvival(y, sigma, xi) {
+    if (y <= 0) return 1;
+    if (Math.abs(xi) < 1e-6) return Math.exp(-y / sigma);
+    const w = 1 + xi * y / sigma;
+    if (w <= 0) return 0;
+    return Math.pow(w, -1 / xi);
+  }
+
+  /** ML fit of excesses y = x - u (moment estimates as the start) */
+  function fitGPD(excesses) {
+    if (excesses.length < 5) return null;
+    const m = mean(excesses);
+    const s2 = excesses.reduce((s, v) => s + (v - m) * (v - m), 0) / (excesses.length - 1);
+    const xi0 = Math.max(-XI_LIMIT, Math.min(XI_LIMIT, 0.5 * (1 - m * m / s2)));
+    const sigma0 = Math.max(1e-3, m * (1 - xi0));
+
+    const nll = ([logSigma, xi]) => {
+      if (Math.abs(xi) > XI_LIMIT) return Infinity;
+      const sigma = Math.exp(logSigma);
+      let ll = 0;
+      for (const y of excesses) ll += gpdLogPdf(y, sigma, xi);
+      return Number.isFinite(ll) ? -ll : Infinity;
+    };
+    let best = nelderMead(nll, [Math.log(sigma0), xi0], { step: [0.3, 0.1] });
+    best = nelderMead(nll, best.x, { step: [0.1, 0.05] });
+    if (!Number.isFinite(best.value)) return null;
+    return { sigma: Math.exp(best.x[0]), xi: best.x[1], loglik: -best.value };
+  }
+
+  /** p = { u, lambda (storms/yr), sigma, xi }; null when T is shorter than the mean storm spacing */
+  function potReturnLevel(p, T) {
+    if (!p || !(p.lambda * T >= 1)) return null;
+    const m = p.lambda * T;
+    if (Math.abs(p.xi) < 1e-6) return p.u + p.sigma * Math.log(m);
+    return p.u + p.sigma / p.xi * (Math.pow(m, p.xi) - 1);
+  }
+
+  /** Years between storms reaching x; null below the threshold (more often than every 1/lambda yr) */
+  function potReturnPeriod(p, x) {
+    if (!p || x < p.u) return null;
+    const s = gpdSurvival(x - p.u, p.sigma, p.xi);
+    return s > 0 ? 1 / (p.lambda * s) : Infinity;
+  }
+
+  function gpdSample(sigma, xi, rand) {
+    const u = 1 - rand();
+    if (Math.abs(xi) < 1e-6) return -sigma * Math.log(u);
+    return sigma / xi * (Math.pow(u, -xi) - 1);
+  }
+
+  // -------------------------
+  // Annual maxima (+ historical top-ten)
+  // -------------------------
+  function localYear(ms, tzOffsetHours) {
+    return new Date(ms + tzOffsetHours * 3600 * 1000).getUTCFullYear();
+  }
+
+  function daysInYear(y) {
+    return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0 ? 366 : 365;
+  }
+
+  /** "MM-DD-YYYY" (registry top-ten style) or ISO -> ms (top-ten dates taken at local noon) */
+  function msOfDate(s, tzOffsetHours = -5) {
+    const m = String(s || "").match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
+    if (m) return Date.UTC(Number(m[3]), Number(m[1]) - 1, Number(m[2]), 12 - tzOffsetHours);
+    const ms = new Date(s).getTime();
+    return Number.isNaN(ms) ? null : ms;
+  }
+
+  function yearOfDate(s, tzOffsetHours = -5) {
+    const ms = msOfDate(s, tzOffsetHours);
+    return ms == null ? null : localYear(ms, tzOffsetHours);
+  }
+
+  /** Gauge highs plus top-ten storms (within the gauge years) that no nearby gauge high reached */
+  function highsWithHistorical(highs, historical, runHours, tzOffsetHours) {
+    if (!highs.length || !(historical || []).length) return highs;
+    const first = highs[0].ms, last = highs[highs.length - 1].ms;
+    const gap = runHours * 3600 * 1000;
+    const extra = [];
+    for (const h of historical) {
+      const ms = msOfDate(h.date, tzOffsetHours);
+      const ft = Number(h.ft);
+      if (ms == null || !Number.isFinite(ft) || ms < first || ms > last) continue;
+      const seen = highs.some(g => Math.abs(g.ms - ms) <= gap && g.ft >= ft);
+      if (!seen) extra.push({ ms, ft, t: new Date(ms).toISOString(), historical: true });
+    }
+    return extra.length ? highs.concat(extra).sort((a, b) => a.ms - b.ms) : highs;
+  }
+
+  /**
+   * [{ year, ft, t, coverage, source: "gauge"|"top_ten"|"historical", included }]
+   * Gauge years need minCoverage of expected highs and must be complete. A year holding a top-ten
+   * storm is known exactly (nothing else that year beat an all-time top ten), so it is included
+   * whatever the coverage; top-ten years before the gauge record come back as "historical".
+   */
+  function annualMaxima(events, {
+    historical = [],
+    minCoverage = 0.6,
+    lastCompleteYear = null,
+    tzOffsetHours = -5
+  } = {}) {
+    const last = lastCompleteYear ?? localYear(Date.now(), tzOffsetHours) - 1;
+    const byYear = new Map();
+    for (const h of highsOnly(events)) {
+      const y = localYear(h.ms, tzOffsetHours);
+      const r = byYear.get(y) || { n: 0, max: null };
+      r.n++;
+      if (!r.max || h.ft > r.max.ft) r.max = h;
+      byYear.set(y, r);
+    }
+
+    const rows = new Map();
+    for (const [year, r] of byYear) {
+      const coverage = Math.min(1, r.n / (daysInYear(year) * HIGHS_PER_DAY));
+      rows.set(year, {
+        year,
+        ft: r.max.ft,
+        t: r.max.t,
+        coverage: round(coverage, 3),
+        source: "gauge",
+        included: year <= last && coverage >= minCoverage
+      });
+    }
+
+    const firstGauge = rows.size ? Math.min(...rows.keys()) : Infinity;
+    for (const h of historical || []) {
+      const year = yearOfDate(h.date, tzOffsetHours);
+      const ft = Number(h.ft);
+      if (year == null || !Number.isFinite(ft) || year > last) continue;
+      const r = rows.get(year);
+      if (r && r.ft >= ft) {
+        r.included = true;
+        continue;
+      }
+      rows.set(year, {
+        year,
+        ft,
+        t: h.date,
+        coverage: r ? r.coverage : null,
+        source: year < firstGauge ? "historical" : "top_ten",
+        included: true
+      });
+    }
+
+    return [...rows.values()].sort((a, b) => a.year - b.year);
+  }
+
+  // -------------------------
+  // Whole analysis
+  // -------------------------
+  function levelsWithBand(T, est, boots, level) {
+    const a = (1 - level) / 2;
+    return T.map((t, i) => {
+      const b = boots.map(r => r[i]).filter(Number.isFinite).sort((x, y) => x - y);
+      return {
+        years: t,
+        ft: round(est[i]),
+        lo: b.length >= 20 ? round(quantile(b, a)) : null,
+        hi: b.length >= 20 ? round(quantile(b, 1 - a)) : null
+      };
+    });
+  }
+
+  /**
+   * events: peaks archive (NAVD88). historical: top-ten list in NAVD88.
+   * Returns { datum, return_periods, annual_maxima, gev, pot } — plain JSON.
+   */
+  function analyzeExtremes(events, {
+    historical = [],
+    returnPeriods = DEFAULT_RETURN_PERIODS,
+    level = 0.95,
+    nBoot = 200,
+    seed = 1,
+    ratePerYear = 5,
+    runHours = 72,
+    threshold = null,
+    minCoverage = 0.6,
+    lastCompleteYear = null,
+    tzOffsetHours = -5
+  } = {}) {
+    const T = returnPeriods.slice();
+    const rand = rng(seed);
+    const am = annualMaxima(events, { historical, minCoverage, lastCompleteYear, tzOffsetHours });
+
+    // --- GEV: record years + pre-record historical block ---
+    const sys = am.filter(r => r.included && r.source !== "historical");
+    const pre = am.filter(r => r.source === "historical");
+    let gev = null;
+    if (sys.length >= 5) {
+      const firstSys = Math.min(...sys.map(r => r.year));
+      const histFt = (historical || []).map(h => Number(h.ft)).filter(Number.isFinite);
+      const hist = pre.length ? {
+        years: firstSys - Math.min(...pre.map(r => r.year)),
+        threshold: Math.min(...histFt),
+        values: pre.map(r => r.ft)
+      } : null;
+
+      const params = fitGEV(sys.map(r => r.ft), hist);
+      if (params) {
+        const boots = [];
+        for (let b = 0; b < nBoot; b++) {
+          const simSys = sys.map(() => gevQuantile(Math.max(1e-12, rand()), params));
+          let simHist = null;
+          if (hist) {
+            const values = [];
+            for (let y = 0; y < hist.years; y++) {
+              const v = gevQuantile(Math.max(1e-12, rand()), params);
+              if (v >= hist.threshold) values.push(v);
+            }
+            simHist = { years: hist.years, threshold: hist.threshold, values };
+          }
+          const p = fitGEV(simSys, simHist);
+          if (p) boots.push(T.map(t => gevReturnLevel(p, t)));
+        }
+        gev = {
+          params: { mu: round(params.mu, 4), sigma: round(params.sigma, 4), xi: round(params.xi, 4) },
+          n_years: sys.length,
+          years: [sys[0].year, sys[sys.length - 1].year],
+          historical: hist ? { years: hist.years, threshold_ft: round(hist.threshold), n_events: hist.values.length } : null,
+          n_boot: boots.length,
+          levels: levelsWithBand(T, T.map(t => gevReturnLevel(params, t)), boots, level)
+        };
+      }
+    }
+
+    // --- POT on storm peaks ---
+    const gaugeHighs = highsOnly(events);
+    const highs = highsWithHistorical(gaugeHighs, historical, runHours, tzOffsetHours);
+    let pot = null;
+    if (highs.length) {
+      const years = gaugeHighs.length / (HIGHS_PER_DAY * 365.2425);
+      const u = threshold ?? chooseThreshold(highs, years, { ratePerYear, runHours });
+      const peaks = decluster(highs, u, runHours);
+      const fit = fitGPD(peaks.map(p => p.ft - u));
+      if (fit) {
+        const params = { u, lambda: peaks.length / years, sigma: fit.sigma, xi: fit.xi };
+        const boots = [];
+        for (let b = 0; b < nBoot; b++) {
+          const n = poisson(peaks.length, rand);
+          const f = fitGPD(Array.from({ length: n }, () => gpdSample(fit.sigma, fit.xi, rand)));
+          if (f) {
+            const p = { u, lambda: n / years, sigma: f.sigma, xi: f.xi };
+            boots.push(T.map(t => potReturnLevel(p, t)));
+          }
+        }
+        pot = {
+          params: {
+            u: round(u, 4),
+            lambda: round(params.lambda, 4),
+            sigma: round(params.sigma, 4),
+            xi: round(params.xi, 4)
+          },
+          run_hours: runHours,
+          n_peaks: peaks.length,
+          n_added_historical: peaks.filter(p => p.historical).length,
+          record_years: round(years, 2),
+          n_boot: boots.length,
+          levels: levelsWithBand(T, T.map(t => potReturnLevel(params, t)), boots, level)
+        };
+      }
+    }
+
+    return {
+      datum: "NAVD88",
+      level,
+      return_periods: T,
+      annual_maxima: am.map(r => ({ ...r, ft: round(r.ft) })),
+      gev,
+      pot
+    };
+  }
+
+  // Past this the annual-max GEV (which also sees the pre-record storms) takes over from POT
+  const POT_MAX_YEARS = 10;
+
+  /**
+   * Return period (years) of a water level in the result's datum.
+   * years comes from the POT fit up to POT_MAX_YEARS and from the GEV beyond. Below the POT
+   * threshold it is null and more_often_than_yr says how frequent that is.
+   */
+  function returnPeriodOf(result, ft) {
+    const x = Number(ft);
+    if (!result || !Number.isFinite(x)) return null;
+    const pot = result.pot ? potReturnPeriod(result.pot.params, x) : null;
+    const gev = result.gev ? gevReturnPeriod(result.gev.params, x) : null;
+    const below = !!result.pot && x < result.pot.params.u;
+    let years = result.pot ? pot : gev;
+    if (gev != null && (years == null ? !below : years > POT_MAX_YEARS)) years = Math.max(gev, POT_MAX_YEARS);
+    return {
+      years,
+      pot_years: pot,
+      gev_years: gev,
+      more_often_than_yr: below ? round(1 / result.pot.params.lambda, 2) : null
+    };
+  }
+
+  /** Copy with every level (and location parameter) moved by shiftFt into `datum` */
+  function shiftExtremesDatum(result, datum, shiftFt) {
+    const out = JSON.parse(JSON.stringify(result));
+    const sh = (v) => (v == null ? v : round(v + shiftFt));
+    out.datum = datum;
+    out.annual_maxima.forEach(r => { r.ft = sh(r.ft); });
+    if (out.gev) {
+      out.gev.params.mu = round(out.gev.params.mu + shiftFt, 4);
+      if (out.gev.historical) out.gev.historical.threshold_ft = sh(out.gev.historical.threshold_ft);
+      out.gev.levels.forEach(l => { l.ft = sh(l.ft); l.lo = sh(l.lo); l.hi = sh(l.hi); });
+    }
+    if (out.pot) {
+      out.pot.params.u = round(out.pot.params.u + shiftFt, 4);
+      out.pot.levels.forEach(l => { l.ft = sh(l.ft); l.lo = sh(l.lo); l.hi = sh(l.hi); });
+    }
+    return out;
+  }
+
+  return {
+    DEFAULT_RETURN_PERIODS,
+    nelderMead,
+    fitGEV,
+    gevReturnLevel,
+    gevReturnPeriod,
+    decluster,
+    chooseThreshold,
+    fitGPD,
+    potReturnLevel,
+    potReturnPeriod,
+    annualMaxima,
+    analyzeExtremes,
+    returnPeriodOf,
+    shiftExtremesDatum
+  };
+});
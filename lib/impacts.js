@@ -0,0 +1,138 @@
+/**
+ * Impact levels: local elevations people act on, between or beyond the NWS flood stages
+ * ("Ocean Ave at Church St closes", "marina parking lot floods").
+ *
+ * Used by the dashboard (window.TideLib.impacts):
+ *  - a level is { id, name, elevation, datum, color } as entered, the elevation in its own datum;
+ *    it is resolved to NAVD88 with the station's offsetsFromMllw, the same way the flood
+ *    thresholds are, so counts don't depend on the display datum
+ *  - levels come from the station's shared file (<dataDir>/impact_levels.json,
+ *    { levels: [ ... ] }) and from each browser (localStorage); a browser level with the same
+ *    id as a shared one replaces it
+ *  - a level whose datum the station can't convert (e.g. a LOCAL datum since cleared) is kept,
+ *    so it can be fixed, but is not used
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).impacts = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const IMPACT_FILE = "impact_levels.json";
+
+  // Handed out in order to levels without a color (none of the stage colors)
+  const DEFAULT_COLORS = ["#38bdf8", "#f472b6", "#a3e635", "#fb923c", "#e879f9", "#94a3b8"];
+
+  function slug(s) {
+    return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 48);
+  }
+
+  /** Entered level -> { id, name, elevation, datum, color, source }, or null without a name or elevation */
+  function normalizeLevel(raw, { source = "shared", index = 0 } = {}) {
+    const name = String(raw?.name || "").trim();
+    const elevation = Number(raw?.elevation);
+    if (!name || raw?.elevation == null || raw.elevation === "" || !Number.isFinite(elevation)) return null;
+    const color = /^#[0-9a-f]{6}$/i.test(raw.color || "") ? raw.color.toLowerCase() : DEFAULT_COLORS[index % DEFAULT_COLORS.length];
+    return {
+      id: String(raw.id || "").trim() || slug(name) || `level-${index + 1}`,
+      name,
+      elevation: Math.round(elevation * 100) / 100,
+      datum: String(raw.datum || "NAVD88").trim(),
+      color,
+      source
+    };
+  }
+
+  /** { levels: [...] } or a bare array -> normalized levels (bad entries dropped, first of an id wins) */
+  function parseLevels(json, { source = "shared" } = {}) {
+    const list = Array.isArray(json) ? json : Array.isArray(json?.levels) ? json.levels : [];
+    const seen = new Set();
+    const out = [];
+    list.forEach((raw, index) => {
+      const l = normalizeLevel(raw, { source, index });
+      if (!l || seen.has(l.id)) return;
+      seen.add(l.id);
+      out.push(l);
+    });
+    return out;
+  }
+
+  /** Shared levels with the browser's on top (same id = the browser's copy) */
+  function mergeLevels(shared, mine) {
+    const ids = new Set((mine || []).map(l => l.id));
+    return [...(shared || []).filter(l => !ids.has(l.id)), ...(mine || [])];
+  }
+
+  /** Elevation in NAVD88 feet, or NaN when the datum has no offset */
+  function levelNavd(level, offsetsFromMllw) {
+    const from = Number(offsetsFromMllw?.[level.datum]);
+    const navd = Number(offsetsFromMllw?.NAVD88);
+    if (!Number.isFinite(from) || !Number.isFinite(navd)) return NaN;
+    return Math.round((level.elevation - from + navd) * 1000) / 1000;
+  }
+
+  /**
+   * Levels with navd88_ft and usable, lowest first (unusable ones last, in their entered order)
+   */
+  function resolveLevels(levels, offsetsFromMllw) {
+    const out = (levels || []).map(l => {
+      const navd88_ft = levelNavd(l, offsetsFromMllw);
+      return { ...l, navd88_ft, usable: Number.isFinite(navd88_ft) };
+    });
+    return [
+      ...out.filter(l => l.usable).sort((a, b) => a.navd88_ft - b.navd88_ft),
+      ...out.filter(l => !l.usable)
+    ];
+  }
+
+  /** Usable levels at or below ftNavd, lowest first */
+  function levelsReached(ftNavd, resolved) {
+    if (!Number.isFinite(ftNavd)) return [];
+    return (resolved || []).filter(l => l.usable && ftNavd >= l.navd88_ft);
+  }
+
+  /** Highest usable level at or below ftNavd, or null */
+  function highestReached(ftNavd, resolved) {
+    const hit = levelsReached(ftNavd, resolved);
+    return hit.length ? hit[hit.length - 1] : null;
+  }
+
+  /**
+   * High tides at or above a level per year: counts aligned with years (QC-suspect events left
+   * out, as in the stage counts). events: [{ t, ft (NAVD88), suspect? }]
+   */
+  function annualCounts(events, levelNavd88, years) {
+    const byYear = new Map();
+    for (const e of events || []) {
+      const ms = new Date(e.t).getTime();
+      const ft = Number(e.ft);
+      if (!Number.isFinite(ms) || !Number.isFinite(ft) || e.suspect || ft < levelNavd88) continue;
+      const y = new Date(ms).getUTCFullYear();
+      byYear.set(y, (byYear.get(y) || 0) + 1);
+    }
+    return (years || []).map(y => byYear.get(y) || 0);
+  }
+
+  /** Levels as the shared file stores them (what a team commits as impact_levels.json) */
+  function toFileJson(levels) {
+    return {
+      levels: (levels || []).map(({ id, name, elevation, datum, color }) => ({ id, name, elevation, datum, color }))
+    };
+  }
+
+  return {
+    IMPACT_FILE,
+    DEFAULT_COLORS,
+    normalizeLevel,
+    parseLevels,
+    mergeLevels,
+    levelNavd,
+    resolveLevels,
+    levelsReached,
+    highestReached,
+    annualCounts,
+    toFileJson
+  };
+});
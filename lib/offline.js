@@ -0,0 +1,187 @@
+/**
+ * Offline rules shared by the service worker (sw.js) and the dashboard (window.TideLib.offline).
+ *
+ * Which requests are cached, under what key and how they're named to the reader:
+ *  - the app shell (page, lib/, vendor/, icons) is precached at install and served cache-first
+ *  - station files under data/ are fetched network-first and saved per path (the ?v= cache
+ *    buster is dropped)
+ *  - live APIs (USGS, CO-OPS, NWPS, api.weather.gov) are fetched network-first and saved under
+ *    a key without their time window, so "the last 24 h of gauge readings" asked for at 3:05
+ *    finds the copy saved at 2:35. Short windows keep their length in the key (a 24 h request
+ *    never gets the year-to-date series); windows over MAX_KEYED_WINDOW_H share one "long" slot.
+ * A saved copy served in place of the network is "stale": the worker tells the page, which
+ * labels it (see OFFLINE in index.html).
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).offline = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Bump SHELL_CACHE when SHELL_FILES or vendor/ change; saved data survives a shell bump
+  const SHELL_CACHE = "tide-shell-v4";
+  const DATA_CACHE = "tide-data-v1";
+  const CACHE_PREFIX = "tide-";
+
+  const SHELL_FILES = [
+    "./",
+    "index.html",
+    "manifest.webmanifest",
+    "assets/shorelysafe",
+    "assets/icon.svg",
+    "assets/icon-192.png",
+    "assets/icon-512.png",
+    "lib/trends.js",
+    "lib/extremes.js",
+    "lib/dailystats.js",
+    "lib/qc.js",
+    "lib/segments.js",
+    "lib/impacts.js",
+    "lib/sitrep.js",
+    "lib/waves.js",
+    "lib/offline.js",
+    "vendor/chart.js/chart.umd.js",
+    "vendor/leaflet/leaflet.js",
+    "vendor/leaflet/leaflet.css",
+    "vendor/leaflet/images/layers.png",
+    "vendor/leaflet/images/layers-2x.png",
+    "vendor/leaflet/images/marker-icon.png",
+    "vendor/leaflet/images/marker-icon-2x.png",
+    "vendor/leaflet/images/marker-shadow.png"
+  ];
+
+  // Live APIs: host -> [path prefix, label] (first match wins)
+  const LIVE_SOURCES = {
+    "waterservices.usgs.gov": [["/nwis/iv", "gauge readings"], ["/nwis/dv", "daily gauge statistics"]],
+    "api.tidesandcurrents.noaa.gov": [["/", "NOAA tide predictions"]],
+    "api.water.noaa.gov": [["/", "NWPS forecast"]],
+    "api.weather.gov": [["/alerts", "weather alerts"], ["/", "weather.gov data"]]
+  };
+
+  // Station files people will ask about by name; anything else under data/ is "station files"
+  const DATA_LABELS = {
+    "peaks_navd88.json": "flood history",
+    "petss_forecast.json": "PETSS forecast",
+    "forecast_blend.json": "forecast blend",
+    "daily_stats_navd88.json": "daily statistics",
+    "surge_climatology.json": "surge climatology",
+    "impact_levels.json": "impact levels",
+    "petss_meta.json": "forecast cycle",
+    "waves_wind.json": "wind and waves",
+    "stations.json": "station list"
+  };
+
+  // Query params that only say *when*: left out of live keys (v = the page's cache buster)
+  const TIME_PARAMS = ["startDT", "endDT", "period", "begin_date", "end_date", "range", "v", "_"];
+  const MAX_KEYED_WINDOW_H = 7 * 24;
+
+  // Worker -> page messages: { type: MESSAGE_TYPE, state: "stale"|"fresh"|"synced", key, label, savedAt }
+  const MESSAGE_TYPE = "tide-offline";
+  const SYNC_TAG = "tide-refresh";
+  // Response header the worker stamps on every saved copy
+  const SAVED_AT_HEADER = "X-Tide-Saved-At";
+  // Wait this long for the network before falling back to a saved copy (the network response
+  // still replaces the copy when it arrives)
+  const NETWORK_TIMEOUT_MS = 10000;
+
+  function parseYMD(s) {
+    const m = /^(\d{4})(\d{2})(\d{2})$/.exec(s || "");
+    return m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) : NaN;
+  }
+
+  /** ISO 8601 duration (USGS period=P7D / PT24H) in hours */
+  function durationHours(s) {
+    const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/i.exec(s || "");
+    if (!m) return NaN;
+    return (+m[1] || 0) * 24 + (+m[2] || 0) + (+m[3] || 0) / 60;
+  }
+
+  /** "24h", "72h", "long" or "" (no time window in the request) */
+  function windowTag(params) {
+    let hours = NaN;
+    if (params.has("period")) {
+      hours = durationHours(params.get("period"));
+    } else if (params.has("startDT")) {
+      const a = Date.parse(params.get("startDT"));
+      const b = params.has("endDT") ? Date.parse(params.get("endDT")) : Date.now();
+      hours = (b - a) / 3600000;
+    } else if (params.has("begin_date")) {
+      // CO-OPS end_date is inclusive
+      hours = (parseYMD(params.get("end_date")) - parseYMD(params.get("begin_date"))) / 3600000 + 24;
+    } else if (params.has("range")) {
+      hours = Number(params.get("range"));
+    } else {
+      return "";
+    }
+    if (!Number.isFinite(hours)) return "long";
+    return hours <= MAX_KEYED_WINDOW_H ? `${Math.max(1, Math.round(hours))}h` : "long";
+  }
+
+  function liveKey(u) {
+    const keep = [...u.searchParams.entries()]
+      .filter(([k]) => !TIME_PARAMS.includes(k))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const win = windowTag(u.searchParams);
+    if (win) keep.push(["window", win]);
+    return `${u.origin}${u.pathname}?${new URLSearchParams(keep).toString()}`;
+  }
+
+  /**
+   * How the worker handles a GET: { kind: "page"|"shell"|"data"|"live", key, label } or null
+   * (left to the browser: map tiles, anything else off-site).
+   * scopeUrl = the worker's registration scope (the directory index.html is served from).
+   */
+  function requestRoute(url, scopeUrl) {
+    let u, scope;
+    try {
+      u = new URL(url);
+      scope = new URL(scopeUrl);
+    } catch (_) {
+      return null;
+    }
+
+    const live = LIVE_SOURCES[u.hostname];
+    if (live) {
+      const hit = live.find(([prefix]) => u.pathname.startsWith(prefix));
+      return hit ? { kind: "live", key: liveKey(u), label: hit[1] } : null;
+    }
+
+    if (u.origin !== scope.origin || !u.pathname.startsWith(scope.pathname)) return null;
+    const rel = u.pathname.slice(scope.pathname.length);
+
+    if (rel === "" || rel === "index.html") {
+      return { kind: "page", key: new URL("index.html", scope).href, label: "dashboard" };
+    }
+    if (rel.startsWith("data/")) {
+      const file = rel.split("/").pop();
+      return { kind: "data", key: `${u.origin}${u.pathname}`, label: DATA_LABELS[file] || "station files" };
+    }
+    return { kind: "shell", key: `${u.origin}${u.pathname}`, label: "dashboard" };
+  }
+
+  /** "just now", "12 min", "3 h", "2 days" */
+  function fmtAge(ms) {
+    if (!Number.isFinite(ms) || ms < 60000) return "just now";
+    const min = Math.round(ms / 60000);
+    if (min < 60) return `${min} min`;
+    const h = Math.round(min / 60);
+    if (h < 48) return `${h} h`;
+    return `${Math.round(h / 24)} days`;
+  }
+
+  return {
+    SHELL_CACHE,
+    DATA_CACHE,
+    CACHE_PREFIX,
+    SHELL_FILES,
+    MESSAGE_TYPE,
+    SYNC_TAG,
+    SAVED_AT_HEADER,
+    NETWORK_TIMEOUT_MS,
+    windowTag,
+    requestRoute,
+    fmtAge
+  };
+});
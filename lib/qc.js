@@ -0,0 +1,216 @@
+/**
+ * Quality control for observed water levels (USGS IV, NAVD88) — flags, never drops.
+ *
+ * Shared by the dashboard (window.TideLib.qc) and the updaters (require("../lib/qc")).
+ * checkSeries() returns a copy of each point with qc: [flag, ...] (empty = clean); crestFlags()
+ * rolls the flags of a crest's window up to the event. Consumers decide what to do with them:
+ * the dashboard draws suspect points/crests differently and leaves suspect crests out of counts.
+ *
+ * Point flags
+ *   spike        value sticks out from both neighbours by more than spikeFt (QARTOD-style spike)
+ *   rate         change from the previous point faster than maxRateFtPerHour
+ *   flat         part of a run of ≥ flatMinutes within flatToleranceFt (stuck sensor; tides move)
+ *   gap          first point after more than maxGapMinutes without data
+ *   pred_dev     |observed − CO-OPS astronomical prediction| > predToleranceFt (surge is real, so
+ *                the default tolerance is wide: this catches datum/unit blunders, not storms)
+ *   provisional, estimated, equipment, maintenance, ice   from USGS qualifier codes
+ * Crest-only flag
+ *   sparse_window  the crest's search window holds less than half the expected points
+ *
+ * SUSPECT_FLAGS make a point or crest "suspect"; the rest are informational.
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).qc = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const QC_VERSION = "qc_v1";
+
+  const DEFAULTS = {
+    spikeFt: 0.75,             // the dashboard's old TS_MAX_DELTA_FT
+    maxRateFtPerHour: 3,
+    flatMinutes: 120,
+    flatToleranceFt: 0.005,
+    maxGapMinutes: 60,
+    predToleranceFt: 6,
+    stepMinutes: 15            // nominal USGS IV spacing (for window coverage)
+  };
+
+  // USGS NWIS qualifier codes -> flag (A = approved, no flag)
+  const QUALIFIER_FLAGS = {
+    P: "provisional",
+    e: "estimated",
+    E: "estimated",
+    Eqp: "equipment",
+    Mnt: "maintenance",
+    Ice: "ice"
+  };
+
+  const SUSPECT_FLAGS = ["spike", "rate", "flat", "pred_dev", "equipment", "maintenance", "ice"];
+
+  const FLAG_LABELS = {
+    spike: "spike",
+    rate: "implausible rate of change",
+    flat: "flat line (stuck sensor?)",
+    gap: "after a data gap",
+    pred_dev: "far from the tide prediction",
+    provisional: "provisional",
+    estimated: "estimated by USGS",
+    equipment: "equipment malfunction",
+    maintenance: "gauge maintenance",
+    ice: "ice affected",
+    sparse_window: "few readings around the crest"
+  };
+
+  const MIN_MS = 60000;
+
+  function isSuspect(flags) {
+    return Array.isArray(flags) && flags.some(f => SUSPECT_FLAGS.includes(f));
+  }
+
+  function describeFlags(flags) {
+    return (flags || []).map(f => FLAG_LABELS[f] || f).join(", ");
+  }
+
+  function qualifierFlags(qualifiers) {
+    const out = [];
+    for (const q of qualifiers || []) {
+      const f = QUALIFIER_FLAGS[String(q)];
+      if (f && !out.includes(f)) out.push(f);
+    }
+    return out;
+  }
+
+  /**
+   * Prediction at ms from [{ t, ft, type? }] (same datum as the observations). Consecutive H/L
+   * crests are joined with the usual half-cosine; anything else is linear. null outside the span.
+   */
+  function interpolatePrediction(pred, ms) {
+    if (!pred || !pred.length) return null;
+    let lo = 0, hi = pred.length - 1;
+    if (ms < pred[0].ms || ms > pred[hi].ms) return null;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (pred[mid].ms <= ms) lo = mid; else hi = mid;
+    }
+    const a = pred[lo], b = pred[hi];
+    if (b.ms === a.ms) return a.ft;
+    const f = (ms - a.ms) / (b.ms - a.ms);
+    const crests = (a.type === "H" || a.type === "L") && (b.type === "H" || b.type === "L") && a.type !== b.type;
+    const w = crests ? (1 - Math.cos(Math.PI * f)) / 2 : f;
+    return a.ft + (b.ft - a.ft) * w;
+  }
+
+  function preparePrediction(predicted) {
+    return (predicted || [])
+      .map(p => ({ ms: new Date(p.t).getTime(), ft: Number(p.ft ?? p.pred_ft), type: p.type }))
+      .filter(p => Number.isFinite(p.ms) && Number.isFinite(p.ft))
+      .sort((a, b) => a.ms - b.ms);
+  }
+
+  /**
+   * points: [{ t, ft, qualifiers? }] -> chronological copies with qc: [flags].
+   * Options: DEFAULTS overrides, plus predicted: [{ t, ft | pred_ft, type? }] for pred_dev.
+   */
+  function checkSeries(points, options = {}) {
+    const o = { ...DEFAULTS, ...options };
+    const pred = preparePrediction(o.predicted);
+
+    const pts = (points || [])
+      .map(p => ({ p, ms: new Date(p.t).getTime(), ft: Number(p.ft) }))
+      .filter(x => Number.isFinite(x.ms) && x.p.ft != null && Number.isFinite(x.ft))
+      .sort((a, b) => a.ms - b.ms);
+
+    const flags = pts.map(x => qualifierFlags(x.p.qualifiers));
+    const add = (i, f) => { if (!flags[i].includes(f)) flags[i].push(f); };
+    const maxGap = o.maxGapMinutes * MIN_MS;
+    const linked = i => i > 0 && pts[i].ms - pts[i - 1].ms <= maxGap;
+
+    for (let i = 0; i < pts.length; i++) {
+      if (i > 0 && !linked(i)) add(i, "gap");
+
+      // Spike: excursion beyond both linked neighbours, net of the local slope
+      if (linked(i) && i + 1 < pts.length && linked(i + 1)) {
+        const a = pts[i - 1].ft, v = pts[i].ft, c = pts[i + 1].ft;
+        if (Math.abs(v - (a + c) / 2) - Math.abs((c - a) / 2) > o.spikeFt) add(i, "spike");
+      }
+    }
+
+    // Rate of change against the previous non-spike reading (so the reading after a spike,
+    // back at the true level, isn't blamed for the drop)
+    let prev = -1;
+    for (let i = 0; i < pts.length; i++) {
+      if (prev >= 0 && pts[i].ms - pts[prev].ms <= maxGap) {
+        const hours = (pts[i].ms - pts[prev].ms) / 3600000;
+        if (hours > 0 && Math.abs(pts[i].ft - pts[prev].ft) / hours > o.maxRateFtPerHour) add(i, "rate");
+      }
+      if (!flags[i].includes("spike")) prev = i;
+    }
+
+    if (pred.length) {
+      for (let i = 0; i < pts.length; i++) {
+        const pv = interpolatePrediction(pred, pts[i].ms);
+        if (pv != null && Math.abs(pts[i].ft - pv) > o.predToleranceFt) add(i, "pred_dev");
+      }
+    }
+
+    // Flat line: maximal runs of linked points within tolerance of the run's first value
+    const flatMs = o.flatMinutes * MIN_MS;
+    let start = 0;
+    for (let i = 1; i <= pts.length; i++) {
+      const breaks = i === pts.length || !linked(i) || Math.abs(pts[i].ft - pts[start].ft) > o.flatToleranceFt;
+      if (!breaks) continue;
+      if (pts[i - 1].ms - pts[start].ms >= flatMs) {
+        for (let k = start; k < i; k++) add(k, "flat");
+      }
+      start = i;
+    }
+
+    return pts.map((x, i) => ({ ...x.p, qc: flags[i] }));
+  }
+
+  /**
+   * Flags for a crest event from its chosen point and search window (points with qc):
+   * the chosen point's flags, plus sparse_window when the window is under half covered and
+   * pred_dev against the crest prediction (predFt) when given.
+   */
+  function crestFlags({ best, windowPoints, windowMinutes, predFt = null }, options = {}) {
+    const o = { ...DEFAULTS, ...options };
+    const flags = [...(best?.qc || [])];
+    const expected = windowMinutes / o.stepMinutes + 1;
+    if ((windowPoints?.length || 0) < expected / 2) flags.push("sparse_window");
+    if (predFt != null && Number.isFinite(predFt) && Math.abs(Number(best.ft) - predFt) > o.predToleranceFt && !flags.includes("pred_dev")) {
+      flags.push("pred_dev");
+    }
+    return flags;
+  }
+
+  /** Summary counts for a checked series: { n, suspect, byFlag: { flag: n } } */
+  function summarize(points) {
+    const byFlag = {};
+    let suspect = 0;
+    for (const p of points || []) {
+      for (const f of p.qc || []) byFlag[f] = (byFlag[f] || 0) + 1;
+      if (isSuspect(p.qc)) suspect++;
+    }
+    return { n: (points || []).length, suspect, byFlag };
+  }
+
+  return {
+    QC_VERSION,
+    DEFAULTS,
+    QUALIFIER_FLAGS,
+    SUSPECT_FLAGS,
+    FLAG_LABELS,
+    isSuspect,
+    describeFlags,
+    qualifierFlags,
+    interpolatePrediction: (predicted, t) => interpolatePrediction(preparePrediction(predicted), new Date(t).getTime()),
+    checkSeries,
+    crestFlags,
+    summarize
+  };
+});
@@ -0,0 +1,153 @@
+/**
+ * Flood segments in a forecast (or any) series — the 72h outlook's logic.
+ *
+ * Shared by the dashboard's flood outlook (window.TideLib.segments) and tools/notify_floods.js,
+ * so a notification and the page always describe the same flood window.
+ *
+ *  - a segment is a run of consecutive points at/above a level (default: the minor stage)
+ *  - its peak is the highest point, named by flood stage
+ *  - the PETSS ensemble upper band (~90th percentile) gets the same treatment: where it floods
+ *    and the mean does not, the window is "possible"
+ *  - all levels are in whatever datum the points and thresholds share
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).segments = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const STAGE_ORDER = ["Below", "Minor", "Moderate", "Major"];
+
+  // Duration credited to the last point of a series (PETSS/IV steps are ≤ 1h; the dashboard grid is 15 min)
+  const LAST_STEP_MS = 15 * 60 * 1000;
+
+  /** "Major" | "Moderate" | "Minor" | "Below" against { minorLow, moderateLow, majorLow } */
+  function stageName(ft, T) {
+    if (ft >= T.majorLow) return "Major";
+    if (ft >= T.moderateLow) return "Moderate";
+    if (ft >= T.minorLow) return "Minor";
+    return "Below";
+  }
+
+  function stageRank(stage) {
+    return Math.max(0, STAGE_ORDER.indexOf(stage));
+  }
+
+  function msOf(p) {
+    return Number.isFinite(p.ms) ? p.ms : new Date(p.t).getTime();
+  }
+
+  /**
+   * Runs of consecutive points with p[key] >= level:
+   * [{ startT, endT, startMs, endMs, peakFt, peakT, peakStage }] (points chronological).
+   */
+  function floodSegments(points, T, { key = "ft", level = T.minorLow } = {}) {
+    const segs = [];
+    let cur = null;
+
+    for (const p of points || []) {
+      const ft = p[key];
+      if (!(ft >= level)) {
+        if (cur) { segs.push(cur); cur = null; }
+        continue;
+      }
+
+      const ms = msOf(p);
+      if (!cur) {
+        cur = { startT: p.t, endT: p.t, startMs: ms, endMs: ms, peakFt: ft, peakT: p.t, peakStage: stageName(ft, T) };
+      } else {
+        cur.endT = p.t;
+        cur.endMs = ms;
+        if (ft > cur.peakFt) {
+          cur.peakFt = ft;
+          cur.peakT = p.t;
+          cur.peakStage = stageName(ft, T);
+        }
+      }
+    }
+    if (cur) segs.push(cur);
+    return segs;
+  }
+
+  /** Time spent in each stage, each point standing until the next: { minorMs, moderateMs, majorMs } */
+  function stageDurations(points, T, { key = "ft" } = {}) {
+    const out = { minorMs: 0, moderateMs: 0, majorMs: 0 };
+    const pts = points || [];
+    for (let i = 0; i < pts.length; i++) {
+      const b = pts[i + 1];
+      const dt = b ? Math.max(0, msOf(b) - msOf(pts[i])) : LAST_STEP_MS;
+      const stage = stageName(pts[i][key], T);
+      if (stage === "Major") out.majorMs += dt;
+      else if (stage === "Moderate") out.moderateMs += dt;
+      else if (stage === "Minor") out.minorMs += dt;
+    }
+    return out;
+  }
+
+  function overlaps(a, b) {
+    return a.startMs <= b.endMs && a.endMs >= b.startMs;
+  }
+
+  /**
+   * Mean segments plus the upper band (p[hiKey]) treated the same way:
+   *   { segments, possible, rows, hasBand, durations }
+   * segments carry hiPeakFt (band peak over the same window, or null); possible holds band-only
+   * windows ({ ...segment, possibleOnly: true }); rows is both, by start time.
+   */
+  function floodOutlook(points, T, { key = "ft", hiKey = "hi", level = T.minorLow } = {}) {
+    const segments = floodSegments(points, T, { key, level });
+
+    const hasBand = (points || []).some(p => Number.isFinite(p[hiKey]));
+    const segsHi = hasBand
+      ? floodSegments(
+        points.map(p => ({ t: p.t, ms: msOf(p), ft: Number.isFinite(p[hiKey]) ? p[hiKey] : -Infinity })),
+        T,
+        { level }
+      )
+      : [];
+
+    for (const seg of segments) {
+      const hi = segsHi.filter(h => overlaps(h, seg)).map(h => h.peakFt);
+      seg.hiPeakFt = hi.length ? Math.max(...hi) : null;
+    }
+
+    const possible = segsHi
+      .filter(h => !segments.some(m => overlaps(h, m)))
+      .map(h => ({ ...h, possibleOnly: true }));
+
+    return {
+      segments,
+      possible,
+      rows: [...segments, ...possible].sort((a, b) => a.startMs - b.startMs),
+      hasBand,
+      durations: stageDurations(points, T, { key })
+    };
+  }
+
+  /*
+   * PETSS ensemble spread -> { lo, hi }.
+   * NOMADS names the columns by exceedance: twl10p is exceeded by 10% of members (upper band),
+   * twl90p by 90% (lower band). Take min/max so a swapped file can't flip the band.
+   * A null or missing column is no band (Number(null) would read as 0 ft).
+   */
+  function petssBand(row) {
+    const num = v => (v == null || v === "" ? NaN : Number(v));
+    const a = num(row?.twl10p ?? row?.hi);
+    const b = num(row?.twl90p ?? row?.lo);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return { lo: null, hi: null };
+    return { lo: Math.min(a, b), hi: Math.max(a, b) };
+  }
+
+  return {
+    STAGE_ORDER,
+    stageName,
+    stageRank,
+    floodSegments,
+    stageDurations,
+    floodOutlook,
+    overlaps,
+    petssBand
+  };
+});
@@ -0,0 +1,434 @@
+/**
+ * Situation report: one dated, self-contained HTML page for an emergency manager, built from the
+ * forecast (petss_forecast.json, or the fresh blend), petss_meta.json, the crest history
+ * (peaks_navd88.json) and the latest gauge readings.
+ *
+ * Shared by tools/build_sitrep.js (headless, in the scheduled workflow) and the dashboard's
+ * "Situation report" button (window.TideLib.sitrep), so both print the same report:
+ *  - current stage from the newest clean reading
+ *  - the next FORECAST_HOURS of flood windows, cut with the 72h outlook's logic (lib/segments.js)
+ *  - an inline SVG chart of the last OBSERVED_HOURS observed and the forecast with its ensemble
+ *    band, captioned with the forecast source and cycle
+ *  - the forecast peak ranked against the station's top ten floods and the crest record
+ * Every height is in one datum (the caller converts); times print in the station's time zone.
+ * No scripts, fonts or images are loaded, so the file can be mailed, archived or printed to PDF.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./segments"));
+  else (root.TideLib = root.TideLib || {}).sitrep = factory(root.TideLib.segments);
+})(typeof self !== "undefined" ? self : this, function (segments) {
+  "use strict";
+
+  const FORECAST_HOURS = 72;
+  const OBSERVED_HOURS = 24;
+  const DEFAULT_TIME_ZONE = "America/New_York";
+  const HOUR_MS = 3600 * 1000;
+
+  // A forecast line is broken across a gap longer than this (PETSS and the blend are hourly)
+  const MAX_GAP_MS = 2 * HOUR_MS;
+
+  // Same stage colors as the dashboard
+  const STAGE_COLORS = { Below: "#64748b", Minor: "#d97706", Moderate: "#e11d48", Major: "#7c3aed" };
+
+  function escHtml(s) {
+    return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  }
+
+  function msOf(p) {
+    return Number.isFinite(p?.ms) ? p.ms : new Date(p?.t).getTime();
+  }
+
+  function fmtWhen(iso, timeZone) {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone, weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short"
+    }).format(new Date(iso));
+  }
+
+  function fmtTime(iso, timeZone) {
+    return new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "2-digit" }).format(new Date(iso));
+  }
+
+  function fmtTick(ms, timeZone) {
+    return new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "numeric" }).format(new Date(ms));
+  }
+
+  /** "20260425-0600Z": sortable stamp for dated report files */
+  function fileStamp(ms) {
+    return new Date(ms).toISOString().slice(0, 16).replace(/[-:]/g, "").replace("T", "-") + "Z";
+  }
+
+  /**
+   * What the forecast is: { label, cycle, issued } from petss_meta.json and, when the blend was
+   * used, forecast_blend.json (whose PETSS input carries its own cycle)
+   */
+  function describeSource({ meta = null, blend = null } = {}) {
+    const petss = blend?.sources?.petss || meta || {};
+    const cycle = petss.run_dir ? `${petss.run_dir} ${petss.cycle || ""}`.trim() : null;
+    if (blend) {
+      return {
+        label: `Bias-corrected blend of NOAA forecasts (${blend.summary || "weights unknown"})`,
+        cycle: cycle ? `PETSS cycle ${cycle}` : null,
+        issued: blend.generated_utc || null
+      };
+    }
+    return {
+      label: "NOAA PETSS ensemble mean, with its 10–90% member spread",
+      cycle: cycle ? `PETSS cycle ${cycle}` : null,
+      issued: meta?.updated_utc || null
+    };
+  }
+
+  /** Newest reading -> { t, ft, stage }, or null */
+  function currentStage(observed, T) {
+    let last = null;
+    for (const p of observed || []) {
+      if (Number.isFinite(Number(p.ft)) && Number.isFinite(msOf(p)) && (!last || msOf(p) > msOf(last))) last = p;
+    }
+    return last ? { t: new Date(msOf(last)).toISOString(), ft: Number(last.ft), stage: segments.stageName(Number(last.ft), T) } : null;
+  }
+
+  /**
+   * Where a height sits in history:
+   *  topTen: { rank (1-based, null below the list), of, above (the flood just higher), record, lowest }
+   *  crests: { atOrAbove, of, since (year), last ({ t, ft }) } over the crest record
+   * topTen: [{ date, ft }]; crests: [{ t, ft }] (QC-suspect ones already left out); same datum as ft
+   */
+  function historicalRank(ft, { topTen = [], crests = [] } = {}) {
+    if (!Number.isFinite(ft)) return null;
+
+    const top = [...topTen].filter(r => Number.isFinite(Number(r.ft))).sort((a, b) => b.ft - a.ft);
+    const higher = top.filter(r => r.ft > ft);
+    const rank = higher.length + 1;
+
+    let atOrAbove = 0, last = null, firstMs = Infinity;
+    for (const c of crests) {
+      const ms = msOf(c);
+      if (!Number.isFinite(ms) || !Number.isFinite(Number(c.ft))) continue;
+      if (ms < firstMs) firstMs = ms;
+      if (Number(c.ft) < ft) continue;
+      atOrAbove++;
+      if (!last || ms > msOf(last)) last = c;
+    }
+
+    return {
+      topTen: {
+        rank: top.length && rank <= top.length ? rank : null,
+        of: top.length,
+        above: higher.length ? higher[higher.length - 1] : null,
+        record: top[0] || null,
+        lowest: top[top.length - 1] || null
+      },
+      crests: {
+        atOrAbove,
+        of: crests.length,
+        since: Number.isFinite(firstMs) ? new Date(firstMs).getUTCFullYear() : null,
+        last: last ? { t: new Date(msOf(last)).toISOString(), ft: Number(last.ft) } : null
+      }
+    };
+  }
+
+  /**
+   * The report's content (no markup):
+   *   station { id, name, timeZone, usgsSite?, coopsStation? }, nowMs, datum (its label),
+   *   thresholds { minorLow, moderateLow, majorLow } in datum,
+   *   forecast [{ t, ft, hi?, lo? }], observed [{ t, ft }] (clean readings), topTen [{ date, ft }],
+   *   crests [{ t, ft }], source (describeSource), generator (who built it, for the footer)
+   */
+  function buildSitrep({ station, nowMs, datum, thresholds: T, forecast = [], observed = [], topTen = [], crests = [], source = null, generator = "" }) {
+    const startMs = nowMs - OBSERVED_HOURS * HOUR_MS;
+    const endMs = nowMs + FORECAST_HOURS * HOUR_MS;
+
+    const fc = forecast
+      .map(p => ({ t: p.t, ms: msOf(p), ft: Number(p.ft), hi: Number.isFinite(p.hi) ? p.hi : null, lo: Number.isFinite(p.lo) ? p.lo : null }))
+      .filter(p => Number.isFinite(p.ms) && Number.isFinite(p.ft))
+      .sort((a, b) => a.ms - b.ms);
+    const ahead = fc.filter(p => p.ms >= nowMs && p.ms <= endMs);
+    const obs = observed
+      .map(p => ({ t: p.t, ms: msOf(p), ft: Number(p.ft) }))
+      .filter(p => Number.isFinite(p.ms) && Number.isFinite(p.ft) && p.ms >= startMs && p.ms <= nowMs)
+      .sort((a, b) => a.ms - b.ms);
+
+    const { rows, hasBand, durations } = segments.floodOutlook(ahead, T, { key: "ft", hiKey: "hi" });
+    const windows = rows.map(s => ({
+      start: s.startT,
+      end: s.endT,
+      hours: Math.round(Math.max(0.25, (s.endMs - s.startMs) / HOUR_MS) * 10) / 10,
+      peakT: s.peakT,
+      peakFt: s.peakFt,
+      stage: s.peakStage,
+      hiPeakFt: Number.isFinite(s.hiPeakFt) ? s.hiPeakFt : null,
+      possible: !!s.possibleOnly
+    }));
+
+    let peak = null;
+    for (const p of ahead) if (!peak || p.ft > peak.ft) peak = p;
+    const hiPeak = ahead.reduce((m, p) => (Number.isFinite(p.hi) && p.hi > m ? p.hi : m), -Infinity);
+
+    return {
+      generated_utc: new Date(nowMs).toISOString(),
+      nowMs,
+      station: { ...station, timeZone: station.timeZone || DEFAULT_TIME_ZONE },
+      datum,
+      thresholds: T,
+      current: currentStage(obs, T),
+      peak: peak ? { t: peak.t, ft: peak.ft, stage: segments.stageName(peak.ft, T), hiFt: Number.isFinite(hiPeak) ? hiPeak : null } : null,
+      windows,
+      hasBand,
+      hoursFlooding: {
+        minor: durations.minorMs / HOUR_MS,
+        moderate: durations.moderateMs / HOUR_MS,
+        major: durations.majorMs / HOUR_MS
+      },
+      rank: peak ? historicalRank(peak.ft, { topTen, crests }) : null,
+      topTen: [...topTen].sort((a, b) => b.ft - a.ft),
+      source,
+      generator,
+      chart: { startMs, endMs, forecast: fc.filter(p => p.ms >= startMs && p.ms <= endMs), observed: obs }
+    };
+  }
+
+  // -------------------------
+  // Chart (inline SVG)
+  // -------------------------
+  function linePath(points, X, Y, key = "ft") {
+    let d = "", prev = null;
+    for (const p of points) {
+      if (!Number.isFinite(p[key])) { prev = null; continue; }
+      const cmd = prev && p.ms - prev.ms <= MAX_GAP_MS ? "L" : "M";
+      d += `${cmd}${X(p.ms).toFixed(1)},${Y(p[key]).toFixed(1)}`;
+      prev = p;
+    }
+    return d;
+  }
+
+  function chartSvg(r, { width = 760, height = 280 } = {}) {
+    const { startMs, endMs, forecast, observed } = r.chart;
+    const T = r.thresholds;
+    const tz = r.station.timeZone;
+    const pad = { l: 46, r: 14, t: 12, b: 30 };
+
+    const vals = [
+      ...forecast.flatMap(p => [p.ft, p.hi, p.lo]),
+      ...observed.map(p => p.ft),
+      T.minorLow, T.moderateLow, T.majorLow
+    ].filter(Number.isFinite);
+    const yMin = Math.floor(Math.min(...vals) - 0.25);
+    const yMax = Math.ceil(Math.max(...vals) + 0.25);
+
+    const X = ms => pad.l + ((ms - startMs) / (endMs - startMs)) * (width - pad.l - pad.r);
+    const Y = ft => pad.t + ((yMax - ft) / (yMax - yMin)) * (height - pad.t - pad.b);
+    const clampY = ft => Y(Math.max(yMin, Math.min(yMax, ft)));
+    const left = X(startMs), right = X(endMs), top = Y(yMax), bottom = Y(yMin);
+
+    const out = [];
+    out.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Observed and forecast water level">`);
+
+    // Stage bands
+    const bands = [
+      [T.minorLow, T.moderateLow, STAGE_COLORS.Minor],
+      [T.moderateLow, T.majorLow, STAGE_COLORS.Moderate],
+      [T.majorLow, yMax, STAGE_COLORS.Major]
+    ];
+    for (const [lo, hi, c] of bands) {
+      if (!(hi > yMin) || !(lo < yMax)) continue;
+      const y1 = clampY(hi), y2 = clampY(lo);
+      out.push(`<rect x="${left.toFixed(1)}" y="${y1.toFixed(1)}" width="${(right - left).toFixed(1)}" height="${(y2 - y1).toFixed(1)}" fill="${c}" fill-opacity="0.12"/>`);
+    }
+
+    // Grid + labels
+    const step = yMax - yMin > 12 ? 2 : 1;
+    for (let v = yMin; v <= yMax; v += step) {
+      out.push(`<line x1="${left.toFixed(1)}" x2="${right.toFixed(1)}" y1="${Y(v).toFixed(1)}" y2="${Y(v).toFixed(1)}" stroke="#cbd5e1" stroke-width="0.5"/>`);
+      out.push(`<text x="${(left - 6).toFixed(1)}" y="${(Y(v) + 4).toFixed(1)}" text-anchor="end" class="ax">${v}</text>`);
+    }
+    const tickStep = 12 * HOUR_MS;
+    // (no tick so close to the right edge that its label would be cut off)
+    for (let ms = Math.ceil(startMs / tickStep) * tickStep; X(ms) <= right - 30; ms += tickStep) {
+      out.push(`<line x1="${X(ms).toFixed(1)}" x2="${X(ms).toFixed(1)}" y1="${top.toFixed(1)}" y2="${bottom.toFixed(1)}" stroke="#e2e8f0" stroke-width="0.5"/>`);
+      out.push(`<text x="${X(ms).toFixed(1)}" y="${(bottom + 16).toFixed(1)}" text-anchor="middle" class="ax">${escHtml(fmtTick(ms, tz))}</text>`);
+    }
+
+    // Ensemble band (upper line forward, lower line back)
+    const banded = forecast.filter(p => Number.isFinite(p.hi) && Number.isFinite(p.lo));
+    if (banded.length > 1) {
+      const d = banded.map((p, i) => `${i ? "L" : "M"}${X(p.ms).toFixed(1)},${Y(p.hi).toFixed(1)}`).join("") +
+        [...banded].reverse().map(p => `L${X(p.ms).toFixed(1)},${Y(p.lo).toFixed(1)}`).join("") + "Z";
+      out.push(`<path d="${d}" fill="#0ea5e9" fill-opacity="0.18" stroke="none"/>`);
+    }
+
+    const fcPath = linePath(forecast, X, Y);
+    if (fcPath) out.push(`<path d="${fcPath}" fill="none" stroke="#0369a1" stroke-width="2" stroke-dasharray="6 3"/>`);
+    const obsPath = linePath(observed, X, Y);
+    if (obsPath) out.push(`<path d="${obsPath}" fill="none" stroke="#0f172a" stroke-width="2"/>`);
+
+    // Now
+    const xNow = X(r.nowMs).toFixed(1);
+    out.push(`<line x1="${xNow}" x2="${xNow}" y1="${top.toFixed(1)}" y2="${bottom.toFixed(1)}" stroke="#475569" stroke-width="1" stroke-dasharray="2 3"/>`);
+    out.push(`<text x="${(X(r.nowMs) + 4).toFixed(1)}" y="${(top + 12).toFixed(1)}" class="ax">Now</text>`);
+
+    out.push(`<rect x="${left.toFixed(1)}" y="${top.toFixed(1)}" width="${(right - left).toFixed(1)}" height="${(bottom - top).toFixed(1)}" fill="none" stroke="#94a3b8" stroke-width="0.75"/>`);
+    out.push("</svg>");
+    return out.join("");
+  }
+
+  // -------------------------
+  // HTML
+  // -------------------------
+  const CSS = `
+    *{box-sizing:border-box}
+    body{margin:0;padding:24px;font:14px/1.45 system-ui,-apple-system,"Segoe UI",Roboto,Arial,sans-serif;color:#0f172a;background:#fff}
+    main{max-width:820px;margin:0 auto}
+    h1{font-size:22px;margin:0 0 4px}
+    h2{font-size:16px;margin:22px 0 8px;border-bottom:1px solid #e2e8f0;padding-bottom:4px}
+    .meta,.note{color:#475569;font-size:12.5px}
+    .boxes{display:grid;grid-template-columns:repeat(3,1fr);gap:10px;margin-top:16px}
+    .box{border:1px solid #cbd5e1;border-radius:10px;padding:10px 12px}
+    .box .k{font-size:12px;color:#475569;text-transform:uppercase;letter-spacing:.04em;font-weight:700}
+    .box .v{font-size:22px;font-weight:800;margin:2px 0}
+    .stage{font-weight:800}
+    table{width:100%;border-collapse:collapse;font-size:13px}
+    th,td{text-align:left;padding:5px 8px;border-bottom:1px solid #e2e8f0}
+    th{font-size:12px;color:#475569}
+    tr.fc td{background:#e0f2fe;font-weight:800}
+    .ax{font-size:10px;fill:#475569}
+    .legend span{display:inline-block;margin-right:14px}
+    .sw{display:inline-block;width:18px;height:0;border-top:2px solid;vertical-align:middle;margin-right:4px}
+    .printBtn{float:right;padding:6px 12px;border:1px solid #94a3b8;border-radius:8px;background:#f8fafc;font-weight:700;cursor:pointer}
+    footer{margin-top:24px;color:#64748b;font-size:11.5px}
+    @media print{body{padding:0}.printBtn{display:none}h2{break-after:avoid}section{break-inside:avoid}}
+    @page{margin:14mm}
+  `;
+
+  function stageHtml(stage) {
+    return `<span class="stage" style="color:${STAGE_COLORS[stage] || STAGE_COLORS.Below}">${escHtml(stage === "Below" ? "Below flood stage" : `${stage} flooding`)}</span>`;
+  }
+
+  function rankSentence(r, unit) {
+    const k = r.rank;
+    if (!k) return "No forecast peak to rank.";
+    const t = k.topTen, c = k.crests;
+    const parts = [];
+    if (t.of) {
+      parts.push(t.rank
+        ? `The forecast peak would be #${t.rank} of the ${t.of} highest floods on record` +
+          (t.above ? `, below ${escHtml(t.above.date)} (${t.above.ft.toFixed(2)} ${unit})` : ", a new record") + "."
+        : `The forecast peak is below the top ${t.of} floods (lowest: ${escHtml(t.lowest.date)}, ${t.lowest.ft.toFixed(2)} ${unit}).`);
+    }
+    if (c.of) {
+      parts.push(c.atOrAbove
+        ? `${c.atOrAbove} of ${c.of} recorded high tides since ${c.since} reached it; the last was ${escHtml(fmtWhen(c.last.t, r.station.timeZone))} (${c.last.ft.toFixed(2)} ${unit}).`
+        : `No recorded high tide since ${c.since} has reached it.`);
+    }
+    return parts.join(" ") || "No flood history to rank against.";
+  }
+
+  /** The complete report page */
+  function renderHtml(r) {
+    const tz = r.station.timeZone;
+    const unit = `ft ${escHtml(r.datum)}`;
+    const name = escHtml(r.station.name || r.station.id);
+    const issued = fmtWhen(r.generated_utc, tz);
+    const T = r.thresholds;
+
+    const cur = r.current
+      ? `<div class="v">${r.current.ft.toFixed(2)} ${unit}</div>${stageHtml(r.current.stage)}<div class="note">Gauge reading ${escHtml(fmtWhen(r.current.t, tz))}</div>`
+      : `<div class="v">—</div><div class="note">No gauge reading in the last ${OBSERVED_HOURS} hours</div>`;
+    const peak = r.peak
+      ? `<div class="v">${r.peak.ft.toFixed(2)} ${unit}</div>${stageHtml(r.peak.stage)}<div class="note">${escHtml(fmtWhen(r.peak.t, tz))}` +
+        (Number.isFinite(r.peak.hiFt) && r.peak.hiFt > r.peak.ft ? ` · 90th percentile ${r.peak.hiFt.toFixed(2)}` : "") + "</div>"
+      : `<div class="v">—</div><div class="note">No forecast for the next ${FORECAST_HOURS} hours</div>`;
+    const rankBox = r.rank?.topTen?.rank
+      ? `<div class="v">#${r.rank.topTen.rank} of ${r.rank.topTen.of}</div><div class="note">among the highest floods on record</div>`
+      : r.rank
+        ? `<div class="v">${r.rank.crests.atOrAbove}</div><div class="note">recorded high tides at or above it${r.rank.crests.since ? ` since ${r.rank.crests.since}` : ""}</div>`
+        : `<div class="v">—</div>`;
+
+    const windows = r.windows.length
+      ? `<table><thead><tr><th>When</th><th>Duration</th><th>Peak (${unit})</th><th>Stage</th></tr></thead><tbody>` +
+        r.windows.map(w => `<tr><td>${escHtml(fmtWhen(w.start, tz))} → ${escHtml(fmtTime(w.end, tz))}</td>` +
+          `<td>${w.possible ? "—" : `${w.hours.toFixed(1)} h`}</td>` +
+          `<td>${w.peakFt.toFixed(2)}${w.hiPeakFt != null && w.hiPeakFt > w.peakFt ? ` (90th pct ${w.hiPeakFt.toFixed(2)})` : ""}</td>` +
+          `<td>${stageHtml(w.stage)}${w.possible ? " possible (90th percentile only)" : ""}</td></tr>`).join("") +
+        "</tbody></table>" +
+        `<p class="note">Hours at or above minor: ${r.hoursFlooding.minor.toFixed(1)} · moderate: ${r.hoursFlooding.moderate.toFixed(1)} · major: ${r.hoursFlooding.major.toFixed(1)}.</p>`
+      : `<p>No flood windows forecast in the next ${FORECAST_HOURS} hours${r.hasBand ? ", even at the 90th percentile" : ""}.</p>`;
+
+    const topTenRows = [...r.topTen.map(t => ({ ...t, fc: false }))];
+    if (r.peak) topTenRows.push({ date: `Forecast ${fmtWhen(r.peak.t, tz)}`, ft: r.peak.ft, fc: true });
+    topTenRows.sort((a, b) => b.ft - a.ft || Number(b.fc) - Number(a.fc));   // a tie goes to the forecast, as in the rank
+    let n = 0;
+    const history = r.topTen.length
+      ? `<table><thead><tr><th>#</th><th>Date</th><th>Height (${unit})</th><th>Stage</th></tr></thead><tbody>` +
+        topTenRows.map(t => `<tr${t.fc ? ' class="fc"' : ""}><td>${t.fc ? "▶" : ++n}</td>` +
+          `<td>${escHtml(t.date)}</td><td>${t.ft.toFixed(2)}</td><td>${stageHtml(segments.stageName(t.ft, T))}</td></tr>`).join("") +
+        "</tbody></table>"
+      : "";
+
+    const src = r.source || {};
+    const ids = [r.station.usgsSite && `USGS ${r.station.usgsSite}`, r.station.coopsStation && `NOAA CO-OPS ${r.station.coopsStation}`].filter(Boolean).join(" · ");
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${name} flood situation report · ${escHtml(issued)}</title>
+<style>${CSS}</style>
+</head>
+<body>
+<main>
+<header>
+  <button class="printBtn" type="button" onclick="window.print()">Print / save as PDF</button>
+  <h1>${name}: coastal flood situation report</h1>
+  <div class="meta">Issued ${escHtml(issued)} · heights in ${unit}${ids ? ` · ${escHtml(ids)}` : ""}</div>
+  <div class="meta">Flood stages: minor ${T.minorLow.toFixed(2)} · moderate ${T.moderateLow.toFixed(2)} · major ${T.majorLow.toFixed(2)} ${unit}</div>
+</header>
+
+<section class="boxes">
+  <div class="box"><div class="k">Now</div>${cur}</div>
+  <div class="box"><div class="k">Forecast peak, next ${FORECAST_HOURS} h</div>${peak}</div>
+  <div class="box"><div class="k">Historical rank</div>${rankBox}</div>
+</section>
+
+<section>
+  <h2>Flood windows, next ${FORECAST_HOURS} hours</h2>
+  ${windows}
+</section>
+
+<section>
+  <h2>Water level: last ${OBSERVED_HOURS} hours and forecast</h2>
+  ${chartSvg(r)}
+  <div class="note legend">
+    <span><i class="sw" style="border-color:#0f172a"></i>Observed</span>
+    <span><i class="sw" style="border-color:#0369a1;border-top-style:dashed"></i>Forecast</span>
+    ${r.hasBand ? '<span><i class="sw" style="border-color:#7dd3fc;border-top-width:8px"></i>Ensemble 10–90%</span>' : ""}
+  </div>
+  <p class="note">Forecast: ${escHtml(src.label || "unknown source")}${src.cycle ? ` · ${escHtml(src.cycle)}` : ""}${src.issued ? ` · issued ${escHtml(fmtWhen(src.issued, tz))}` : ""}.</p>
+</section>
+
+<section>
+  <h2>Historical context</h2>
+  <p>${rankSentence(r, unit)}</p>
+  ${history}
+</section>
+
+<footer>Generated ${escHtml(r.generated_utc)}${r.generator ? ` by ${escHtml(r.generator)}` : ""}. Forecasts change every cycle; check the dashboard for the latest.</footer>
+</main>
+</body>
+</html>
+`;
+  }
+
+  return {
+    FORECAST_HOURS,
+    OBSERVED_HOURS,
+    fileStamp,
+    describeSource,
+    currentStage,
+    historicalRank,
+    buildSitrep,
+    chartSvg,
+    renderHtml
+  };
+});
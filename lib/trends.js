@@ -0,0 +1,494 @@
+/**
+ * Sea-level-rise / nuisance-flood trend analysis over the crest-anchored peaks archive.
+ *
+ * Shared by the dashboard (window.TideLib.trends) and the node tools (require("../lib/trends")).
+ * Inputs are peaks_navd88.json events ({ t, ft NAVD88, kind, ... }); only highs are used
+ * (kind !== "CrestLow"), minus crests QC marked suspect. Everything returned is plain JSON so it
+ * can be exported as-is.
+ *
+ *  - annual / monthly mean high water (years/months below minCoverage of expected highs are
+ *    reported but left out of fits)
+ *  - OLS trend in ft/decade with a confidence interval widened for lag-1 autocorrelation
+ *    (effective sample size), on annual means and on deseasonalized monthly means
+ *  - Pettitt change-point test on the annual means
+ *  - flood days per year (local days with a high at/above a threshold) and a projection under a
+ *    chosen rise rate: recent baseline years' daily highs shifted up by rate × years ahead
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).trends = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Semidiurnal: one high every 12.42h on average
+  const HIGHS_PER_DAY = 24 / 12.42;
+
+  // -------------------------
+  // Small stats helpers
+  // -------------------------
+  function round(x, d = 3) {
+    if (!Number.isFinite(x)) return null;
+    const k = Math.pow(10, d);
+    return Math.round(x * k) / k;
+  }
+
+  function mean(a) {
+    return a.length ? a.reduce((s, v) => s + v, 0) / a.length : NaN;
+  }
+
+  function logGamma(x) {
+    // Lanczos approximation (g = 7)
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = c[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  // Continued fraction for the regularized incomplete beta (Numerical Recipes betacf)
+  function betacf(a, b, x) {
+    const EPS = 3e-14, FPMIN = 1e-300;
+    let qab = a + b, qap = a + 1, qam = a - 1;
+    let c = 1, d = 1 - qab * x / qap;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+      const m2 = 2 * m;
+      let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+      d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+      c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+      d = 1 / d; h *= d * c;
+      aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+      d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+      c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < EPS) break;
+    }
+    return h;
+  }
+
+  function incompleteBeta(a, b, x) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const bt = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2) ? bt * betacf(a, b, x) / a : 1 - bt * betacf(b, a, 1 - x) / b;
+  }
+
+  /** Student t CDF */
+  function tCdf(t, df) {
+    const p = 0.5 * incompleteBeta(df / 2, 0.5, df / (df + t * t));
+    return t >= 0 ? 1 - p : p;
+  }
+
+  /** Student t quantile (bisection; fine for CI use) */
+  function tQuantile(p, df) {
+    if (!(df > 0)) return NaN;
+    if (p === 0.5) return 0;
+    if (p < 0.5) return -tQuantile(1 - p, df);
+    let lo = 0, hi = 1000;
+    for (let i = 0; i < 200; i++) {
+      const mid = (lo + hi) / 2;
+      if (tCdf(mid, df) < p) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  // -------------------------
+  // Trend
+  // -------------------------
+  /**
+   * OLS y = intercept + slope * (x - x0), x0 = mean(x).
+   * The standard error is inflated for lag-1 autocorrelation of the residuals
+   * (n_eff = n (1 - r1) / (1 + r1) when r1 > 0), and the CI uses Student t with n_eff - 2 df.
+   */
+  function linearTrend(xs, ys, { level = 0.95, autocorr = true } = {}) {
+    const pts = [];
+    for (let i = 0; i < Math.min(xs.length, ys.length); i++) {
+      const x = Number(xs[i]), y = Number(ys[i]);
+      if (xs[i] != null && ys[i] != null && Number.isFinite(x) && Number.isFinite(y)) pts.push([x, y]);
+    }
+    const n = pts.length;
+    if (n < 3) return null;
+
+    const x0 = mean(pts.map(p => p[0]));
+    const yBar = mean(pts.map(p => p[1]));
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const [x, y] of pts) {
+      sxx += (x - x0) * (x - x0);
+      sxy += (x - x0) * (y - yBar);
+      syy += (y - yBar) * (y - yBar);
+    }
+    if (sxx < 1e-12) return null;
+
+    const slope = sxy / sxx;
+    const intercept = yBar;
+    const resid = pts.map(([x, y]) => y - (intercept + slope * (x - x0)));
+    const sse = resid.reduce((s, r) => s + r * r, 0);
+
+    let r1 = 0;
+    if (autocorr && n > 3) {
+      let num = 0;
+      for (let i = 1; i < n; i++) num += resid[i] * resid[i - 1];
+      r1 = sse > 0 ? num / sse : 0;
+    }
+    const nEff = r1 > 0 ? Math.max(3, n * (1 - r1) / (1 + r1)) : n;
+
+    const se = Math.sqrt(sse / (n - 2) / sxx) * Math.sqrt((n - 2) / (nEff - 2 || 1));
+    const df = Math.max(1, nEff - 2);
+    const tCrit = tQuantile(1 - (1 - level) / 2, df);
+
+    return {
+      n,
+      x0,
+      slope,
+      intercept,
+      se,
+      df,
+      level,
+      ci: [slope - tCrit * se, slope + tCrit * se],
+      r1,
+      n_eff: nEff,
+      r2: syy > 0 ? 1 - sse / syy : null
+    };
+  }
+
+  // -------------------------
+  // Change point
+  // -------------------------
+  /**
+   * Pettitt (1979) nonparametric test for a single shift in level.
+   * Returns the last index of the first regime, K and the approximate two-sided p-value.
+   */
+  function pettitt(values) {
+    const x = values.filter(v => Number.isFinite(v));
+    const n = x.length;
+    if (n < 4) return null;
+
+    let best = { index: -1, K: 0 };
+    let U = 0;
+    for (let t = 0; t < n - 1; t++) {
+      // U_t = U_{t-1} + sum_j sign(x_t - x_j)
+      for (let j = 0; j < n; j++) U += Math.sign(x[t] - x[j]);
+      if (Math.abs(U) > best.K) best = { index: t, K: Math.abs(U) };
+    }
+    const p = Math.min(1, 2 * Math.exp(-6 * best.K * best.K / (n * n * n + n * n)));
+    return { index: best.index, K: best.K, p };
+  }
+
+  // -------------------------
+  // Aggregations
+  // -------------------------
+  function highsOnly(events) {
+    const out = [];
+    for (const e of events || []) {
+      if (!e || e.kind === "CrestLow" || e.suspect) continue;   // QC-suspect crests (lib/qc.js) stay out
+      const ms = new Date(e.t).getTime();
+      const ft = Number(e.ft);
+      if (Number.isFinite(ms) && e.ft != null && Number.isFinite(ft)) out.push({ ms, ft });
+    }
+    return out;
+  }
+
+  /** Calendar parts in a fixed-offset local time (default EST, UTC-5, no DST — like the dashboard) */
+  function localParts(ms, tzOffsetHours) {
+    const d = new Date(ms + tzOffsetHours * 3600 * 1000);
+    return { y: d.getUTCFullYear(), m: d.getUTCMonth() + 1, day: d.toISOString().slice(0, 10) };
+  }
+
+  function daysInMonth(y, m) {
+    return new Date(Date.UTC(y, m, 0)).getUTCDate();
+  }
+
+  function daysInYear(y) {
+    return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0 ? 366 : 365;
+  }
+
+  function defaultLastCompleteYear(tzOffsetHours) {
+    return localParts(Date.now(), tzOffsetHours).y - 1;
+  }
+
+  /** [{ year, n, coverage, mean_ft, included }] — mean of crest highs per local calendar year */
+  function annualMeanHighWater(events, { minCoverage = 0.6, lastCompleteYear = null, tzOffsetHours = -5 } = {}) {
+    const last = lastCompleteYear ?? defaultLastCompleteYear(tzOffsetHours);
+    const byYear = new Map();
+    for (const h of highsOnly(events)) {
+      const { y } = localParts(h.ms, tzOffsetHours);
+      if (!byYear.has(y)) byYear.set(y, []);
+      byYear.get(y).push(h.ft);
+    }
+    return [...byYear.keys()].sort((a, b) => a - b).map(year => {
+      const v = byYear.get(year);
+      const coverage = v.length / (daysInYear(year) * HIGHS_PER_DAY);
+      return {
+        year,
+        n: v.length,
+        coverage: round(Math.min(1, coverage), 3),
+        mean_ft: round(mean(v)),
+        included: year <= last && coverage >= minCoverage
+      };
+    });
+  }
+
+  /**
+   * [{ year, month, t (decimal year), n, coverage, mean_ft, anomaly_ft, included }]
+   * anomaly_ft = mean minus that calendar month's average over included months (deseasonalized).
+   */
+  function monthlyMeanHighWater(events, { minCoverage = 0.6, lastCompleteYear = null, tzOffsetHours = -5 } = {}) {
+    const last = lastCompleteYear ?? defaultLastCompleteYear(tzOffsetHours);
+    const byMonth = new Map();
+    for (const h of highsOnly(events)) {
+      const { y, m } = localParts(h.ms, tzOffsetHours);
+      const k = y * 100 + m;
+      if (!byMonth.has(k)) byMonth.set(k, []);
+      byMonth.get(k).push(h.ft);
+    }
+
+    const rows = [...byMonth.keys()].sort((a, b) => a - b).map(k => {
+      const year = Math.floor(k / 100), month = k % 100;
+      const v = byMonth.get(k);
+      const coverage = v.length / (daysInMonth(year, month) * HIGHS_PER_DAY);
+      return {
+        year,
+        month,
+        t: round(year + (month - 0.5) / 12, 4),
+        n: v.length,
+        coverage: round(Math.min(1, coverage), 3),
+        mean_ft: mean(v),
+        anomaly_ft: null,
+        included: year <= last && coverage >= minCoverage
+      };
+    });
+
+    const clim = new Map();
+    for (let m = 1; m <= 12; m++) {
+      const v = rows.filter(r => r.included && r.month === m).map(r => r.mean_ft);
+      if (v.length) clim.set(m, mean(v));
+    }
+    for (const r of rows) {
+      if (clim.has(r.month)) r.anomaly_ft = round(r.mean_ft - clim.get(r.month));
+      r.mean_ft = round(r.mean_ft);
+    }
+    return rows;
+  }
+
+  /** Max crest high per local day: Map(day "YYYY-MM-DD" -> { y, ft }) */
+  function dailyMaxHighs(events, tzOffsetHours = -5) {
+    const byDay = new Map();
+    for (const h of highsOnly(events)) {
+      const { y, day } = localParts(h.ms, tzOffsetHours);
+      const prev = byDay.get(day);
+      if (!prev || h.ft > prev.ft) byDay.set(day, { y, ft: h.ft });
+    }
+    return byDay;
+  }
+
+  /** [{ year, flood_days, coverage, included }] — local days with a high >= thresholdNavd */
+  function floodDaysByYear(events, thresholdNavd, { minCoverage = 0.6, lastCompleteYear = null, tzOffsetHours = -5 } = {}) {
+    const last = lastCompleteYear ?? defaultLastCompleteYear(tzOffsetHours);
+    const byYear = new Map();
+    for (const { y, ft } of dailyMaxHighs(events, tzOffsetHours).values()) {
+      if (!byYear.has(y)) byYear.set(y, { days: 0, flood: 0 });
+      const r = byYear.get(y);
+      r.days++;
+      if (ft >= thresholdNavd) r.flood++;
+    }
+    return [...byYear.keys()].sort((a, b) => a - b).map(year => {
+      const r = byYear.get(year);
+      const coverage = r.days / daysInYear(year);
+      return { year, flood_days: r.flood, coverage: round(coverage, 3), included: year <= last && coverage >= minCoverage };
+    });
+  }
+
+  /**
+   * Flood-day projection under a chosen rise rate.
+   * Baseline = the last `baseYears` included years; every baseline daily max is raised by
+   * rate × (target year − baseline mid-year) and counted against the threshold, per baseline year.
+   */
+  function projectFloodDays(events, {
+    thresholdNavd,
+    riseFtPerDecade,
+    targetYears,
+    baseYears = 5,
+    minCoverage = 0.6,
+    lastCompleteYear = null,
+    tzOffsetHours = -5
+  }) {
+    const years = floodDaysByYear(events, thresholdNavd, { minCoverage, lastCompleteYear, tzOffsetHours })
+      .filter(r => r.included)
+      .map(r => r.year)
+      .slice(-baseYears);
+    if (!years.length) return null;
+
+    const want = new Set(years);
+    const daily = [...dailyMaxHighs(events, tzOffsetHours).values()].filter(d => want.has(d.y));
+    const epoch = mean(years);
+    const ratePerYear = riseFtPerDecade / 10;
+
+    const rows = (targetYears || []).map(year => {
+      const offset = ratePerYear * (year - epoch);
+      const hits = daily.filter(d => d.ft + offset >= thresholdNavd).length;
+      return { year, offset_ft: round(offset), flood_days: round(hits / years.length, 1) };
+    });
+
+    return {
+      threshold_navd88: thresholdNavd,
+      rise_ft_per_decade: riseFtPerDecade,
+      baseline_years: years,
+      baseline_epoch: round(epoch, 1),
+      baseline_flood_days: round(daily.filter(d => d.ft >= thresholdNavd).length / years.length, 1),
+      rows
+    };
+  }
+
+  // -------------------------
+  // Whole analysis
+  // -------------------------
+  function trendSummary(fit, perX = 10) {
+    if (!fit) return null;
+    return {
+      per_decade: round(fit.slope * perX, 4),
+      ci_low: round(fit.ci[0] * perX, 4),
+      ci_high: round(fit.ci[1] * perX, 4),
+      level: fit.level,
+      n: fit.n,
+      n_eff: round(fit.n_eff, 1),
+      lag1_autocorr: round(fit.r1, 3),
+      r2: round(fit.r2, 3)
+    };
+  }
+
+  /**
+   * Everything the dashboard panel and tools/build_trends.js show/export.
+   *  - thresholdsNAVD88: { minorLow, moderateLow, majorLow }
+   *  - threshold: which one flood days/projections use ("minorLow" default)
+   *  - riseRates: ft/decade values to project (the observed trend is always added)
+   */
+  function analyzeTrends(events, {
+    thresholdsNAVD88,
+    threshold = "minorLow",
+    riseRates = [],
+    targetYears = null,
+    baseYears = 5,
+    minCoverage = 0.6,
+    lastCompleteYear = null,
+    tzOffsetHours = -5
+  } = {}) {
+    const opts = { minCoverage, lastCompleteYear, tzOffsetHours };
+    const last = lastCompleteYear ?? defaultLastCompleteYear(tzOffsetHours);
+    const annual = annualMeanHighWater(events, opts);
+    const monthly = monthlyMeanHighWater(events, opts);
+
+    const useA = annual.filter(r => r.included);
+    const annualFit = linearTrend(useA.map(r => r.year), useA.map(r => r.mean_ft));
+    const useM = monthly.filter(r => r.included && r.anomaly_ft != null);
+    const monthlyFit = linearTrend(useM.map(r => r.t), useM.map(r => r.anomaly_ft));
+
+    // Change point on annual means, with the trend either side when there is enough data
+    let changePoint = null;
+    const pt = pettitt(useA.map(r => r.mean_ft));
+    if (pt) {
+      const before = useA.slice(0, pt.index + 1), after = useA.slice(pt.index + 1);
+      const fitOf = (rows) => rows.length >= 5 ? trendSummary(linearTrend(rows.map(r => r.year), rows.map(r => r.mean_ft))) : null;
+      changePoint = {
+        test: "pettitt",
+        year: after[0]?.year ?? null,
+        K: pt.K,
+        p_value: round(pt.p, 4),
+        significant: pt.p < 0.05,
+        mean_before_ft: round(mean(before.map(r => r.mean_ft))),
+        mean_after_ft: round(mean(after.map(r => r.mean_ft))),
+        trend_before: fitOf(before),
+        trend_after: fitOf(after)
+      };
+    }
+
+    const thr = Number(thresholdsNAVD88?.[threshold]);
+    const floodDays = Number.isFinite(thr) ? floodDaysByYear(events, thr, opts) : [];
+    const useF = floodDays.filter(r => r.included);
+    const floodFit = linearTrend(useF.map(r => r.year), useF.map(r => r.flood_days));
+
+    const observedRate = annualFit ? round(annualFit.slope * 10, 4) : null;
+    const rates = [...new Set([...(observedRate != null ? [observedRate] : []), ...riseRates.map(Number).filter(Number.isFinite)])];
+    const targets = targetYears || [last + 5, 2030, 2040, 2050].filter((y, i, a) => y > last && a.indexOf(y) === i).sort((a, b) => a - b);
+
+    const projections = Number.isFinite(thr)
+      ? rates.map(rate => ({
+        ...projectFloodDays(events, { thresholdNavd: thr, riseFtPerDecade: rate, targetYears: targets, baseYears, ...opts }),
+        observed_rate: rate === observedRate
+      })).filter(p => p.rows)
+      : [];
+
+    return {
+      datum: "NAVD88",
+      units: "ft",
+      last_complete_year: last,
+      min_coverage: minCoverage,
+      tz_offset_hours: tzOffsetHours,
+      mean_high_water: {
+        annual_trend: trendSummary(annualFit),
+        monthly_trend: trendSummary(monthlyFit),
+        change_point: changePoint
+      },
+      flood_days: {
+        threshold,
+        threshold_navd88: Number.isFinite(thr) ? thr : null,
+        trend: trendSummary(floodFit),
+        projections
+      },
+      annual: annual.map(r => ({ ...r, flood_days: floodDays.find(f => f.year === r.year)?.flood_days ?? null })),
+      monthly
+    };
+  }
+
+  // -------------------------
+  // Export helpers
+  // -------------------------
+  function toCSV(rows, columns) {
+    const esc = (v) => {
+      if (v == null) return "";
+      const s = String(v);
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [columns.join(","), ...rows.map(r => columns.map(c => esc(r[c])).join(","))].join("\n") + "\n";
+  }
+
+  /** Shift every ft value in an analysis from NAVD88 to another datum (trends/ranges are unchanged) */
+  function shiftAnalysisDatum(result, datum, shiftFt) {
+    const sh = (v) => (v == null ? v : round(v + shiftFt));
+    const out = JSON.parse(JSON.stringify(result));
+    out.datum = datum;
+    out.annual.forEach(r => { r.mean_ft = sh(r.mean_ft); });
+    out.monthly.forEach(r => { r.mean_ft = sh(r.mean_ft); });
+    const cp = out.mean_high_water.change_point;
+    if (cp) { cp.mean_before_ft = sh(cp.mean_before_ft); cp.mean_after_ft = sh(cp.mean_after_ft); }
+    return out;
+  }
+
+  const ANNUAL_CSV_COLUMNS = ["year", "n", "coverage", "mean_ft", "flood_days", "included"];
+  const MONTHLY_CSV_COLUMNS = ["year", "month", "n", "coverage", "mean_ft", "anomaly_ft", "included"];
+
+  return {
+    HIGHS_PER_DAY,
+    tCdf,
+    tQuantile,
+    linearTrend,
+    pettitt,
+    annualMeanHighWater,
+    monthlyMeanHighWater,
+    floodDaysByYear,
+    projectFloodDays,
+    analyzeTrends,
+    shiftAnalysisDatum,
+    toCSV,
+    ANNUAL_CSV_COLUMNS,
+    MONTHLY_CSV_COLUMNS
+  };
+});
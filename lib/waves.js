@@ -0,0 +1,260 @@
+/**
+ * Waves and wind on the forecast's hourly grid, and the wave runup they add to the still water.
+ *
+ * Shared by tools/update_waves_wind.js (which caches <dataDir>/waves_wind.json) and the
+ * dashboard's flood outlook (window.TideLib.waves):
+ *  - wind (speed, gusts, direction) comes from the NWS gridpoint forecast; waves from the nearest
+ *    NDBC buoy's realtime observations, then the gridpoint's wave forecast where it has one, else
+ *    the last buoy reading held for a few hours
+ *  - hours are UTC ISO strings on the hour, the dashboard's buildHourlyLabels grid, so a row is
+ *    matched to a forecast hour by its label alone
+ *  - runup is the 2% exceedance runup of Stockdon et al. (2006) from the deep-water wave height,
+ *    peak period and the beach slope; it is a height, so it adds to the still water in any datum
+ *  - onshore wind is the component blowing toward the shore (from shoreNormalDeg, the compass
+ *    direction the beach faces); the surge models already carry its setup, so it's context only
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else (root.TideLib = root.TideLib || {}).waves = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const HOUR_MS = 3600 * 1000;
+  const G = 9.81;
+  const FT_PER_M = 3.28084;
+
+  // A moderately steep sand beach; the registry's waves.beachSlope overrides it
+  const DEFAULT_BEACH_SLOPE = 0.08;
+  // How long the last buoy reading stands in for a wave forecast the gridpoint doesn't have
+  const WAVE_HOLD_HOURS = 6;
+
+  // NWS API units -> mph (speeds) and ft (lengths); anything else passes through
+  const UNIT_FACTORS = {
+    "wmoUnit:km_h-1": 1 / 1.609344,
+    "wmoUnit:m_s-1": 2.236936,
+    "wmoUnit:kn": 1.150779,
+    "wmoUnit:m": FT_PER_M
+  };
+
+  function round(x, digits) {
+    if (!Number.isFinite(x)) return null;
+    const f = 10 ** digits;
+    return Math.round(x * f) / f;
+  }
+
+  function floorHour(ms) {
+    return Math.floor(ms / HOUR_MS) * HOUR_MS;
+  }
+
+  /** Hourly UTC ISO labels from startMs to endMs, both floored to the hour (the dashboard's grid) */
+  function hourlyLabels(startMs, endMs) {
+    const labels = [];
+    for (let t = floorHour(startMs); t <= floorHour(endMs); t += HOUR_MS) labels.push(new Date(t).toISOString());
+    return labels;
+  }
+
+  /** ISO 8601 duration ("PT3H", "P1DT6H") -> ms; NaN when it isn't one */
+  function parseDuration(s) {
+    const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(String(s || ""));
+    if (!m || s === "P" || s === "PT") return NaN;
+    return ((Number(m[1] || 0) * 24 + Number(m[2] || 0)) * 60 + Number(m[3] || 0)) * 60000;
+  }
+
+  /**
+   * NWS gridpoint layer ({ uom, values: [{ validTime: "<ISO>/<duration>", value }] }) ->
+   * [{ startMs, endMs, value }] in mph / ft / the layer's own unit, nulls dropped.
+   */
+  function gridSeries(layer) {
+    const k = UNIT_FACTORS[layer?.uom] ?? 1;
+    const out = [];
+    for (const v of Array.isArray(layer?.values) ? layer.values : []) {
+      const [start, dur] = String(v?.validTime || "").split("/");
+      const startMs = new Date(start).getTime();
+      const len = parseDuration(dur);
+      if (v?.value == null || !Number.isFinite(startMs) || !Number.isFinite(len) || !Number.isFinite(Number(v.value))) continue;
+      out.push({ startMs, endMs: startMs + len, value: Number(v.value) * k });
+    }
+    return out;
+  }
+
+  /** Value of a gridSeries at ms (the period covering it), or null */
+  function gridAt(series, ms) {
+    const hit = (series || []).find(s => ms >= s.startMs && ms < s.endMs);
+    return hit ? hit.value : null;
+  }
+
+  /**
+   * NDBC realtime2 standard meteorological file (<id>.txt) ->
+   * [{ t, wave_ft, period_s, wind_dir_deg, wind_mph, gust_mph }] oldest first ("MM" = null).
+   */
+  function parseNdbcRealtime(text) {
+    const lines = String(text || "").split(/\r?\n/);
+    const header = (lines.find(l => l.startsWith("#YY")) || "").replace(/^#/, "").trim().split(/\s+/);
+    const col = name => header.indexOf(name);
+    const iYY = col("YY"), iWVHT = col("WVHT"), iDPD = col("DPD"), iWDIR = col("WDIR"), iWSPD = col("WSPD"), iGST = col("GST");
+    if (iYY < 0) return [];
+
+    const num = (cells, i, k = 1) => {
+      if (i < 0 || cells[i] == null || cells[i] === "MM") return null;
+      const v = Number(cells[i]);
+      return Number.isFinite(v) ? v * k : null;
+    };
+    const out = [];
+    for (const line of lines) {
+      if (!line.trim() || line.startsWith("#")) continue;
+      const c = line.trim().split(/\s+/);
+      const [y, mo, d, h, mi] = c.slice(iYY, iYY + 5).map(Number);
+      const ms = Date.UTC(y, mo - 1, d, h, mi);
+      if (!Number.isFinite(ms)) continue;
+      out.push({
+        t: new Date(ms).toISOString(),
+        wave_ft: round(num(c, iWVHT, FT_PER_M), 2),
+        period_s: num(c, iDPD),
+        wind_dir_deg: num(c, iWDIR),
+        wind_mph: round(num(c, iWSPD, UNIT_FACTORS["wmoUnit:m_s-1"]), 1),
+        gust_mph: round(num(c, iGST, UNIT_FACTORS["wmoUnit:m_s-1"]), 1)
+      });
+    }
+    return out.sort((a, b) => a.t.localeCompare(b.t));
+  }
+
+  /** Great-circle distance in km */
+  function distanceKm(a, b) {
+    const rad = x => x * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat), dLon = rad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+  }
+
+  /** The closest of buoys ([{ id, name, lat, lon }]) to point, with distance_km; null for none */
+  function nearestBuoy(point, buoys) {
+    let best = null;
+    for (const b of buoys || []) {
+      const d = distanceKm(point, b);
+      if (!best || d < best.distance_km) best = { ...b, distance_km: round(d, 1) };
+    }
+    return best;
+  }
+
+  /** Component of a wind blowing from dirDeg toward a shore facing shoreNormalDeg (negative = offshore) */
+  function onshoreComponent(speed, dirDeg, shoreNormalDeg) {
+    if (!Number.isFinite(speed) || !Number.isFinite(dirDeg) || !Number.isFinite(shoreNormalDeg)) return null;
+    return speed * Math.cos((dirDeg - shoreNormalDeg) * Math.PI / 180);
+  }
+
+  /**
+   * 2% exceedance runup in ft (Stockdon et al. 2006) from deep-water significant wave height (ft),
+   * peak period (s) and foreshore slope; the dissipative form below an Iribarren number of 0.3.
+   */
+  function runupFt({ waveFt, periodS, slope = DEFAULT_BEACH_SLOPE }) {
+    if (!(waveFt >= 0) || !(periodS > 0) || !(slope > 0)) return null;
+    const H0 = waveFt / FT_PER_M;
+    const L0 = G * periodS ** 2 / (2 * Math.PI);
+    const HL = Math.sqrt(H0 * L0);
+    if (H0 === 0) return 0;
+    const iribarren = slope / Math.sqrt(H0 / L0);
+    const r2 = iribarren < 0.3
+      ? 0.043 * HL
+      : 1.1 * (0.35 * slope * HL + Math.sqrt(H0 * L0 * (0.563 * slope ** 2 + 0.004)) / 2);
+    return r2 * FT_PER_M;
+  }
+
+  /**
+   * Hourly rows for labels (hourlyLabels): wind from the gridpoint properties, waves from the buoy
+   * readings (parseNdbcRealtime) up to the last one, then the gridpoint's waves, else the last
+   * reading for holdHours. shore: { normalDeg, slope }.
+   *   -> [{ t, wind_mph, gust_mph, wind_dir_deg, onshore_mph, wave_ft, period_s, wave_source, runup_ft }]
+   * wave_source: "buoy" | "gridpoint" | "buoy_held" | null
+   */
+  function buildHourly({ labels, grid = null, buoy = [], shore = {}, holdHours = WAVE_HOLD_HOURS }) {
+    const speed = gridSeries(grid?.windSpeed);
+    const gust = gridSeries(grid?.windGust);
+    const dir = gridSeries(grid?.windDirection);
+    const gWave = gridSeries(grid?.waveHeight);
+    const gPeriod = gridSeries(grid?.wavePeriod).length ? gridSeries(grid?.wavePeriod) : gridSeries(grid?.primarySwellPeriod);
+
+    // Last buoy reading with both height and period in each hour
+    const byHour = new Map();
+    let last = null;
+    for (const r of buoy || []) {
+      if (r.wave_ft == null || r.period_s == null) continue;
+      const ms = new Date(r.t).getTime();
+      byHour.set(floorHour(ms), r);
+      last = { ...r, hourMs: floorHour(ms) };
+    }
+
+    return (labels || []).map(t => {
+      const ms = new Date(t).getTime();
+      const wind = gridAt(speed, ms);
+      const wdir = gridAt(dir, ms);
+
+      let wave = null, period = null, source = null;
+      const obs = byHour.get(ms);
+      if (obs) {
+        [wave, period, source] = [obs.wave_ft, obs.period_s, "buoy"];
+      } else if (!last || ms > last.hourMs) {
+        const gw = gridAt(gWave, ms), gp = gridAt(gPeriod, ms);
+        if (gw != null && gp != null) [wave, period, source] = [gw, gp, "gridpoint"];
+        else if (last && ms - last.hourMs <= holdHours * HOUR_MS) [wave, period, source] = [last.wave_ft, last.period_s, "buoy_held"];
+      }
+
+      return {
+        t,
+        wind_mph: round(wind, 1),
+        gust_mph: round(gridAt(gust, ms), 1),
+        wind_dir_deg: round(wdir, 0),
+        onshore_mph: round(onshoreComponent(wind, wdir, shore.normalDeg), 1),
+        wave_ft: round(wave, 2),
+        period_s: round(period, 1),
+        wave_source: source,
+        runup_ft: round(runupFt({ waveFt: wave, periodS: period, slope: shore.slope ?? DEFAULT_BEACH_SLOPE }), 2)
+      };
+    });
+  }
+
+  /** Rows of a waves_wind.json matched to labels by hour: one row or null per label */
+  function alignToLabels(labels, hours) {
+    const m = new Map();
+    for (const h of hours || []) {
+      const ms = new Date(h.t).getTime();
+      if (Number.isFinite(ms)) m.set(floorHour(ms), h);
+    }
+    return (labels || []).map(t => m.get(floorHour(new Date(t).getTime())) || null);
+  }
+
+  /**
+   * Still water plus runup per label (still/stillHi in any datum, aligned from alignToLabels):
+   * [{ t, ms, still, runup, total, totalHi }] for the hours that have both.
+   */
+  function totalWithRunup(labels, still, aligned, stillHi = []) {
+    const out = [];
+    (labels || []).forEach((t, i) => {
+      const s = still[i], r = aligned[i]?.runup_ft;
+      if (!Number.isFinite(s) || !Number.isFinite(r)) return;
+      const hi = stillHi[i];
+      out.push({ t, ms: new Date(t).getTime(), still: s, runup: r, total: s + r, totalHi: Number.isFinite(hi) ? hi + r : null });
+    });
+    return out;
+  }
+
+  return {
+    HOUR_MS,
+    FT_PER_M,
+    DEFAULT_BEACH_SLOPE,
+    WAVE_HOLD_HOURS,
+    hourlyLabels,
+    parseDuration,
+    gridSeries,
+    gridAt,
+    parseNdbcRealtime,
+    distanceKm,
+    nearestBuoy,
+    onshoreComponent,
+    runupFt,
+    buildHourly,
+    alignToLabels,
+    totalWithRunup
+  };
+});
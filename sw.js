@@ -0,0 +1,142 @@
+/**
+ * Service worker for the dashboard: installable, and still useful with no signal.
+ *
+ *  - app shell (lib/offline.js SHELL_FILES) precached at install, served cache-first and refreshed
+ *    in the background; the page itself is network-first so a deploy shows up on the next load
+ *  - station files and live APIs: network-first; when the network fails or stalls the last saved
+ *    copy is served and the page is told it's stale (postMessage, lib/offline.js MESSAGE_TYPE)
+ *  - background sync (SYNC_TAG, registered by the page when it sees stale data): once the
+ *    connection is back, re-saves the station files and tells open pages to refresh
+ *
+ * Routing, keys and labels live in lib/offline.js so the page and the tests share them.
+ */
+
+/* global importScripts, TideLib */
+"use strict";
+
+importScripts("lib/offline.js");
+
+const {
+  SHELL_CACHE,
+  DATA_CACHE,
+  CACHE_PREFIX,
+  SHELL_FILES,
+  MESSAGE_TYPE,
+  SYNC_TAG,
+  SAVED_AT_HEADER,
+  NETWORK_TIMEOUT_MS,
+  requestRoute
+} = TideLib.offline;
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES.map(f => new Request(new URL(f, self.registration.scope), { cache: "reload" }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(n => n.startsWith(CACHE_PREFIX) && n !== SHELL_CACHE && n !== DATA_CACHE)
+          .map(n => caches.delete(n))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", event => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const route = requestRoute(req.url, self.registration.scope);
+  if (!route) return;
+
+  if (route.kind === "shell") event.respondWith(cacheFirst(event, route));
+  else event.respondWith(networkFirst(event, route, route.kind === "page" ? SHELL_CACHE : DATA_CACHE));
+});
+
+self.addEventListener("sync", event => {
+  if (event.tag === SYNC_TAG) event.waitUntil(resync());
+});
+
+// -------------------------
+// Strategies
+// -------------------------
+/** Copy of a response with the time it was saved (read back when it's served stale) */
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set(SAVED_AT_HEADER, new Date().toISOString());
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function cacheFirst(event, route) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(route.key);
+  const network = fetch(event.request).then(async res => {
+    if (res.ok) await cache.put(route.key, await stamped(res.clone()));
+    return res;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+function timeout(ms) {
+  return new Promise((_, reject) => setTimeout(() => reject(new Error(`No response in ${ms} ms`)), ms));
+}
+
+async function networkFirst(event, route, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(route.key);
+
+  // The cache is updated whenever the network answers, even after we've given up waiting
+  const network = fetch(event.request).then(async res => {
+    if (!res.ok) {
+      if (cached) throw new Error(`HTTP ${res.status}`);
+      return res;
+    }
+    await cache.put(route.key, await stamped(res.clone()));
+    notify(event, { state: "fresh", key: route.key, label: route.label });
+    return res;
+  });
+  if (!cached) return network;
+
+  event.waitUntil(network.catch(() => {}));
+  try {
+    return await Promise.race([network, timeout(NETWORK_TIMEOUT_MS)]);
+  } catch (_) {
+    notify(event, { state: "stale", key: route.key, label: route.label, savedAt: cached.headers.get(SAVED_AT_HEADER) });
+    return cached;
+  }
+}
+
+async function notify(event, msg) {
+  if (!event.clientId) return;
+  const client = await self.clients.get(event.clientId);
+  if (client) client.postMessage({ type: MESSAGE_TYPE, ...msg });
+}
+
+// -------------------------
+// Background sync
+// -------------------------
+// Rejecting leaves the sync registered, so the browser retries it later
+async function resync() {
+  // Throws while still offline
+  const probe = await fetch(new URL("data/stations.json", self.registration.scope), { cache: "no-store" });
+  if (!probe.ok) throw new Error(`HTTP ${probe.status}`);
+
+  const cache = await caches.open(DATA_CACHE);
+  const saved = (await cache.keys()).filter(req => requestRoute(req.url, self.registration.scope)?.kind === "data");
+
+  // Station files have stable URLs; live API windows move, so the pages re-ask for those
+  await Promise.all(saved.map(async req => {
+    const res = await fetch(req.url, { cache: "no-store" });
+    if (res.ok) await cache.put(req.url, await stamped(res));
+  }));
+
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach(c => c.postMessage({ type: MESSAGE_TYPE, state: "synced" }));
+}
@@ -0,0 +1,151 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  normalizeWeights,
+  interpAt,
+  sourceBias,
+  correctionAt,
+  blendForecast,
+  describeWeights
+} = require("../tools/blend_forecast");
+const segments = require("../lib/segments");
+
+const T0 = Date.parse("2026-04-25T00:00:00Z");
+const H = 3600000;
+const iso = (h) => new Date(T0 + h * H).toISOString();
+
+// Hourly series from h0 to h1 with ft = f(h)
+function hourly(h0, h1, f, extra = () => ({})) {
+  const out = [];
+  for (let h = h0; h <= h1; h++) out.push({ t: iso(h), ft: f(h), ...extra(h) });
+  return out;
+}
+const tide = (h) => 2 + 2 * Math.cos((2 * Math.PI * h) / 12.42);
+
+// 15-min observations over the last 24h before h=24
+function observed(f) {
+  const out = [];
+  for (let q = 0; q <= 96; q++) out.push({ t: new Date(T0 + q * 15 * 60000).toISOString(), ft: f(q / 4) });
+  return out;
+}
+
+test("interpolation stays inside the series and never bridges long gaps", () => {
+  const s = [{ ms: 0, ft: 0 }, { ms: H, ft: 1 }, { ms: 5 * H, ft: 5 }];
+  assert.equal(interpAt(s, H / 2), 0.5);
+  assert.equal(interpAt(s, 5 * H), 5);
+  assert.equal(interpAt(s, 3 * H), null);
+  assert.equal(interpAt(s, -1), null);
+  assert.equal(interpAt([], 0), null);
+});
+
+test("bias is observed minus source over the window; too few readings leave it null", () => {
+  const src = hourly(-2, 96, tide).map(p => ({ ...p, ms: Date.parse(p.t) }));
+  const obs = observed(h => tide(h) + 0.4).map(p => ({ ...p, ms: Date.parse(p.t) }));
+  const b = sourceBias(obs, src, { windowHours: 24 });
+  assert.equal(b.n_pairs, 97);
+  assert.ok(Math.abs(b.bias_ft - 0.4) < 0.02);
+
+  // Only the last 3h count for a short window
+  assert.equal(sourceBias(obs, src, { windowHours: 3 }).n_pairs, 13);
+  assert.deepEqual(sourceBias(obs.slice(-3), src, { windowHours: 24 }), { bias_ft: null, n_pairs: 3, residual_sd_ft: null });
+
+  // A held bias stays, an anomaly fades
+  assert.equal(correctionAt(0.4, 48, null), 0.4);
+  assert.ok(Math.abs(correctionAt(1.0, 12, 12) - Math.exp(-1)) < 1e-9);
+  assert.equal(correctionAt(null, 0, 12), 0);
+});
+
+test("blend: corrected sources averaged with the stated weights, renormalized where one is missing", () => {
+  const sources = {
+    // PETSS runs 0.3 ft low and carries a ±0.2 band; ends at h=60
+    petss: hourly(0, 60, h => tide(h) - 0.3, h => ({ lo: tide(h) - 0.5, hi: tide(h) - 0.1 })),
+    // NWPS runs 0.1 ft high
+    nwps: hourly(0, 96, h => tide(h) + 0.1),
+    // Astronomical tide with no surge; the gauge is 0.5 ft above it right now
+    coops: hourly(-6, 100, tide)
+  };
+  const obs = observed(h => tide(h) + (h >= 21 ? 0.5 : 0));
+  const r = blendForecast({ sources, observed: obs, startMs: T0 + 24 * H });
+
+  assert.equal(r.observed_through, iso(24));
+  assert.ok(Math.abs(r.sources.petss.bias_ft - (0.3 + 0.5 * 13 / 97)) < 0.02);
+  // Hourly source interpolated against 15-min readings: close to, not exactly, the 0.5 ft anomaly
+  assert.ok(Math.abs(r.sources.coops.bias_ft - 0.5) < 0.03);
+  assert.equal(r.sources.coops.bias_from, "usgs");
+  assert.equal(r.points.length, 73);
+
+  // At the last reading every corrected source agrees with the gauge (give or take the bias window)
+  const p0 = r.points[0];
+  assert.ok(Math.abs(p0.inputs.coops - (tide(24) + r.sources.coops.bias_ft)) < 0.001);
+  const expected0 = (0.5 * p0.inputs.petss + 0.3 * p0.inputs.nwps + 0.2 * p0.inputs.coops);
+  assert.ok(Math.abs(p0.twl - expected0) < 0.001);
+  // The PETSS band moves with the blend: hi - twl is the PETSS hi - mean
+  assert.ok(Math.abs((p0.hi - p0.twl) - 0.2) < 0.002);
+
+  // Past PETSS's end (h=60 -> point 36) the other two share its weight
+  const late = r.points[40];
+  assert.deepEqual(Object.keys(late.inputs), ["nwps", "coops"]);
+  assert.ok(Math.abs(late.twl - (0.3 * late.inputs.nwps + 0.2 * late.inputs.coops) / 0.5) < 0.001);
+  assert.ok(!("hi" in late) && !("lo" in late));
+
+  // The astronomical anomaly has faded by then; the NWPS offset has not
+  assert.ok(late.inputs.coops - tide(64) < 0.2 * 0.5 + 0.01);
+
+  assert.deepEqual(Object.keys(r.effective_weights), ["petss", "nwps", "coops"]);
+  assert.match(describeWeights(r.effective_weights), /^PETSS \d+% · NWPS \d+% · CO-OPS astronomical \d+%$/);
+});
+
+test("without gauge readings PETSS falls back to its own OB column; other sources go uncorrected", () => {
+  const sources = {
+    petss: hourly(0, 96, h => tide(h), h => ({ ob: h <= 24 ? tide(h) + 0.25 : null })),
+    nwps: hourly(0, 96, tide),
+    coops: []
+  };
+  const r = blendForecast({ sources, observed: [], startMs: T0 + 24 * H });
+  assert.equal(r.sources.petss.bias_from, "petss_ob");
+  assert.equal(r.sources.petss.bias_ft, 0.25);
+  assert.equal(r.sources.nwps.bias_ft, null);
+  assert.match(r.sources.nwps.reason, /uncorrected/);
+  assert.equal(r.sources.coops.used, false);
+  assert.equal(r.sources.coops.reason, "no data");
+  assert.equal(r.effective_weights.coops, 0);
+});
+
+test("a blend without PETSS spread has no band, not a 0 ft one", () => {
+  // The committed petss_forecast.json shape: no twl10p/twl90p, so loadPetss leaves lo/hi null
+  const sources = {
+    petss: hourly(0, 96, tide, () => ({ lo: null, hi: null })),
+    nwps: hourly(0, 96, tide),
+    coops: []
+  };
+  const r = blendForecast({ sources, observed: observed(tide), startMs: T0 + 24 * H });
+  const p0 = r.points[0];
+  assert.deepEqual(Object.keys(p0), ["t", "twl", "inputs"]);
+  assert.deepEqual(segments.petssBand(p0), { lo: null, hi: null });
+  assert.deepEqual(segments.petssBand({ twl: 2, lo: null, hi: null }), { lo: null, hi: null });
+  assert.deepEqual(segments.petssBand({ twl10p: 2.6, twl90p: "1.9" }), { lo: 1.9, hi: 2.6 });
+});
+
+test("weights: stated defaults, --weights strings and registry objects", () => {
+  assert.deepEqual(DEFAULT_WEIGHTS, { petss: 0.5, nwps: 0.3, coops: 0.2 });
+  assert.deepEqual(parseWeights("petss:0.6, nwps:0.4"), { petss: 0.6, nwps: 0.4, coops: 0 });
+  assert.deepEqual(normalizeWeights({ coops: 1 }), { petss: 0, nwps: 0, coops: 1 });
+  assert.throws(() => parseWeights("gfs:1"), /Bad weight gfs=1/);
+  assert.throws(() => parseWeights("petss:0"), /above 0/);
+
+  // A zero-weight source is reported but not blended
+  const r = blendForecast({
+    sources: { petss: hourly(0, 96, tide), nwps: hourly(0, 96, h => tide(h) + 1), coops: [] },
+    observed: [],
+    weights: { petss: 1, nwps: 0, coops: 0 },
+    startMs: T0
+  });
+  assert.equal(r.sources.nwps.used, false);
+  assert.equal(r.sources.nwps.reason, "weight 0");
+  assert.equal(r.points[5].twl, Math.round(tide(5) * 1000) / 1000);
+});
@@ -0,0 +1,108 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  CATALOG_PATH,
+  loadCatalog,
+  stormsForStation,
+  buildReplaySeries,
+  summarizeReplay,
+  linkCrests
+} = require("../tools/build_storm_archive");
+
+function writeCatalog(storms) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tide-storms-"));
+  const p = path.join(dir, "storms.json");
+  fs.writeFileSync(p, JSON.stringify({ storms }));
+  return { dir, p };
+}
+
+test("the repo's storm catalog loads and every storm has a short window", () => {
+  const catalog = loadCatalog(CATALOG_PATH);
+  assert.ok(catalog.length >= 10);
+  assert.ok(catalog.some(s => s.id === "sandy-2012" && s.start === "2012-10-28T00:00:00.000Z"));
+  assert.deepEqual(stormsForStation(catalog, { id: "sea-bright" }).length, catalog.length);
+});
+
+test("bad catalog entries are refused with the storm named", () => {
+  const ok = { id: "a", name: "A", start: "2024-01-09T00:00:00Z", end: "2024-01-11T00:00:00Z" };
+  const cases = [
+    [[ok, ok], /Storm a .*duplicate id/],
+    [[{ ...ok, id: "Sandy 2012" }], /lowercase letters/],
+    [[{ ...ok, end: ok.start }], /start < end/],
+    [[{ ...ok, end: "2024-03-01T00:00:00Z" }], /longer than 14 days/],
+    [[{ ...ok, name: "" }], /missing name/]
+  ];
+  for (const [storms, re] of cases) {
+    const { dir, p } = writeCatalog(storms);
+    try {
+      assert.throws(() => loadCatalog(p), re);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  const { dir, p } = writeCatalog([ok, { ...ok, id: "b", stations: ["other"] }]);
+  try {
+    const catalog = loadCatalog(p);
+    assert.equal(catalog[0].kind, "storm");
+    assert.deepEqual(stormsForStation(catalog, { id: "sea-bright" }).map(s => s.id), ["a"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("replay series: nearest reading per 15-min slot, interpolated prediction, no residual for suspect readings", () => {
+  const points = buildReplaySeries({
+    start: "2024-01-13T00:00:00Z",
+    end: "2024-01-13T01:00:00Z",
+    observed: [
+      { t: "2024-01-13T00:00:00Z", ft: 4.0 },
+      { t: "2024-01-13T00:12:00Z", ft: 4.3 },   // nearer 00:15 than the 00:18 reading
+      { t: "2024-01-13T00:18:00Z", ft: 4.9 },
+      { t: "2024-01-13T00:30:00Z", ft: 7.0, qc: ["spike"] }
+      // 00:45 and 01:00 missing
+    ],
+    predicted: [
+      { t: "2024-01-13T00:00:00Z", ft: 2.0 },
+      { t: "2024-01-13T01:00:00Z", ft: 3.0 }
+    ]
+  });
+
+  assert.deepEqual(points, [
+    { t: "2024-01-13T00:00:00.000Z", obs: 4, pred: 2, resid: 2 },
+    { t: "2024-01-13T00:15:00.000Z", obs: 4.3, pred: 2.25, resid: 2.05 },
+    { t: "2024-01-13T00:30:00.000Z", obs: 7, pred: 2.5, resid: null, suspect: true },
+    { t: "2024-01-13T00:45:00.000Z", obs: null, pred: 2.75, resid: null },
+    { t: "2024-01-13T01:00:00.000Z", obs: null, pred: 3, resid: null }
+  ]);
+
+  // The suspect 7.0 is neither the peak nor counted out of coverage
+  assert.deepEqual(summarizeReplay(points), {
+    peak: { t: "2024-01-13T00:15:00.000Z", ft: 4.3, pred_ft: 2.25, resid_ft: 2.05 },
+    peak_residual: { t: "2024-01-13T00:15:00.000Z", ft: 2.05 },
+    n_points: 5,
+    obs_coverage: 0.6
+  });
+});
+
+test("crest events inside the storm window are linked, lows and outside crests are not", () => {
+  const storm = { start: "2024-01-12T12:00:00.000Z", end: "2024-01-15T00:00:00.000Z" };
+  const events = [
+    { crest: "2024-01-13T15:00:00.000Z", t: "2024-01-13T15:12:00.000Z", ft: 5.25, type: "Major", kind: "CrestHigh", anomaly_ft: 3.1 },
+    { crest: "2024-01-13T03:00:00.000Z", t: "2024-01-13T02:54:00.000Z", ft: 3.6, type: "Minor" },
+    { crest: "2024-01-13T09:00:00.000Z", t: "2024-01-13T09:06:00.000Z", ft: -0.4, type: "Below", kind: "CrestLow" },
+    { crest: "2024-01-10T15:00:00.000Z", t: "2024-01-10T15:00:00.000Z", ft: 4.8, type: "Moderate", kind: "CrestHigh" },
+    { crest: "2024-01-14T04:00:00.000Z", t: "2024-01-14T04:00:00.000Z", ft: 9.9, type: "Major", kind: "CrestHigh", suspect: true }
+  ];
+  assert.deepEqual(linkCrests(events, storm), [
+    { crest: "2024-01-13T03:00:00.000Z", t: "2024-01-13T02:54:00.000Z", ft: 3.6, type: "Minor", anomaly_ft: null },
+    { crest: "2024-01-13T15:00:00.000Z", t: "2024-01-13T15:12:00.000Z", ft: 5.25, type: "Major", anomaly_ft: 3.1 },
+    { crest: "2024-01-14T04:00:00.000Z", t: "2024-01-14T04:00:00.000Z", ft: 9.9, type: "Major", anomaly_ft: null, suspect: true }
+  ]);
+});
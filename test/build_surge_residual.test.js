@@ -0,0 +1,93 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  MIN_CLIMATOLOGY_HOURS,
+  hourlyResidual,
+  mergeIntoYear,
+  surgeClimatology
+} = require("../tools/build_surge_residual");
+
+const H = 3600 * 1000;
+const iso = ms => new Date(ms).toISOString();
+
+test("hourly residual: nearest clean reading within 15 min minus the hourly prediction", () => {
+  const t0 = Date.UTC(2026, 3, 25, 0);
+  const observed = [
+    { t: iso(t0 - 6 * 60000), ft: 1.0 },
+    { t: iso(t0 + 6 * 60000), ft: 1.3 },        // same distance: the earlier one wins
+    { t: iso(t0 + H + 12 * 60000), ft: 2.0 },   // 12 min off: used
+    { t: iso(t0 + 2 * H + 20 * 60000), ft: 9 }, // 20 min off: too far
+    { t: iso(t0 + 3 * H), ft: 4.0, qc: ["spike"] },
+    { t: iso(t0 + 3 * H + 6 * 60000), ft: 1.1 } // not the nearest, so hour 3 stays empty
+  ];
+  const predicted = [0, 1, 2, 3].map(i => ({ t: iso(t0 + i * H), ft: 0.5 }));
+
+  assert.deepEqual(hourlyResidual({ startMs: t0, endMs: t0 + 3 * H, observed, predicted }), [
+    { ms: t0, resid: 0.5 },
+    { ms: t0 + H, resid: 1.5 }
+  ]);
+  // No prediction, no residual
+  assert.deepEqual(hourlyResidual({ startMs: t0, endMs: t0 + H, observed, predicted: [] }), []);
+});
+
+test("year files: one slot per hour, the fetched window replaced, through only moves forward", () => {
+  const start = Date.UTC(2026, 0, 1);
+  const first = mergeIntoYear(null, 2026, {
+    fromMs: start,
+    throughMs: start + 4 * H,
+    residuals: [{ ms: start, resid: 0.1 }, { ms: start + 2 * H, resid: 0.3 }, { ms: start + 4 * H, resid: 0.5 }]
+  });
+  assert.equal(first.resid.length, 365 * 24);
+  assert.deepEqual(first.resid.slice(0, 6), [0.1, null, 0.3, null, 0.5, null]);
+  assert.equal(first.through, iso(start + 4 * H));
+  assert.equal(first.n_values, 3);
+
+  // Re-fetching hours 2–3 clears what QC now rejects and keeps what's outside the window
+  const again = mergeIntoYear({ ...first, method: "hourly_residual_v1" }, 2026, {
+    fromMs: start + 2 * H,
+    throughMs: start + 3 * H,
+    residuals: [{ ms: start + 3 * H, resid: 0.4 }, { ms: start + 9 * H, resid: 9 }]
+  });
+  assert.deepEqual(again.resid.slice(0, 6), [0.1, null, null, 0.4, 0.5, null]);
+  assert.equal(again.through, iso(start + 4 * H));
+
+  // A leap year has 8784 hours; another method's file is started over
+  const leap = mergeIntoYear({ method: "old", resid: [1], through: iso(Date.UTC(2024, 11, 31, 23)) }, 2024, {
+    fromMs: Date.UTC(2024, 5, 1), throughMs: Date.UTC(2024, 5, 2), residuals: []
+  });
+  assert.equal(leap.resid.length, 366 * 24);
+  assert.equal(leap.through, iso(Date.UTC(2024, 5, 2)));
+
+  // through stops at the year's last hour
+  const end = mergeIntoYear(null, 2026, { fromMs: Date.UTC(2026, 11, 31, 20), throughMs: Date.UTC(2027, 0, 1, 5), residuals: [] });
+  assert.equal(end.through, iso(Date.UTC(2026, 11, 31, 23)));
+});
+
+test("climatology: percentiles by UTC month, only months with enough hours, extremes and latest hour", () => {
+  const year = 2025;
+  const start = Date.UTC(year, 0, 1);
+  const resid = new Array(365 * 24).fill(null);
+  // January: every hour, 0.00 … 7.43 ft in hundredths
+  for (let i = 0; i < 31 * 24; i++) resid[i] = i / 100;
+  // February: a few hours only
+  const feb = (Date.UTC(year, 1, 1) - start) / H;
+  for (let i = 0; i < 10; i++) resid[feb + i] = -1;
+
+  const c = surgeClimatology([{ year, start: iso(start), resid }]);
+  assert.deepEqual(c.years, { first: 2025, last: 2025 });
+  assert.equal(c.n_values, 31 * 24 + 10);
+  assert.deepEqual(c.latest, { t: iso(Date.UTC(year, 1, 1, 9)), ft: -1 });
+
+  const [jan, febStats] = c.months;
+  assert.equal(jan.n, 744);
+  assert.ok(jan.n >= MIN_CLIMATOLOGY_HOURS);
+  assert.equal(jan.p50, 3.715);
+  assert.equal(jan.p99, 7.356);
+  assert.deepEqual(jan.max, { t: iso(Date.UTC(year, 0, 31, 23)), ft: 7.43 });
+  assert.deepEqual(febStats, { month: 2, n: 10 });
+  assert.equal(c.all.min.ft, -1);
+  assert.equal(c.months[11].n, 0);
+});
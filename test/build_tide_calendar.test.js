@@ -0,0 +1,133 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  recentAnomaly,
+  floodChance,
+  buildTideCalendar,
+  buildICS,
+  icsFold
+} = require("../tools/build_tide_calendar");
+
+const THRESHOLDS = { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 };
+
+function crests(n, { endISO, stepHours = 12, anomaly = i => i * 0.01, ...extra } = {}) {
+  const endMs = new Date(endISO).getTime();
+  return Array.from({ length: n }, (_, i) => {
+    const t = new Date(endMs - i * stepHours * 3600 * 1000).toISOString();
+    return { t, crest: t, kind: "CrestHigh", ft: 3, anomaly_ft: anomaly(i), ...extra };
+  });
+}
+
+test("recent anomaly: last 90 days of high crests, widened to a year when short, suspect and lows left out", () => {
+  const through = "2026-04-24T00:00:00.000Z";
+  const events = [
+    ...crests(30, { endISO: through }),
+    { t: "2026-04-20T00:00:00.000Z", crest: "2026-04-20T00:00:00.000Z", kind: "CrestHigh", anomaly_ft: 9, suspect: true },
+    { t: "2026-04-20T06:00:00.000Z", crest: "2026-04-20T06:00:00.000Z", kind: "CrestLow", anomaly_ft: -9 },
+    { t: "2026-05-01T00:00:00.000Z", crest: "2026-05-01T00:00:00.000Z", kind: "CrestHigh", anomaly_ft: 9 }
+  ];
+  const a = recentAnomaly(events, { throughISO: through });
+  assert.equal(a.n, 30);
+  assert.equal(a.window_days, 90);
+  assert.equal(a.median_ft, 0.145);
+  assert.equal(a.end, through);
+  assert.deepEqual(a.values.slice(0, 3), [0, 0.01, 0.02]);
+
+  // 10 recent + 15 from six months back: the 90-day window is short, the year isn't
+  const sparse = [
+    ...crests(10, { endISO: through, anomaly: () => 0.2 }),
+    ...crests(15, { endISO: "2025-10-24T00:00:00.000Z", anomaly: () => 0.6 })
+  ];
+  const wide = recentAnomaly(sparse, { throughISO: through });
+  assert.equal(wide.window_days, 365);
+  assert.equal(wide.n, 25);
+  assert.equal(wide.median_ft, 0.6);
+
+  // Too few even over a year: no anomaly, tide alone
+  const none = recentAnomaly(crests(5, { endISO: through }), { throughISO: through });
+  assert.deepEqual(none, { values: [], n: 0, window_days: null, start: null, end: null, median_ft: null, p10_ft: null, p90_ft: null });
+});
+
+test("flood chance is the share of anomalies that reach minor, or the tide alone without any", () => {
+  const anomalies = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+  assert.equal(floodChance(2.6, 3.1, anomalies), 0.5);
+  assert.equal(floodChance(3.2, 3.1, anomalies), 1);
+  assert.equal(floodChance(1.0, 3.1, anomalies), 0);
+  assert.equal(floodChance(3.1, 3.1, []), 1);
+  assert.equal(floodChance(3.0, 3.1, []), 0);
+});
+
+test("calendar groups flagged highs by local date and marks the day by its likeliest tide", () => {
+  const anomaly = { values: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9], n: 10, median_ft: 0.45 };
+  const days = buildTideCalendar({
+    thresholds: THRESHOLDS,
+    anomaly,
+    highs: [
+      { t: "2026-06-01T03:30:00.000Z", pred_ft: 2.7 },    // 23:30 EDT on May 31
+      { t: "2026-06-01T15:40:00.000Z", pred_ft: 2.2 },    // needs +0.9: 10%, dropped
+      { t: "2026-06-02T04:10:00.000Z", pred_ft: 2.65 },   // 00:10 EDT on Jun 2, 50%
+      { t: "2026-06-02T16:00:00.000Z", pred_ft: 2.35 },   // needs +0.75: 20%, possible
+      { t: "2026-06-03T04:50:00.000Z", pred_ft: null }
+    ]
+  });
+
+  assert.deepEqual(days, [
+    {
+      date: "2026-05-31",
+      likelihood: "likely",
+      crests: [{ t: "2026-06-01T03:30:00.000Z", pred_ft: 2.7, expected_ft: 3.15, stage: "Minor", chance: 0.6 }]
+    },
+    {
+      date: "2026-06-02",
+      likelihood: "likely",
+      crests: [
+        { t: "2026-06-02T04:10:00.000Z", pred_ft: 2.65, expected_ft: 3.1, stage: "Minor", chance: 0.5 },
+        { t: "2026-06-02T16:00:00.000Z", pred_ft: 2.35, expected_ft: 2.8, stage: "Below", chance: 0.2 }
+      ]
+    }
+  ]);
+
+  const possibleOnly = buildTideCalendar({ thresholds: THRESHOLDS, anomaly, highs: [{ t: "2026-06-02T16:00:00.000Z", pred_ft: 2.35 }] });
+  assert.equal(possibleOnly[0].likelihood, "possible");
+});
+
+test("iCalendar feed: CRLF lines folded to 75 octets, escaped text, one stable UID per flagged tide", () => {
+  const cal = {
+    station: "sea-bright",
+    station_name: "Sea Bright, NJ",
+    generated_utc: "2026-04-25T06:17:00.000Z",
+    thresholdsNAVD88: THRESHOLDS,
+    anomaly: { n: 40, median_ft: 0.45, window_days: 90 },
+    days: [
+      {
+        date: "2026-05-31",
+        likelihood: "likely",
+        crests: [
+          { t: "2026-06-01T03:30:00.000Z", pred_ft: 2.7, expected_ft: 3.15, stage: "Minor", chance: 0.6 },
+          { t: "2026-06-01T16:00:00.000Z", pred_ft: 2.35, expected_ft: 2.8, stage: "Below", chance: 0.2 }
+        ]
+      }
+    ]
+  };
+  const ics = buildICS(cal);
+
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics), "every line break is CRLF");
+  for (const line of ics.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.match(unfolded, /X-WR-CALNAME:King tides — Sea Bright\\, NJ\r\n/);
+  assert.deepEqual(unfolded.match(/^UID:.*/gm), ["UID:sea-bright-20260601T033000Z@tide-calendar", "UID:sea-bright-20260601T160000Z@tide-calendar"]);
+  assert.match(unfolded, /DTSTART:20260601T023000Z\r\nDTEND:20260601T043000Z/);
+  assert.match(unfolded, /SUMMARY:Minor flooding likely: king tide 3\.15 ft NAVD88/);
+  assert.match(unfolded, /SUMMARY:Minor flooding possible: king tide 2\.80 ft NAVD88/);
+  assert.match(unfolded, /CATEGORIES:King tide \(possible\)/);
+  assert.match(unfolded, /High tide 11:30 PM EDT\.\\nPredicted 2\.70 ft NAVD88 \+ typical recent anomaly \+0\.45 ft/);
+
+  // Multi-byte characters are never split by a fold
+  const folded = icsFold("X".repeat(74) + "—tail");
+  assert.deepEqual(folded.split("\r\n"), ["X".repeat(74), " —tail"]);
+});
@@ -0,0 +1,157 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildCrestAnchoredEvents,
+  buildCrestAnchoredHighEvents,
+  annotateTidalCycles,
+  mergeCrestEvents
+} = require("../tools/update_peaks_navd88");
+
+const T = { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 };
+const at = (hhmm, ft) => ({ t: `2026-04-25T${hhmm}:00.000Z`, ft });
+
+test("takes the observed max within ±2h of each predicted crest", () => {
+  const series = [at("06:00", 2.0), at("07:30", 3.4), at("09:00", 3.0), at("10:30", 5.0), at("12:00", 2.0)];
+  const events = buildCrestAnchoredHighEvents({ series, predictedHighs: [{ t: "2026-04-25T08:00:00.000Z" }], thresholdsNAVD88: T });
+
+  // 10:30 is 2.5h after the crest, outside the window
+  assert.deepEqual(events, [{
+    t: "2026-04-25T07:30:00.000Z",
+    ft: 3.4,
+    type: "Minor",
+    crest: "2026-04-25T08:00:00.000Z",
+    kind: "CrestHigh"
+  }]);
+});
+
+test("skips a crest with no observation within ±1h even if the ±2h window has data", () => {
+  const series = [at("06:15", 4.5), at("09:45", 4.6)];
+  const events = buildCrestAnchoredHighEvents({ series, predictedHighs: [{ t: "2026-04-25T08:00:00.000Z" }], thresholdsNAVD88: T });
+  assert.deepEqual(events, []);
+});
+
+test("skipped crests are reported with a reason, but not near the ends of the series", () => {
+  const series = [at("00:30", 1.0), at("04:15", 2.0), at("05:45", 2.2), at("12:00", 1.5), at("13:00", 1.4)];
+  const skipped = [];
+  const events = buildCrestAnchoredEvents({
+    series,
+    predicted: [
+      { t: "2026-04-24T23:00:00.000Z", type: "L" },               // ±1h starts before the series
+      { t: "2026-04-25T05:00:00.000Z", type: "H", pred_ft: 2.5 }, // readings 45 min away: fine
+      { t: "2026-04-25T07:00:00.000Z", type: "L" },               // nearest reading 75 min away
+      { t: "2026-04-25T09:00:00.000Z", type: "H", pred_ft: 2.4 }, // nothing within 2h
+      { t: "2026-04-25T14:30:00.000Z", type: "H" }                // ±1h runs past the last reading
+    ],
+    thresholdsNAVD88: T,
+    skipped
+  });
+  assert.deepEqual(events.map(e => e.crest), ["2026-04-25T05:00:00.000Z"]);
+  assert.deepEqual(skipped, [
+    { crest: "2026-04-25T07:00:00.000Z", kind: "CrestLow", reason: "no_data_within_1h", n_window: 1 },
+    { crest: "2026-04-25T09:00:00.000Z", kind: "CrestHigh", reason: "no_data", n_window: 0, pred_ft: 2.4 }
+  ]);
+});
+
+test("classifies against the NAVD88 thresholds and rounds to 0.001 ft", () => {
+  const series = [at("01:00", 4.10004), at("13:00", 5.2), at("19:00", 3.0999)];
+  const predictedHighs = ["01:00", "13:00", "19:00"].map(h => ({ t: `2026-04-25T${h}:00.000Z` }));
+  const events = buildCrestAnchoredHighEvents({ series, predictedHighs, thresholdsNAVD88: T });
+
+  assert.deepEqual(events.map(e => [e.ft, e.type]), [[4.1, "Moderate"], [5.2, "Major"], [3.1, "Below"]]);
+});
+
+test("handles unsorted input and returns one event per crest", () => {
+  const series = [at("14:00", 3.2), at("01:00", 3.6), at("13:30", 3.9), at("00:30", 3.3)];
+  const predictedHighs = [{ t: "2026-04-25T01:00:00.000Z" }, { t: "2026-04-25T13:30:00.000Z" }];
+  const events = buildCrestAnchoredHighEvents({ series, predictedHighs, thresholdsNAVD88: T });
+
+  assert.deepEqual(events.map(e => [e.crest.slice(11, 16), e.ft]), [["01:00", 3.6], ["13:30", 3.9]]);
+});
+
+test("returns nothing without series or predicted highs", () => {
+  assert.deepEqual(buildCrestAnchoredHighEvents({ series: [], predictedHighs: [{ t: "2026-04-25T01:00:00Z" }], thresholdsNAVD88: T }), []);
+  assert.deepEqual(buildCrestAnchoredHighEvents({ series: [at("01:00", 3)], predictedHighs: [], thresholdsNAVD88: T }), []);
+});
+
+test("lows take the window MIN and carry the prediction anomaly", () => {
+  const series = [at("01:00", 0.4), at("02:00", -0.6), at("02:30", -0.8), at("03:30", 0.1), at("08:00", 2.9)];
+  const events = buildCrestAnchoredEvents({
+    series,
+    predicted: [
+      { t: "2026-04-25T02:15:00.000Z", type: "L", pred_ft: -1.5 },
+      { t: "2026-04-25T08:30:00.000Z", type: "H", pred_ft: 1.6 }
+    ],
+    thresholdsNAVD88: T
+  });
+
+  assert.deepEqual(events, [
+    { t: "2026-04-25T02:30:00.000Z", ft: -0.8, type: "Below", crest: "2026-04-25T02:15:00.000Z", kind: "CrestLow", pred_ft: -1.5, anomaly_ft: 0.7 },
+    { t: "2026-04-25T08:00:00.000Z", ft: 2.9, type: "Below", crest: "2026-04-25T08:30:00.000Z", kind: "CrestHigh", pred_ft: 1.6, anomaly_ft: 1.3 }
+  ]);
+});
+
+test("tidal range is measured against the previous opposite crest of the same cycle", () => {
+  const ev = (kind, crest, ft, pred_ft) => ({ t: crest, ft, kind, crest, pred_ft });
+  const events = annotateTidalCycles([
+    ev("CrestLow", "2026-04-25T02:00:00.000Z", -0.8, -1.5),
+    ev("CrestHigh", "2026-04-25T08:10:00.000Z", 2.5, 1.6),
+    ev("CrestLow", "2026-04-25T14:30:00.000Z", -0.9, null),
+    // next high is missing from the cache; a low 12h later is not the same cycle
+    ev("CrestLow", "2026-04-26T03:00:00.000Z", -1.0, -1.6)
+  ]);
+
+  assert.deepEqual(events.map(e => [e.range_ft, e.pred_range_ft]), [
+    [undefined, undefined],
+    [3.3, 3.1],
+    [3.4, undefined],
+    [undefined, undefined]
+  ]);
+});
+
+test("QC-checked series: a spike next to a valid crest is noted, and the crest comes from the clean readings", () => {
+  const qc = require("../lib/qc");
+  const levels = [2.0, 2.2, 2.4, 2.6, 2.8, 3.0, 4.9, 3.1, 3.0, 2.9, 2.8, 2.6, 2.4, 2.2, 2.0, 1.8, 1.6];
+  const series = qc.checkSeries(levels.map((ft, i) => ({
+    t: new Date(Date.parse("2026-04-25T06:00:00.000Z") + i * 15 * 60000).toISOString(),
+    ft,
+    qualifiers: ["P"]
+  })));
+  const events = buildCrestAnchoredEvents({
+    series,
+    predicted: [{ t: "2026-04-25T08:00:00.000Z", type: "H", pred_ft: 3.0 }],
+    thresholdsNAVD88: T
+  });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].t, "2026-04-25T07:45:00.000Z");
+  assert.equal(events[0].ft, 3.1);              // the reading after the spike, not the spike
+  assert.deepEqual(events[0].qc, ["provisional"]);
+  assert.equal(events[0].suspect, undefined);
+  assert.deepEqual(events[0].flagged_extreme, { t: "2026-04-25T07:30:00.000Z", ft: 4.9, qc: ["provisional", "spike", "rate"] });
+
+  // A cached crest taken from the spike gives way to the clean one; a spike never replaces a clean crest
+  const cached = [{ ...events[0], t: "2026-04-25T07:30:00.000Z", ft: 4.9, qc: ["provisional", "spike", "rate"], suspect: true }];
+  delete cached[0].flagged_extreme;
+  assert.equal(mergeCrestEvents(cached, events).updated, 1);
+  assert.deepEqual(cached[0], events[0]);
+  assert.equal(mergeCrestEvents(cached, [{ ...events[0], ft: 4.9, suspect: true }]).updated, 0);
+  assert.equal(cached[0].ft, 3.1);
+
+  // Nothing but suspect readings near the crest: the crest is kept, from them, and flagged
+  const stuck = qc.checkSeries(Array.from({ length: 17 }, (_, i) => ({
+    t: new Date(Date.parse("2026-04-25T06:00:00.000Z") + i * 15 * 60000).toISOString(),
+    ft: 2.5
+  })));
+  const flat = buildCrestAnchoredEvents({ series: stuck, predicted: [{ t: "2026-04-25T08:00:00.000Z", type: "H" }], thresholdsNAVD88: T });
+  assert.equal(flat[0].ft, 2.5);
+  assert.equal(flat[0].suspect, true);
+  assert.equal(flat[0].flagged_extreme, undefined);
+
+  // Unchecked input (no qc on points) adds no QC fields
+  const plain = buildCrestAnchoredHighEvents({ series: levels.map((ft, i) => ({ ...series[i], qc: undefined })), predictedHighs: [{ t: "2026-04-25T08:00:00.000Z" }], thresholdsNAVD88: T });
+  assert.equal(plain[0].qc, undefined);
+  assert.equal(plain[0].suspect, undefined);
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mergeSkipped, buildCoverageReport, planRepairSpans } = require("../tools/update_peaks_navd88");
+
+const gap = (crest, extra = {}) => ({ crest, kind: "CrestHigh", reason: "no_data", n_window: 0, ...extra });
+const high = (crest) => ({ t: crest, ft: 2, type: "Below", crest, kind: "CrestHigh" });
+
+test("skipped crests keep their history and drop out once an event exists", () => {
+  const existing = [gap("2026-03-01T10:00:00.000Z", { first_seen: "2026-03-02T00:00:00.000Z", attempts: 2 })];
+  const fresh = [
+    gap("2026-03-01T10:00:00.000Z", { reason: "no_data_within_1h", n_window: 3 }),
+    gap("2026-03-01T22:30:00.000Z")
+  ];
+
+  const merged = mergeSkipped(existing, fresh, [], { nowISO: "2026-03-05T00:00:00.000Z" });
+  assert.deepEqual(merged, [
+    gap("2026-03-01T10:00:00.000Z", { reason: "no_data_within_1h", n_window: 3, first_seen: "2026-03-02T00:00:00.000Z", attempts: 2 }),
+    gap("2026-03-01T22:30:00.000Z", { first_seen: "2026-03-05T00:00:00.000Z", attempts: 0 })
+  ]);
+
+  // The first crest was filled in (e.g. by --repair)
+  assert.deepEqual(mergeSkipped(merged, [], [high("2026-03-01T10:00:00.000Z")]).map(s => s.crest), ["2026-03-01T22:30:00.000Z"]);
+  assert.deepEqual(mergeSkipped(undefined, [], []), []);
+});
+
+test("coverage compares high crests with the expected count per month and flags sparse years", () => {
+  // Every high of Jan 2025, none in Feb, half of March; cache runs through mid-2026
+  const events = [];
+  const step = 12.42 * 3600000;
+  for (let ms = Date.UTC(2025, 0, 1, 3); ms < Date.UTC(2025, 1, 1); ms += step) events.push(high(new Date(ms).toISOString()));
+  for (let ms = Date.UTC(2025, 2, 1, 3); ms < Date.UTC(2025, 3, 1); ms += 2 * step) events.push(high(new Date(ms).toISOString()));
+  for (let ms = Date.UTC(2026, 0, 1, 3); ms < Date.UTC(2026, 5, 15); ms += step) events.push(high(new Date(ms).toISOString()));
+  // lows don't count
+  events.push({ ...high("2025-02-10T09:00:00.000Z"), kind: "CrestLow" });
+
+  const cov = buildCoverageReport(events, [gap("2025-02-03T10:00:00.000Z")], { throughISO: "2026-06-15T00:00:00.000Z" });
+  assert.equal(cov.method, "highs_vs_expected");
+
+  const month = k => cov.months.find(m => m.month === k);
+  assert.equal(month("2025-01").coverage, 1);
+  assert.equal(month("2025-01").expected, 59.7);   // counted from the first crest, Jan 1 03:00
+  assert.deepEqual([month("2025-02").highs, month("2025-02").skipped, month("2025-02").coverage], [0, 1, 0]);
+  assert.ok(Math.abs(month("2025-03").coverage - 0.5) < 0.02);
+  assert.equal(cov.months.at(-1).month, "2026-06");
+  assert.ok(cov.months.at(-1).expected < 30);   // only up to `through`
+
+  const year = y => cov.years.find(r => r.year === y);
+  assert.equal(year(2025).skipped, 1);
+  assert.equal(year(2025).sparse, true);       // Jan + half of March out of twelve months
+  assert.equal(year(2026).sparse, false);      // the running year never is
+  assert.ok(year(2026).coverage > 0.95);
+
+  assert.equal(buildCoverageReport([], [], { throughISO: "2026-06-15T00:00:00.000Z" }), null);
+});
+
+test("repair spans join nearby crests and put the least recently tried first", () => {
+  const spans = planRepairSpans([
+    gap("2026-03-10T12:00:00.000Z", { last_attempt: "2026-03-12T00:00:00.000Z" }),
+    gap("2026-01-05T10:00:00.000Z"),
+    gap("2026-01-05T22:30:00.000Z"),
+    gap("2026-03-10T00:00:00.000Z"),
+    gap("2026-02-01T10:00:00.000Z", { last_attempt: "2026-03-01T00:00:00.000Z" })
+  ]);
+
+  assert.deepEqual(spans.map(s => [s.startISO, s.endISO, s.crests.length]), [
+    ["2026-01-05T08:00:00.000Z", "2026-01-06T00:30:00.000Z", 2],
+    ["2026-03-09T22:00:00.000Z", "2026-03-10T14:00:00.000Z", 2],   // one crest never tried
+    ["2026-02-01T08:00:00.000Z", "2026-02-01T12:00:00.000Z", 1]
+  ]);
+
+  // A long outage is split into week-long requests
+  const outage = [];
+  for (let d = 1; d <= 20; d++) outage.push(gap(new Date(Date.UTC(2026, 4, d, 6)).toISOString()));
+  const split = planRepairSpans(outage);
+  assert.equal(split.length, 3);
+  assert.ok(split.every(s => new Date(s.endISO) - new Date(s.startISO) <= 7 * 86400000));
+  assert.equal(split.reduce((n, s) => n + s.crests.length, 0), 20);
+});
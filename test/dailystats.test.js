@@ -0,0 +1,84 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const DS = require("../lib/dailystats");
+
+const T = { minorLow: 3, moderateLow: 4, majorLow: 5 };
+
+function dvJson(days) {
+  const ts = (code, key) => ({
+    variable: { options: { option: [{ name: "Statistic Code", value: code }] } },
+    values: [{ value: days.filter(d => d[key] != null).map(d => ({ dateTime: d.date + "T00:00:00.000", value: String(d[key]) })) }]
+  });
+  return { value: { timeSeries: [ts("00022", "lo"), ts("00021", "hi")] } };
+}
+
+test("DV JSON parses into one row per date with both statistics", () => {
+  const rows = DS.parseDailyValues(dvJson([
+    { date: "2025-01-02", hi: 3.2, lo: 2.9 },
+    { date: "2025-01-01", hi: 2.5 }
+  ]));
+  assert.deepEqual(rows.map(r => [r.date, r.highNavd, r.lowhiNavd]), [
+    ["2025-01-01", 2.5, null],
+    ["2025-01-02", 3.2, 2.9]
+  ]);
+  assert.equal(rows[1].y, 2025);
+  assert.deepEqual(DS.unpackRows(DS.packRows(rows)), rows);
+  assert.throws(() => DS.parseDailyValues({ value: { timeSeries: [] } }), /no timeSeries/);
+});
+
+test("365-day axis skips Feb 29 and counts both daily statistics per stage", () => {
+  assert.equal(DS.calIndex365(2024, 2, 29), null);
+  assert.equal(DS.calIndex365(2024, 3, 1), 59);
+  assert.equal(DS.calIndex365(2025, 12, 31), 364);
+
+  const rows = DS.unpackRows([
+    ["2025-01-01", 3.5, 3.1],   // two minor events
+    ["2025-01-03", 4.2, 2.0],   // one minor, one moderate
+    ["2025-12-31", 5.5, 5.2]    // two of everything
+  ]);
+  const [y] = DS.buildYearStats(rows, T, { currentYear: 2026 });
+  assert.equal(y.year, 2025);
+  assert.equal(y.cum.minor[0], 2);
+  assert.equal(y.cum.minor[2], 3);
+  assert.equal(y.cum.minor[364], 5);
+  assert.equal(y.cum.moderate[364], 3);
+  assert.equal(y.cum.major[364], 2);
+  assert.equal(y.cum.major.length, 365);
+
+  // Any other NAVD88 level (an impact level) is counted the same way under its own key
+  const [lvl] = DS.withLevel([y], rows, "impact:ocean-ave", 3.3);
+  assert.equal(lvl.cum["impact:ocean-ave"][0], 1);
+  assert.equal(lvl.cum["impact:ocean-ave"][364], 4);
+  assert.equal(lvl.cum.minor, y.cum.minor);
+});
+
+test("sparse past years are flagged and left out of the envelope", () => {
+  const full = [];
+  for (let t = Date.UTC(2024, 0, 1); t < Date.UTC(2026, 0, 11); t += 86400000) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    if (date.startsWith("2024") && date >= "2024-04-01") continue;   // 2024 mostly missing
+    full.push([date, date === "2025-06-01" ? 3.5 : 2.0, 1.5]);
+  }
+  const stats = DS.buildYearStats(DS.unpackRows(full), T, { currentYear: 2026 });
+  assert.deepEqual(stats.map(s => [s.year, s.sparse]), [[2024, true], [2025, false], [2026, false]]);
+  assert.deepEqual(DS.sparseYears(stats), [2024]);
+
+  const env = DS.doyEnvelope(stats, "minor", { excludeYear: 2026 });
+  assert.deepEqual(env.years, [2025]);
+  assert.equal(env.avg[364], 1);
+
+  const ytd = DS.yearToDate(stats, 2026, "minor", 9);
+  assert.equal(ytd[9], 0);
+  assert.equal(ytd[10], null);
+});
+
+test("fresh rows replace cached rows for the same date", () => {
+  const merged = DS.mergeRows(
+    DS.unpackRows([["2025-01-01", 2, 1], ["2025-01-02", 2, 1]]),
+    DS.unpackRows([["2025-01-02", 3.3, 1], ["2025-01-03", 2, 1]])
+  );
+  assert.deepEqual(DS.packRows(merged), [["2025-01-01", 2, 1], ["2025-01-02", 3.3, 1], ["2025-01-03", 2, 1]]);
+});
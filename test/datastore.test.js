@@ -0,0 +1,87 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const {
+  LOCK_FILE,
+  writeFileAtomic,
+  writeJSONAtomic,
+  staleReason,
+  acquireLock,
+  withLock
+} = require("../tools/lib/datastore");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "tide-store-"));
+}
+
+test("atomic writes replace the file whole and leave no temp files behind", () => {
+  const dir = tmpDir();
+  try {
+    const p = path.join(dir, "peaks_navd88.json");
+    fs.writeFileSync(p, "old");
+    writeJSONAtomic(p, { events: [1, 2] });
+    assert.equal(fs.readFileSync(p, "utf8"), '{\n  "events": [\n    1,\n    2\n  ]\n}\n');
+    writeFileAtomic(p, "new\n");
+    assert.equal(fs.readFileSync(p, "utf8"), "new\n");
+    assert.deepEqual(fs.readdirSync(dir), ["peaks_navd88.json"]);
+
+    // A failed write keeps the old file
+    fs.mkdirSync(path.join(dir, "sub"));
+    assert.throws(() => writeFileAtomic(path.join(dir, "sub"), "x"));
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["peaks_navd88.json", "sub"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a held lock makes the next run wait and then give up; release lets it in", async () => {
+  const dir = tmpDir();
+  try {
+    const first = await acquireLock(dir, { owner: "first" });
+    assert.equal(JSON.parse(fs.readFileSync(first.path, "utf8")).owner, "first");
+
+    await assert.rejects(
+      acquireLock(dir, { owner: "second", waitMs: 300, pollMs: 50 }),
+      /\.lock is held by first \(pid \d+ on .+\); gave up after 0s/
+    );
+
+    first.release();
+    assert.equal(fs.existsSync(path.join(dir, LOCK_FILE)), false);
+
+    // withLock releases even when the work throws
+    await assert.rejects(withLock(dir, () => { throw new Error("boom"); }), /boom/);
+    assert.equal(fs.existsSync(path.join(dir, LOCK_FILE)), false);
+    assert.equal(await withLock(dir, () => 42), 42);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a lock whose process is gone, or that is too old, is taken over", async () => {
+  const dir = tmpDir();
+  try {
+    // A pid that just exited
+    const gone = spawnSync(process.execPath, ["-e", ""]).pid;
+    const lockPath = path.join(dir, LOCK_FILE);
+    fs.writeFileSync(lockPath, JSON.stringify({ owner: "crashed", pid: gone, host: os.hostname(), acquired_utc: new Date().toISOString(), token: "x" }));
+
+    const lock = await acquireLock(dir, { owner: "next", waitMs: 1000, pollMs: 50 });
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, "utf8")).owner, "next");
+    lock.release();
+
+    const now = Date.parse("2026-04-26T12:00:00Z");
+    const other = { owner: "runner", pid: 1, host: "elsewhere", acquired_utc: "2026-04-26T11:55:00Z" };
+    assert.equal(staleReason(other, { nowMs: now }), null);
+    assert.equal(staleReason({ ...other, acquired_utc: "2026-04-26T11:00:00Z" }, { nowMs: now }), "held for 60 min");
+    assert.equal(staleReason({ ...other, host: "here" }, { nowMs: now, host: "here", alive: () => false }), "process 1 is gone");
+    assert.equal(staleReason({ ...other, acquired_utc: "garbage" }, { nowMs: now }), "no acquired_utc");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
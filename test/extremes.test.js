@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ex = require("../lib/extremes");
+
+// small deterministic uniform stream for sampling in tests
+function lcg(seed) {
+  let s = seed;
+  return () => ((s = (s * 1664525 + 1013904223) % 4294967296) + 0.5) / 4294967296;
+}
+
+function gevSample(n, { mu, sigma, xi }, rand) {
+  return Array.from({ length: n }, () => {
+    const w = -Math.log(rand());
+    return mu + sigma / xi * (Math.pow(w, -xi) - 1);
+  });
+}
+
+// one crest every 12h from Jan 1 of `from` to Dec 31 of `to`, level from fn(ms)
+function highs(from, to, fn) {
+  const out = [];
+  for (let ms = Date.UTC(from, 0, 1, 8); ms < Date.UTC(to + 1, 0, 1, 5); ms += 12 * 3600e3) {
+    out.push({ t: new Date(ms).toISOString(), ft: fn(ms), kind: "CrestHigh" });
+  }
+  return out;
+}
+
+test("GEV return level matches the Gumbel closed form and inverts to its period", () => {
+  const p = { mu: 0, sigma: 1, xi: 0 };
+  assert.ok(Math.abs(ex.gevReturnLevel(p, 100) - 4.6001) < 1e-3);
+  assert.equal(ex.gevReturnLevel(p, 1), null);
+
+  const q = { mu: 4, sigma: 0.4, xi: 0.1 };
+  assert.ok(Math.abs(ex.gevReturnPeriod(q, ex.gevReturnLevel(q, 50)) - 50) < 1e-6);
+});
+
+test("fitGEV recovers known parameters from a long sample", () => {
+  const truth = { mu: 4, sigma: 0.4, xi: 0.1 };
+  const fit = ex.fitGEV(gevSample(3000, truth, lcg(7)));
+  assert.ok(Math.abs(fit.mu - truth.mu) < 0.03);
+  assert.ok(Math.abs(fit.sigma - truth.sigma) < 0.03);
+  assert.ok(Math.abs(fit.xi - truth.xi) < 0.05);
+});
+
+test("decluster keeps one peak per storm", () => {
+  const h = (iso, ft) => ({ ms: Date.parse(iso), ft, t: iso });
+  const series = [
+    h("2024-01-09T12:00:00Z", 5.0),
+    h("2024-01-10T00:00:00Z", 5.6),
+    h("2024-01-10T12:00:00Z", 5.2),
+    h("2024-01-20T12:00:00Z", 4.0),   // below threshold
+    h("2024-02-01T12:00:00Z", 5.1)
+  ];
+  const peaks = ex.decluster(series, 4.5, 72);
+  assert.deepEqual(peaks.map(p => p.ft), [5.6, 5.1]);
+});
+
+test("POT return period inverts the return level and is null below the threshold", () => {
+  const p = { u: 4, lambda: 5, sigma: 0.5, xi: 0.05 };
+  for (const T of [1, 10, 100]) {
+    assert.ok(Math.abs(ex.potReturnPeriod(p, ex.potReturnLevel(p, T)) - T) < 1e-6);
+  }
+  assert.equal(ex.potReturnPeriod(p, 3.9), null);
+  assert.equal(ex.potReturnLevel(p, 0.1), null);
+});
+
+test("annualMaxima uses top-ten storms for missed gauge years and before the record", () => {
+  const events = highs(2010, 2012, () => 3);
+  const rows = ex.annualMaxima(events, {
+    historical: [{ date: "10-29-2012", ft: 9.6 }, { date: "12-11-1992", ft: 7.3 }],
+    lastCompleteYear: 2012
+  });
+  assert.deepEqual(rows.map(r => [r.year, r.ft, r.source, r.included]), [
+    [1992, 7.3, "historical", true],
+    [2010, 3, "gauge", true],
+    [2011, 3, "gauge", true],
+    [2012, 9.6, "top_ten", true]
+  ]);
+});
+
+test("analysis is reproducible and a datum shift moves levels but not return periods", () => {
+  const rand = lcg(3);
+  const events = highs(2000, 2019, () => 2 + rand() * 1.5 + (rand() < 0.01 ? rand() * 2 : 0));
+  const opts = { lastCompleteYear: 2019, nBoot: 40 };
+  const a = ex.analyzeExtremes(events, opts);
+  const b = ex.analyzeExtremes(events, opts);
+  assert.deepEqual(a, b);
+  assert.ok(a.gev && a.pot);
+  assert.equal(a.gev.levels[0].ft, null);            // GEV has no 1-year level
+  assert.ok(a.pot.levels[0].ft > a.pot.params.u);
+
+  const lvl = a.pot.levels[2].ft;
+  const s = ex.shiftExtremesDatum(a, "MLLW", 2.1);
+  assert.equal(s.datum, "MLLW");
+  assert.ok(Math.abs(s.pot.levels[2].ft - (lvl + 2.1)) < 1e-9);
+  const rpA = ex.returnPeriodOf(a, lvl).years;
+  const rpS = ex.returnPeriodOf(s, lvl + 2.1).years;
+  assert.ok(Math.abs(rpA - rpS) < 0.05);
+});
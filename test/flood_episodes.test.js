@@ -0,0 +1,71 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildFloodEpisodes, mergeEpisodes, openEpisodeStart } = require("../tools/lib/episodes");
+
+const T = { minorLow: 3, moderateLow: 4, majorLow: 5 };
+
+// 15-min series from a start time and a list of levels
+function series(startISO, levels, stepMin = 15) {
+  const t0 = Date.parse(startISO);
+  return levels.map((ft, i) => ({ t: new Date(t0 + i * stepMin * 60000).toISOString(), ft }));
+}
+
+test("an episode runs between the interpolated crossings and times each stage", () => {
+  // 2 → 4 → 6 → 4 → 2: crosses 3 half a step in, 5 half a step before/after the peak
+  const eps = buildFloodEpisodes({ series: series("2026-01-01T00:00:00Z", [2, 4, 6, 4, 2]), thresholdsNAVD88: T });
+  assert.equal(eps.length, 1);
+  const e = eps[0];
+  assert.equal(e.start, "2026-01-01T00:08:00.000Z");   // 7.5 min rounds to 8
+  assert.equal(e.end, "2026-01-01T00:53:00.000Z");
+  assert.deepEqual(e.minutes_above, { minor: 45, moderate: 30, major: 15 });
+  assert.equal(e.peak_ft, 6);
+  assert.equal(e.peak_t, "2026-01-01T00:30:00.000Z");
+  assert.equal(e.type, "Major");
+  // triangles above 3: 2 × (0.125 h × 1 ft / 2) + 2 × (0.25 h × (1 + 3) / 2 ft)
+  assert.equal(e.area_ft_hours, 1.125);
+  assert.equal(e.open_start, undefined);
+  assert.equal(e.open_end, undefined);
+});
+
+test("short dips stay in one episode; long dips and data gaps split it", () => {
+  const dip = buildFloodEpisodes({ series: series("2026-01-01T00:00:00Z", [2, 3.5, 2.9, 3.5, 2]), thresholdsNAVD88: T });
+  assert.equal(dip.length, 1);
+
+  const long = buildFloodEpisodes({ series: series("2026-01-01T00:00:00Z", [2, 3.5, 2.9, 2.9, 2.9, 3.5, 2]), thresholdsNAVD88: T });
+  assert.equal(long.length, 2);
+
+  const gappy = [
+    ...series("2026-01-01T00:00:00Z", [2, 3.5, 3.6]),
+    ...series("2026-01-01T03:00:00Z", [3.6, 3.5, 2])
+  ];
+  const split = buildFloodEpisodes({ series: gappy, thresholdsNAVD88: T });
+  assert.equal(split.length, 2);
+  assert.equal(split[0].open_end, true);
+  assert.equal(split[1].open_start, true);
+});
+
+test("a series that ends above minor leaves the episode open", () => {
+  const eps = buildFloodEpisodes({ series: series("2026-01-01T00:00:00Z", [2, 3.5, 4.2]), thresholdsNAVD88: T });
+  assert.equal(eps[0].open_end, true);
+  assert.equal(openEpisodeStart(eps), eps[0].start);
+  assert.equal(openEpisodeStart([]), null);
+});
+
+test("merge replaces overlapping episodes but keeps a cached start the window cut off", () => {
+  const cached = [
+    { start: "2026-01-01T00:00:00.000Z", end: "2026-01-01T02:00:00.000Z", peak_ft: 3.5 },
+    { start: "2026-01-02T00:00:00.000Z", end: "2026-01-02T01:00:00.000Z", peak_ft: 3.4, open_end: true }
+  ];
+  const fresh = [
+    { start: "2026-01-01T01:00:00.000Z", end: "2026-01-01T02:30:00.000Z", peak_ft: 3.6, open_start: true },
+    { start: "2026-01-02T00:00:00.000Z", end: "2026-01-02T03:00:00.000Z", peak_ft: 4.1 },
+    { start: "2026-01-03T00:00:00.000Z", end: "2026-01-03T01:00:00.000Z", peak_ft: 3.2 }
+  ];
+  const { episodes, added, replaced } = mergeEpisodes(cached, fresh);
+  assert.equal(added, 1);
+  assert.equal(replaced, 1);
+  assert.deepEqual(episodes.map(e => e.peak_ft), [3.5, 4.1, 3.2]);
+});
@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const I = require("../lib/impacts");
+
+// sea-bright (data/stations.json): a height in datum d = its MLLW height + OFF[d]
+const OFF = { MLLW: 0, NAVD88: -2.1, MHHW: -3.88 };
+
+test("levels parse from the shared file or a bare array; bad entries and repeated ids are dropped", () => {
+  const levels = I.parseLevels({
+    levels: [
+      { name: "Ocean Ave at Church St closes", elevation: 3.904, datum: "NAVD88", color: "#F472B6" },
+      { name: "Marina parking lot floods", elevation: "6.2", datum: "MLLW", color: "red" },
+      { name: "", elevation: 5 },
+      { name: "No height" },
+      { id: "ocean-ave-at-church-st-closes", name: "Duplicate", elevation: 1 }
+    ]
+  });
+  assert.deepEqual(levels, [
+    { id: "ocean-ave-at-church-st-closes", name: "Ocean Ave at Church St closes", elevation: 3.9, datum: "NAVD88", color: "#f472b6", source: "shared" },
+    { id: "marina-parking-lot-floods", name: "Marina parking lot floods", elevation: 6.2, datum: "MLLW", color: I.DEFAULT_COLORS[1], source: "shared" }
+  ]);
+  assert.equal(I.parseLevels([{ name: "Dock", elevation: 0 }], { source: "mine" })[0].datum, "NAVD88");
+  assert.deepEqual(I.parseLevels(null), []);
+
+  // The file round-trips without the browser-only fields
+  assert.deepEqual(I.parseLevels(I.toFileJson(levels)), levels);
+  assert.ok(!("source" in I.toFileJson(levels).levels[0]));
+});
+
+test("a browser level replaces the shared one with the same id; resolved lowest first in NAVD88", () => {
+  const shared = I.parseLevels([
+    { name: "Marina parking lot floods", elevation: 6.2, datum: "MLLW" },
+    { name: "Ocean Ave", elevation: 3.9 },
+    { name: "Boardwalk", elevation: 2, datum: "LOCAL" }
+  ]);
+  const mine = I.parseLevels([{ name: "Ocean Ave", elevation: 4.3 }], { source: "mine" });
+  const resolved = I.resolveLevels(I.mergeLevels(shared, mine), OFF);
+
+  assert.deepEqual(resolved.map(l => [l.id, l.navd88_ft, l.usable, l.source]), [
+    ["marina-parking-lot-floods", 4.1, true, "shared"],
+    ["ocean-ave", 4.3, true, "mine"],
+    ["boardwalk", NaN, false, "shared"]   // no LOCAL datum at this station: kept, not used
+  ]);
+  assert.equal(I.levelNavd({ elevation: 1, datum: "MHHW" }, OFF), 2.78);
+});
+
+test("reached levels and annual counts compare at or above the NAVD88 elevation", () => {
+  const resolved = I.resolveLevels(I.parseLevels([
+    { name: "Low", elevation: 3 },
+    { name: "High", elevation: 4 },
+    { name: "Unknown", elevation: 1, datum: "LOCAL" }
+  ]), OFF);
+  assert.deepEqual(I.levelsReached(3.5, resolved).map(l => l.id), ["low"]);
+  assert.equal(I.highestReached(4, resolved).id, "high");
+  assert.equal(I.highestReached(2.9, resolved), null);
+  assert.deepEqual(I.levelsReached(NaN, resolved), []);
+
+  const events = [
+    { t: "2024-12-31T23:30:00Z", ft: 3.2 },
+    { t: "2025-01-01T00:30:00Z", ft: 3.0 },
+    { t: "2025-06-01T12:00:00Z", ft: 4.5 },
+    { t: "2025-06-02T12:00:00Z", ft: 5.0, suspect: true },
+    { t: "2025-06-03T12:00:00Z", ft: 2.9 }
+  ];
+  assert.deepEqual(I.annualCounts(events, 3, [2023, 2024, 2025]), [0, 1, 2]);
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mergeCrestEvents, mergePeaksCaches } = require("../tools/update_peaks_navd88");
+const { validate } = require("../tools/lib/schema");
+
+const ev = (crest, t, ft, type = "Minor") => ({ t, ft, type, crest, kind: "CrestHigh" });
+
+test("adds new crests and keeps the list chronological", () => {
+  const existing = [ev("2026-04-25T20:00:00.000Z", "2026-04-25T20:06:00.000Z", 3.3)];
+  const fresh = [ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:12:00.000Z", 3.5)];
+
+  const { events, added, updated } = mergeCrestEvents(existing, fresh);
+  assert.equal(added, 1);
+  assert.equal(updated, 0);
+  assert.deepEqual(events.map(e => e.crest), ["2026-04-25T08:00:00.000Z", "2026-04-25T20:00:00.000Z"]);
+});
+
+test("a re-run with a higher max for the same crest replaces the cached event", () => {
+  const existing = [ev("2026-04-25T08:00:00.000Z", "2026-04-25T07:54:00.000Z", 3.2)];
+  const fresh = [ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:18:00.000Z", 4.2, "Moderate")];
+
+  const { events, added, updated } = mergeCrestEvents(existing, fresh);
+  assert.equal(added, 0);
+  assert.equal(updated, 1);
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0], fresh[0]);
+});
+
+test("a lower or equal max never overwrites the cached peak", () => {
+  const existing = [ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:00:00.000Z", 3.8)];
+  const { events, updated } = mergeCrestEvents(existing, [
+    ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:30:00.000Z", 3.8),
+    ev("2026-04-25T08:00:00.000Z", "2026-04-25T09:00:00.000Z", 3.1)
+  ]);
+  assert.equal(updated, 0);
+  assert.equal(events[0].ft, 3.8);
+  assert.equal(events[0].t, "2026-04-25T08:00:00.000Z");
+});
+
+test("a cached event with a missing height is replaced", () => {
+  const existing = [ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:00:00.000Z", null)];
+  const { events, updated } = mergeCrestEvents(existing, [ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:06:00.000Z", 2.9)]);
+  assert.equal(updated, 1);
+  assert.equal(events[0].ft, 2.9);
+});
+
+test("duplicate crests inside one fresh batch collapse to a single event", () => {
+  const c = "2026-04-25T08:00:00.000Z";
+  const { events, added, updated } = mergeCrestEvents([], [ev(c, "2026-04-25T08:00:00.000Z", 3.0), ev(c, "2026-04-25T08:06:00.000Z", 3.4)]);
+  assert.equal(added, 1);
+  assert.equal(updated, 1);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].ft, 3.4);
+});
+
+test("tolerates a cache without an events array", () => {
+  const { events, added } = mergeCrestEvents(undefined, [ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:00:00.000Z", 3.0)]);
+  assert.equal(added, 1);
+  assert.equal(events.length, 1);
+});
+
+test("lows keep the LOWER observed min and old highs pick up prediction fields", () => {
+  const low = (ft) => ({ t: "2026-04-25T02:00:00.000Z", ft, type: "Below", crest: "2026-04-25T02:06:00.000Z", kind: "CrestLow", pred_ft: -1.5, anomaly_ft: ft + 1.5 });
+  const oldHigh = ev("2026-04-25T08:24:00.000Z", "2026-04-25T08:12:00.000Z", 2.45, "Below");
+
+  const { events, updated } = mergeCrestEvents([low(-0.8), oldHigh], [
+    low(-0.5),
+    low(-0.9),
+    { ...oldHigh, ft: 2.4, pred_ft: 1.591, anomaly_ft: 0.809 }
+  ]);
+
+  assert.equal(events[0].ft, -0.9);
+  assert.equal(events[1].ft, 2.45);
+  assert.equal(events[1].pred_ft, 1.591);
+  assert.equal(events[1].anomaly_ft, 0.859);
+  assert.equal(updated, 2);
+});
+
+test("QC flags follow the chosen reading and a re-check of the same reading refreshes them", () => {
+  const crest = "2026-04-25T08:00:00.000Z";
+  const existing = [{ ...ev(crest, "2026-04-25T08:06:00.000Z", 3.4), qc: ["provisional", "spike"], suspect: true }];
+
+  // Same reading, now approved and clean
+  let r = mergeCrestEvents(existing, [{ ...ev(crest, "2026-04-25T08:06:00.000Z", 3.4), qc: [] }]);
+  assert.equal(r.updated, 1);
+  assert.deepEqual(r.events[0].qc, []);
+  assert.equal(r.events[0].suspect, undefined);
+
+  // A higher reading brings its own flags
+  r = mergeCrestEvents(r.events, [{ ...ev(crest, "2026-04-25T08:12:00.000Z", 3.6), qc: ["estimated"] }]);
+  assert.deepEqual(r.events[0].qc, ["estimated"]);
+
+  // Fresh events from an unchecked run leave cached flags alone
+  r = mergeCrestEvents(r.events, [ev(crest, "2026-04-25T08:12:00.000Z", 3.6)]);
+  assert.equal(r.updated, 0);
+  assert.deepEqual(r.events[0].qc, ["estimated"]);
+});
+
+test("two caches that diverged (backfill vs scheduled run) merge by crest without losing events", () => {
+  const station = { id: "sea-bright", thresholdsNAVD88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 } };
+  const base = {
+    schema_version: 2,
+    station: "sea-bright",
+    site: "01407600",
+    parameterCd: "72279",
+    datum: "NAVD88",
+    peakMinSepMinutes: 300,
+    method: "crest_anchored_highs_lows_v2",
+    thresholdsNAVD88: station.thresholdsNAVD88,
+    skipped: [],
+    coverage: null,
+    latest: null
+  };
+  const shared = ev("2026-04-25T08:00:00.000Z", "2026-04-25T08:06:00.000Z", 3.2);
+  const skip = { crest: "2026-04-26T09:00:00.000Z", kind: "CrestHigh", reason: "no_data", first_seen: "2026-04-26T12:00:00.000Z", attempts: 0 };
+
+  // A backfill added an older crest; the scheduled run raised the shared one and saw newer data
+  const backfill = {
+    ...base,
+    lastProcessedISO: "2026-04-25T12:00:00.000Z",
+    latest: { t: "2026-04-25T12:00:00.000Z", ft: 1.0 },
+    skipped: [skip],
+    events: [ev("2026-03-01T08:00:00.000Z", "2026-03-01T08:06:00.000Z", 3.5), shared]
+  };
+  const scheduled = {
+    ...base,
+    lastProcessedISO: "2026-04-26T18:00:00.000Z",
+    latest: { t: "2026-04-26T18:00:00.000Z", ft: 2.0 },
+    skipped: [{ ...skip, attempts: 2, reason: "no_data_within_1h" }],
+    events: [{ ...shared, ft: 3.6, t: "2026-04-25T08:12:00.000Z" }, ev("2026-04-26T20:00:00.000Z", "2026-04-26T20:06:00.000Z", 2.8)]
+  };
+
+  for (const merged of [mergePeaksCaches(backfill, scheduled, { station }), mergePeaksCaches(scheduled, backfill, { station })]) {
+    assert.deepEqual(merged.events.map(e => [e.crest, e.ft]), [
+      ["2026-03-01T08:00:00.000Z", 3.5],
+      ["2026-04-25T08:00:00.000Z", 3.6],
+      ["2026-04-26T20:00:00.000Z", 2.8]
+    ]);
+    assert.equal(merged.lastProcessedISO, "2026-04-26T18:00:00.000Z");
+    assert.equal(merged.latest.ft, 2.0);
+    assert.deepEqual(merged.skipped.map(s => [s.crest, s.attempts]), [["2026-04-26T09:00:00.000Z", 2]]);
+    assert.deepEqual(validate("peaks_navd88", merged), []);
+  }
+  // Inputs are left as they were
+  assert.equal(backfill.events[1].ft, 3.2);
+
+  assert.throws(() => mergePeaksCaches(backfill, { ...scheduled, method: "crest_anchored_highs_lows_v3" }, { station }), /Can't merge caches/);
+});
@@ -0,0 +1,181 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+
+const {
+  normalizeSubscriber,
+  subscriberLevel,
+  evaluateSubscriber,
+  decideAlerts,
+  buildMessage
+} = require("../tools/notify_floods");
+const { smtpSend } = require("../tools/lib/notify");
+const segments = require("../lib/segments");
+
+const STATION = {
+  id: "sea-bright",
+  name: "Sea Bright, NJ",
+  offsetsFromMllw: { MLLW: 0, NAVD88: -2.1, MSL: -1.87, MHHW: -3.88 },
+  thresholdsNAVD88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 }
+};
+const NOW = Date.parse("2026-04-25T00:00:00Z");
+const H = 3600000;
+
+const sub = (extra = {}) => normalizeSubscriber({ id: "s1", channels: [{ type: "ntfy", topic: "t" }], ...extra }, { defaultStation: "sea-bright" });
+
+// Hourly MLLW forecast rows: a tide peaking at `peak` ft every 12h, band ±spread
+function rows(peaks, spread = 0.3) {
+  const out = [];
+  for (let h = 0; h < 72; h++) {
+    const peak = peaks[Math.floor(h / 12)] ?? 3;
+    const twl = 2 + (peak - 2) * Math.max(0, Math.cos(((h % 12) - 6) / 12 * 2 * Math.PI));
+    out.push({ t: new Date(NOW + h * H).toISOString(), twl, twl10p: twl + spread, twl90p: twl - spread });
+  }
+  return out;
+}
+
+test("segments: runs at/above the level, peak stage and band-only 'possible' windows", () => {
+  const T = { minorLow: 5.2, moderateLow: 6.2, majorLow: 7.2 };
+  const pts = rows([5.5, 4.0, 6.5, 5.0]).map(r => ({ t: r.t, ft: r.twl, ...segments.petssBand(r) }));
+  const { segments: mean, possible, rows: all, durations } = segments.floodOutlook(pts, T);
+
+  assert.deepEqual(mean.map(s => [s.peakStage, s.peakT]), [["Minor", "2026-04-25T06:00:00.000Z"], ["Moderate", "2026-04-26T06:00:00.000Z"]]);
+  assert.ok(mean[1].hiPeakFt > mean[1].peakFt);
+  assert.deepEqual(possible.map(s => s.peakT), ["2026-04-26T18:00:00.000Z"]);   // 5.0 + 0.3 band
+  assert.equal(all.length, 3);
+  assert.ok(durations.minorMs > 0 && durations.moderateMs > 0 && durations.majorMs === 0);
+
+  // A custom level cuts the same series differently but still names stages by T
+  const low = segments.floodSegments(pts, T, { level: 3.9 });
+  assert.equal(low.length, 4);
+  assert.equal(low[1].peakStage, "Below");
+});
+
+test("subscriber levels follow their datum; bad subscribers are rejected", () => {
+  const minorMllw = subscriberLevel(sub({ datum: "MLLW" }), STATION);
+  assert.equal(minorMllw.level.toFixed(2), "5.20");
+  assert.equal(minorMllw.label, "Minor flood stage");
+
+  const mhhw = subscriberLevel(sub({ threshold: "moderate", datum: "mhhw" }), STATION);
+  assert.equal(mhhw.datum, "MHHW");
+  assert.equal(mhhw.level.toFixed(2), "2.32");
+
+  const custom = subscriberLevel(sub({ threshold: 6.5, datum: "MLLW" }), STATION);
+  assert.equal(custom.level, 6.5);
+  assert.equal(custom.T.minorLow.toFixed(2), "5.20");
+
+  assert.throws(() => subscriberLevel(sub({ datum: "MTL" }), STATION), /no MTL offset/);
+  assert.throws(() => sub({ threshold: "severe" }), /threshold/);
+  assert.throws(() => sub({ channels: [{ type: "sms", to: "1" }] }), /unknown channel/);
+  assert.throws(() => sub({ channels: [] }), /no channels/);
+  assert.match(normalizeSubscriber({ channels: [{ type: "email", to: "a@b.c" }] }, { defaultStation: "x" }).id, /^sub-[0-9a-f]{12}$/);
+});
+
+test("forecast windows and the newest observed crest are evaluated in the subscriber's datum", () => {
+  const forecastRows = rows([5.5, 4.0, 5.0]);
+  const events = [
+    { t: "2026-04-24T20:10:00.000Z", ft: 3.3, kind: "CrestHigh", crest: "2026-04-24T20:00:00.000Z" },
+    { t: "2026-04-24T22:00:00.000Z", ft: 9.9, kind: "CrestHigh", crest: "2026-04-24T22:00:00.000Z", suspect: true },
+    { t: "2026-04-25T02:00:00.000Z", ft: -0.5, kind: "CrestLow", crest: "2026-04-25T02:00:00.000Z" }
+  ];
+
+  const plain = evaluateSubscriber({ sub: sub({ datum: "MLLW" }), station: STATION, forecastRows, events, nowMs: NOW });
+  assert.deepEqual(plain.map(a => [a.kind, a.stage, a.possible ?? null]), [["forecast", "Minor", false], ["observed", "Minor", null]]);
+  assert.equal(plain[1].ft, 5.4);   // 3.3 NAVD88 in MLLW; the suspect 9.9 is ignored
+
+  const withPossible = evaluateSubscriber({ sub: sub({ datum: "MLLW", possible: true, sources: ["forecast"] }), station: STATION, forecastRows, events, nowMs: NOW });
+  assert.deepEqual(withPossible.map(a => a.possible), [false, true]);
+
+  // 12h later the crest is too old to announce
+  const later = evaluateSubscriber({ sub: sub({ sources: ["observed"] }), station: STATION, forecastRows, events, nowMs: NOW + 13 * H });
+  assert.deepEqual(later, []);
+});
+
+test("de-duplication: one alert per event, again only when it gets worse, forgotten after a week", () => {
+  const at = (h) => new Date(NOW + h * H).toISOString();
+  const fc = (startH, endH, stage, possible = false) =>
+    ({ kind: "forecast", start: at(startH), end: at(endH), startMs: NOW + startH * H, endMs: NOW + endH * H, stage, possible, peakFt: 5.5 });
+
+  const first = decideAlerts([fc(5, 7, "Minor", true), { kind: "observed", crest: at(-2), stage: "Minor", ft: 5.4 }], [], { nowMs: NOW });
+  assert.deepEqual(first.send.map(s => [s.alert.kind, s.reason]), [["forecast", "new"], ["observed", "new"]]);
+  const records = first.send.map(s => s.record);
+
+  // Next cycle: window drifted an hour and is now expected (not just possible) -> worse
+  const second = decideAlerts([fc(6, 8, "Minor"), { kind: "observed", crest: at(-2), stage: "Minor", ft: 5.4 }], records, { nowMs: NOW + 6 * H });
+  assert.deepEqual(second.send.map(s => s.reason), ["worse"]);
+  assert.equal(second.send[0].replaces.possible, true);
+
+  // Same stage again: silent, and the remembered window follows the drift
+  const mem = second.records.filter(r => r !== second.send[0].replaces).concat(second.send[0].record);
+  const third = decideAlerts([fc(6.5, 9, "Minor")], mem, { nowMs: NOW + 7 * H });
+  assert.deepEqual(third.send, []);
+  assert.equal(third.records.find(r => r.kind === "forecast").end, at(9));
+
+  // Moderate beats Minor
+  assert.deepEqual(decideAlerts([fc(6, 9, "Moderate")], third.records, { nowMs: NOW + 8 * H }).send.map(s => s.reason), ["worse"]);
+
+  // A different tide 12h later is a new event; old records are pruned
+  assert.deepEqual(decideAlerts([fc(18, 20, "Minor")], third.records, { nowMs: NOW + 8 * H }).send.map(s => s.reason), ["new"]);
+  assert.deepEqual(decideAlerts([], third.records, { nowMs: NOW + 8 * 24 * H }).records, []);
+});
+
+test("messages name the level, the window in local time, and carry webhook data", () => {
+  const s = sub({ datum: "MLLW" });
+  const alert = {
+    kind: "forecast", start: "2026-04-25T10:00:00.000Z", end: "2026-04-25T12:00:00.000Z",
+    startMs: 0, endMs: 0, peakFt: 5.51, peakT: "2026-04-25T11:00:00.000Z", stage: "Minor", hiPeakFt: 5.81, possible: false
+  };
+  const msg = buildMessage({
+    alert, reason: "new", sub: s, station: STATION, levelInfo: subscriberLevel(s, STATION),
+    meta: { run_dir: "petss.20260425", cycle: "t00z" }, dashboardUrl: "https://example.org/tides/"
+  });
+  assert.equal(msg.title, "Sea Bright, NJ: Minor flooding forecast");
+  assert.match(msg.text, /Minor flood stage \(5\.20 ft MLLW\) from Sat, Apr 25, 6:00 AM EDT to 8:00 AM/);
+  assert.match(msg.text, /Peak 5\.51 ft MLLW \(Minor\) around 7:00 AM\. 90th percentile 5\.81 ft MLLW\./);
+  assert.match(msg.text, /https:\/\/example\.org\/tides\/\?station=sea-bright$/);
+  assert.equal(msg.priority, "default");
+  assert.equal(msg.data.level_ft, 5.2);
+  assert.equal(msg.data.peak_ft, 5.51);
+});
+
+test("SMTP client speaks EHLO/AUTH/MAIL/RCPT/DATA and dot-stuffs the body", async () => {
+  const seen = [];
+  let message = "";
+  const server = net.createServer(sock => {
+    let inData = false, buf = "";
+    sock.write("220 test ESMTP\r\n");
+    sock.on("data", chunk => {
+      buf += chunk.toString("utf8");
+      let i;
+      while ((i = buf.indexOf("\r\n")) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (inData) {
+          if (line === ".") { inData = false; sock.write("250 queued\r\n"); } else message += line + "\n";
+          continue;
+        }
+        seen.push(line.split(" ")[0]);
+        if (line.startsWith("EHLO")) sock.write("250-test\r\n250 AUTH PLAIN\r\n");
+        else if (line.startsWith("AUTH")) sock.write(line === "AUTH PLAIN " + Buffer.from("\0u\0p").toString("base64") ? "235 ok\r\n" : "535 no\r\n");
+        else if (line === "DATA") { inData = true; sock.write("354 go\r\n"); }
+        else if (line === "QUIT") { sock.end("221 bye\r\n"); }
+        else sock.write("250 ok\r\n");
+      }
+    });
+  });
+  await new Promise(res => server.listen(0, "127.0.0.1", res));
+  try {
+    await smtpSend(
+      { host: "127.0.0.1", port: server.address().port, secure: false, user: "u", pass: "p", from: "tides@example.org" },
+      { to: ["a@example.org", "b@example.org"], subject: "Sea Bright: Minor flooding forecast", text: "line one\n.hidden dot\nend" }
+    );
+    assert.deepEqual(seen, ["EHLO", "AUTH", "MAIL", "RCPT", "RCPT", "DATA", "QUIT"]);
+    assert.match(message, /^Subject: Sea Bright: Minor flooding forecast$/m);
+    assert.match(message, /^To: a@example\.org, b@example\.org$/m);
+    assert.match(message, /^\.\.hidden dot$/m);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,83 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { SHELL_FILES, windowTag, requestRoute, fmtAge } = require("../lib/offline");
+const { LIBS } = require("../tools/vendor_libs");
+
+const REPO_ROOT = path.join(__dirname, "..");
+const SCOPE = "https://example.org/tide/";
+
+test("the precached shell exists and covers every local script and stylesheet the page loads", () => {
+  for (const f of SHELL_FILES.filter(f => f !== "./")) {
+    assert.ok(fs.existsSync(path.join(REPO_ROOT, f)), `${f} is precached but missing`);
+  }
+
+  const html = fs.readFileSync(path.join(REPO_ROOT, "index.html"), "utf8");
+  const local = [...html.matchAll(/<(?:script[^>]*\ssrc|link[^>]*\shref)="([^"]+)"/g)]
+    .map(m => m[1])
+    .filter(u => !/^https?:/.test(u));
+  assert.ok(local.includes("vendor/chart.js/chart.umd.js"));
+  for (const u of local) assert.ok(SHELL_FILES.includes(u), `${u} is loaded by index.html but not precached`);
+  assert.ok(!/unpkg\.com|cdn\.jsdelivr\.net/.test(html), "no CDN left in the page");
+});
+
+test("vendor/VERSIONS.json matches the pinned libraries and every vendored file is there", () => {
+  const versions = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, "vendor", "VERSIONS.json"), "utf8"));
+  assert.deepEqual(versions, Object.fromEntries(Object.entries(LIBS).map(([name, l]) => [name, l.version])));
+  for (const [name, { files }] of Object.entries(LIBS)) {
+    for (const f of files) assert.ok(fs.existsSync(path.join(REPO_ROOT, "vendor", name, f.replace(/^dist\//, ""))), `${name}/${f}`);
+  }
+});
+
+test("routes: page network-first, shell, station files without the cache buster, off-site left alone", () => {
+  assert.deepEqual(requestRoute(SCOPE, SCOPE), { kind: "page", key: `${SCOPE}index.html`, label: "dashboard" });
+  assert.equal(requestRoute(`${SCOPE}index.html?x=1`, SCOPE).kind, "page");
+  assert.deepEqual(requestRoute(`${SCOPE}vendor/leaflet/leaflet.js`, SCOPE), {
+    kind: "shell", key: `${SCOPE}vendor/leaflet/leaflet.js`, label: "dashboard"
+  });
+  assert.deepEqual(requestRoute(`${SCOPE}data/sea-bright/peaks_navd88.json?v=1777000000000`, SCOPE), {
+    kind: "data", key: `${SCOPE}data/sea-bright/peaks_navd88.json`, label: "flood history"
+  });
+  assert.equal(requestRoute(`${SCOPE}data/sea-bright/storms/sandy-2012.json`, SCOPE).label, "station files");
+
+  assert.equal(requestRoute("https://tile.openstreetmap.org/8/75/96.png", SCOPE), null);
+  assert.equal(requestRoute("https://example.org/other-app/index.html", SCOPE), null);
+  assert.equal(requestRoute("not a url", SCOPE), null);
+});
+
+test("live API keys drop the time window but keep its length, so 24 h and year-to-date never mix", () => {
+  const iv = (start, end) =>
+    `https://waterservices.usgs.gov/nwis/iv/?format=json&sites=01407600&parameterCd=72279&siteStatus=all&agencyCd=USGS&startDT=${start}&endDT=${end}`;
+  const at235 = requestRoute(iv("2026-10-17T18:35:00.000Z", "2026-10-18T18:35:00.000Z"), SCOPE);
+  const at305 = requestRoute(iv("2026-10-17T19:05:00.000Z", "2026-10-18T19:05:00.000Z"), SCOPE);
+  const ytd = requestRoute(iv("2026-01-01T05:00:00.000Z", "2026-10-18T19:05:00.000Z"), SCOPE);
+
+  assert.equal(at235.kind, "live");
+  assert.equal(at235.label, "gauge readings");
+  assert.equal(at235.key, at305.key);
+  assert.equal(at235.key, "https://waterservices.usgs.gov/nwis/iv/?agencyCd=USGS&format=json&parameterCd=72279&siteStatus=all&sites=01407600&window=24h");
+  assert.match(ytd.key, /window=long$/);
+
+  const hilo = requestRoute("https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?product=predictions&station=8531804&begin_date=20261018&end_date=20261020&interval=hilo", SCOPE);
+  assert.equal(hilo.label, "NOAA tide predictions");
+  assert.match(hilo.key, /window=72h$/);
+  assert.equal(requestRoute("https://api.water.noaa.gov/nwps/v1/gauges/SBIN4/stageflow", SCOPE).key, "https://api.water.noaa.gov/nwps/v1/gauges/SBIN4/stageflow?");
+  assert.equal(requestRoute("https://api.weather.gov/alerts/active?point=39.2,-75.0", SCOPE).label, "weather alerts");
+
+  assert.equal(windowTag(new URLSearchParams("period=P7D")), "168h");
+  assert.equal(windowTag(new URLSearchParams("period=P30D")), "long");
+  assert.equal(windowTag(new URLSearchParams("period=junk")), "long");
+  assert.equal(windowTag(new URLSearchParams("format=json")), "");
+});
+
+test("saved-copy ages read the way people say them", () => {
+  assert.equal(fmtAge(20 * 1000), "just now");
+  assert.equal(fmtAge(12 * 60000), "12 min");
+  assert.equal(fmtAge(3 * 3600000), "3 h");
+  assert.equal(fmtAge(3 * 86400000), "3 days");
+  assert.equal(fmtAge(NaN), "just now");
+});
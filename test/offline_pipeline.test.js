@@ -0,0 +1,648 @@
+"use strict";
+
+// Runs the updater tools end to end against the recorded fixtures (TIDE_SOURCE=fixtures:...)
+// with a temp registry, so nothing touches the network or the repo's data/ files.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, spawn } = require("child_process");
+
+const { fixtureFileForUrl } = require("../tools/lib/sources");
+const { acquireLock } = require("../tools/lib/datastore");
+
+const REPO_ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures", "sources");
+
+function makeSandbox(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tide-offline-"));
+  const registry = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, "data", "stations.json"), "utf8"));
+  const station = registry.stations.find(s => s.id === "sea-bright");
+  const dataDir = path.join(dir, "sea-bright");
+  fs.mkdirSync(dataDir);
+  const regPath = path.join(dir, "stations.json");
+  fs.writeFileSync(regPath, JSON.stringify({ defaultStation: station.id, stations: [{ ...station, ...overrides, dataDir }] }));
+  return { dir, dataDir, regPath };
+}
+
+function runTool(tool, regPath, args = [], env = {}) {
+  return execFileSync(process.execPath, [path.join(REPO_ROOT, "tools", tool), ...args], {
+    cwd: REPO_ROOT,
+    env: { ...process.env, TIDE_SOURCE: `fixtures:${FIXTURES}`, TIDE_STATIONS: regPath, ...env },
+    encoding: "utf8",
+    timeout: 60000
+  });
+}
+
+test("fixture URLs map to host/path files keyed by the identifying query params", () => {
+  assert.equal(
+    fixtureFileForUrl("/fx", "https://waterservices.usgs.gov/nwis/iv/?format=json&sites=01407600&parameterCd=72279&startDT=x"),
+    path.join("/fx", "waterservices.usgs.gov/nwis/iv/01407600.72279.json")
+  );
+  assert.equal(
+    fixtureFileForUrl("/fx", "https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?product=predictions&station=8531804&interval=hilo&begin_date=20260101"),
+    path.join("/fx", "api.tidesandcurrents.noaa.gov/api/prod/datagetter/8531804.predictions.hilo.json")
+  );
+  assert.equal(
+    fixtureFileForUrl("/fx", "https://nomads.ncep.noaa.gov/pub/data/nccf/com/petss/prod/"),
+    path.join("/fx", "nomads.ncep.noaa.gov/pub/data/nccf/com/petss/prod/index.html")
+  );
+});
+
+test("PETSS updater falls back past a missing cycle and writes forecast, meta and archive", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    runTool("update_petss_forecast.js", regPath);
+
+    const meta = JSON.parse(fs.readFileSync(path.join(dataDir, "petss_meta.json"), "utf8"));
+    assert.equal(meta.schema_version, 1);
+    assert.equal(meta.run_dir, "petss.20260430");
+    assert.equal(meta.cycle, "t00z");
+    assert.equal(meta.fallback.used, true);
+    assert.equal(meta.fallback.newest_available, "petss.20260430/t06z");
+    assert.match(meta.fallback.reason, /t06z: download failed/);
+
+    const rows = JSON.parse(fs.readFileSync(path.join(dataDir, "petss_forecast.json"), "utf8"));
+    assert.equal(rows.length, meta.n_points);
+    assert.ok(rows.some(r => r.twl10p != null));
+
+    const archive = fs.readFileSync(path.join(dataDir, "petss_archive.ndjson"), "utf8").trim().split("\n");
+    assert.equal(archive.length, 1);
+
+    // Same cycle again: rewritten in place, archived once
+    runTool("update_petss_forecast.js", regPath);
+    assert.equal(fs.readFileSync(path.join(dataDir, "petss_archive.ndjson"), "utf8").trim().split("\n").length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("forecast blend corrects PETSS, NWPS and CO-OPS to the gauge and weights them", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    runTool("update_petss_forecast.js", regPath);
+    const out = runTool("blend_forecast.js", regPath, ["--now=2026-04-26T01:00:00Z"]);
+    assert.match(out, /PETSS 52% · NWPS 27% · CO-OPS astronomical 21%/);
+
+    const blend = JSON.parse(fs.readFileSync(path.join(dataDir, "forecast_blend.json"), "utf8"));
+    assert.equal(blend.datum, "MLLW");
+    assert.equal(blend.generated_utc, "2026-04-26T01:00:00.000Z");
+    assert.equal(blend.points.length, 73);
+    assert.equal(blend.points[0].t, "2026-04-26T01:00:00.000Z");
+    for (const key of ["petss", "nwps", "coops"]) {
+      assert.equal(blend.sources[key].used, true, key);
+      assert.equal(blend.sources[key].bias_from, "usgs", key);
+    }
+    // The recorded NWPS run sits 0.25 ft above PETSS; both correct back to the gauge
+    assert.ok(Math.abs(blend.sources.nwps.bias_ft - (blend.sources.petss.bias_ft - 0.25)) < 0.01);
+    // Past the NWPS run only PETSS and the astronomical tide remain
+    assert.deepEqual(Object.keys(blend.points[72].inputs), ["petss", "coops"]);
+
+    // A bad weight string fails before anything is fetched
+    assert.throws(
+      () => runTool("blend_forecast.js", regPath, ["--weights=gfs:1"]),
+      e => /Bad weight gfs=1/.test(String(e.stderr))
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("peaks updater builds crest events from fixtures and merges them into the cache", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    const cachePath = path.join(dataDir, "peaks_navd88.json");
+    fs.writeFileSync(cachePath, JSON.stringify({
+      method: "crest_anchored_highs_v1",
+      lastProcessedISO: "2026-04-25T00:00:00.000Z",
+      // Same crest as the fixture's 08:24 high but lower: should be raised to the observed max
+      events: [{ t: "2026-04-25T08:24:00.000Z", ft: 1.0, type: "Below", crest: "2026-04-25T08:24:00.000Z", kind: "CrestHigh" }]
+    }));
+
+    // The unversioned cache is migrated, not wiped: its event is updated in place
+    assert.match(runTool("update_peaks_navd88.js", regPath), /Migrated peaks_navd88\.json v0 -> v2/);
+
+    const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    assert.equal(cache.schema_version, 2);
+    assert.equal(cache.station, "sea-bright");
+    assert.equal(cache.method, "crest_anchored_highs_lows_v2");
+    assert.deepEqual(cache.migrated_from, { method: "crest_anchored_highs_v1", through: "2026-04-25T00:00:00.000Z" });
+    assert.deepEqual(cache.events.map(e => [e.kind, e.crest, e.ft]), [
+      ["CrestLow", "2026-04-25T02:06:00.000Z", -0.82],
+      ["CrestHigh", "2026-04-25T08:24:00.000Z", 2.45],
+      ["CrestLow", "2026-04-25T14:54:00.000Z", -0.92],
+      ["CrestHigh", "2026-04-25T21:06:00.000Z", 2.17]
+    ]);
+
+    // Predicted heights (MLLW fixture + registry NAVD88 offset) give anomaly and cycle range
+    const high = cache.events[1];
+    assert.equal(high.pred_ft, 1.591);
+    assert.equal(high.anomaly_ft, 0.859);
+    assert.equal(high.range_ft, 3.27);
+    assert.equal(cache.events[0].range_ft, undefined);
+    assert.equal(cache.lastProcessedISO, "2026-04-26T00:48:00.000Z");
+    assert.equal(cache.latest.t, "2026-04-26T00:48:00.000Z");
+
+    // Every crest had data; coverage runs from the first crest to the last reading
+    assert.deepEqual(cache.skipped, []);
+    assert.deepEqual(cache.coverage.months.map(m => [m.month, m.highs, m.skipped]), [["2026-04", 2, 0]]);
+
+    // Re-running over the same recording changes nothing
+    runTool("update_peaks_navd88.js", regPath);
+    assert.equal(JSON.parse(fs.readFileSync(cachePath, "utf8")).events.length, 4);
+
+    // A cache from a method nobody wrote a migration for is refused and left as it was
+    const foreign = JSON.stringify({ method: "declustered_peaks_v0", lastProcessedISO: "2026-04-25T00:00:00.000Z", events: [] });
+    fs.writeFileSync(cachePath, foreign);
+    assert.throws(
+      () => runTool("update_peaks_navd88.js", regPath),
+      e => /no migration from method declustered_peaks_v0/.test(String(e.stderr))
+    );
+    assert.equal(fs.readFileSync(cachePath, "utf8"), foreign);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("--repair re-queries only the skipped crest windows and fills in what has data", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    const cachePath = path.join(dataDir, "peaks_navd88.json");
+    fs.writeFileSync(cachePath, JSON.stringify({
+      method: "crest_anchored_highs_v1",
+      lastProcessedISO: "2026-04-26T00:48:00.000Z",
+      events: [
+        { t: "2026-04-25T21:00:00.000Z", ft: 2.17, type: "Below", crest: "2026-04-25T21:06:00.000Z", kind: "CrestHigh" }
+      ],
+      skipped: [
+        // The recording has this crest (an outage that USGS later back-filled)...
+        { crest: "2026-04-25T08:24:00.000Z", kind: "CrestHigh", reason: "no_data", n_window: 0, pred_ft: 1.591,
+          first_seen: "2026-04-25T12:00:00.000Z", attempts: 0 },
+        // ...but nothing in March (the fixture answers every window with April readings)
+        { crest: "2026-03-01T10:00:00.000Z", kind: "CrestHigh", reason: "no_data", n_window: 0,
+          first_seen: "2026-03-01T12:00:00.000Z", attempts: 1 }
+      ]
+    }));
+
+    const out = runTool("update_peaks_navd88.js", regPath, ["--repair"]);
+    assert.match(out, /Crests repaired: +1/);
+
+    const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    assert.deepEqual(cache.events.map(e => [e.crest, e.ft]), [
+      ["2026-04-25T08:24:00.000Z", 2.45],
+      ["2026-04-25T21:06:00.000Z", 2.17]
+    ]);
+    assert.equal(cache.events[0].anomaly_ft, 0.859);
+    assert.equal(cache.lastProcessedISO, "2026-04-26T00:48:00.000Z");
+
+    assert.equal(cache.skipped.length, 1);
+    assert.equal(cache.skipped[0].crest, "2026-03-01T10:00:00.000Z");
+    assert.equal(cache.skipped[0].attempts, 2);
+    assert.ok(cache.skipped[0].last_attempt);
+
+    const march = cache.coverage.months.find(m => m.month === "2026-03");
+    assert.deepEqual([march.highs, march.skipped, march.coverage], [0, 1, 0]);
+    assert.equal(fs.existsSync(path.join(dataDir, "episodes_navd88.json")), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("peaks updater also writes flood episodes from the same IV series", () => {
+  // The recording never reaches the real minor stage, so lower the stages to get two floods
+  const { dir, dataDir, regPath } = makeSandbox({ thresholdsNAVD88: { minorLow: 2.0, moderateLow: 2.3, majorLow: 3.0 } });
+  try {
+    fs.writeFileSync(path.join(dataDir, "peaks_navd88.json"), JSON.stringify({
+      method: "crest_anchored_highs_v1",
+      lastProcessedISO: "2026-04-25T00:00:00.000Z",
+      events: []
+    }));
+
+    runTool("update_peaks_navd88.js", regPath);
+
+    const epPath = path.join(dataDir, "episodes_navd88.json");
+    const cache = JSON.parse(fs.readFileSync(epPath, "utf8"));
+    assert.equal(cache.method, "iv_episodes_v1");
+    assert.equal(cache.episodes.length, 2);
+
+    const [am, pm] = cache.episodes;
+    assert.equal(am.peak_ft, 2.45);
+    assert.equal(am.type, "Moderate");
+    assert.ok(am.start < am.peak_t && am.peak_t < am.end);
+    assert.ok(am.minutes_above.minor > am.minutes_above.moderate && am.minutes_above.moderate > 0);
+    assert.equal(am.minutes_above.major, 0);
+    assert.ok(am.area_ft_hours > 0);
+    assert.equal(pm.peak_ft, 2.17);
+    assert.equal(pm.type, "Minor");
+
+    // Re-running re-measures the same floods instead of adding copies
+    runTool("update_peaks_navd88.js", regPath);
+    assert.deepEqual(JSON.parse(fs.readFileSync(epPath, "utf8")).episodes, cache.episodes);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("station config build reads the CO-OPS datum table and the updaters pick it up", () => {
+  const { dir, dataDir, regPath } = makeSandbox({ localDatum: { name: "Ocean Ave grade", navd88Ft: 5 } });
+  try {
+    runTool("build_station_config.js", regPath);
+
+    const cfg = JSON.parse(fs.readFileSync(path.join(dataDir, "station_config.json"), "utf8"));
+    assert.equal(cfg.source.coops_station, "8531804");
+    assert.equal(cfg.epoch, "1983-2001");
+    assert.equal(cfg.offsetsFromMllw.NAVD88, -2.1);
+    assert.equal(cfg.offsetsFromMllw.LOCAL, -7.1);
+    assert.deepEqual(cfg.thresholdsNAVD88, { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 });
+    assert.equal(cfg.thresholdsSource, "floodStages MLLW via CO-OPS offsets");
+
+    const out = execFileSync(process.execPath, ["-e",
+      "const { selectStations } = require('./tools/lib/stations');" +
+      "process.stdout.write(JSON.stringify(selectStations()[0].offsetsFromMllw))"
+    ], { cwd: REPO_ROOT, env: { ...process.env, TIDE_STATIONS: regPath }, encoding: "utf8", timeout: 60000 });
+    assert.equal(JSON.parse(out).MHW, -3.68);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("daily stats updater caches DV rows and per-year DOY counts", () => {
+  // The DV fixture is synthetic: Jan–Mar 2024 only, all of 2025, Jan–Apr 2026, with a few storm days
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    runTool("update_daily_stats.js", regPath);
+
+    const p = path.join(dataDir, "daily_stats_navd88.json");
+    const cache = JSON.parse(fs.readFileSync(p, "utf8"));
+    assert.equal(cache.method, "dv_doy_v1");
+    assert.equal(cache.lastDate, "2026-04-30");
+    assert.equal(cache.rows.length, 91 + 365 + 120);
+    assert.deepEqual(cache.years.map(y => [y.year, y.sparse]), [[2024, true], [2025, false], [2026, false]]);
+
+    const y2025 = cache.years.find(y => y.year === 2025);
+    // 4.3 ft on Jan 12 and 5.4 ft on Oct 3 (daily high + low-high 0.45 ft lower)
+    assert.equal(y2025.cum.major[364], 1);
+    assert.equal(y2025.cum.moderate[364], 3);
+    assert.ok(y2025.cum.minor[364] >= y2025.cum.moderate[364]);
+
+    // Incremental rerun merges by date instead of appending
+    runTool("update_daily_stats.js", regPath);
+    assert.equal(JSON.parse(fs.readFileSync(p, "utf8")).rows.length, cache.rows.length);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("public API files are built from the peaks cache the updater wrote", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    runTool("update_peaks_navd88.js", regPath);
+    runTool("build_public_api.js", regPath, [], { PUBLIC_BASE_URL: "https://example.org/tides/" });
+
+    const api = path.join(dataDir, "api", "v1");
+    const current = JSON.parse(fs.readFileSync(path.join(api, "current.json"), "utf8"));
+    const latest = JSON.parse(fs.readFileSync(path.join(dataDir, "peaks_navd88.json"), "utf8")).latest;
+    assert.equal(current.observed.t, latest.t);
+    assert.equal(current.observed.levels_ft.MLLW, Math.round((latest.ft + 2.1) * 1000) / 1000);
+    assert.equal(current.observed.stage, "Below");
+    assert.equal(current.last_high_crest.crest_utc, "2026-04-25T21:06:00.000Z");
+
+    const gj = JSON.parse(fs.readFileSync(path.join(api, "gauge.geojson"), "utf8"));
+    assert.equal(gj.features[0].properties.stage, current.observed.stage);
+
+    // One CSV per registry datum, every event in each
+    for (const d of ["navd88", "mllw", "msl", "mhhw"]) {
+      assert.equal(fs.readFileSync(path.join(api, `peaks_${d}.csv`), "utf8").trim().split("\n").length, 5);
+    }
+    assert.match(fs.readFileSync(path.join(api, "peaks_mllw.csv"), "utf8"), /^2026-04-25T08:24:00\.000Z,[^,]+,CrestHigh,MLLW,4\.55,Below,/m);
+
+    // No flood crests in the recording: a valid, empty feed
+    const feed = fs.readFileSync(path.join(api, "floods.atom"), "utf8");
+    assert.match(feed, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+    assert.doesNotMatch(feed, /<entry>/);
+
+    // A CSV datum the station has no offset for fails the build instead of guessing
+    assert.throws(
+      () => runTool("build_public_api.js", regPath, ["--datum=MLLW,STND"]),
+      e => /No offsetsFromMllw for STND on sea-bright/.test(String(e.stderr))
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("notifier announces forecast and observed floods once per event and per subscriber", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    runTool("update_petss_forecast.js", regPath);
+    // A fresh observed crest at 3.3 ft NAVD88 (5.4 ft MLLW, minor)
+    fs.writeFileSync(path.join(dataDir, "peaks_navd88.json"), JSON.stringify({
+      events: [{ t: "2026-04-28T22:10:00.000Z", ft: 3.3, type: "Minor", crest: "2026-04-28T22:00:00.000Z", kind: "CrestHigh" }]
+    }));
+
+    const outbox = path.join(dir, "outbox.ndjson");
+    const env = {
+      NOTIFY_TRANSPORT: `outbox:${outbox}`,
+      NOTIFY_SUBSCRIBERS: JSON.stringify({ subscribers: [
+        // The recorded cycle's mean stays under minor; only the 90th percentile reaches it
+        { id: "cautious", threshold: "minor", datum: "MLLW", possible: true, channels: [{ type: "ntfy", topic: "sb" }] },
+        { id: "forecast-only", threshold: 5.0, datum: "MLLW", sources: ["forecast"],
+          channels: [{ type: "webhook", url: "https://example.org/hook" }, { type: "email", to: "x@example.org" }] }
+      ] })
+    };
+    const args = ["--now=2026-04-29T00:00:00Z"];
+
+    runTool("notify_floods.js", regPath, args, env);
+    const sent = fs.readFileSync(outbox, "utf8").trim().split("\n").map(l => JSON.parse(l));
+    const summary = sent.map(m => [m.data.subscriber, m.channel.type, m.data.kind, m.data.possible, m.data.peak_t || m.data.t]);
+    assert.deepEqual(summary, [
+      ["cautious", "ntfy", "forecast", true, "2026-04-30T01:00:00.000Z"],
+      ["cautious", "ntfy", "forecast", true, "2026-05-01T01:00:00.000Z"],
+      ["cautious", "ntfy", "observed", false, "2026-04-28T22:10:00.000Z"],
+      ["forecast-only", "webhook", "forecast", false, "2026-04-30T01:00:00.000Z"],
+      ["forecast-only", "email", "forecast", false, "2026-04-30T01:00:00.000Z"],
+      ["forecast-only", "webhook", "forecast", false, "2026-05-01T01:00:00.000Z"],
+      ["forecast-only", "email", "forecast", false, "2026-05-01T01:00:00.000Z"]
+    ]);
+    assert.equal(sent[0].title, "Sea Bright, NJ: Minor flooding possible");
+
+    const state = JSON.parse(fs.readFileSync(path.join(dataDir, "notify_state.json"), "utf8"));
+    assert.deepEqual(Object.keys(state.subscribers), ["cautious", "forecast-only"]);
+    assert.ok(!JSON.stringify(state).includes("example.org"));
+
+    // Same data an hour later: nothing new
+    runTool("notify_floods.js", regPath, ["--now=2026-04-29T01:00:00Z"], env);
+    assert.equal(fs.readFileSync(outbox, "utf8").trim().split("\n").length, sent.length);
+
+    // --dry-run prints and leaves the state alone
+    fs.rmSync(path.join(dataDir, "notify_state.json"));
+    const out = runTool("notify_floods.js", regPath, [...args, "--dry-run"], env);
+    assert.match(out, /\[dry run\] cautious -> ntfy sb/);
+    assert.equal(fs.existsSync(path.join(dataDir, "notify_state.json")), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// A valid v1 cache with one crest the fixtures don't cover, as another run would have written it
+function foreignCache(crest, ft) {
+  return {
+    schema_version: 1,
+    station: "sea-bright",
+    site: "01407600",
+    parameterCd: "72279",
+    datum: "NAVD88",
+    peakMinSepMinutes: 300,
+    method: "crest_anchored_highs_v1",
+    lastProcessedISO: "2026-03-02T00:00:00.000Z",
+    thresholdsNAVD88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 },
+    events: [{ t: crest, ft, type: "Minor", crest, kind: "CrestHigh" }],
+    skipped: [],
+    coverage: null,
+    latest: null
+  };
+}
+
+test("peaks updater waits for the station lock and merges what another run wrote meanwhile", async () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  const lock = await acquireLock(dataDir, { owner: "backfill" });
+  try {
+    const child = spawn(process.execPath, [path.join(REPO_ROOT, "tools", "update_peaks_navd88.js")], {
+      cwd: REPO_ROOT,
+      env: { ...process.env, TIDE_SOURCE: `fixtures:${FIXTURES}`, TIDE_STATIONS: regPath }
+    });
+    let out = "";
+    const exited = new Promise(resolve => child.on("exit", resolve));
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.stdout.on("data", d => { out += d; });
+    child.stderr.on("data", d => { out += d; });
+
+    // Once it is waiting, "the other run" writes its cache and lets go
+    while (!/Waiting for .*\.lock, held by backfill/.test(out)) {
+      assert.equal(child.exitCode, null, out);
+      await new Promise(r => setTimeout(r, 50));
+    }
+    fs.writeFileSync(path.join(dataDir, "peaks_navd88.json"), JSON.stringify(foreignCache("2026-03-01T08:00:00.000Z", 3.5)));
+    lock.release();
+
+    const code = await exited;
+    clearTimeout(timer);
+    assert.equal(code, 0, out);
+    assert.match(out, /peaks_navd88\.json changed on disk since this run read it/);
+
+    const cache = JSON.parse(fs.readFileSync(path.join(dataDir, "peaks_navd88.json"), "utf8"));
+    assert.deepEqual(cache.events.map(e => e.crest), [
+      "2026-03-01T08:00:00.000Z",
+      "2026-04-25T02:06:00.000Z",
+      "2026-04-25T08:24:00.000Z",
+      "2026-04-25T14:54:00.000Z",
+      "2026-04-25T21:06:00.000Z"
+    ]);
+    assert.equal(cache.lastProcessedISO, "2026-04-26T00:48:00.000Z");
+    // Lock released, no temp files left
+    assert.deepEqual(fs.readdirSync(dataDir).filter(f => f.startsWith(".")), []);
+  } finally {
+    lock.release();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("git merge driver reconciles two branches' peaks caches by crest", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tide-merge-"));
+  const git = (...args) => execFileSync("git", args, {
+    cwd: dir,
+    encoding: "utf8",
+    env: { ...process.env, GIT_AUTHOR_NAME: "t", GIT_AUTHOR_EMAIL: "t@t", GIT_COMMITTER_NAME: "t", GIT_COMMITTER_EMAIL: "t@t" }
+  });
+  try {
+    const rel = "data/sea-bright/peaks_navd88.json";
+    const file = path.join(dir, rel);
+    const write = doc => fs.writeFileSync(file, JSON.stringify(doc, null, 2) + "\n");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.copyFileSync(path.join(REPO_ROOT, ".gitattributes"), path.join(dir, ".gitattributes"));
+
+    git("init", "-q", "-b", "main");
+    git("config", "merge.peaks-cache.driver", `"${process.execPath}" "${path.join(REPO_ROOT, "tools", "merge_peaks_cache.js")}" %O %A %B %P`);
+    const base = foreignCache("2026-03-01T08:00:00.000Z", 3.5);
+    write(base);
+    git("add", "-A");
+    git("commit", "-qm", "base");
+
+    git("checkout", "-qb", "backfill");
+    write({ ...base, events: [{ ...base.events[0], crest: "2026-02-01T08:00:00.000Z", t: "2026-02-01T08:00:00.000Z" }, ...base.events] });
+    git("commit", "-qam", "backfill");
+
+    git("checkout", "-q", "main");
+    write({ ...base, lastProcessedISO: "2026-03-05T00:00:00.000Z", events: [...base.events, { ...base.events[0], crest: "2026-03-04T08:00:00.000Z", t: "2026-03-04T08:00:00.000Z" }] });
+    git("commit", "-qam", "scheduled");
+
+    assert.match(git("merge", "--no-edit", "backfill"), /Merged data\/sea-bright\/peaks_navd88\.json: 2 \+ 2 events -> 3/);
+    const merged = JSON.parse(fs.readFileSync(file, "utf8"));
+    assert.deepEqual(merged.events.map(e => e.crest), ["2026-02-01T08:00:00.000Z", "2026-03-01T08:00:00.000Z", "2026-03-04T08:00:00.000Z"]);
+    assert.equal(merged.lastProcessedISO, "2026-03-05T00:00:00.000Z");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("storm archive replays a catalog storm from fixtures and links the cached crests", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    const catalogPath = path.join(dir, "storms.json");
+    fs.writeFileSync(catalogPath, JSON.stringify({
+      storms: [
+        { id: "april-2026", name: "April 2026 blow", kind: "noreaster", start: "2026-04-25T00:00:00Z", end: "2026-04-26T01:00:00Z" },
+        { id: "sandy-2012", name: "Hurricane Sandy", kind: "tropical", start: "2012-10-28T00:00:00Z", end: "2012-11-01T00:00:00Z" }
+      ]
+    }));
+    runTool("update_peaks_navd88.js", regPath);
+
+    const out = runTool("build_storm_archive.js", regPath, [`--catalog=${catalogPath}`]);
+    assert.match(out, /april-2026: archived 101 points, peak 2\.45 ft NAVD88, 2 linked crest\(s\)/);
+    assert.match(out, /sandy-2012: no USGS observations/);
+
+    const replay = JSON.parse(fs.readFileSync(path.join(dataDir, "storms", "april-2026.json"), "utf8"));
+    assert.equal(replay.datum, "NAVD88");
+    assert.equal(replay.points[0].t, "2026-04-25T00:00:00.000Z");
+    // Prediction is the CO-OPS hourly MLLW value plus the registry NAVD88 offset
+    assert.deepEqual(replay.points[0], { t: "2026-04-25T00:00:00.000Z", obs: 0.11, pred: -0.765, resid: 0.875 });
+    assert.equal(replay.summary.peak.ft, 2.45);
+
+    const index = JSON.parse(fs.readFileSync(path.join(dataDir, "storms", "index.json"), "utf8"));
+    assert.deepEqual(index.storms.map(s => [s.id, s.status, s.file]), [
+      ["april-2026", "archived", "storms/april-2026.json"],
+      ["sandy-2012", "no_observations", null]
+    ]);
+    assert.deepEqual(index.storms[0].crests.map(c => c.crest), ["2026-04-25T08:24:00.000Z", "2026-04-25T21:06:00.000Z"]);
+
+    // A second run reuses the archive and doesn't retry the empty storm
+    const again = runTool("build_storm_archive.js", regPath, [`--catalog=${catalogPath}`]);
+    assert.match(again, /2 storm\(s\), 0 fetched, 0 failed/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dataDir, "storms", "april-2026.json"), "utf8")).generated_utc, replay.generated_utc);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("king-tide calendar flags fixture high tides by the recent anomaly and writes a subscribable .ics", () => {
+  // Lowered thresholds so the fixture's 3.69 ft MLLW morning high is a king tide
+  const { dir, dataDir, regPath } = makeSandbox({ thresholdsNAVD88: { minorLow: 2.0, moderateLow: 3.0, majorLow: 4.0 } });
+  try {
+    const events = Array.from({ length: 20 }, (_, i) => {
+      const t = new Date(Date.UTC(2026, 3, 1, 8 + 12 * i)).toISOString();
+      return { t, ft: 2, type: "Below", crest: t, kind: "CrestHigh", pred_ft: 1.5, anomaly_ft: Math.round(i * 5) / 100 };
+    });
+    fs.writeFileSync(path.join(dataDir, "peaks_navd88.json"), JSON.stringify({ lastProcessedISO: "2026-04-24T00:00:00.000Z", events }));
+
+    const out = runTool("build_tide_calendar.js", regPath, ["--now=2026-04-25T00:00:00Z", "--days=2"]);
+    assert.match(out, /1 likely, 0 possible day\(s\) in 2 high tides \(anomaly \+0\.47 ft\)/);
+
+    const cal = JSON.parse(fs.readFileSync(path.join(dataDir, "tide_calendar.json"), "utf8"));
+    assert.equal(cal.anomaly.n, 20);
+    assert.equal(cal.anomaly.values, undefined);
+    assert.deepEqual(cal.summary, { likely_days: 1, possible_days: 0, next_likely: "2026-04-25" });
+    // Hilo MLLW + registry NAVD88 offset (−2.1), then + the median anomaly
+    assert.deepEqual(cal.days[0].crests.map(c => [c.t, c.pred_ft, c.chance]), [
+      ["2026-04-25T08:24:00.000Z", 1.591, 0.55],
+      ["2026-04-25T21:06:00.000Z", 1.282, 0.25]
+    ]);
+
+    const ics = fs.readFileSync(path.join(dataDir, "tide_calendar.ics"), "utf8");
+    assert.equal((ics.match(/BEGIN:VEVENT/g) || []).length, 2);
+    assert.match(ics, /UID:sea-bright-20260425T082400Z@tide-calendar/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("surge residual puts fixture gauge readings and hourly predictions on NAVD88 and builds the climatology", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    const out = runTool("build_surge_residual.js", regPath, ["--now=2026-04-26T01:00:00Z"]);
+    assert.match(out, /2026: 26 hourly residual\(s\)/);
+
+    const year = JSON.parse(fs.readFileSync(path.join(dataDir, "surge", "2026.json"), "utf8"));
+    assert.equal(year.datum, "NAVD88");
+    assert.equal(year.navd88_from_mllw_ft, -2.1);
+    assert.equal(year.resid.length, 365 * 24);
+    assert.equal(year.n_values, 26);
+    assert.equal(year.through, "2026-04-26T01:00:00.000Z");
+    const at = iso => year.resid[(Date.parse(iso) - Date.parse(year.start)) / 3600000];
+    assert.equal(at("2026-04-25T00:00:00Z"), 0.875);
+    assert.equal(at("2026-04-24T23:00:00Z"), null);
+
+    const clim = JSON.parse(fs.readFileSync(path.join(dataDir, "surge_climatology.json"), "utf8"));
+    assert.equal(clim.n_values, 26);
+    assert.deepEqual(clim.months[3], { month: 4, n: 26 }); // too few hours for percentiles yet
+    assert.equal(clim.latest.t, "2026-04-26T01:00:00.000Z");
+
+    // The next run starts a day before what's cached and keeps the rest
+    const again = runTool("build_surge_residual.js", regPath, ["--now=2026-04-26T03:00:00Z"]);
+    assert.match(again, /in 2026-04-25T01:00:00\.000Z – 2026-04-26T03:00:00\.000Z, 26 in the year/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dataDir, "surge", "2026.json"), "utf8")).resid[(Date.parse("2026-04-25T00:00:00Z") - Date.parse(year.start)) / 3600000], 0.875);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("situation report uses the fresh blend, reads the gauge and writes the latest and a dated copy", () => {
+  const { dir, dataDir, regPath } = makeSandbox();
+  try {
+    runTool("update_petss_forecast.js", regPath);
+    runTool("blend_forecast.js", regPath, ["--now=2026-04-26T01:00:00Z"]);
+    const outDir = path.join(dir, "out");
+    const out = runTool("build_sitrep.js", regPath, ["--now=2026-04-26T01:00:00Z", `--out=${outDir}`, "--pdf"], { CHROME_BIN: path.join(dir, "no-chrome") });
+    assert.match(out, /Wrote .*sitrep\.html: \d+ flood window\(s\), peak [\d.]+ ft MLLW/);
+    assert.match(out, /PDF failed/);   // a missing browser costs the PDF, not the report
+
+    const html = fs.readFileSync(path.join(dataDir, "sitrep.html"), "utf8");
+    assert.equal(fs.readFileSync(path.join(outDir, "sea-bright-sitrep-20260426-0100Z.html"), "utf8"), html);
+    assert.match(html, /Bias-corrected blend of NOAA forecasts \(PETSS 52% · NWPS 27% · CO-OPS astronomical 21%\)/);
+    assert.match(html, /PETSS cycle petss\.\d{8} t\d\dz/);
+    assert.match(html, /Gauge reading Sat, Apr 25/);
+
+    assert.throws(
+      () => runTool("build_sitrep.js", regPath, ["--pdf"]),
+      e => /--pdf needs --out/.test(String(e.stderr))
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("waves and wind: gridpoint wind, nearest buoy, runup on the hourly grid; either source can be missing", () => {
+  const { dir, dataDir, regPath } = makeSandbox({ overtopping: { name: "Seawall crest", elevation: 9, datum: "NAVD88" } });
+  try {
+    const out = runTool("update_waves_wind.js", regPath, ["--now=2026-04-26T01:00:00Z"]);
+    assert.match(out, /97 hours, \d+ with runup .* buoy 44065/);
+
+    const w = JSON.parse(fs.readFileSync(path.join(dataDir, "waves_wind.json"), "utf8"));
+    assert.equal(w.method, "stockdon2006_v1");
+    assert.deepEqual(w.overtopping, { name: "Seawall crest", elevation: 9, datum: "NAVD88", navd88_ft: 9 });
+    assert.equal(w.wind.office, "OKX");
+    assert.equal(w.buoy.latest.t, "2026-04-26T00:40:00.000Z");
+    assert.equal(w.hours[0].t, "2026-04-25T01:00:00.000Z");
+    const at = t => w.hours.find(h => h.t === t);
+    assert.equal(at("2026-04-26T00:00:00.000Z").wave_source, "buoy");
+    assert.equal(at("2026-04-26T01:00:00.000Z").wave_source, "buoy_held");
+    assert.equal(at("2026-04-26T03:00:00.000Z").wave_source, "gridpoint");
+    assert.ok(at("2026-04-26T03:00:00.000Z").onshore_mph > 0);
+
+    // No recorded gridpoint at this point: waves and runup from the buoy alone
+    const other = makeSandbox({ waves: { gridPoint: { lat: 40.5, lon: -73.9 } } });
+    try {
+      assert.match(runTool("update_waves_wind.js", other.regPath, ["--now=2026-04-26T01:00:00Z"]), /NWS gridpoint unavailable/);
+      const b = JSON.parse(fs.readFileSync(path.join(other.dataDir, "waves_wind.json"), "utf8"));
+      assert.match(b.wind.error, /HTTP 404/);
+      // 24 buoy hours, then the last reading held for 6
+      assert.equal(b.hours.filter(h => h.runup_ft != null).length, 30);
+      assert.ok(b.hours.every(h => h.wind_mph == null));
+    } finally {
+      fs.rmSync(other.dir, { recursive: true, force: true });
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
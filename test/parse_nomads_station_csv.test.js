@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const os = require("os");
+
+const { parseNomadsStationCsv, assessStationFile } = require("../tools/update_petss_forecast");
+
+const HEADER = "        TIME,    TIDE,      OB,   SURGE,    BIAS,     TWL,SURGE90p,  TWL90p,SURGE10p,   TWL10p";
+
+test("reads TWL, tide, surge and the spread/obs/bias columns by header name", () => {
+  const rows = parseNomadsStationCsv([
+    HEADER,
+    "202604250000,   1.335,   2.210,   0.700,   0.175,   2.210,   0.700,   2.210,   0.800,   2.310"
+  ].join("\n"), "8531804");
+
+  assert.deepEqual(rows, [{
+    t: "2026-04-25T00:00:00.000Z",
+    twl: 2.21,
+    tide: 1.335,
+    surge: 0.7,
+    src_time: "202604250000",
+    ob: 2.21,
+    bias: 0.175,
+    surge90p: 0.7,
+    twl90p: 2.21,
+    surge10p: 0.8,
+    twl10p: 2.31
+  }]);
+});
+
+test("drops 6-minute rows where TWL and SURGE are 9999 and keeps 9999 spread as null", () => {
+  const rows = parseNomadsStationCsv([
+    HEADER,
+    "202604250000,   1.335,   2.210,   0.700,   0.175,   2.210,9999.000,9999.000,9999.000,9999.000",
+    "202604250006,   1.276,9999.000,9999.000,9999.000,9999.000,9999.000,9999.000,9999.000,9999.000",
+    "202604250012,   1.216,   2.099,9999.000,9999.000,9999.000,9999.000,9999.000,9999.000,9999.000"
+  ].join("\n"), "8531804");
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].twl10p, null);
+  assert.equal(rows[0].twl90p, null);
+});
+
+test("falls back to TIDE + SURGE when TWL is missing", () => {
+  const rows = parseNomadsStationCsv([
+    HEADER,
+    "202604300100,   2.000,9999.000,   0.500,9999.000,9999.000,9999.000,9999.000,9999.000,9999.000"
+  ].join("\n"), "8531804");
+
+  assert.equal(rows[0].twl, 2.5);
+});
+
+test("finds the header below preamble lines and sorts rows by time", () => {
+  const rows = parseNomadsStationCsv([
+    "PETSS station 8531804 SANDY HOOK",
+    "",
+    "TIME,TWL",
+    "202604250200,1.5",
+    "garbage line",
+    "202604250100,1.25"
+  ].join("\n"), "8531804");
+
+  assert.deepEqual(rows.map(r => r.t), ["2026-04-25T01:00:00.000Z", "2026-04-25T02:00:00.000Z"]);
+  assert.equal(rows[0].tide, null);
+  assert.equal(rows[0].ob, null);
+});
+
+test("throws on a missing header or a file with no usable rows", () => {
+  assert.throws(() => parseNomadsStationCsv("202604250000,1.0\n", "X"), /Could not find NOMADS header/);
+  assert.throws(
+    () => parseNomadsStationCsv(`${HEADER}\n202604250000,1,9999,9999,9999,9999,9999,9999,9999,9999\n`, "X"),
+    /Parsed 0 usable rows/
+  );
+});
+
+test("the recorded fixture station file parses and passes the usability checks", () => {
+  const tgz = path.join(__dirname, "fixtures/sources/nomads.ncep.noaa.gov/pub/data/nccf/com/petss/prod/petss.20260430/petss.t00z.csv.tar.gz");
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "petss-test-"));
+  try {
+    execSync(`tar -xzf "${tgz}" -C "${tmp}"`);
+    const text = fs.readFileSync(path.join(tmp, "8531804.csv"), "utf8");
+
+    const rows = parseNomadsStationCsv(text, "8531804");
+    assert.equal(rows.length, 223);
+    assert.ok(rows.every(r => Number.isFinite(r.twl)));
+
+    const verdict = assessStationFile(text, "8531804", "2026-04-30T00:00:00.000Z");
+    assert.equal(verdict.ok, true);
+
+    // Same file judged against a later issue time has too few forecast hours left
+    const late = assessStationFile(text, "8531804", "2026-05-02T00:00:00.000Z");
+    assert.equal(late.ok, false);
+    assert.match(late.reason, /forecast hours/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
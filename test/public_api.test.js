@@ -0,0 +1,115 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  stationDatums,
+  buildCurrent,
+  buildGaugeGeoJSON,
+  buildPeaksCSV,
+  buildFloodFeed,
+  crestEntryId
+} = require("../tools/build_public_api");
+const { newestReading } = require("../tools/update_peaks_navd88");
+
+const STATION = {
+  id: "sea-bright",
+  name: "Sea Bright, NJ",
+  dataDir: "data/sea-bright",
+  lat: 40.365556,
+  lon: -73.974722,
+  usgsSite: "01407600",
+  usgsParam: "72279",
+  coopsStation: "8531804",
+  offsetsFromMllw: { MLLW: 0, NAVD88: -2.1, MSL: -1.87, MHHW: -3.88 },
+  thresholdsNAVD88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 }
+};
+
+const EVENTS = [
+  { t: "2026-04-24T08:30:00.000Z", ft: 4.25, type: "Moderate", crest: "2026-04-24T08:24:00.000Z", kind: "CrestHigh", pred_ft: 2.0, anomaly_ft: 2.25 },
+  { t: "2026-04-24T14:50:00.000Z", ft: -0.8, type: "Below", crest: "2026-04-24T14:54:00.000Z", kind: "CrestLow" },
+  // Stored as "Below" under older thresholds: the export re-derives the stage
+  { t: "2026-04-24T21:00:00.000Z", ft: 3.2, type: "Below", crest: "2026-04-24T21:06:00.000Z", kind: "CrestHigh" },
+  { t: "2026-04-25T09:10:00.000Z", ft: 6.9, type: "Major", crest: "2026-04-25T09:00:00.000Z", kind: "CrestHigh", qc: ["spike"], suspect: true },
+  { t: "2026-04-25T21:30:00.000Z", ft: 2.4, type: "Below", crest: "2026-04-25T21:30:00.000Z", kind: "CrestHigh" }
+];
+
+test("current.json carries the latest level in every datum, its stage and the thresholds", () => {
+  const cache = { lastProcessedISO: "2026-04-26T00:00:00.000Z", latest: { t: "2026-04-25T23:45:00.000Z", ft: 3.35 }, events: EVENTS };
+  const cur = buildCurrent(STATION, cache, { nowISO: "2026-04-26T00:05:00.000Z", baseUrl: "https://example.org/tides/" });
+
+  assert.equal(cur.api_version, 1);
+  assert.deepEqual(stationDatums(STATION), ["NAVD88", "MLLW", "MSL", "MHHW"]);
+  assert.deepEqual(cur.observed, {
+    t: "2026-04-25T23:45:00.000Z",
+    datum: "NAVD88",
+    level_ft: 3.35,
+    stage: "Minor",
+    levels_ft: { NAVD88: 3.35, MLLW: 5.45, MSL: 3.58, MHHW: 1.57 }
+  });
+  assert.equal(cur.last_high_crest.crest_utc, "2026-04-25T21:30:00.000Z");
+  assert.equal(cur.last_high_crest.stage, "Below");
+  assert.deepEqual(cur.thresholds_ft.MLLW, { minor: 5.2, moderate: 6.2, major: 7.2 });
+  assert.equal(cur.links.dashboard, "https://example.org/tides/?station=sea-bright");
+  assert.equal(cur.links.feed, "https://example.org/tides/data/sea-bright/api/v1/floods.atom");
+
+  // No reading recorded yet: observed is null, nothing throws
+  assert.equal(buildCurrent(STATION, { events: [] }).observed, null);
+});
+
+test("gauge GeoJSON is one Point feature at the gauge with the current stage", () => {
+  const cur = buildCurrent(STATION, { latest: { t: "2026-04-25T23:45:00.000Z", ft: 4.3 }, events: [] });
+  const gj = buildGaugeGeoJSON(cur);
+  assert.equal(gj.type, "FeatureCollection");
+  assert.equal(gj.features.length, 1);
+  const f = gj.features[0];
+  assert.deepEqual(f.geometry, { type: "Point", coordinates: [-73.974722, 40.365556] });
+  assert.equal(f.properties.stage, "Moderate");
+  assert.equal(f.properties.level_ft, 4.3);
+  assert.equal(f.properties.levels_ft.MLLW, 6.4);
+
+  const noCoords = buildGaugeGeoJSON(buildCurrent({ ...STATION, lat: undefined }, { events: [] }));
+  assert.equal(noCoords.features[0].geometry, null);
+});
+
+test("peaks CSV converts every level to the requested datum", () => {
+  const lines = buildPeaksCSV(STATION, EVENTS, "MLLW").trim().split("\n");
+  assert.equal(lines[0], "crest_utc,t_utc,kind,datum,ft,stage,pred_ft,anomaly_ft,range_ft,pred_range_ft,suspect,qc");
+  assert.equal(lines.length, EVENTS.length + 1);
+  assert.equal(lines[1], "2026-04-24T08:24:00.000Z,2026-04-24T08:30:00.000Z,CrestHigh,MLLW,6.35,Moderate,4.1,2.25,,,false,");
+  assert.equal(lines[2], "2026-04-24T14:54:00.000Z,2026-04-24T14:50:00.000Z,CrestLow,MLLW,1.3,,,,,,false,");
+  assert.match(lines[3], /,MLLW,5\.3,Minor,/);
+  assert.match(lines[4], /,true,spike$/);
+
+  assert.match(buildPeaksCSV(STATION, EVENTS, "MHHW").split("\n")[1], /,MHHW,2\.47,Moderate,/);
+});
+
+test("Atom feed lists Minor+ high crests newest first, without suspect ones, with stable ids", () => {
+  const xml = buildFloodFeed(STATION, { events: EVENTS }, { baseUrl: "https://example.org/tides/" });
+
+  const titles = [...xml.matchAll(/<entry>[\s\S]*?<title>([^<]*)<\/title>/g)].map(m => m[1]);
+  assert.deepEqual(titles, ["Sea Bright, NJ: Minor flooding, 5.30 ft MLLW", "Sea Bright, NJ: Moderate flooding, 6.35 ft MLLW"]);
+  assert.match(xml, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+  assert.match(xml, /<updated>2026-04-24T21:00:00\.000Z<\/updated>\n  <author>/);
+  assert.match(xml, /<link rel="self" type="application\/atom\+xml" href="https:\/\/example\.org\/tides\/data\/sea-bright\/api\/v1\/floods\.atom"\/>/);
+  assert.match(xml, /crested at 6\.35 ft MLLW at Fri, Apr 24, 2026, 4:30 AM EDT: Moderate flooding \(Moderate flood stage 6\.20 ft MLLW\)\. Predicted tide 4\.10 ft MLLW \(observed \+2\.25 ft\)\./);
+  assert.ok(xml.includes(`<id>${crestEntryId("sea-bright", "2026-04-24T08:24:00.000Z")}</id>`));
+  assert.match(crestEntryId("sea-bright", "x"), /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+  // Same data, same bytes (the workflow only commits real changes)
+  assert.equal(buildFloodFeed(STATION, { events: EVENTS }, { baseUrl: "https://example.org/tides/" }), xml);
+  assert.match(buildFloodFeed(STATION, { events: EVENTS }, { datum: "NAVD88" }), /Minor flooding, 3\.20 ft NAVD88/);
+});
+
+test("latest reading: newest point that passed QC, never moving backwards", () => {
+  const checked = [
+    { t: "2026-04-25T23:30:00.000Z", ft: 3.1, qc: [] },
+    { t: "2026-04-25T23:45:00.000Z", ft: 3.2004, qc: [] },
+    { t: "2026-04-26T00:00:00.000Z", ft: 9.9, qc: ["spike"] }
+  ];
+  assert.deepEqual(newestReading(null, checked), { t: "2026-04-25T23:45:00.000Z", ft: 3.2 });
+  const newer = { t: "2026-04-26T06:00:00.000Z", ft: 1.0 };
+  assert.equal(newestReading(newer, checked), newer);
+  assert.equal(newestReading(null, []), null);
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const qc = require("../lib/qc");
+
+// 15-min series from a start time and a list of levels
+function series(levels, { start = "2026-01-01T00:00:00Z", stepMin = 15, qualifiers = ["A"] } = {}) {
+  const t0 = Date.parse(start);
+  return levels.map((ft, i) => ({ t: new Date(t0 + i * stepMin * 60000).toISOString(), ft, qualifiers }));
+}
+
+const flagsOf = pts => pts.map(p => p.qc.join(","));
+
+test("a one-reading spike is flagged, not dropped, and the reading after it stays clean", () => {
+  const out = qc.checkSeries(series([2.0, 2.1, 2.2, 4.0, 2.3, 2.4]));
+  assert.equal(out.length, 6);
+  assert.deepEqual(flagsOf(out), ["", "", "", "spike,rate", "", ""]);
+  assert.ok(qc.isSuspect(out[3].qc));
+});
+
+test("a steady fast rise is not a spike; a sustained jump trips the rate check once", () => {
+  const rise = qc.checkSeries(series([1.0, 1.5, 2.0, 2.5, 3.0]));   // 2 ft/h
+  assert.deepEqual(flagsOf(rise), ["", "", "", "", ""]);
+
+  const step = qc.checkSeries(series([1.0, 1.0, 2.2, 2.2, 2.3]));   // 1.2 ft in 15 min, then holds
+  assert.deepEqual(flagsOf(step), ["", "", "rate", "", ""]);
+});
+
+test("a flat line of two hours or more is flagged; a short slack is not", () => {
+  const stuck = qc.checkSeries(series([1.0, ...new Array(9).fill(2.5), 2.0]));
+  assert.deepEqual(stuck.map(p => p.qc.includes("flat")), [false, ...new Array(9).fill(true), false]);
+
+  const slack = qc.checkSeries(series([1.0, 2.5, 2.5, 2.5, 2.0]));
+  assert.ok(slack.every(p => !p.qc.includes("flat")));
+});
+
+test("gaps and USGS qualifiers become flags; only some make a point suspect", () => {
+  const pts = [
+    ...series([2.0, 2.1], { qualifiers: ["P"] }),
+    ...series([2.2], { start: "2026-01-01T03:00:00Z", qualifiers: ["P", "e"] }),
+    ...series([2.3], { start: "2026-01-01T03:15:00Z", qualifiers: ["P", "Eqp"] })
+  ];
+  const out = qc.checkSeries(pts);
+  assert.deepEqual(flagsOf(out), ["provisional", "provisional", "provisional,estimated,gap", "provisional,equipment"]);
+  assert.deepEqual(out.map(p => qc.isSuspect(p.qc)), [false, false, false, true]);
+  assert.equal(qc.describeFlags(["equipment", "gap"]), "equipment malfunction, after a data gap");
+});
+
+test("readings far from the astronomical prediction are flagged", () => {
+  // H 4 ft at 00:00, L 0 ft at 06:00: half-cosine puts 03:00 at 2 ft
+  const predicted = [{ t: "2026-01-01T00:00:00Z", ft: 4, type: "H" }, { t: "2026-01-01T06:00:00Z", ft: 0, type: "L" }];
+  assert.equal(qc.interpolatePrediction(predicted, "2026-01-01T03:00:00Z"), 2);
+  assert.ok(Math.abs(qc.interpolatePrediction(predicted, "2026-01-01T01:00:00Z") - 3.732) < 0.001);
+
+  const obs = series([4.0, 13.0], { start: "2026-01-01T02:45:00Z", stepMin: 15 });
+  const out = qc.checkSeries(obs, { predicted, spikeFt: 99, maxRateFtPerHour: 99 });
+  assert.deepEqual(flagsOf(out), ["", "pred_dev"]);
+});
+
+test("crest flags carry the chosen reading's flags and call out a thin window", () => {
+  const window = qc.checkSeries(series([2.0, 2.1, 4.0, 2.2]));
+  const best = window[2];
+  const flags = qc.crestFlags({ best, windowPoints: window, windowMinutes: 240 });
+  assert.deepEqual(flags, ["spike", "rate", "sparse_window"]);
+  assert.equal(qc.summarize(window).suspect, 1);
+});
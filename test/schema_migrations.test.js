@@ -0,0 +1,188 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { validate, schemaVersion, writeValidatedJSON } = require("../tools/lib/schema");
+const { migrate, versionOf } = require("../tools/lib/migrations");
+const { migrateFile } = require("../tools/migrate_data");
+
+const STATION = {
+  id: "sea-bright",
+  thresholdsNAVD88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 }
+};
+
+// A cache as committed before schema_version existed
+const V0_PEAKS = {
+  site: "01407600",
+  parameterCd: "72279",
+  datum: "NAVD88",
+  peakMinSepMinutes: 300,
+  thresholdsNAVD88: STATION.thresholdsNAVD88,
+  method: "crest_anchored_highs_v1",
+  lastProcessedISO: "2026-04-30T13:48:00.000Z",
+  events: [
+    { t: "2000-01-17T23:24:00.000Z", ft: 0.19, type: "Below", crest: "2000-01-17T22:34:00.000Z" },
+    { t: "2026-04-30T13:12:00.000Z", ft: 2.42, type: "Below", crest: "2026-04-30T12:54:00.000Z", kind: "CrestHigh" }
+  ]
+};
+
+const V0_META = {
+  stid: "8531804",
+  datum: "MLLW",
+  run_dir: "petss.20260430",
+  cycle: "t00z",
+  source_url: "https://nomads.ncep.noaa.gov/pub/data/nccf/com/petss/prod/petss.20260430/petss.t00z.csv.tar.gz",
+  updated_utc: "2026-04-30T11:04:46.941Z",
+  n_points: 223,
+  notes: "Ensemble mean plotted as TWL (fallback to TIDE+SURGE when TWL missing)."
+};
+
+test("a pre-versioning peaks cache migrates to the current schema and keeps every event", () => {
+  assert.equal(versionOf(V0_PEAKS), 0);
+  assert.ok(validate("peaks_navd88", V0_PEAKS).length > 0);
+
+  const { doc, from, to, applied } = migrate("peaks_navd88", structuredClone(V0_PEAKS), { station: STATION });
+  assert.deepEqual([from, to, applied.length], [0, schemaVersion("peaks_navd88"), 2]);
+  assert.deepEqual(Object.keys(doc).slice(0, 2), ["schema_version", "station"]);
+  assert.equal(doc.station, "sea-bright");
+  assert.deepEqual(doc.skipped, []);
+  assert.deepEqual(doc.events.map(e => e.kind), ["CrestHigh", "CrestHigh"]);
+  assert.deepEqual(doc.events.map(e => e.ft), [0.19, 2.42]);
+  assert.equal(doc.method, "crest_anchored_highs_lows_v2");
+  assert.deepEqual(doc.migrated_from, { method: "crest_anchored_highs_v1", through: "2026-04-30T13:48:00.000Z" });
+  assert.deepEqual(validate("peaks_navd88", doc), []);
+
+  // Already current: nothing to do
+  assert.deepEqual(migrate("peaks_navd88", doc, { station: STATION }).applied, []);
+
+  // A minimal cache gets datum and thresholds from the registry entry
+  const bare = migrate("peaks_navd88", { method: "crest_anchored_highs_v1", lastProcessedISO: "2026-04-26T00:48:00.000Z", events: [] }, { station: STATION }).doc;
+  assert.deepEqual(validate("peaks_navd88", bare), []);
+});
+
+test("a v1 cache from the highs-only method is carried to the highs-and-lows method and says so", () => {
+  const v1 = migrate("peaks_navd88", structuredClone(V0_PEAKS), { station: STATION }).doc;
+  Object.assign(v1, { schema_version: 1, method: "crest_anchored_highs_v1" });
+  delete v1.migrated_from;
+
+  const { doc, from, applied } = migrate("peaks_navd88", v1, { station: STATION });
+  assert.deepEqual([from, applied.length], [1, 1]);
+  assert.equal(doc.method, "crest_anchored_highs_lows_v2");
+  assert.deepEqual(doc.migrated_from, { method: "crest_anchored_highs_v1", through: V0_PEAKS.lastProcessedISO });
+  assert.deepEqual(doc.events, v1.events);
+  assert.deepEqual(validate("peaks_navd88", doc), []);
+
+  assert.throws(
+    () => migrate("peaks_navd88", { ...v1, method: "crest_anchored_highs_v0" }, { station: STATION }),
+    /no migration from method crest_anchored_highs_v0/
+  );
+});
+
+test("migrations refuse what they can't carry forward instead of wiping it", () => {
+  assert.throws(
+    () => migrate("peaks_navd88", { ...V0_PEAKS, method: "declustered_peaks_v0" }, { station: STATION }),
+    /no migration from method declustered_peaks_v0/
+  );
+  assert.throws(
+    () => migrate("peaks_navd88", { ...V0_PEAKS, schema_version: 99 }, { station: STATION }),
+    /schema_version 99; this code only knows up to 2/
+  );
+});
+
+test("petss_meta gains schema_version and station; forecast rows are checked as written", () => {
+  const { doc } = migrate("petss_meta", { ...V0_META }, { station: STATION });
+  assert.equal(doc.schema_version, 1);
+  assert.equal(doc.station, "sea-bright");
+  assert.deepEqual(validate("petss_meta", doc), []);
+
+  const row = { t: "2026-04-25T00:00:00.000Z", twl: 2.21, tide: 1.335, surge: 0.7, src_time: "202604250000", twl10p: null };
+  assert.deepEqual(validate("petss_forecast", [row]), []);
+  assert.deepEqual(validate("petss_forecast", []), ["/: fewer than 1 items"]);
+  assert.deepEqual(validate("petss_forecast", [{ ...row, twl: "2.21", t: "2026-04-25 00:00" }]), [
+    "/0/t: not an ISO 8601 date-time",
+    "/0/twl: expected number, got string"
+  ]);
+});
+
+test("schema errors name the path; an invalid document is never written", () => {
+  const { doc } = migrate("peaks_navd88", structuredClone(V0_PEAKS), { station: STATION });
+  doc.events[1].ft = null;
+  doc.events[1].kind = "Peak";
+  doc.events[1].extra = 1;
+  assert.deepEqual(validate("peaks_navd88", doc), [
+    "/events/1/ft: expected number, got null",
+    "/events/1/kind: must be one of CrestHigh, CrestLow",
+    "/events/1: unexpected property extra"
+  ]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tide-schema-"));
+  try {
+    const p = path.join(dir, "peaks_navd88.json");
+    assert.throws(() => writeValidatedJSON(p, doc), /peaks_navd88\.json fails schema peaks_navd88 \(v2\):\n  \/events\/1\/ft/);
+    assert.equal(fs.existsSync(p), false);
+    assert.throws(() => writeValidatedJSON(path.join(dir, "other.json"), {}), /No schema registered for other\.json/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("migrate_data upgrades files in place, --check writes nothing, broken files are left alone", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tide-migrate-"));
+  const station = { ...STATION, dataDir: dir };
+  try {
+    const peaksPath = path.join(dir, "peaks_navd88.json");
+    fs.writeFileSync(peaksPath, JSON.stringify(V0_PEAKS));
+    fs.writeFileSync(path.join(dir, "petss_meta.json"), JSON.stringify(V0_META));
+
+    assert.equal(migrateFile(station, "peaks_navd88.json", { check: true }).status, "migrated");
+    assert.equal(versionOf(JSON.parse(fs.readFileSync(peaksPath, "utf8"))), 0);
+
+    assert.deepEqual(migrateFile(station, "peaks_navd88.json").to, 2);
+    assert.equal(JSON.parse(fs.readFileSync(peaksPath, "utf8")).schema_version, 2);
+    assert.equal(migrateFile(station, "peaks_navd88.json").status, "current");
+    assert.equal(migrateFile(station, "petss_meta.json").status, "migrated");
+    assert.equal(migrateFile(station, "petss_forecast.json").status, "missing");
+
+    const bad = JSON.stringify({ ...V0_PEAKS, method: "declustered_peaks_v0" });
+    fs.writeFileSync(peaksPath, bad);
+    const r = migrateFile(station, "peaks_navd88.json");
+    assert.equal(r.status, "error");
+    assert.match(r.errors[0], /declustered_peaks_v0/);
+    assert.equal(fs.readFileSync(peaksPath, "utf8"), bad);
+
+    fs.writeFileSync(path.join(dir, "petss_forecast.json"), JSON.stringify([{ t: "2026-04-25T00:00:00.000Z" }]));
+    assert.equal(migrateFile(station, "petss_forecast.json").status, "invalid");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("migrate_data --check exits 1 while a file still needs migrating, 0 once it's current", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tide-migrate-"));
+  try {
+    const regPath = path.join(dir, "stations.json");
+    fs.writeFileSync(regPath, JSON.stringify({
+      stations: [{ ...STATION, dataDir: dir, usgsSite: "01407600", usgsParam: "72279", coopsStation: "8531804" }]
+    }));
+    fs.writeFileSync(path.join(dir, "petss_meta.json"), JSON.stringify(V0_META));
+    const run = (...args) => spawnSync(process.execPath, [path.join(__dirname, "..", "tools", "migrate_data.js"), ...args], {
+      env: { ...process.env, TIDE_STATIONS: regPath },
+      encoding: "utf8"
+    });
+
+    const check = run("--check");
+    assert.equal(check.status, 1);
+    assert.match(check.stdout, /petss_meta\.json: needs migration v0 -> v1/);
+    assert.match(check.stderr, /1 file\(s\) need migration/);
+
+    assert.equal(run().status, 0);
+    assert.equal(run("--check").status, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,111 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const S = require("../lib/sitrep");
+const { sitrepInputs } = require("../tools/build_sitrep");
+
+const H = 3600 * 1000;
+const T = { minorLow: 5.2, moderateLow: 6.2, majorLow: 7.2 };
+const NOW = Date.UTC(2026, 9, 18, 12);
+const iso = ms => new Date(ms).toISOString();
+
+// Hourly forecast: one high tide reaching 6.5 ft at +10 h, the band alone reaching minor at +34 h
+function forecast() {
+  const out = [];
+  for (let h = -30; h <= 80; h++) {
+    const ft = h >= 9 && h <= 11 ? (h === 10 ? 6.5 : 5.5) : 3;
+    out.push({ t: iso(NOW + h * H), ft, hi: h === 34 ? 5.4 : ft + 0.2, lo: ft - 0.2 });
+  }
+  return out;
+}
+
+test("report: current stage, flood windows in the next 72 h, peak and its rank", () => {
+  const r = S.buildSitrep({
+    station: { id: "sea-bright", name: "Sea Bright, NJ" },
+    nowMs: NOW,
+    datum: "MLLW",
+    thresholds: T,
+    forecast: forecast(),
+    observed: [{ t: iso(NOW - 2 * H), ft: 4.1 }, { t: iso(NOW - 30 * H), ft: 9 }, { t: iso(NOW - H), ft: 5.3 }],
+    topTen: [{ date: "10-29-2012", ft: 11.73 }, { date: "01-24-2017", ft: 7.18 }, { date: "03-13-2010", ft: 6.4 }],
+    crests: [{ t: "2012-10-29T23:00:00Z", ft: 11.73 }, { t: "2024-01-13T12:00:00Z", ft: 6.6 }, { t: "2025-03-01T00:00:00Z", ft: 5.5 }]
+  });
+
+  assert.equal(r.station.timeZone, "America/New_York");
+  // Readings older than 24 h are not "now"
+  assert.deepEqual(r.current, { t: iso(NOW - H), ft: 5.3, stage: "Minor" });
+
+  assert.deepEqual(r.windows.map(w => [w.start, w.end, w.stage, w.possible]), [
+    [iso(NOW + 9 * H), iso(NOW + 11 * H), "Moderate", false],
+    [iso(NOW + 34 * H), iso(NOW + 34 * H), "Minor", true]
+  ]);
+  assert.equal(r.windows[0].hours, 2);
+  assert.deepEqual(r.peak, { t: iso(NOW + 10 * H), ft: 6.5, stage: "Moderate", hiFt: 6.7 });
+
+  assert.equal(r.rank.topTen.rank, 3);
+  assert.equal(r.rank.topTen.above.date, "01-24-2017");
+  assert.deepEqual(r.rank.crests, { atOrAbove: 2, of: 3, since: 2012, last: { t: "2024-01-13T12:00:00.000Z", ft: 6.6 } });
+
+  // The chart keeps 24 h back and 72 h ahead
+  assert.equal(r.chart.forecast[0].t, iso(NOW - 24 * H));
+  assert.equal(r.chart.forecast.at(-1).t, iso(NOW + 72 * H));
+});
+
+test("the page is self-contained: inline style and SVG, no external loads, names escaped", () => {
+  const r = S.buildSitrep({
+    station: { id: "x", name: "Bay <Head>" },
+    nowMs: NOW,
+    datum: "NAVD88",
+    thresholds: T,
+    forecast: forecast(),
+    topTen: [{ date: "10-29-2012", ft: 11.73 }, { date: "03-13-2010", ft: 6.4 }],
+    source: S.describeSource({ meta: { run_dir: "petss.20261018", cycle: "t06z", updated_utc: iso(NOW - 3 * H) } })
+  });
+  const html = S.renderHtml(r);
+
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /<svg [^>]*viewBox/);
+  assert.ok(!/<script|<link|src=|url\(/i.test(html), "nothing loaded from elsewhere");
+  assert.match(html, /Bay &lt;Head&gt;: coastal flood situation report/);
+  assert.match(html, /PETSS cycle petss\.20261018 t06z/);
+  assert.match(html, /No gauge reading in the last 24 hours/);
+  assert.match(html, /#2 of 2/);
+  assert.match(html, /<tr class="fc"><td>▶<\/td>/);
+  assert.equal(S.fileStamp(NOW + 5 * 60000), "20261018-1205Z");
+
+  // The blend names its weights and still reports the PETSS cycle it used
+  const blend = S.describeSource({ blend: { summary: "PETSS 60% · NWPS 40%", generated_utc: iso(NOW), sources: { petss: { run_dir: "petss.20261018", cycle: "t00z" } } } });
+  assert.match(blend.label, /PETSS 60% · NWPS 40%/);
+  assert.equal(blend.cycle, "PETSS cycle petss.20261018 t00z");
+});
+
+test("tool inputs: forecast, readings, history and stages moved into the report datum", () => {
+  const station = {
+    id: "sea-bright",
+    offsetsFromMllw: { MLLW: 0, NAVD88: -2.1 },
+    thresholdsNAVD88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 },
+    topTenMllw: [{ date: "10-29-2012", ft: 11.73 }]
+  };
+  const inp = sitrepInputs({
+    station,
+    datum: "NAVD88",
+    nowMs: NOW,
+    forecastRows: [{ t: iso(NOW), twl: 5, twl10p: 5.5, twl90p: 4.5 }, { t: iso(NOW + H), tide: 2, surge: 1 }],
+    events: [
+      { t: iso(NOW - 48 * H), ft: 3.5 },
+      { t: iso(NOW - 40 * H), ft: -1, kind: "CrestLow" },
+      { t: iso(NOW - 30 * H), ft: 9, suspect: true }
+    ],
+    observedNavd: [{ t: iso(NOW - H), ft: 3.2 }, { t: iso(NOW), ft: 8, qc: ["spike"] }]
+  });
+
+  assert.deepEqual(inp.thresholds, { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 });
+  assert.deepEqual(inp.forecast.map(p => [p.ft, p.hi, p.lo].map(v => v == null ? v : +v.toFixed(2))), [[2.9, 3.4, 2.4], [0.9, null, null]]);
+  assert.deepEqual(inp.observed, [{ t: iso(NOW - H), ft: 3.2 }]);
+  assert.deepEqual(inp.crests, [{ t: iso(NOW - 48 * H), ft: 3.5 }]);
+  assert.equal(+inp.topTen[0].ft.toFixed(2), 9.63);
+
+  assert.throws(() => sitrepInputs({ station, datum: "STND", nowMs: NOW }), /no STND offset/);
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseCoopsDatums, buildStationConfig, resolveThresholds } = require("../tools/build_station_config");
+const { selectStations, STATION_CONFIG_FILE } = require("../tools/lib/stations");
+
+// Synthetic CO-OPS table (metric, MLLW 1 m above STND) built to reproduce the registry offsets
+const DATUMS_JSON = JSON.parse(fs.readFileSync(
+  path.join(__dirname, "fixtures", "sources", "api.tidesandcurrents.noaa.gov", "mdapi", "prod", "webapi", "stations", "8531804", "datums.json"),
+  "utf8"
+));
+
+const STATION = {
+  id: "sea-bright",
+  coopsStation: "8531804",
+  offsetsFromMllw: { MLLW: 0, NAVD88: -2.1, MSL: -1.87, MHHW: -3.88 },
+  thresholdsNAVD88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 }
+};
+
+test("CO-OPS datum table parses to feet above station datum", () => {
+  const p = parseCoopsDatums(DATUMS_JSON);
+  assert.equal(p.epoch, "1983-2001");
+  assert.equal(p.aboveStndFt.STND, 0);
+  assert.equal(p.aboveStndFt.MLLW, 3.281);
+  assert.equal(p.aboveStndFt.NAVD88, 5.381);
+  // ranges and intervals are not datums
+  assert.equal(p.aboveStndFt.GT, undefined);
+  assert.equal(p.aboveStndFt.HWI, undefined);
+
+  // data API shape, already in feet
+  const ft = parseCoopsDatums({ datums: [{ n: "MLLW", v: "2.5" }, { n: "NAVD", v: "4.6" }] }, { units: "english" });
+  assert.deepEqual(ft.aboveStndFt, { MLLW: 2.5, NAVD88: 4.6, STND: 0 });
+
+  assert.throws(() => parseCoopsDatums({ datums: [{ name: "MSL", value: 1 }] }), /no MLLW/);
+});
+
+test("offsets match the registry and thresholds are expressed in every datum", () => {
+  const cfg = buildStationConfig(STATION, parseCoopsDatums(DATUMS_JSON), { url: "u" });
+  const o = cfg.offsetsFromMllw;
+  assert.equal(o.MLLW, 0);
+  assert.equal(o.NAVD88, -2.1);
+  assert.equal(o.MSL, -1.87);
+  assert.equal(o.MHHW, -3.88);
+  assert.equal(o.MHW, -3.68);
+  assert.equal(o.MTL, -1.93);
+  assert.equal(o.STND, 3.281);
+  assert.equal(o.LOCAL, undefined);
+  assert.equal(cfg.localDatum, null);
+
+  // 3.1 / 4.1 / 5.1 ft NAVD88 are the authoritative stages
+  assert.deepEqual(cfg.thresholdsByDatum.NAVD88, { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 });
+  assert.deepEqual(cfg.thresholdsByDatum.MLLW, { minorLow: 5.2, moderateLow: 6.2, majorLow: 7.2 });
+  assert.equal(cfg.thresholdsByDatum.MHHW.minorLow, 1.32);
+
+  for (const c of Object.values(cfg.registryCheck)) assert.ok(Math.abs(c.diff_ft) < 0.01);
+});
+
+test("flood stages in MLLW become the NAVD88 thresholds through the CO-OPS offsets; a disagreeing registry is recorded", () => {
+  const stages = { datum: "MLLW", minorLow: 5.2, moderateLow: 6.2, majorLow: 7.2 };
+  const plain = buildStationConfig(STATION, parseCoopsDatums(DATUMS_JSON));
+  assert.equal(plain.thresholdsSource, "registry thresholdsNAVD88");
+  assert.equal(plain.thresholdsCheck, null);
+
+  const agree = buildStationConfig({ ...STATION, floodStages: stages }, parseCoopsDatums(DATUMS_JSON));
+  assert.deepEqual(agree.thresholdsNAVD88, STATION.thresholdsNAVD88);
+  assert.equal(agree.thresholdsSource, "floodStages MLLW via CO-OPS offsets");
+  assert.deepEqual(agree.thresholdsCheck.diff_ft, { minorLow: 0, moderateLow: 0, majorLow: 0 });
+
+  // The old 4.19 / 5.19 / 6.19: the same MLLW stages shifted by 1.01 ft instead of 2.1
+  const stale = buildStationConfig(
+    { ...STATION, thresholdsNAVD88: { minorLow: 4.19, moderateLow: 5.19, majorLow: 6.19 }, floodStages: stages },
+    parseCoopsDatums(DATUMS_JSON)
+  );
+  assert.deepEqual(stale.thresholdsNAVD88, { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 });
+  assert.deepEqual(stale.thresholdsByDatum.MLLW, { minorLow: 5.2, moderateLow: 6.2, majorLow: 7.2 });
+  assert.deepEqual(stale.thresholdsCheck, {
+    datum: "MLLW",
+    stages: { minorLow: 5.2, moderateLow: 6.2, majorLow: 7.2 },
+    navd88: { minorLow: 3.1, moderateLow: 4.1, majorLow: 5.1 },
+    registry: { minorLow: 4.19, moderateLow: 5.19, majorLow: 6.19 },
+    diff_ft: { minorLow: -1.09, moderateLow: -1.09, majorLow: -1.09 }
+  });
+
+  // Stages in MHHW work the same way; a datum CO-OPS doesn't list, or a missing stage, is an error
+  const offsets = plain.offsetsFromMllw;
+  assert.equal(resolveThresholds({ floodStages: { datum: "MHHW", minorLow: 1.32, moderateLow: 2.32, majorLow: 3.32 } }, offsets).thresholdsNAVD88.minorLow, 3.1);
+  assert.throws(() => resolveThresholds({ floodStages: { ...stages, datum: "LOCAL" } }, offsets), /LOCAL/);
+  assert.throws(() => resolveThresholds({ floodStages: { datum: "MLLW", minorLow: 5.2 } }, offsets), /floodStages\.moderateLow/);
+});
+
+test("a local datum adds a LOCAL offset; a missing NAVD88 tie falls back to the registry", () => {
+  const local = buildStationConfig(
+    { ...STATION, localDatum: { name: "Ocean Ave grade", navd88Ft: 5 } },
+    parseCoopsDatums(DATUMS_JSON)
+  );
+  assert.deepEqual(local.localDatum, { name: "Ocean Ave grade", navd88_ft: 5 });
+  assert.equal(local.offsetsFromMllw.LOCAL, -7.1);
+  // minor flooding starts 1.9 ft below the grade
+  assert.equal(local.thresholdsByDatum.LOCAL.minorLow, -1.9);
+
+  const noTie = { ...DATUMS_JSON, datums: DATUMS_JSON.datums.filter(d => d.name !== "NAVD88") };
+  const cfg = buildStationConfig(STATION, parseCoopsDatums(noTie));
+  assert.equal(cfg.offsetsFromMllw.NAVD88, -2.1);
+  assert.equal(cfg.source.navd88_from_registry, true);
+
+  assert.throws(
+    () => buildStationConfig({ ...STATION, offsetsFromMllw: {} }, parseCoopsDatums(noTie)),
+    /No NAVD88/
+  );
+});
+
+test("selectStations applies station_config.json over the registry values", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tide-config-"));
+  try {
+    const dataDir = path.join(dir, "sea-bright");
+    fs.mkdirSync(dataDir);
+    const registryPath = path.join(dir, "stations.json");
+    fs.writeFileSync(registryPath, JSON.stringify({
+      stations: [{ ...STATION, dataDir, usgsSite: "01407600", usgsParam: "72279" }]
+    }));
+
+    const [raw] = selectStations({ registryPath });
+    assert.equal(raw.offsetsFromMllw.MHW, undefined);
+
+    const cfg = buildStationConfig(STATION, parseCoopsDatums(DATUMS_JSON));
+    fs.writeFileSync(path.join(dataDir, STATION_CONFIG_FILE), JSON.stringify(cfg));
+
+    const [st] = selectStations({ registryPath });
+    assert.equal(st.offsetsFromMllw.MHW, -3.68);
+    assert.equal(st.offsetsFromMllw.NAVD88, -2.1);
+    assert.equal(st.datumEpoch, "1983-2001");
+    assert.deepEqual(st.thresholdsNAVD88, STATION.thresholdsNAVD88);
+
+    const [plain] = selectStations({ registryPath, withConfig: false });
+    assert.equal(plain.offsetsFromMllw.MHW, undefined);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
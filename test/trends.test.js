@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const trends = require("../lib/trends");
+
+// one crest every 12h for whole years, local EST days
+function highsForYears(years, levelFor) {
+  const out = [];
+  for (const y of years) {
+    const start = Date.UTC(y, 0, 1, 5);
+    const end = Date.UTC(y + 1, 0, 1, 5);
+    for (let ms = start + 3 * 3600e3; ms < end; ms += 12 * 3600e3) {
+      out.push({ t: new Date(ms).toISOString(), ft: levelFor(y, ms), kind: "CrestHigh" });
+    }
+  }
+  return out;
+}
+
+test("t quantiles match tables", () => {
+  assert.ok(Math.abs(trends.tQuantile(0.975, 10) - 2.2281) < 1e-3);
+  assert.ok(Math.abs(trends.tQuantile(0.975, 30) - 2.0423) < 1e-3);
+  assert.ok(Math.abs(trends.tCdf(0, 5) - 0.5) < 1e-9);
+});
+
+test("linearTrend recovers a known slope and brackets it", () => {
+  const xs = [], ys = [];
+  for (let i = 0; i < 30; i++) {
+    xs.push(2000 + i);
+    ys.push(1 + 0.02 * i + (i % 2 ? 0.03 : -0.03));
+  }
+  const fit = trends.linearTrend(xs, ys);
+  assert.ok(Math.abs(fit.slope - 0.02) < 1e-3);
+  assert.ok(fit.ci[0] < 0.02 && fit.ci[1] > 0.02);
+  assert.equal(trends.linearTrend([1, 2], [1, 2]), null);
+});
+
+test("pettitt finds a step in level", () => {
+  const v = [1, 1.1, 0.9, 1, 1.05, 0.95, 2, 2.1, 1.9, 2, 2.05, 1.95];
+  const cp = trends.pettitt(v);
+  assert.equal(cp.index, 5);
+  assert.ok(cp.p < 0.05);
+});
+
+test("annual means skip the running year and low crests", () => {
+  const events = highsForYears([2020, 2021], y => (y === 2020 ? 3 : 4));
+  events.push({ t: "2021-06-01T12:00:00.000Z", ft: -10, kind: "CrestLow" });
+  const rows = trends.annualMeanHighWater(events, { lastCompleteYear: 2020 });
+  assert.deepEqual(rows.map(r => [r.year, r.mean_ft, r.included]), [[2020, 3, true], [2021, 4, false]]);
+});
+
+test("flood-day projection raises baseline highs by the chosen rate", () => {
+  // every day peaks at 3.9 ft; threshold 4.0 is crossed once 0.1 ft of rise is added
+  const events = highsForYears([2021, 2022, 2023, 2024, 2025], () => 3.9);
+  const p = trends.projectFloodDays(events, {
+    thresholdNavd: 4.0,
+    riseFtPerDecade: 0.1,
+    targetYears: [2028, 2033],
+    lastCompleteYear: 2025
+  });
+  assert.equal(p.baseline_epoch, 2023);
+  assert.equal(p.baseline_flood_days, 0);
+  assert.equal(p.rows[0].flood_days, 0);
+  assert.ok(p.rows[1].flood_days >= 365);
+});
+
+test("shiftAnalysisDatum moves levels but not counts or slopes", () => {
+  const events = highsForYears([2020, 2021, 2022, 2023], y => 3 + 0.01 * (y - 2020));
+  const r = trends.analyzeTrends(events, {
+    thresholdsNAVD88: { minorLow: 3.5, moderateLow: 4.5, majorLow: 5.5 },
+    lastCompleteYear: 2023
+  });
+  const s = trends.shiftAnalysisDatum(r, "MLLW", 2);
+  assert.equal(s.datum, "MLLW");
+  assert.equal(s.annual[0].mean_ft, r.annual[0].mean_ft + 2);
+  assert.equal(s.mean_high_water.annual_trend.per_decade, r.mean_high_water.annual_trend.per_decade);
+  assert.equal(s.flood_days.threshold_navd88, r.flood_days.threshold_navd88);
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const W = require("../lib/waves");
+const { pickBuoy, resolveOvertopping } = require("../tools/update_waves_wind");
+
+const H = 3600 * 1000;
+const iso = ms => new Date(ms).toISOString();
+
+test("NDBC realtime2 and NWS gridpoint layers parse to mph, ft and hourly periods", () => {
+  const rows = W.parseNdbcRealtime([
+    "#YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS PTDY  TIDE",
+    "#yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC  nmi  hPa    ft",
+    "2026 04 26 00 50  70  8.0 10.0    MM    MM    MM  75 1010.7  10.1  10.4   7.2   MM -1.2    MM",
+    "2026 04 26 00 40  70  7.7 10.2   1.1     7   5.4  75 1010.7  10.1  10.4   7.2   MM -1.2    MM"
+  ].join("\n"));
+  assert.deepEqual(rows, [
+    { t: "2026-04-26T00:40:00.000Z", wave_ft: 3.61, period_s: 7, wind_dir_deg: 70, wind_mph: 17.2, gust_mph: 22.8 },
+    { t: "2026-04-26T00:50:00.000Z", wave_ft: null, period_s: null, wind_dir_deg: 70, wind_mph: 17.9, gust_mph: 22.4 }
+  ]);
+  assert.deepEqual(W.parseNdbcRealtime("not a buoy file"), []);
+
+  assert.equal(W.parseDuration("PT3H"), 3 * H);
+  assert.equal(W.parseDuration("P1DT6H"), 30 * H);
+  assert.ok(Number.isNaN(W.parseDuration("PT")));
+
+  const speed = W.gridSeries({
+    uom: "wmoUnit:km_h-1",
+    values: [
+      { validTime: "2026-04-26T00:00:00+00:00/PT2H", value: 40 },
+      { validTime: "2026-04-26T02:00:00+00:00/PT1H", value: null }
+    ]
+  });
+  assert.equal(speed.length, 1);
+  assert.equal(W.gridAt(speed, Date.UTC(2026, 3, 26, 1)).toFixed(2), "24.85");
+  assert.equal(W.gridAt(speed, Date.UTC(2026, 3, 26, 2)), null);
+
+  assert.deepEqual(W.hourlyLabels(Date.UTC(2026, 3, 26, 0, 30), Date.UTC(2026, 3, 26, 2, 10)),
+    ["2026-04-26T00:00:00.000Z", "2026-04-26T01:00:00.000Z", "2026-04-26T02:00:00.000Z"]);
+});
+
+test("runup (Stockdon 2006), onshore wind and the nearest buoy", () => {
+  // 2 m, 10 s waves on a 0.08 beach: R2 = 1.39 m
+  assert.equal(W.runupFt({ waveFt: 2 * W.FT_PER_M, periodS: 10, slope: 0.08 }).toFixed(2), "4.57");
+  // Dissipative beach: 0.043 √(H0 L0)
+  assert.equal(W.runupFt({ waveFt: 2 * W.FT_PER_M, periodS: 10, slope: 0.01 }).toFixed(2), "2.49");
+  assert.equal(W.runupFt({ waveFt: 0, periodS: 8 }), 0);
+  assert.equal(W.runupFt({ waveFt: 3, periodS: null }), null);
+
+  assert.equal(W.onshoreComponent(20, 90, 90), 20);
+  assert.equal(W.onshoreComponent(20, 270, 90).toFixed(1), "-20.0");
+  assert.equal(W.onshoreComponent(20, 90, null), null);
+
+  const b = W.nearestBuoy({ lat: 40.36, lon: -73.95 }, [
+    { id: "44025", lat: 40.251, lon: -73.164 },
+    { id: "44065", lat: 40.369, lon: -73.703 }
+  ]);
+  assert.equal(b.id, "44065");
+  assert.equal(b.distance_km, 21);
+});
+
+test("hourly rows: buoy, then gridpoint waves, else the last reading held; matched to labels by hour", () => {
+  const t0 = Date.UTC(2026, 3, 26, 0);
+  const labels = W.hourlyLabels(t0, t0 + 9 * H);
+  const layer = (uom, value, fromH, hours) => ({ uom, values: [{ validTime: `${iso(t0 + fromH * H)}/PT${hours}H`, value }] });
+  const hours = W.buildHourly({
+    labels,
+    grid: {
+      windSpeed: layer("wmoUnit:km_h-1", 32.18688, 0, 10),
+      windDirection: layer("wmoUnit:degree_(angle)", 90, 0, 10),
+      waveHeight: layer("wmoUnit:m", 2, 4, 3),
+      wavePeriod: layer("nwsUnit:s", 10, 4, 3)
+    },
+    buoy: [
+      { t: iso(t0 + 40 * 60000), wave_ft: 3, period_s: 8 },
+      { t: iso(t0 + H + 50 * 60000), wave_ft: null, period_s: null }
+    ],
+    shore: { normalDeg: 90, slope: 0.08 },
+    holdHours: 2
+  });
+
+  assert.deepEqual(hours.map(h => h.wave_source),
+    ["buoy", "buoy_held", "buoy_held", null, "gridpoint", "gridpoint", "gridpoint", null, null, null]);
+  assert.equal(hours[0].wind_mph, 20);
+  assert.equal(hours[0].onshore_mph, 20);
+  assert.equal(hours[4].wave_ft, 6.56);
+  assert.equal(hours[4].runup_ft, 4.57);
+  assert.equal(hours[3].runup_ft, null);
+
+  // The dashboard's grid starts mid-hour and runs past the file: rows by hour, null elsewhere
+  const dash = [iso(t0 + 4 * H), iso(t0 + 5 * H), iso(t0 + 30 * H)];
+  const aligned = W.alignToLabels(dash, hours);
+  assert.equal(aligned[0].t, iso(t0 + 4 * H));
+  assert.equal(aligned[2], null);
+
+  const rows = W.totalWithRunup(dash, [5, null, 6], aligned, [5.5]);
+  assert.deepEqual(rows, [{ t: iso(t0 + 4 * H), ms: t0 + 4 * H, still: 5, runup: 4.57, total: 9.57, totalHi: 10.07 }]);
+});
+
+test("tool: registry buoy or the nearest, overtopping resolved to NAVD88", () => {
+  const station = { lat: 40.36, lon: -73.95, offsetsFromMllw: { MLLW: 0, NAVD88: -2.1 } };
+  assert.equal(pickBuoy(station, station).id, "44065");
+  assert.equal(pickBuoy({ ...station, waves: { ndbcBuoy: "44091" } }, station).name, "Barnegat");
+  assert.deepEqual(pickBuoy({ ...station, waves: { ndbcBuoy: 41001 } }, station), { id: "41001", name: null, distance_km: null });
+
+  assert.equal(resolveOvertopping(station), null);
+  assert.deepEqual(resolveOvertopping({ ...station, overtopping: { elevation: 10, datum: "MLLW" } }),
+    { name: "Overtopping", elevation: 10, datum: "MLLW", navd88_ft: 7.9 });
+  assert.throws(() => resolveOvertopping({ ...station, overtopping: { name: "Seawall", elevation: 10, datum: "MHHW" } }), /no MHHW offset/);
+});
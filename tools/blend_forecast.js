@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+/**
+ * Bias-corrected local 72h forecast blending PETSS, NWPS and CO-OPS astronomical predictions,
+ * run for every station in data/stations.json after the PETSS update.
+ *
+ * Each input is first corrected against the station's own USGS gauge:
+ *  - bias = mean(observed − source) over the source's bias window before the last reading
+ *    (USGS IV, QC-suspect points left out, NAVD88 -> MLLW with the registry offset)
+ *  - PETSS and NWPS are surge models, so their bias is a local offset and holds over the horizon;
+ *    the astronomical tide has no surge at all, so its "bias" is the current surge anomaly and
+ *    fades with lead time (SOURCES.coops.decayHours e-folding)
+ *  - with fewer than MIN_BIAS_PAIRS overlapping readings, PETSS falls back to its own OB column
+ *    (observations at the PETSS station, bias_from: "petss_ob"); any other source is used
+ *    uncorrected (bias_ft: null)
+ *
+ * The corrected series are then averaged hour by hour with the stated weights (DEFAULT_WEIGHTS,
+ * registry blendWeights or --weights), renormalized over the sources that cover that hour. The
+ * PETSS 10–90% band rides along as an offset around the blend.
+ *
+ * Writes to: <dataDir>/forecast_blend.json
+ *   { station, method, datum: "MLLW", generated_utc, observed_through, horizon_hours,
+ *     weights, effective_weights, summary, sources: { petss, nwps, coops },
+ *     points: [{ t, twl, lo, hi, inputs: { petss, nwps, coops } }] }
+ * points use the petss_forecast.json field names (twl, lo/hi) so the same readers take either;
+ * lo/hi are left out of hours without a PETSS band.
+ *
+ * Env TIDE_SOURCE=fixtures:<dir> reads USGS, NWPS and CO-OPS from recorded fixtures (lib/sources.js).
+ *
+ * Usage:
+ *   node tools/blend_forecast.js
+ *   node tools/blend_forecast.js --weights=petss:0.6,nwps:0.4     (unlisted sources get 0)
+ *   node tools/blend_forecast.js --now=2026-04-26T01:00:00Z       (blend as of that time)
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { selectStations, stationDataDir, stationDataPath } = require("./lib/stations");
+const { fetchUSGSIV } = require("./lib/usgs");
+const { getSource } = require("./lib/sources");
+const { cycleIssuedISO } = require("./lib/petss_archive");
+const { withLock, writeJSONAtomic } = require("./lib/datastore");
+const segments = require("../lib/segments");
+const qc = require("../lib/qc");
+
+// -------------------------
+// Config
+// -------------------------
+const OUT_FILE = "forecast_blend.json";
+const METHOD = "bias_corrected_weighted_v1";
+
+const HORIZON_HOURS = 72;
+
+// Stated source weighting (renormalized over the sources available at each hour)
+const DEFAULT_WEIGHTS = { petss: 0.5, nwps: 0.3, coops: 0.2 };
+
+const SOURCES = {
+  petss: { label: "PETSS", biasWindowHours: 24, decayHours: null },
+  nwps: { label: "NWPS", biasWindowHours: 24, decayHours: null },
+  coops: { label: "CO-OPS astronomical", biasWindowHours: 3, decayHours: 12 }
+};
+const SOURCE_KEYS = Object.keys(SOURCES);
+
+const MIN_BIAS_PAIRS = 8;                // 2h of 15-min readings
+const MAX_BRACKET_GAP_HOURS = 3;         // never interpolate a source across a longer gap
+
+const HOUR_MS = 3600 * 1000;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+function yyyymmddUTC(d) {
+  return d.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function readJSONIfExists(p) {
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+/** { petss: 0.6, nwps: 0.4 } -> { petss: 0.6, nwps: 0.4, coops: 0 }; throws on unknown sources */
+function normalizeWeights(obj) {
+  const out = Object.fromEntries(SOURCE_KEYS.map(k => [k, 0]));
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (!SOURCE_KEYS.includes(k) || !(Number(v) >= 0)) throw new Error(`Bad weight ${k}=${v} (sources: ${SOURCE_KEYS.join(", ")})`);
+    out[k] = Number(v);
+  }
+  if (!Object.values(out).some(v => v > 0)) throw new Error("At least one weight must be above 0");
+  return out;
+}
+
+/** "petss:0.6,nwps:0.4" -> normalizeWeights({ petss: 0.6, nwps: 0.4 }) */
+function parseWeights(s) {
+  return normalizeWeights(Object.fromEntries(String(s).split(",").map(part => part.split(":").map(x => x.trim()))));
+}
+
+// -------------------------
+// Series helpers ([{ ms, ft }] sorted by ms)
+// -------------------------
+/** Linear interpolation at ms; null outside the series or across a gap over MAX_BRACKET_GAP_HOURS */
+function interpAt(series, ms, key = "ft") {
+  if (!series.length || ms < series[0].ms || ms > series[series.length - 1].ms) return null;
+  let lo = 0, hi = series.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].ms <= ms) lo = mid; else hi = mid;
+  }
+  const a = series[lo], b = series[hi];
+  const va = a[key], vb = b[key];
+  if (a.ms === ms) return Number.isFinite(va) ? va : null;
+  if (b.ms === ms) return Number.isFinite(vb) ? vb : null;
+  if (!Number.isFinite(va) || !Number.isFinite(vb) || b.ms - a.ms > MAX_BRACKET_GAP_HOURS * HOUR_MS) return null;
+  return va + (vb - va) * (ms - a.ms) / (b.ms - a.ms);
+}
+
+function toSeries(points) {
+  return points
+    .map(p => ({ ...p, ms: new Date(p.t).getTime() }))
+    .filter(p => Number.isFinite(p.ms) && Number.isFinite(p.ft))
+    .sort((a, b) => a.ms - b.ms);
+}
+
+/**
+ * Observed-minus-source over the window ending at the last observation:
+ * { bias_ft, n_pairs, residual_sd_ft } (bias_ft null when there are too few pairs).
+ */
+function sourceBias(observed, source, { windowHours, minPairs = MIN_BIAS_PAIRS }) {
+  if (!observed.length) return { bias_ft: null, n_pairs: 0, residual_sd_ft: null };
+  const endMs = observed[observed.length - 1].ms;
+  const res = [];
+  for (const o of observed) {
+    if (o.ms < endMs - windowHours * HOUR_MS) continue;
+    const v = interpAt(source, o.ms);
+    if (v != null) res.push(o.ft - v);
+  }
+  if (res.length < minPairs) return { bias_ft: null, n_pairs: res.length, residual_sd_ft: null };
+  const mean = res.reduce((s, r) => s + r, 0) / res.length;
+  const sd = Math.sqrt(res.reduce((s, r) => s + (r - mean) ** 2, 0) / res.length);
+  return { bias_ft: round3(mean), n_pairs: res.length, residual_sd_ft: round3(sd) };
+}
+
+/** Correction applied at a lead time (hours after the last observation) */
+function correctionAt(bias, leadHours, decayHours) {
+  if (bias == null) return 0;
+  if (!decayHours) return bias;
+  return bias * Math.exp(-Math.max(0, leadHours) / decayHours);
+}
+
+/**
+ * The blend itself (pure; the tool feeds it fetched series):
+ *   sources: { petss: [{ t, ft, lo?, hi?, ob? }], nwps: [...], coops: [...] } (MLLW; missing = [])
+ *   observed: [{ t, ft }] (MLLW, QC-passed)
+ * -> { points, sources: { key: { used, bias_ft, n_pairs, residual_sd_ft, ... } }, effective_weights }
+ */
+function blendForecast({ sources, observed, weights = DEFAULT_WEIGHTS, startMs, hours = HORIZON_HOURS }) {
+  const obs = toSeries(observed || []);
+  const lastObsMs = obs.length ? obs[obs.length - 1].ms : null;
+
+  const info = {};
+  const series = {};
+  for (const key of SOURCE_KEYS) {
+    const cfg = SOURCES[key];
+    const s = toSeries(sources[key] || []);
+    series[key] = s;
+    if (!s.length) {
+      info[key] = { label: cfg.label, used: false, weight: weights[key] || 0, reason: "no data" };
+      continue;
+    }
+    let b = { ...sourceBias(obs, s, { windowHours: cfg.biasWindowHours }), bias_from: "usgs" };
+    if (b.bias_ft == null) {
+      // The source's own observation column (PETSS OB), when it has one
+      const own = toSeries(s.filter(p => Number.isFinite(p.ob)).map(p => ({ t: p.t, ft: p.ob })));
+      const ob = sourceBias(own, s, { windowHours: cfg.biasWindowHours });
+      if (ob.bias_ft != null) b = { ...ob, bias_from: `${key}_ob` };
+    }
+    if (b.bias_ft == null) b.bias_from = null;
+    info[key] = {
+      label: cfg.label,
+      used: (weights[key] || 0) > 0,
+      weight: weights[key] || 0,
+      ...b,
+      bias_window_hours: cfg.biasWindowHours,
+      decay_hours: cfg.decayHours
+    };
+    if (!info[key].used) info[key].reason = "weight 0";
+    else if (b.bias_ft == null) info[key].reason = `uncorrected (${b.n_pairs} readings overlap)`;
+  }
+
+  const t0 = Math.floor(startMs / HOUR_MS) * HOUR_MS;
+  const anchorMs = lastObsMs ?? t0;
+  const points = [];
+  const wSum = Object.fromEntries(SOURCE_KEYS.map(k => [k, 0]));
+
+  for (let h = 0; h <= hours; h++) {
+    const ms = t0 + h * HOUR_MS;
+    const lead = (ms - anchorMs) / HOUR_MS;
+    const inputs = {};
+    let num = 0, den = 0;
+    for (const key of SOURCE_KEYS) {
+      if (!info[key].used) continue;
+      const v = interpAt(series[key], ms);
+      if (v == null) continue;
+      const c = v + correctionAt(info[key].bias_ft, lead, SOURCES[key].decayHours);
+      inputs[key] = round3(c);
+      num += weights[key] * c;
+      den += weights[key];
+    }
+    if (!den) continue;
+    const twl = num / den;
+    for (const key of Object.keys(inputs)) wSum[key] += weights[key] / den;
+
+    // PETSS ensemble band, as an offset around its own mean, moved onto the blend; left out
+    // when PETSS carries no spread
+    const point = { t: new Date(ms).toISOString(), twl: round3(twl) };
+    const pm = interpAt(series.petss, ms);
+    const phi = interpAt(series.petss, ms, "hi");
+    const plo = interpAt(series.petss, ms, "lo");
+    if (pm != null && phi != null && plo != null) {
+      point.lo = round3(twl + (plo - pm));
+      point.hi = round3(twl + (phi - pm));
+    }
+    point.inputs = inputs;
+
+    points.push(point);
+  }
+
+  const n = points.length || 1;
+  const effective = Object.fromEntries(SOURCE_KEYS.map(k => [k, round3(wSum[k] / n)]));
+  return {
+    points,
+    sources: info,
+    effective_weights: effective,
+    observed_through: lastObsMs != null ? new Date(lastObsMs).toISOString() : null
+  };
+}
+
+/** "PETSS 50% · NWPS 30% · CO-OPS astronomical 20%" from effective weights */
+function describeWeights(effective) {
+  return SOURCE_KEYS
+    .filter(k => effective[k] > 0)
+    .map(k => `${SOURCES[k].label} ${Math.round(effective[k] * 100)}%`)
+    .join(" · ");
+}
+
+// -------------------------
+// Inputs
+// -------------------------
+/** petss_forecast.json -> [{ t, ft, lo, hi, ob }] in MLLW */
+function loadPetss(station) {
+  const rows = readJSONIfExists(stationDataPath(station, "petss_forecast.json"));
+  const meta = readJSONIfExists(stationDataPath(station, "petss_meta.json"));
+  if (!Array.isArray(rows) || !rows.length) return { points: [], meta };
+  const off = station.offsetsFromMllw || {};
+  const shift = -(off[meta?.datum || station.petssDatum || "MLLW"] ?? 0);
+  const points = rows.map(r => {
+    const band = segments.petssBand(r);
+    return {
+      t: r.t,
+      ft: Number(r.twl) + shift,
+      lo: band.lo != null ? band.lo + shift : null,
+      hi: band.hi != null ? band.hi + shift : null,
+      ob: r.ob != null ? Number(r.ob) + shift : null
+    };
+  });
+  return { points, meta };
+}
+
+/** NWPS stageflow forecast (stage in MLLW, as the dashboard reads it) */
+async function fetchNWPS(gauge) {
+  const j = await getSource().fetchJson(`https://api.water.noaa.gov/nwps/v1/gauges/${gauge}/stageflow`);
+  const raw = Array.isArray(j?.forecast?.data) ? j.forecast.data : (Array.isArray(j?.data) ? j.data : []);
+  return {
+    issued: j?.forecast?.issuedTime || j?.issuedTime || null,
+    points: raw
+      .map(d => ({ t: d.validTime || d.valid_time, ft: Number(d.primary) }))
+      // NWPS fills missing values with -999
+      .filter(p => p.t && Number.isFinite(p.ft) && p.ft > -999)
+  };
+}
+
+/** CO-OPS hourly astronomical predictions (MLLW) */
+async function fetchCoopsHourly(station, startMs, endMs) {
+  const url =
+    "https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?" +
+    new URLSearchParams({
+      product: "predictions",
+      application: "forecast-blend",
+      format: "json",
+      station,
+      time_zone: "gmt",
+      units: "english",
+      interval: "h",
+      datum: "MLLW",
+      begin_date: yyyymmddUTC(new Date(startMs)),
+      end_date: yyyymmddUTC(new Date(endMs))
+    }).toString();
+  const j = await getSource().fetchJson(url);
+  return (Array.isArray(j?.predictions) ? j.predictions : [])
+    .map(p => ({ t: String(p.t).replace(" ", "T") + ":00Z", ft: Number(p.v) }))
+    .filter(p => Number.isFinite(p.ft));
+}
+
+// -------------------------
+// Station
+// -------------------------
+async function blendStation(station, { nowMs, weights }) {
+  const tag = `[${station.id}]`;
+  const off = station.offsetsFromMllw || {};
+  if (!Number.isFinite(off.NAVD88)) throw new Error("No offsetsFromMllw.NAVD88 in registry (needed to compare with USGS)");
+
+  const maxWindow = Math.max(...SOURCE_KEYS.map(k => SOURCES[k].biasWindowHours));
+  const obsStartMs = nowMs - (maxWindow + 1) * HOUR_MS;
+  const endMs = nowMs + (HORIZON_HOURS + 1) * HOUR_MS;
+
+  // petss_forecast.json and petss_meta.json are written together under the lock; read them the same way
+  const petss = await withLock(stationDataDir(station), () => loadPetss(station));
+  const inputs = { petss: petss.points, nwps: [], coops: [] };
+  const notes = {};
+
+  if (station.nwpsGauge) {
+    try {
+      const nwps = await fetchNWPS(station.nwpsGauge);
+      inputs.nwps = nwps.points;
+      notes.nwps = { gauge: station.nwpsGauge, issued: nwps.issued };
+    } catch (e) {
+      log(`${tag} NWPS unavailable: ${e.message}`);
+      notes.nwps = { gauge: station.nwpsGauge, error: e.message };
+    }
+  }
+  try {
+    inputs.coops = await fetchCoopsHourly(station.coopsStation, obsStartMs, endMs);
+    notes.coops = { station: station.coopsStation };
+  } catch (e) {
+    log(`${tag} CO-OPS predictions unavailable: ${e.message}`);
+    notes.coops = { station: station.coopsStation, error: e.message };
+  }
+  if (petss.meta) {
+    notes.petss = { run_dir: petss.meta.run_dir, cycle: petss.meta.cycle, issued: cycleIssuedISO(petss.meta.run_dir, petss.meta.cycle) };
+  }
+
+  let observed = [];
+  try {
+    const series = await fetchUSGSIV({
+      site: station.usgsSite,
+      param: station.usgsParam,
+      startISO: new Date(obsStartMs).toISOString(),
+      endISO: new Date(nowMs).toISOString(),
+      userAgent: "forecast-blend"
+    });
+    observed = qc.checkSeries(series)
+      .filter(p => !qc.isSuspect(p.qc) && new Date(p.t).getTime() <= nowMs)
+      .map(p => ({ t: p.t, ft: Number(p.ft) - off.NAVD88 }));
+  } catch (e) {
+    log(`${tag} USGS unavailable, blending without bias correction: ${e.message}`);
+  }
+
+  const result = blendForecast({ sources: inputs, observed, weights, startMs: nowMs });
+  if (!result.points.length) throw new Error("No forecast source covers the next 72 hours");
+
+  for (const k of SOURCE_KEYS) Object.assign(result.sources[k], notes[k] || {});
+
+  const out = {
+    station: station.id,
+    method: METHOD,
+    datum: "MLLW",
+    generated_utc: new Date(nowMs).toISOString(),
+    observed_through: result.observed_through,
+    horizon_hours: HORIZON_HOURS,
+    weights,
+    effective_weights: result.effective_weights,
+    summary: describeWeights(result.effective_weights),
+    sources: result.sources,
+    points: result.points
+  };
+  await withLock(stationDataDir(station), () => writeJSONAtomic(stationDataPath(station, OUT_FILE), out));
+
+  for (const k of SOURCE_KEYS) {
+    const s = result.sources[k];
+    log(`${tag} ${s.label.padEnd(20)} ${s.used ? `bias ${s.bias_ft == null ? "—" : s.bias_ft} ft (${s.n_pairs} readings)` : `not used (${s.reason})`}`);
+  }
+  log(`${tag} Wrote ${station.dataDir}/${OUT_FILE}: ${result.points.length} hourly points, ${out.summary}`);
+}
+
+async function main() {
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? new Date(nowArg).getTime() : Date.now();
+  if (!Number.isFinite(nowMs)) die(`Invalid --now=${nowArg}`);
+
+  const weightsArg = parseArg("--weights");
+  let cliWeights = null;
+  try {
+    cliWeights = weightsArg ? parseWeights(weightsArg) : null;
+  } catch (e) {
+    die(e.message);
+  }
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      const weights = cliWeights || normalizeWeights(station.blendWeights || DEFAULT_WEIGHTS);
+      await blendStation(station, { nowMs, weights });
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Forecast blend failed:`, e && (e.stack || e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Forecast blend failed for every station: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  OUT_FILE,
+  METHOD,
+  DEFAULT_WEIGHTS,
+  SOURCES,
+  normalizeWeights,
+  parseWeights,
+  interpAt,
+  sourceBias,
+  correctionAt,
+  blendForecast,
+  describeWeights
+};
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Return-period (extreme-value) analysis for every station in data/stations.json, computed from
+ * <dataDir>/peaks_navd88.json and the registry top-ten list with the shared lib/extremes.js
+ * (same fits the dashboard uses to put each crest in context).
+ *
+ * Writes to <dataDir>/:
+ *  - extremes.json   GEV (annual maxima + pre-record top-ten storms) and peaks-over-threshold fits,
+ *                    1/2/10/50/100-year levels with 95% bootstrap intervals, the annual maxima used,
+ *                    and the return period of each crest of the last --recent-days above the
+ *                    POT threshold
+ *
+ * Usage:
+ *   node tools/build_extremes.js
+ *   node tools/build_extremes.js --datum=MLLW            (any datum in the registry offsetsFromMllw)
+ *   node tools/build_extremes.js --periods=1,2,5,10,25,50,100
+ *   node tools/build_extremes.js --boot=500 --recent-days=60
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { selectStations, stationDataPath } = require("./lib/stations");
+const { analyzeExtremes, returnPeriodOf, shiftExtremesDatum, DEFAULT_RETURN_PERIODS } = require("../lib/extremes");
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function numList(s) {
+  return s ? s.split(",").map(Number).filter(Number.isFinite) : [];
+}
+
+/** Registry top-ten (MLLW) -> NAVD88 */
+function historicalNavd(station) {
+  const off = station.offsetsFromMllw || {};
+  if (!Number.isFinite(off.NAVD88)) return [];
+  return (station.topTenMllw || []).map(r => ({ date: r.date, ft: Number(r.ft) + off.NAVD88 }));
+}
+
+function recentCrests(events, result, days) {
+  const since = Date.now() - days * 24 * 3600 * 1000;
+  const u = result.pot ? result.pot.params.u : Infinity;
+  return events
+    .filter(e => e.kind !== "CrestLow" && new Date(e.t).getTime() >= since && Number(e.ft) >= u)
+    .map(e => {
+      const rp = returnPeriodOf(result, e.ft);
+      return { crest: e.crest || null, t: e.t, ft: e.ft, return_period_yr: rp.years == null ? null : Number(rp.years.toFixed(2)) };
+    });
+}
+
+function buildStation(station, { datum, returnPeriods, nBoot, recentDays }) {
+  const cachePath = stationDataPath(station, "peaks_navd88.json");
+  if (!fs.existsSync(cachePath)) throw new Error(`Missing ${cachePath}`);
+  const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  const events = cache.events || [];
+
+  const navd = analyzeExtremes(events, { historical: historicalNavd(station), returnPeriods, nBoot });
+  const recent = recentCrests(events, navd, recentDays);
+
+  let result = navd;
+  if (datum !== "NAVD88") {
+    const off = station.offsetsFromMllw || {};
+    if (!Number.isFinite(off[datum]) || !Number.isFinite(off.NAVD88)) {
+      throw new Error(`No offsetsFromMllw.${datum} / NAVD88 for ${station.id}`);
+    }
+    const shift = off[datum] - off.NAVD88;
+    result = shiftExtremesDatum(navd, datum, shift);
+    for (const c of recent) c.ft = Number((c.ft + shift).toFixed(3));
+  }
+
+  const out = {
+    station: station.id,
+    generated_utc: new Date().toISOString(),
+    source: "peaks_navd88.json + topTenMllw",
+    ...result,
+    recent_crests: recent
+  };
+  fs.writeFileSync(stationDataPath(station, "extremes.json"), JSON.stringify(out, null, 2) + "\n", "utf8");
+
+  const fmt = (l) => l.ft == null ? "—" : `${l.ft}${l.lo != null ? ` (${l.lo}–${l.hi})` : ""}`;
+  if (result.gev) log(`[${station.id}] GEV (${result.gev.n_years} yrs${result.gev.historical ? ` + ${result.gev.historical.years} pre-record` : ""}): ` +
+    result.gev.levels.map(l => `${l.years}y ${fmt(l)}`).join(", "));
+  if (result.pot) log(`[${station.id}] POT (u=${result.pot.params.u}, ${result.pot.params.lambda}/yr): ` +
+    result.pot.levels.map(l => `${l.years}y ${fmt(l)}`).join(", "));
+  log(`[${station.id}] ${recent.length} crest(s) above the POT threshold in the last ${recentDays} days`);
+  log(`[${station.id}] Wrote ${station.dataDir}/extremes.json (${datum})`);
+}
+
+function main() {
+  const opts = {
+    datum: parseArg("--datum") || "NAVD88",
+    returnPeriods: parseArg("--periods") ? numList(parseArg("--periods")) : DEFAULT_RETURN_PERIODS,
+    nBoot: Number(parseArg("--boot")) || 200,
+    recentDays: Number(parseArg("--recent-days")) || 30
+  };
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      buildStation(station, opts);
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Extremes build failed:`, e && (e.stack || e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Extremes build failed for every station: ${failed.join(", ")}`);
+}
+
+main();
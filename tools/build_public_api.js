@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+/**
+ * Machine-readable public API files for every station in data/stations.json, so other tools can
+ * read the current stage without scraping index.html. Built from <dataDir>/peaks_navd88.json
+ * (latest reading + crest events) and the registry/station_config thresholds and datum offsets;
+ * stages are named with classifyNAVD, the same rule the peaks cache uses.
+ *
+ * The files are versioned by path: anything that would break a reader goes to a new api/v<N>/
+ * directory and the old one keeps being written until readers have moved.
+ *
+ * Writes to <dataDir>/api/v1/:
+ *  - current.json         latest level (NAVD88 + every datum in offsetsFromMllw), its stage,
+ *                         the newest high crest and the thresholds in every datum
+ *  - gauge.geojson        FeatureCollection with the gauge as one Point feature carrying the same
+ *                         level/stage properties (the dashboard's gauge map draws it)
+ *  - peaks_<datum>.csv    every crest event (highs and lows) in that datum, one file per datum
+ *                         (crest_utc, t_utc, kind, datum, ft, stage, pred_ft, anomaly_ft,
+ *                         range_ft, pred_range_ft, suspect, qc)
+ *  - floods.atom          Atom feed of the newest Minor/Moderate/Major high crests (QC-suspect
+ *                         crests left out)
+ * The cache is read and the files replaced atomically under <dataDir>/.lock (tools/lib/datastore.js),
+ * so a reader polling current.json never sees half a file and an updater's merge never lands halfway.
+ *
+ * Env PUBLIC_BASE_URL (else NOTIFY_DASHBOARD_URL): the dashboard's URL, used for links in the
+ * feed and the GeoJSON; without it the files are written without links.
+ *
+ * Usage:
+ *   node tools/build_public_api.js
+ *   node tools/build_public_api.js --datum=MLLW,NAVD88        (CSV datums; default all)
+ *   node tools/build_public_api.js --feed-datum=NAVD88         (levels in the feed; default MLLW)
+ *   node tools/build_public_api.js --base-url=https://example.org/tides/
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { selectStations, stationDataDir, stationDataPath, STATION_CONFIG_FILE } = require("./lib/stations");
+const { withLock, writeFileAtomic } = require("./lib/datastore");
+const { classifyNAVD } = require("./update_peaks_navd88");
+const { toCSV } = require("../lib/trends");
+const qc = require("../lib/qc");
+
+// -------------------------
+// Config
+// -------------------------
+const API_VERSION = 1;
+const API_DIR = `api/v${API_VERSION}`;
+
+const FEED_MAX_ENTRIES = 50;
+const DEFAULT_FEED_DATUM = "MLLW";
+const DEFAULT_TIME_ZONE = "America/New_York";
+
+const PEAKS_CSV_COLUMNS = [
+  "crest_utc", "t_utc", "kind", "datum", "ft", "stage",
+  "pred_ft", "anomaly_ft", "range_ft", "pred_range_ft", "suspect", "qc"
+];
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+// -------------------------
+// Datums
+// -------------------------
+/** Datums this station can be shown in: NAVD88 first, then the rest of offsetsFromMllw */
+function stationDatums(station) {
+  const off = station.offsetsFromMllw || {};
+  const all = Object.keys(off).filter(d => Number.isFinite(off[d]));
+  if (!all.includes("NAVD88")) return ["NAVD88"];
+  return ["NAVD88", ...all.filter(d => d !== "NAVD88")];
+}
+
+/** NAVD88 ft -> ft in `datum` (value_in_datum = mllw + offset) */
+function navdTo(station, datum, ft) {
+  if (ft == null || !Number.isFinite(Number(ft))) return null;
+  if (datum === "NAVD88") return round3(Number(ft));
+  const off = station.offsetsFromMllw || {};
+  if (!Number.isFinite(off[datum]) || !Number.isFinite(off.NAVD88)) {
+    throw new Error(`No offsetsFromMllw.${datum} / NAVD88 for ${station.id}`);
+  }
+  return round3(Number(ft) - off.NAVD88 + off[datum]);
+}
+
+function levelsInAllDatums(station, ft) {
+  return Object.fromEntries(stationDatums(station).map(d => [d, navdTo(station, d, ft)]));
+}
+
+function thresholdsInAllDatums(station) {
+  const T = station.thresholdsNAVD88;
+  return Object.fromEntries(stationDatums(station).map(d => [d, {
+    minor: navdTo(station, d, T.minorLow),
+    moderate: navdTo(station, d, T.moderateLow),
+    major: navdTo(station, d, T.majorLow)
+  }]));
+}
+
+function stationInfo(station) {
+  return {
+    id: station.id,
+    name: station.name || station.id,
+    label: station.label || null,
+    lat: Number.isFinite(station.lat) ? station.lat : null,
+    lon: Number.isFinite(station.lon) ? station.lon : null,
+    usgs_site: station.usgsSite,
+    usgs_param: station.usgsParam,
+    coops_station: station.coopsStation
+  };
+}
+
+function dashboardUrl(baseUrl, station) {
+  if (!baseUrl) return null;
+  return `${baseUrl}${baseUrl.includes("?") ? "&" : "?"}station=${encodeURIComponent(station.id)}`;
+}
+
+/** URL of a published file under the site root (baseUrl is the dashboard page or its folder) */
+function fileUrl(baseUrl, station, file) {
+  if (!baseUrl) return null;
+  const root = baseUrl.replace(/[?#].*$/, "").replace(/[^/]*$/, "");
+  return `${root}${String(station.dataDir).replace(/^\.?\/+/, "")}/${API_DIR}/${file}`;
+}
+
+// -------------------------
+// Builders
+// -------------------------
+/** Newest high crest in the cache (suspect or not; the flag goes along) */
+function newestHighCrest(events) {
+  for (let i = (events || []).length - 1; i >= 0; i--) {
+    if (events[i].kind !== "CrestLow") return events[i];
+  }
+  return null;
+}
+
+/**
+ * current.json: { api_version, station, generated_utc, observed, last_high_crest, thresholds_ft, source }
+ * observed is null until the peaks updater has recorded a reading.
+ */
+function buildCurrent(station, cache, { nowISO = new Date().toISOString(), baseUrl = null } = {}) {
+  const T = station.thresholdsNAVD88;
+  const latest = cache?.latest || null;
+  const crest = newestHighCrest(cache?.events);
+
+  return {
+    api_version: API_VERSION,
+    station: stationInfo(station),
+    generated_utc: nowISO,
+    observed: latest ? {
+      t: latest.t,
+      datum: "NAVD88",
+      level_ft: navdTo(station, "NAVD88", latest.ft),
+      stage: classifyNAVD(Number(latest.ft), T),
+      levels_ft: levelsInAllDatums(station, latest.ft)
+    } : null,
+    last_high_crest: crest ? {
+      crest_utc: crest.crest || null,
+      t: crest.t,
+      datum: "NAVD88",
+      level_ft: navdTo(station, "NAVD88", crest.ft),
+      stage: classifyNAVD(Number(crest.ft), T),
+      suspect: qc.isSuspect(crest.qc) || crest.suspect === true,
+      levels_ft: levelsInAllDatums(station, crest.ft)
+    } : null,
+    thresholds_ft: thresholdsInAllDatums(station),
+    source: {
+      observed: `USGS IV ${station.usgsSite} parameter ${station.usgsParam} (peaks_navd88.json)`,
+      through_utc: cache?.lastProcessedISO || null,
+      thresholds: fs.existsSync(stationDataPath(station, STATION_CONFIG_FILE)) ? STATION_CONFIG_FILE : "stations.json",
+      datum_epoch: station.datumEpoch || null
+    },
+    links: baseUrl ? { dashboard: dashboardUrl(baseUrl, station), feed: fileUrl(baseUrl, station, "floods.atom") } : null
+  };
+}
+
+/** gauge.geojson from a current.json object */
+function buildGaugeGeoJSON(current) {
+  const s = current.station;
+  const obs = current.observed;
+  return {
+    type: "FeatureCollection",
+    api_version: current.api_version,
+    generated_utc: current.generated_utc,
+    features: [{
+      type: "Feature",
+      id: s.id,
+      geometry: s.lat != null && s.lon != null ? { type: "Point", coordinates: [s.lon, s.lat] } : null,
+      properties: {
+        station: s.id,
+        name: s.name,
+        label: s.label,
+        usgs_site: s.usgs_site,
+        coops_station: s.coops_station,
+        t: obs ? obs.t : null,
+        datum: "NAVD88",
+        level_ft: obs ? obs.level_ft : null,
+        stage: obs ? obs.stage : null,
+        levels_ft: obs ? obs.levels_ft : null,
+        thresholds_ft: current.thresholds_ft,
+        url: current.links ? current.links.dashboard : null
+      }
+    }]
+  };
+}
+
+/** Crest events as CSV rows in `datum`, stage re-derived from the current thresholds */
+function buildPeaksCSV(station, events, datum) {
+  const T = station.thresholdsNAVD88;
+  const rows = (events || []).map(e => ({
+    crest_utc: e.crest || "",
+    t_utc: e.t,
+    kind: e.kind || "CrestHigh",
+    datum,
+    ft: navdTo(station, datum, e.ft),
+    stage: e.kind === "CrestLow" ? "" : classifyNAVD(Number(e.ft), T),
+    pred_ft: navdTo(station, datum, e.pred_ft),
+    anomaly_ft: e.anomaly_ft,
+    range_ft: e.range_ft,
+    pred_range_ft: e.pred_range_ft,
+    suspect: qc.isSuspect(e.qc) || e.suspect === true,
+    qc: (e.qc || []).join(" ")
+  }));
+  return toCSV(rows, PEAKS_CSV_COLUMNS);
+}
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Stable Atom id for a crest: urn:uuid from station + crest time, so a re-measured crest keeps it */
+function crestEntryId(stationId, crestISO) {
+  const h = crypto.createHash("sha1").update(`${stationId}|${crestISO}`).digest("hex");
+  return `urn:uuid:${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${((parseInt(h[16], 16) & 3) | 8).toString(16)}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+function fmtLocal(iso, timeZone) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone, weekday: "short", month: "short", day: "numeric", year: "numeric",
+    hour: "numeric", minute: "2-digit", timeZoneName: "short"
+  }).format(new Date(iso));
+}
+
+/** Minor+ high crests that passed QC, newest first */
+function floodCrests(station, events, { max = FEED_MAX_ENTRIES } = {}) {
+  const T = station.thresholdsNAVD88;
+  return (events || [])
+    .filter(e => e.kind !== "CrestLow" && !(qc.isSuspect(e.qc) || e.suspect === true))
+    .map(e => ({ e, stage: classifyNAVD(Number(e.ft), T) }))
+    .filter(x => x.stage !== "Below")
+    .sort((a, b) => new Date(b.e.t) - new Date(a.e.t))
+    .slice(0, max);
+}
+
+/**
+ * floods.atom. updated is the newest crest's time (else the cache's lastProcessedISO), so the
+ * file only changes when a flood crest is added or re-measured.
+ */
+function buildFloodFeed(station, cache, { datum = DEFAULT_FEED_DATUM, baseUrl = null, max = FEED_MAX_ENTRIES } = {}) {
+  const feedDatum = stationDatums(station).includes(datum) ? datum : "NAVD88";
+  const tz = station.timeZone || DEFAULT_TIME_ZONE;
+  const name = station.name || station.id;
+  const T = thresholdsInAllDatums(station)[feedDatum];
+  const crests = floodCrests(station, cache?.events, { max });
+  const updated = crests.length ? new Date(crests[0].e.t).toISOString() : (cache?.lastProcessedISO || new Date(0).toISOString());
+  const selfUrl = fileUrl(baseUrl, station, "floods.atom");
+  const pageUrl = dashboardUrl(baseUrl, station);
+
+  const entries = crests.map(({ e, stage }) => {
+    const ft = navdTo(station, feedDatum, e.ft);
+    const level = T[stage.toLowerCase()];
+    const lines = [
+      `The ${name} gauge crested at ${ft.toFixed(2)} ft ${feedDatum} at ${fmtLocal(e.t, tz)}: ${stage} flooding ` +
+        `(${stage} flood stage ${level.toFixed(2)} ft ${feedDatum}).`
+    ];
+    if (e.pred_ft != null && e.anomaly_ft != null) {
+      lines.push(`Predicted tide ${navdTo(station, feedDatum, e.pred_ft).toFixed(2)} ft ${feedDatum} ` +
+        `(observed ${e.anomaly_ft >= 0 ? "+" : ""}${Number(e.anomaly_ft).toFixed(2)} ft).`);
+    }
+    return [
+      "  <entry>",
+      `    <id>${crestEntryId(station.id, e.crest || e.t)}</id>`,
+      `    <title>${xmlEscape(`${name}: ${stage} flooding, ${ft.toFixed(2)} ft ${feedDatum}`)}</title>`,
+      `    <updated>${new Date(e.t).toISOString()}</updated>`,
+      `    <category term="${stage}"/>`,
+      pageUrl ? `    <link rel="alternate" type="text/html" href="${xmlEscape(pageUrl)}"/>` : null,
+      `    <content type="text">${xmlEscape(lines.join(" "))}</content>`,
+      "  </entry>"
+    ].filter(Boolean).join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${crestEntryId(station.id, "floods.atom")}</id>`,
+    `  <title>${xmlEscape(`${name}: tidal flood crests`)}</title>`,
+    `  <subtitle>${xmlEscape(`High tides at or above minor flood stage (${T.minor.toFixed(2)} ft ${feedDatum}), USGS ${station.usgsSite}`)}</subtitle>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${xmlEscape(name)} tide dashboard</name></author>`,
+    selfUrl ? `  <link rel="self" type="application/atom+xml" href="${xmlEscape(selfUrl)}"/>` : null,
+    pageUrl ? `  <link rel="alternate" type="text/html" href="${xmlEscape(pageUrl)}"/>` : null,
+    ...entries,
+    "</feed>",
+    ""
+  ].filter(x => x != null).join("\n");
+}
+
+// -------------------------
+// Station build
+// -------------------------
+function writeFile(dir, file, text) {
+  writeFileAtomic(path.join(dir, file), text);
+}
+
+async function buildStation(station, { csvDatums, feedDatum, baseUrl }) {
+  const datums = csvDatums ? csvDatums.filter(d => stationDatums(station).includes(d)) : stationDatums(station);
+  if (csvDatums && datums.length < csvDatums.length) {
+    throw new Error(`No offsetsFromMllw for ${csvDatums.filter(d => !datums.includes(d)).join(", ")} on ${station.id}`);
+  }
+
+  // Under the station lock: the cache as the updaters last left it, and the files written from it
+  const { cache, current } = await withLock(stationDataDir(station), () => {
+    const cachePath = stationDataPath(station, "peaks_navd88.json");
+    if (!fs.existsSync(cachePath)) throw new Error(`Missing ${cachePath}`);
+    const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+
+    const dir = stationDataPath(station, API_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const current = buildCurrent(station, cache, { baseUrl });
+    writeFile(dir, "current.json", JSON.stringify(current, null, 2) + "\n");
+    writeFile(dir, "gauge.geojson", JSON.stringify(buildGaugeGeoJSON(current), null, 2) + "\n");
+    for (const d of datums) writeFile(dir, `peaks_${d.toLowerCase()}.csv`, buildPeaksCSV(station, cache.events, d));
+    writeFile(dir, "floods.atom", buildFloodFeed(station, cache, { datum: feedDatum, baseUrl }));
+    return { cache, current };
+  }, { owner: "build_public_api" });
+
+  const obs = current.observed;
+  log(`[${station.id}] Current: ${obs ? `${obs.level_ft} ft NAVD88 (${obs.stage}) at ${obs.t}` : "no reading yet"}`);
+  log(`[${station.id}] Wrote ${station.dataDir}/${API_DIR}/ current.json, gauge.geojson, ` +
+    `${datums.map(d => `peaks_${d.toLowerCase()}.csv`).join(", ")}, floods.atom ` +
+    `(${floodCrests(station, cache.events).length} feed entries)`);
+}
+
+async function main() {
+  const datumArg = parseArg("--datum");
+  const opts = {
+    csvDatums: datumArg ? datumArg.split(",").map(s => s.trim().toUpperCase()).filter(Boolean) : null,
+    feedDatum: (parseArg("--feed-datum") || DEFAULT_FEED_DATUM).toUpperCase(),
+    baseUrl: parseArg("--base-url") || process.env.PUBLIC_BASE_URL || process.env.NOTIFY_DASHBOARD_URL || null
+  };
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await buildStation(station, opts);
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Public API build failed:`, e && (e.stack || e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Public API build failed for every station: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  API_VERSION,
+  API_DIR,
+  PEAKS_CSV_COLUMNS,
+  stationDatums,
+  buildCurrent,
+  buildGaugeGeoJSON,
+  buildPeaksCSV,
+  buildFloodFeed,
+  crestEntryId
+};
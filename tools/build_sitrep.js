@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * Situation report for every station in data/stations.json: one dated, self-contained HTML page
+ * (lib/sitrep.js, the same report as the dashboard's "Situation report" button) to hand an
+ * emergency manager before a coastal storm instead of dashboard screenshots.
+ *
+ * Per station:
+ *  - forecast: <dataDir>/forecast_blend.json when under BLEND_MAX_AGE_HOURS old (the dashboard's
+ *    and notifier's rule), else <dataDir>/petss_forecast.json, with the cycle from petss_meta.json
+ *  - history: <dataDir>/peaks_navd88.json high crests (QC-suspect ones left out) and the
+ *    registry's topTenMllw
+ *  - now: the last 24 h of USGS IV, QC-checked (lib/qc.js); without it the report says so
+ * All heights are converted to one datum (--datum, default MLLW) with the station offsets.
+ *
+ * Writes to:
+ *   <dataDir>/sitrep.html                         the latest report
+ *   <out>/<station>-sitrep-<YYYYMMDD-HHMM>Z.html  with --out=<dir>: a dated copy to keep or attach
+ *   <out>/<station>-sitrep-<YYYYMMDD-HHMM>Z.pdf   with --out and --pdf: printed by headless
+ *                                                 Chrome/Chromium (env CHROME_BIN, else the first
+ *                                                 of CHROME_NAMES on PATH); skipped with a warning
+ *                                                 when there is none
+ *
+ * Env TIDE_SOURCE=fixtures:<dir> reads USGS from recorded fixtures (lib/sources.js).
+ *
+ * Usage:
+ *   node tools/build_sitrep.js
+ *   node tools/build_sitrep.js --out=sitrep --pdf
+ *   Any mode + --station=sea-bright[,other-id], --datum=NAVD88, --now=<ISO> (report as of then)
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { pathToFileURL } = require("url");
+const { selectStations, stationDataPath } = require("./lib/stations");
+const { fetchUSGSIV } = require("./lib/usgs");
+const { writeFileAtomic } = require("./lib/datastore");
+const sitrep = require("../lib/sitrep");
+const segments = require("../lib/segments");
+const qc = require("../lib/qc");
+
+// -------------------------
+// Config
+// -------------------------
+const OUT_FILE = "sitrep.html";
+const BLEND_FILE = "forecast_blend.json";
+
+// Same freshness rule as the dashboard and the notifier
+const BLEND_MAX_AGE_HOURS = 6;
+
+const CHROME_NAMES = ["google-chrome", "google-chrome-stable", "chromium", "chromium-browser"];
+const PDF_TIMEOUT_MS = 60 * 1000;
+
+const HOUR_MS = 3600 * 1000;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function readJSONIfExists(p) {
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+// -------------------------
+// Inputs
+// -------------------------
+/**
+ * Everything lib/sitrep.js buildSitrep needs, in `datum`, from the station's files:
+ *   forecastRows (petss_forecast.json / blend points, in forecastDatum), meta, blend (or null),
+ *   events (peaks_navd88.json), observedNavd ([{ t, ft, qc? }] USGS IV)
+ */
+function sitrepInputs({ station, datum, nowMs, forecastRows, forecastDatum = "MLLW", meta = null, blend = null, events = [], observedNavd = [] }) {
+  const off = station.offsetsFromMllw || {};
+  if (!Number.isFinite(off[datum]) || !Number.isFinite(off.NAVD88)) throw new Error(`no ${datum} offset for ${station.id}`);
+  const fromNavd = off[datum] - off.NAVD88;
+  const fromMllw = off[datum] - (off.MLLW ?? 0);
+  const fromForecast = off[datum] - (off[forecastDatum] ?? 0);
+  const N = station.thresholdsNAVD88;
+
+  const forecast = (forecastRows || [])
+    .map(r => {
+      const ft = Number(r.twl ?? (r.tide != null && r.surge != null ? Number(r.tide) + Number(r.surge) : NaN));
+      if (!r.t || !Number.isFinite(ft)) return null;
+      const { hi, lo } = segments.petssBand(r);
+      return { t: r.t, ft: ft + fromForecast, hi: hi != null ? hi + fromForecast : null, lo: lo != null ? lo + fromForecast : null };
+    })
+    .filter(Boolean);
+
+  return {
+    station: {
+      id: station.id,
+      name: station.name,
+      timeZone: station.timeZone,
+      usgsSite: station.usgsSite,
+      coopsStation: station.coopsStation
+    },
+    nowMs,
+    datum,
+    thresholds: { minorLow: N.minorLow + fromNavd, moderateLow: N.moderateLow + fromNavd, majorLow: N.majorLow + fromNavd },
+    forecast,
+    observed: (observedNavd || [])
+      .filter(p => !qc.isSuspect(p.qc))
+      .map(p => ({ t: p.t, ft: Number(p.ft) + fromNavd })),
+    topTen: (station.topTenMllw || []).map(r => ({ date: r.date, ft: Number(r.ft) + fromMllw })),
+    crests: (events || [])
+      .filter(e => e?.kind !== "CrestLow" && !e?.suspect && !qc.isSuspect(e?.qc))
+      .map(e => ({ t: e.t, ft: Number(e.ft) + fromNavd })),
+    source: sitrep.describeSource({ meta, blend }),
+    generator: "tools/build_sitrep.js"
+  };
+}
+
+async function fetchObserved(station, nowMs) {
+  const series = await fetchUSGSIV({
+    site: station.usgsSite,
+    param: station.usgsParam,
+    startISO: new Date(nowMs - sitrep.OBSERVED_HOURS * HOUR_MS).toISOString(),
+    endISO: new Date(nowMs).toISOString(),
+    userAgent: "sitrep/1.0"
+  });
+  return qc.checkSeries(series, station.qc || {}).filter(p => new Date(p.t).getTime() <= nowMs);
+}
+
+// -------------------------
+// PDF
+// -------------------------
+function findChrome(env = process.env) {
+  if (env.CHROME_BIN) return env.CHROME_BIN;
+  for (const dir of (env.PATH || "").split(path.delimiter)) {
+    for (const name of CHROME_NAMES) {
+      const p = path.join(dir, name);
+      if (fs.existsSync(p)) return p;
+    }
+  }
+  return null;
+}
+
+function printPdf(htmlPath, pdfPath, chrome) {
+  execFileSync(chrome, [
+    "--headless=new",
+    "--disable-gpu",
+    "--no-sandbox",
+    "--no-pdf-header-footer",
+    `--print-to-pdf=${pdfPath}`,
+    pathToFileURL(htmlPath).href
+  ], { stdio: "ignore", timeout: PDF_TIMEOUT_MS });
+  if (!fs.existsSync(pdfPath)) throw new Error("the browser wrote no PDF");
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function buildStation(station, { nowMs, datum, outDir, pdf }) {
+  const tag = `[${station.id}]`;
+
+  const blend = readJSONIfExists(stationDataPath(station, BLEND_FILE));
+  const blendAgeMs = blend ? Math.abs(nowMs - new Date(blend.generated_utc).getTime()) : NaN;
+  const useBlend = Array.isArray(blend?.points) && blendAgeMs <= BLEND_MAX_AGE_HOURS * HOUR_MS;
+  const meta = readJSONIfExists(stationDataPath(station, "petss_meta.json"));
+  const forecastRows = useBlend ? blend.points : readJSONIfExists(stationDataPath(station, "petss_forecast.json"));
+  if (!Array.isArray(forecastRows)) log(`${tag} No forecast file; the report has no forecast.`);
+  const peaks = readJSONIfExists(stationDataPath(station, "peaks_navd88.json"));
+
+  let observedNavd = [];
+  try {
+    observedNavd = await fetchObserved(station, nowMs);
+  } catch (e) {
+    log(`${tag} USGS unavailable, reporting without a current reading: ${e.message}`);
+  }
+
+  const report = sitrep.buildSitrep(sitrepInputs({
+    station,
+    datum,
+    nowMs,
+    forecastRows: Array.isArray(forecastRows) ? forecastRows : [],
+    forecastDatum: useBlend ? blend.datum : (meta?.datum || station.petssDatum || "MLLW"),
+    meta,
+    blend: useBlend ? blend : null,
+    events: peaks?.events,
+    observedNavd
+  }));
+  const html = sitrep.renderHtml(report);
+
+  writeFileAtomic(stationDataPath(station, OUT_FILE), html);
+  const peak = report.peak ? `peak ${report.peak.ft.toFixed(2)} ft ${datum} (${report.peak.stage})` : "no forecast peak";
+  log(`${tag} Wrote ${station.dataDir}/${OUT_FILE}: ${report.windows.length} flood window(s), ${peak}`);
+
+  if (!outDir) return;
+  fs.mkdirSync(outDir, { recursive: true });
+  const base = path.join(outDir, `${station.id}-sitrep-${sitrep.fileStamp(nowMs)}`);
+  writeFileAtomic(`${base}.html`, html);
+  log(`${tag} Wrote ${base}.html`);
+
+  if (!pdf) return;
+  const chrome = findChrome();
+  if (!chrome) {
+    log(`${tag} No Chrome/Chromium found (set CHROME_BIN); PDF skipped.`);
+    return;
+  }
+  try {
+    printPdf(`${base}.html`, `${base}.pdf`, chrome);
+    log(`${tag} Wrote ${base}.pdf`);
+  } catch (e) {
+    log(`${tag} PDF failed: ${e.message}`);
+  }
+}
+
+async function main() {
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? new Date(nowArg).getTime() : Date.now();
+  if (!Number.isFinite(nowMs)) die("Invalid --now=<ISO time>");
+  const datum = (parseArg("--datum") || "MLLW").toUpperCase();
+  const out = parseArg("--out");
+  const outDir = out ? path.resolve(out) : null;
+  const pdf = process.argv.includes("--pdf");
+  if (pdf && !outDir) die("--pdf needs --out=<dir> (PDFs are not kept in data/)");
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await buildStation(station, { nowMs, datum, outDir, pdf });
+    } catch (err) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Situation report failed:`, err && (err.message || err));
+    }
+  }
+  if (stations.length && failed.length === stations.length) die(`Situation report failed for every station: ${failed.join(", ")}`);
+  if (failed.length) log(`Finished with failures: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  OUT_FILE,
+  sitrepInputs,
+  findChrome
+};
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Station-config artifact for every station in data/stations.json: datum offsets from the NOAA
+ * CO-OPS datum table for the station's tidal epoch, plus the registry flood thresholds expressed
+ * in every datum. The updaters (via tools/lib/stations.js) and the dashboard both read this file,
+ * so offsets and thresholds have one source.
+ *
+ * Writes to <dataDir>/station_config.json:
+ *   { station, generated_utc, source { coops_station, url, epoch, ... }, epoch,
+ *     datumsAboveStndFt   CO-OPS table, ft above station datum (STND)
+ *     offsetsFromMllw     value_in_datum = mllw + offset, for MLLW MLW MSL MTL DTL MHW MHHW
+ *                         NAVD88 STND (+ LOCAL when the registry sets localDatum)
+ *     localDatum          { name, navd88_ft } — zero of the local datum in ft NAVD88, or null
+ *     thresholdsNAVD88, thresholdsByDatum,
+ *     thresholdsSource    "registry thresholdsNAVD88" or "floodStages <datum> via CO-OPS offsets"
+ *     thresholdsCheck     { datum, stages, navd88, registry, diff_ft } when floodStages is set, else null
+ *     registryCheck       registry offset vs CO-OPS per datum (ft) }
+ *
+ * Registry inputs: coopsStation (or datumStation when the tide-clock station has no datum table),
+ * thresholdsNAVD88, offsetsFromMllw (fallback for NAVD88 when CO-OPS has no geodetic tie),
+ * optional localDatum { name, navd88Ft }, optional floodStages { datum, minorLow, moderateLow,
+ * majorLow }.
+ *
+ * Thresholds: flood categories are usually published in a tidal datum (MLLW for Sea Bright), and
+ * a NAVD88 copy typed by hand goes stale whenever the offset it was converted with does (the old
+ * 4.19/5.19/6.19 were the 5.2/6.2/7.2 MLLW stages shifted by 1.01 ft instead of 2.1). When the
+ * registry carries floodStages, thresholdsNAVD88 is converted from them with the CO-OPS offsets
+ * built here, and a registry thresholdsNAVD88 that disagrees is reported (config wins).
+ *
+ * Usage:
+ *   node tools/build_station_config.js
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { selectStations, stationDataDir, stationDataPath, STATION_CONFIG_FILE } = require("./lib/stations");
+const { getSource } = require("./lib/sources");
+const { withLock, writeJSONAtomic } = require("./lib/datastore");
+
+const M_TO_FT = 3.280839895;
+
+// Tidal datums we offer for display (the table also carries ranges/intervals like GT, MN, HWI)
+const DATUM_NAMES = ["STND", "MHHW", "MHW", "DTL", "MTL", "MSL", "MLW", "MLLW", "NAVD88"];
+
+// Registry offsets (and thresholds) further than this from CO-OPS get called out in the log
+const REGISTRY_TOLERANCE_FT = 0.05;
+
+const THRESHOLD_KEYS = ["minorLow", "moderateLow", "majorLow"];
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+function datumsUrl(coopsStation) {
+  return `https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations/${encodeURIComponent(coopsStation)}/datums.json`;
+}
+
+/**
+ * CO-OPS datum table -> { epoch, units, aboveStndFt: { NAME: ft } }.
+ * Accepts the metadata API shape ({ datums: [{ name, value }], units, epoch }) and the data API
+ * shape ({ datums: [{ n, v }] }, feet when requested in english units).
+ */
+function parseCoopsDatums(json, { units = null } = {}) {
+  const rows = Array.isArray(json?.datums) ? json.datums : [];
+  const u = String(units || json?.units || "metric").toLowerCase();
+  const scale = u.startsWith("metric") || u === "meters" ? M_TO_FT : 1;
+
+  const aboveStndFt = {};
+  for (const r of rows) {
+    let name = String(r?.name ?? r?.n ?? "").toUpperCase();
+    if (name === "NAVD") name = "NAVD88";
+    const v = Number(r?.value ?? r?.v);
+    if (!DATUM_NAMES.includes(name) || r?.value === null || r?.v === null || !Number.isFinite(v)) continue;
+    aboveStndFt[name] = round3(v * scale);
+  }
+  if (aboveStndFt.STND == null && Object.keys(aboveStndFt).length) aboveStndFt.STND = 0;
+  if (aboveStndFt.MLLW == null) throw new Error("CO-OPS datum table has no MLLW");
+
+  return { epoch: json?.epoch || null, units: u, aboveStndFt };
+}
+
+function thresholdsByDatum(thresholdsNAVD88, offsets) {
+  const out = {};
+  for (const [d, off] of Object.entries(offsets)) {
+    const shift = off - offsets.NAVD88;
+    out[d] = {
+      minorLow: round3(thresholdsNAVD88.minorLow + shift),
+      moderateLow: round3(thresholdsNAVD88.moderateLow + shift),
+      majorLow: round3(thresholdsNAVD88.majorLow + shift)
+    };
+  }
+  return out;
+}
+
+/**
+ * Registry floodStages (in their own datum) -> NAVD88 thresholds with the config offsets:
+ *   { thresholdsNAVD88, thresholdsSource, thresholdsCheck }
+ * Without floodStages the registry thresholdsNAVD88 stand as they are.
+ */
+function resolveThresholds(station, offsets) {
+  const registry = station.thresholdsNAVD88 ? { ...station.thresholdsNAVD88 } : null;
+  const published = station.floodStages;
+  if (!published) {
+    if (!registry) throw new Error("No thresholdsNAVD88 or floodStages in the registry");
+    return { thresholdsNAVD88: registry, thresholdsSource: "registry thresholdsNAVD88", thresholdsCheck: null };
+  }
+
+  const datum = String(published.datum || "MLLW").toUpperCase();
+  if (offsets[datum] == null) throw new Error(`floodStages are in ${datum}, which the CO-OPS table doesn't have`);
+  // value_in_NAVD88 = value_in_D − off_D + off_NAVD88
+  const shift = offsets.NAVD88 - offsets[datum];
+  const stages = {}, navd88 = {};
+  for (const k of THRESHOLD_KEYS) {
+    const v = Number(published[k]);
+    if (published[k] == null || !Number.isFinite(v)) throw new Error(`floodStages.${k} is missing`);
+    stages[k] = v;
+    navd88[k] = round3(v + shift);
+  }
+  const diff_ft = registry
+    ? Object.fromEntries(THRESHOLD_KEYS.map(k => [k, round3(navd88[k] - Number(registry[k]))]))
+    : null;
+
+  return {
+    thresholdsNAVD88: navd88,
+    thresholdsSource: `floodStages ${datum} via CO-OPS offsets`,
+    thresholdsCheck: { datum, stages, navd88, registry, diff_ft }
+  };
+}
+
+/** Registry entry + parsed CO-OPS table -> station_config.json body */
+function buildStationConfig(station, parsed, { url = null } = {}) {
+  const above = parsed.aboveStndFt;
+  const offsets = {};
+  // value_in_D = value_stnd − D_stnd = mllw + (MLLW_stnd − D_stnd)
+  for (const name of DATUM_NAMES) {
+    if (above[name] != null) offsets[name] = round3(above.MLLW - above[name]);
+  }
+
+  const regOff = station.offsetsFromMllw || {};
+  let navdFromRegistry = false;
+  if (offsets.NAVD88 == null) {
+    if (!Number.isFinite(regOff.NAVD88)) throw new Error("No NAVD88 in the CO-OPS table or the registry");
+    offsets.NAVD88 = regOff.NAVD88;
+    navdFromRegistry = true;
+  }
+
+  let localDatum = null;
+  const ld = station.localDatum;
+  if (ld && Number.isFinite(Number(ld.navd88Ft))) {
+    // local = navd − zero  =>  offset = NAVD88 offset − zero
+    localDatum = { name: ld.name || "Local datum", navd88_ft: Number(ld.navd88Ft) };
+    offsets.LOCAL = round3(offsets.NAVD88 - localDatum.navd88_ft);
+  }
+
+  const registryCheck = {};
+  for (const [d, v] of Object.entries(regOff)) {
+    if (offsets[d] == null || !Number.isFinite(v)) continue;
+    registryCheck[d] = { registry: v, config: offsets[d], diff_ft: round3(offsets[d] - v) };
+  }
+
+  const { thresholdsNAVD88, thresholdsSource, thresholdsCheck } = resolveThresholds(station, offsets);
+
+  return {
+    station: station.id,
+    generated_utc: new Date().toISOString(),
+    source: {
+      provider: "NOAA CO-OPS",
+      coops_station: station.datumStation || station.coopsStation,
+      url,
+      epoch: parsed.epoch,
+      units: parsed.units,
+      navd88_from_registry: navdFromRegistry
+    },
+    epoch: parsed.epoch,
+    datumsAboveStndFt: above,
+    offsetsFromMllw: offsets,
+    localDatum,
+    thresholdsNAVD88,
+    thresholdsByDatum: thresholdsByDatum(thresholdsNAVD88, offsets),
+    thresholdsSource,
+    thresholdsCheck,
+    registryCheck
+  };
+}
+
+/** Existing file carries the same config apart from its timestamp (so the monthly run doesn't commit noise) */
+function sameConfig(p, cfg) {
+  try {
+    const { generated_utc: _a, ...prev } = JSON.parse(fs.readFileSync(p, "utf8"));
+    const { generated_utc: _b, ...next } = cfg;
+    return JSON.stringify(prev) === JSON.stringify(next);
+  } catch {
+    return false;
+  }
+}
+
+async function buildStation(station) {
+  const tag = `[${station.id}]`;
+  const coops = station.datumStation || station.coopsStation;
+  const url = datumsUrl(coops);
+  const json = await getSource()
+    .fetchJson(url, { headers: { "User-Agent": "station-config/1.0" } })
+    .catch(e => { throw new Error(`CO-OPS datums fetch failed: ${e.message}`); });
+
+  const cfg = buildStationConfig(station, parseCoopsDatums(json), { url });
+  // Every run, not only when the file changes: a disagreeing registry needs fixing
+  const tc = cfg.thresholdsCheck;
+  if (tc?.diff_ft && THRESHOLD_KEYS.some(k => Math.abs(tc.diff_ft[k]) > REGISTRY_TOLERANCE_FT)) {
+    console.warn(
+      `${tag} Registry thresholdsNAVD88 ${THRESHOLD_KEYS.map(k => tc.registry[k]).join(" / ")} differ from the ${tc.datum} ` +
+      `flood stages ${THRESHOLD_KEYS.map(k => tc.stages[k]).join(" / ")} converted with CO-OPS ` +
+      `(${THRESHOLD_KEYS.map(k => tc.navd88[k]).join(" / ")}) by ${THRESHOLD_KEYS.map(k => tc.diff_ft[k]).join(" / ")} ft (config wins)`
+    );
+  }
+
+  const outPath = stationDataPath(station, STATION_CONFIG_FILE);
+  const changed = await withLock(stationDataDir(station), () => {
+    if (sameConfig(outPath, cfg)) return false;
+    writeJSONAtomic(outPath, cfg);
+    return true;
+  });
+  if (!changed) {
+    log(`${tag} ${STATION_CONFIG_FILE} unchanged`);
+    return;
+  }
+
+  log(`${tag} CO-OPS ${coops} datums (epoch ${cfg.epoch || "?"}): ${Object.keys(cfg.datumsAboveStndFt).join(", ")}`);
+  if (cfg.source.navd88_from_registry) log(`${tag} No NAVD88 tie in the CO-OPS table; kept the registry NAVD88 offset`);
+  for (const [d, c] of Object.entries(cfg.registryCheck)) {
+    if (Math.abs(c.diff_ft) > REGISTRY_TOLERANCE_FT) {
+      log(`${tag} Registry ${d} offset ${c.registry} differs from CO-OPS ${c.config} by ${c.diff_ft} ft (config wins)`);
+    }
+  }
+  log(`${tag} Thresholds from ${cfg.thresholdsSource}: ${THRESHOLD_KEYS.map(k => cfg.thresholdsNAVD88[k]).join(" / ")} ft NAVD88`);
+  log(`${tag} Wrote ${station.dataDir}/${STATION_CONFIG_FILE}`);
+}
+
+async function main() {
+  // Raw registry entries: the config is what we're building
+  const stations = selectStations({ only: parseArg("--station"), withConfig: false });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await buildStation(station);
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Station config build failed (existing config kept):`, e && (e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Station config build failed for every station: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DATUM_NAMES,
+  parseCoopsDatums,
+  buildStationConfig,
+  resolveThresholds,
+  thresholdsByDatum
+};
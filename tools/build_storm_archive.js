@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+/**
+ * Storm catalog: archives each named storm in data/storms.json, per station, for replay in the
+ * dashboard (observed water level, astronomical prediction and the surge residual between them).
+ *
+ * For every storm whose window the station covers:
+ *  - USGS IV observed (NAVD88) and CO-OPS hourly predictions (MLLW + registry offsetsFromMllw.NAVD88)
+ *    are fetched once and put on a 15-min grid: obs is the reading nearest each grid time
+ *    (±7.5 min), pred is interpolated (never across a gap over 3h), resid = obs − pred
+ *  - readings QC marks suspect (lib/qc.js) are kept for display but get no residual and are left
+ *    out of the summary peaks
+ *  - the crest events in peaks_navd88.json that fall in the window are linked in the index, so
+ *    the catalog picks up crests a later backfill adds without refetching anything
+ *
+ * An archive is only refetched when the catalog window changes or with --refresh; storms from
+ * before the gauge's IV record are listed with status "no_observations" and not retried.
+ *
+ * Writes to:
+ *   <dataDir>/storms/<id>.json
+ *     { station, method, datum: "NAVD88", step_minutes, generated_utc, storm: { id, name, kind,
+ *       start, end }, sources, navd88_from_mllw_ft, summary, points: [{ t, obs, pred, resid, suspect? }] }
+ *   <dataDir>/storms/index.json
+ *     { station, method, generated_utc, storms: [{ id, name, kind, start, end, notes, status,
+ *       file, summary, crests: [{ crest, t, ft, type, anomaly_ft, suspect? }] }] }
+ *
+ * Env TIDE_SOURCE=fixtures:<dir> reads USGS and CO-OPS from recorded fixtures (lib/sources.js).
+ *
+ * Usage:
+ *   node tools/build_storm_archive.js
+ *   node tools/build_storm_archive.js --storm=sandy-2012 --refresh
+ *   node tools/build_storm_archive.js --catalog=path/to/storms.json
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { REPO_ROOT, selectStations, stationDataPath } = require("./lib/stations");
+const { fetchUSGSIV } = require("./lib/usgs");
+const { fetchNOAAHourlyPredictions } = require("./lib/coops");
+const { writeJSONAtomic } = require("./lib/datastore");
+const { interpAt } = require("./blend_forecast");
+const qc = require("../lib/qc");
+
+// -------------------------
+// Config
+// -------------------------
+const CATALOG_PATH = path.join(REPO_ROOT, "data", "storms.json");
+const ARCHIVE_DIR = "storms";
+const INDEX_FILE = "index.json";
+const METHOD = "storm_replay_v1";
+
+const STEP_MINUTES = 15;
+const MAX_WINDOW_DAYS = 14;
+const STORM_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+const STEP_MS = STEP_MINUTES * 60 * 1000;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+function readJSONIfExists(p) {
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+// -------------------------
+// Catalog
+// -------------------------
+/** data/storms.json -> storms with start/end normalized to ISO; throws on a bad entry */
+function loadCatalog(catalogPath = CATALOG_PATH) {
+  const j = JSON.parse(fs.readFileSync(catalogPath, "utf8"));
+  const storms = Array.isArray(j?.storms) ? j.storms : [];
+  const seen = new Set();
+  return storms.map(s => {
+    const what = `Storm ${s?.id || "?"} in ${path.basename(catalogPath)}`;
+    if (!STORM_ID.test(String(s?.id || ""))) throw new Error(`${what}: id must be lowercase letters, digits and dashes`);
+    if (seen.has(s.id)) throw new Error(`${what}: duplicate id`);
+    seen.add(s.id);
+    if (!s.name) throw new Error(`${what}: missing name`);
+
+    const startMs = new Date(s.start).getTime();
+    const endMs = new Date(s.end).getTime();
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) throw new Error(`${what}: start/end must be ISO times with start < end`);
+    if (endMs - startMs > MAX_WINDOW_DAYS * 86400000) throw new Error(`${what}: window is longer than ${MAX_WINDOW_DAYS} days`);
+
+    return {
+      ...s,
+      kind: s.kind || "storm",
+      start: new Date(startMs).toISOString(),
+      end: new Date(endMs).toISOString(),
+      stations: Array.isArray(s.stations) ? s.stations : null
+    };
+  });
+}
+
+function stormsForStation(catalog, station) {
+  return catalog.filter(s => !s.stations || s.stations.includes(station.id));
+}
+
+// -------------------------
+// Replay series
+// -------------------------
+/**
+ * 15-min grid over [start, end]: [{ t, obs, pred, resid, suspect? }] in ft NAVD88.
+ * observed: [{ t, ft, qc? }] (NAVD88), predicted: [{ t, ft }] (NAVD88).
+ */
+function buildReplaySeries({ start, end, observed, predicted }) {
+  const startMs = Math.floor(new Date(start).getTime() / STEP_MS) * STEP_MS;
+  const endMs = Math.ceil(new Date(end).getTime() / STEP_MS) * STEP_MS;
+
+  // Nearest reading to each grid time (a reading sits in exactly one ±7.5 min bin)
+  const nearest = new Map();
+  for (const p of observed || []) {
+    const ms = new Date(p.t).getTime();
+    const ft = Number(p.ft);
+    if (!Number.isFinite(ms) || !Number.isFinite(ft)) continue;
+    const slot = Math.round(ms / STEP_MS) * STEP_MS;
+    const prev = nearest.get(slot);
+    if (!prev || Math.abs(ms - slot) < Math.abs(prev.ms - slot)) nearest.set(slot, { ms, ft, suspect: qc.isSuspect(p.qc) });
+  }
+
+  const pred = (predicted || [])
+    .map(p => ({ ms: new Date(p.t).getTime(), ft: Number(p.ft) }))
+    .filter(p => Number.isFinite(p.ms) && Number.isFinite(p.ft))
+    .sort((a, b) => a.ms - b.ms);
+
+  const points = [];
+  for (let ms = startMs; ms <= endMs; ms += STEP_MS) {
+    const o = nearest.get(ms);
+    const pv = interpAt(pred, ms);
+    const obs = o ? round3(o.ft) : null;
+    const p = pv == null ? null : round3(pv);
+    const pt = { t: new Date(ms).toISOString(), obs, pred: p, resid: obs != null && p != null && !o.suspect ? round3(obs - p) : null };
+    if (o?.suspect) pt.suspect = true;
+    points.push(pt);
+  }
+  return points;
+}
+
+/** Peak water level, peak residual and obs coverage of a replay series (suspect readings left out) */
+function summarizeReplay(points) {
+  let peak = null, peakResid = null, nObs = 0;
+  for (const p of points) {
+    if (p.obs == null) continue;
+    nObs++;
+    if (p.suspect) continue;
+    if (!peak || p.obs > peak.ft) peak = { t: p.t, ft: p.obs, pred_ft: p.pred, resid_ft: p.resid };
+    if (p.resid != null && (!peakResid || p.resid > peakResid.ft)) peakResid = { t: p.t, ft: p.resid };
+  }
+  return {
+    peak,
+    peak_residual: peakResid,
+    n_points: points.length,
+    obs_coverage: points.length ? round3(nObs / points.length) : 0
+  };
+}
+
+/** High-crest events from the peaks cache whose crest falls in the storm window */
+function linkCrests(events, storm) {
+  const a = new Date(storm.start).getTime();
+  const b = new Date(storm.end).getTime();
+  return (events || [])
+    .filter(e => (e.kind || "CrestHigh") === "CrestHigh")
+    .filter(e => {
+      const ms = new Date(e.crest).getTime();
+      return ms >= a && ms <= b;
+    })
+    .sort((x, y) => new Date(x.crest) - new Date(y.crest))
+    .map(e => {
+      const c = { crest: e.crest, t: e.t, ft: e.ft, type: e.type, anomaly_ft: e.anomaly_ft ?? null };
+      if (e.suspect) c.suspect = true;
+      return c;
+    });
+}
+
+// -------------------------
+// Fetch
+// -------------------------
+async function fetchReplay(station, storm) {
+  const startMs = new Date(storm.start).getTime();
+  const endMs = new Date(storm.end).getTime();
+  const navdOffset = Number(station.offsetsFromMllw?.NAVD88);
+
+  const series = await fetchUSGSIV({
+    site: station.usgsSite,
+    param: station.usgsParam,
+    startISO: storm.start,
+    endISO: storm.end,
+    userAgent: "storm-archive/1.0"
+  });
+  const observed = qc.checkSeries(series).filter(p => {
+    const ms = new Date(p.t).getTime();
+    return ms >= startMs - STEP_MS && ms <= endMs + STEP_MS;
+  });
+  if (!observed.length) return null;
+
+  // Pad a day each side so the hourly curve brackets the whole window
+  const predicted = (await fetchNOAAHourlyPredictions({
+    station: station.coopsStation,
+    startISO: new Date(startMs - 86400000).toISOString(),
+    endISO: new Date(endMs + 86400000).toISOString(),
+    application: "storm-archive",
+    userAgent: "storm-archive/1.0"
+  })).map(p => ({ t: p.t, ft: p.ft + navdOffset }));
+
+  return buildReplaySeries({ start: storm.start, end: storm.end, observed, predicted });
+}
+
+// -------------------------
+// Station
+// -------------------------
+async function archiveStation(station, catalog, { only, refresh }) {
+  const tag = `[${station.id}]`;
+  if (!Number.isFinite(Number(station.offsetsFromMllw?.NAVD88))) {
+    throw new Error("No offsetsFromMllw.NAVD88 in registry (needed to put predictions on NAVD88)");
+  }
+
+  const dir = stationDataPath(station, ARCHIVE_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const indexPath = path.join(dir, INDEX_FILE);
+  const prevIndex = readJSONIfExists(indexPath);
+  const prevById = new Map((prevIndex?.storms || []).map(s => [s.id, s]));
+  const events = readJSONIfExists(stationDataPath(station, "peaks_navd88.json"))?.events || [];
+
+  const entries = [];
+  let fetched = 0, failed = 0;
+  for (const storm of stormsForStation(catalog, station)) {
+    const file = `${ARCHIVE_DIR}/${storm.id}.json`;
+    const archivePath = stationDataPath(station, file);
+    const archive = readJSONIfExists(archivePath);
+    const prev = prevById.get(storm.id);
+    const sameWindow = x => x && x.start === storm.start && x.end === storm.end;
+    const wanted = !only || only.includes(storm.id);
+
+    const entry = {
+      id: storm.id,
+      name: storm.name,
+      kind: storm.kind,
+      start: storm.start,
+      end: storm.end,
+      notes: storm.notes || null,
+      status: "archived",
+      file,
+      summary: null,
+      crests: linkCrests(events, storm)
+    };
+
+    const current = archive?.method === METHOD && sameWindow(archive.storm);
+    const knownEmpty = prev?.status === "no_observations" && sameWindow(prev);
+    if ((current || knownEmpty) && !(refresh && wanted)) {
+      if (current) entry.summary = archive.summary;
+      else Object.assign(entry, { status: "no_observations", file: null });
+      entries.push(entry);
+      continue;
+    }
+    if (!wanted) {
+      // Not asked for this run and nothing current on disk: list it, archive it another time
+      entries.push({ ...entry, status: "pending", file: null });
+      continue;
+    }
+
+    try {
+      const points = await fetchReplay(station, storm);
+      if (!points) {
+        log(`${tag} ${storm.id}: no USGS observations in ${storm.start} – ${storm.end}`);
+        if (archive) fs.rmSync(archivePath, { force: true });
+        entries.push({ ...entry, status: "no_observations", file: null });
+        continue;
+      }
+      const summary = summarizeReplay(points);
+      writeJSONAtomic(archivePath, {
+        station: station.id,
+        method: METHOD,
+        datum: "NAVD88",
+        step_minutes: STEP_MINUTES,
+        generated_utc: new Date().toISOString(),
+        storm: { id: storm.id, name: storm.name, kind: storm.kind, start: storm.start, end: storm.end },
+        sources: {
+          observed: `USGS IV ${station.usgsSite} parameter ${station.usgsParam}`,
+          predicted: `NOAA CO-OPS ${station.coopsStation} hourly predictions, MLLW`
+        },
+        navd88_from_mllw_ft: Number(station.offsetsFromMllw.NAVD88),
+        summary,
+        points
+      });
+      fetched++;
+      entries.push({ ...entry, summary });
+      log(`${tag} ${storm.id}: archived ${points.length} points, peak ${summary.peak ? `${summary.peak.ft} ft NAVD88` : "—"}, ${entry.crests.length} linked crest(s)`);
+    } catch (e) {
+      failed++;
+      console.error(`${tag} ${storm.id}: archive failed: ${e.message || e}`);
+      // Keep whatever replay we already had
+      entries.push(current ? { ...entry, summary: archive.summary } : { ...entry, status: "failed", file: null });
+    }
+  }
+
+  writeJSONAtomic(indexPath, {
+    station: station.id,
+    method: METHOD,
+    generated_utc: new Date().toISOString(),
+    storms: entries
+  });
+  log(`${tag} Wrote ${station.dataDir}/${ARCHIVE_DIR}/${INDEX_FILE}: ${entries.length} storm(s), ${fetched} fetched, ${failed} failed`);
+  if (failed && !entries.some(e => e.status === "archived")) throw new Error("every storm archive failed");
+}
+
+async function main() {
+  const catalogArg = parseArg("--catalog");
+  let catalog;
+  try {
+    catalog = loadCatalog(catalogArg ? path.resolve(catalogArg) : CATALOG_PATH);
+  } catch (e) {
+    die(`Storm catalog: ${e.message}`);
+  }
+
+  const stormArg = parseArg("--storm");
+  const only = stormArg ? stormArg.split(",").map(s => s.trim()).filter(Boolean) : null;
+  const unknown = (only || []).filter(id => !catalog.some(s => s.id === id));
+  if (unknown.length) die(`Unknown storm id(s): ${unknown.join(", ")}`);
+  const refresh = process.argv.includes("--refresh");
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await archiveStation(station, catalog, { only, refresh });
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Storm archive failed:`, e && (e.stack || e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Storm archive failed for every station: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  CATALOG_PATH,
+  METHOD,
+  STEP_MINUTES,
+  loadCatalog,
+  stormsForStation,
+  buildReplaySeries,
+  summarizeReplay,
+  linkCrests
+};
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * Observed storm surge: the hourly residual (observed − astronomical tide) for every station in
+ * data/stations.json, cached per UTC year, plus a surge climatology (percentiles by month).
+ *
+ *  - observed: USGS IV (NAVD88), the clean reading nearest each hour within ±OBS_MATCH_MINUTES;
+ *    readings QC marks suspect (lib/qc.js) get no residual
+ *  - astronomical: CO-OPS hourly predictions (MLLW) + registry offsetsFromMllw.NAVD88, so both
+ *    series are on NAVD88 before they're subtracted; the residual itself is datum-free
+ *  - climatology: every cached hour, by calendar month (UTC); a month with fewer than
+ *    MIN_CLIMATOLOGY_HOURS values gets no percentiles
+ *
+ * The residual is what PETSS calls SURGE (its TWL − TIDE), measured instead of forecast: a
+ * king tide has a high observed level and a small residual, a wind-driven event a large one.
+ *
+ * Writes to:
+ *   <dataDir>/surge/<YYYY>.json
+ *     { station, method, datum: "NAVD88", year, start, step_minutes: 60, generated_utc, through,
+ *       sources, navd88_from_mllw_ft, n_values, resid: [ft | null, one per hour from start] }
+ *   <dataDir>/surge_climatology.json
+ *     { station, method, generated_utc, years: { first, last }, n_values, percentiles, latest,
+ *       months: [{ month, n, p01 … p99, min: { t, ft }, max: { t, ft } }], all: { … } }
+ *
+ * Env TIDE_SOURCE=fixtures:<dir> reads USGS and CO-OPS from recorded fixtures (lib/sources.js).
+ *
+ * Modes:
+ *   node tools/build_surge_residual.js
+ *     -> incremental: from the newest cached hour (less BUFFER_HOURS) to now; a station with no
+ *        cache starts NEW_ARCHIVE_LOOKBACK_DAYS back (backfill for the full archive)
+ *   node tools/build_surge_residual.js --backfill-year=2012
+ *   node tools/build_surge_residual.js --backfill-from=2008 --backfill-to=2026
+ *   Any mode + --station=sea-bright[,other-id], --now=<ISO> (pretend it's then)
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { selectStations, stationDataDir, stationDataPath } = require("./lib/stations");
+const { fetchUSGSIV } = require("./lib/usgs");
+const { fetchNOAAHourlyPredictions } = require("./lib/coops");
+const { withLock, writeJSONAtomic } = require("./lib/datastore");
+const qc = require("../lib/qc");
+
+// -------------------------
+// Config
+// -------------------------
+const SURGE_DIR = "surge";
+const CLIMATOLOGY_FILE = "surge_climatology.json";
+const METHOD = "hourly_residual_v1";
+
+const STEP_MINUTES = 60;
+const OBS_MATCH_MINUTES = 15;
+const BUFFER_HOURS = 24;
+const NEW_ARCHIVE_LOOKBACK_DAYS = 30;
+const IV_CHUNK_DAYS = 31;
+
+const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+const MIN_CLIMATOLOGY_HOURS = 20 * 24;
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+function readJSONIfExists(p) {
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+const pctKey = p => `p${String(p).padStart(2, "0")}`;
+
+// -------------------------
+// Residual
+// -------------------------
+/**
+ * Hourly residuals in [startMs, endMs]: [{ ms, resid }] (hours without a clean reading or a
+ * prediction are left out). observed: [{ t, ft, qc? }] NAVD88; predicted: [{ t, ft }] NAVD88, hourly.
+ */
+function hourlyResidual({ startMs, endMs, observed, predicted }) {
+  const pred = new Map();
+  for (const p of predicted || []) {
+    const ms = new Date(p.t).getTime();
+    if (Number.isFinite(ms) && Number.isFinite(p.ft)) pred.set(ms, p.ft);
+  }
+
+  // Nearest reading to each hour; a suspect nearest reading leaves the hour empty
+  const match = OBS_MATCH_MINUTES * 60 * 1000;
+  const nearest = new Map();
+  for (const p of observed || []) {
+    const ms = new Date(p.t).getTime();
+    const ft = Number(p.ft);
+    if (!Number.isFinite(ms) || !Number.isFinite(ft)) continue;
+    const hour = Math.round(ms / HOUR_MS) * HOUR_MS;
+    if (Math.abs(ms - hour) > match) continue;
+    const prev = nearest.get(hour);
+    if (!prev || Math.abs(ms - hour) < Math.abs(prev.ms - hour)) nearest.set(hour, { ms, ft, suspect: qc.isSuspect(p.qc) });
+  }
+
+  const out = [];
+  const first = Math.ceil(startMs / HOUR_MS) * HOUR_MS;
+  for (let ms = first; ms <= endMs; ms += HOUR_MS) {
+    const o = nearest.get(ms);
+    const p = pred.get(ms);
+    if (!o || o.suspect || p == null) continue;
+    out.push({ ms, resid: round3(o.ft - p) });
+  }
+  return out;
+}
+
+function yearStartMs(year) {
+  return Date.UTC(year, 0, 1);
+}
+
+function hoursInYear(year) {
+  return (yearStartMs(year + 1) - yearStartMs(year)) / HOUR_MS;
+}
+
+/**
+ * Put residuals into a year file (new or cached). throughMs = end of the window that was fetched:
+ * hours in it without a residual are cleared, so a reading QC now rejects doesn't linger.
+ */
+function mergeIntoYear(doc, year, { fromMs, throughMs, residuals }) {
+  const startMs = yearStartMs(year);
+  const n = hoursInYear(year);
+  // A file from another method (or a damaged one) is started over
+  const reuse = Array.isArray(doc?.resid) && doc.resid.length === n && doc.method === METHOD;
+  const resid = reuse ? doc.resid.slice() : new Array(n).fill(null);
+
+  const lo = Math.max(0, Math.ceil((fromMs - startMs) / HOUR_MS));
+  const hi = Math.min(n - 1, Math.floor((throughMs - startMs) / HOUR_MS));
+  for (let i = lo; i <= hi; i++) resid[i] = null;
+  for (const r of residuals) {
+    const i = (r.ms - startMs) / HOUR_MS;
+    if (Number.isInteger(i) && i >= lo && i <= hi) resid[i] = r.resid;
+  }
+
+  const prevThrough = reuse && doc.through ? new Date(doc.through).getTime() : -Infinity;
+  const through = Math.min(Math.max(prevThrough, throughMs), startMs + (n - 1) * HOUR_MS);
+  return {
+    year,
+    start: new Date(startMs).toISOString(),
+    step_minutes: STEP_MINUTES,
+    through: new Date(through).toISOString(),
+    n_values: resid.filter(v => v != null).length,
+    resid
+  };
+}
+
+function statsOf(values, times) {
+  const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+  const sorted = order.map(i => values[i]);
+  const out = { n: sorted.length };
+  if (sorted.length < MIN_CLIMATOLOGY_HOURS) return out;
+  for (const p of PERCENTILES) out[pctKey(p)] = round3(quantile(sorted, p / 100));
+  const lo = order[0], hi = order[order.length - 1];
+  out.min = { t: new Date(times[lo]).toISOString(), ft: values[lo] };
+  out.max = { t: new Date(times[hi]).toISOString(), ft: values[hi] };
+  return out;
+}
+
+/** Percentiles of the hourly residual by calendar month (UTC) and overall, from year files */
+function surgeClimatology(yearDocs) {
+  const byMonth = Array.from({ length: 12 }, () => ({ values: [], times: [] }));
+  const all = { values: [], times: [] };
+  let latest = null;
+  const years = [];
+
+  for (const doc of [...yearDocs].sort((a, b) => a.year - b.year)) {
+    const startMs = new Date(doc.start).getTime();
+    let any = false;
+    doc.resid.forEach((v, i) => {
+      if (v == null) return;
+      const ms = startMs + i * HOUR_MS;
+      const m = new Date(ms).getUTCMonth();
+      byMonth[m].values.push(v);
+      byMonth[m].times.push(ms);
+      all.values.push(v);
+      all.times.push(ms);
+      if (!latest || ms > latest.ms) latest = { ms, ft: v };
+      any = true;
+    });
+    if (any) years.push(doc.year);
+  }
+
+  return {
+    years: years.length ? { first: years[0], last: years[years.length - 1] } : null,
+    n_values: all.values.length,
+    percentiles: PERCENTILES,
+    latest: latest ? { t: new Date(latest.ms).toISOString(), ft: latest.ft } : null,
+    months: byMonth.map((m, i) => ({ month: i + 1, ...statsOf(m.values, m.times) })),
+    all: statsOf(all.values, all.times)
+  };
+}
+
+// -------------------------
+// Fetch
+// -------------------------
+async function fetchResiduals(station, fromMs, toMs) {
+  const navdOffset = Number(station.offsetsFromMllw.NAVD88);
+  const predicted = (await fetchNOAAHourlyPredictions({
+    station: station.coopsStation,
+    startISO: new Date(fromMs).toISOString(),
+    endISO: new Date(toMs).toISOString(),
+    application: "surge-residual",
+    userAgent: "surge-residual/1.0"
+  })).map(p => ({ t: p.t, ft: p.ft + navdOffset }));
+
+  const residuals = [];
+  for (let a = fromMs; a <= toMs; a += IV_CHUNK_DAYS * DAY_MS) {
+    const b = Math.min(toMs, a + IV_CHUNK_DAYS * DAY_MS - 1);
+    const series = await fetchUSGSIV({
+      site: station.usgsSite,
+      param: station.usgsParam,
+      startISO: new Date(a - OBS_MATCH_MINUTES * 60 * 1000).toISOString(),
+      endISO: new Date(b + OBS_MATCH_MINUTES * 60 * 1000).toISOString(),
+      userAgent: "surge-residual/1.0"
+    });
+    const observed = qc.checkSeries(series, { ...(station.qc || {}), predicted });
+    residuals.push(...hourlyResidual({ startMs: a, endMs: b, observed, predicted }));
+  }
+  return residuals;
+}
+
+// -------------------------
+// Station
+// -------------------------
+function yearFilePath(station, year) {
+  return stationDataPath(station, path.join(SURGE_DIR, `${year}.json`));
+}
+
+function cachedYears(station) {
+  const dir = stationDataPath(station, SURGE_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(f => /^(\d{4})\.json$/.exec(f))
+    .filter(Boolean)
+    .map(m => Number(m[1]))
+    .sort((a, b) => a - b);
+}
+
+async function surgeStation(station, { nowMs, backfill }) {
+  const tag = `[${station.id}]`;
+  if (!Number.isFinite(Number(station.offsetsFromMllw?.NAVD88))) {
+    throw new Error("No offsetsFromMllw.NAVD88 in registry (needed to put predictions on NAVD88)");
+  }
+  const nowHour = Math.floor(nowMs / HOUR_MS) * HOUR_MS;
+
+  // Windows to fetch, one per UTC year so a failed year doesn't cost the others
+  let fromMs, toMs;
+  if (backfill) {
+    fromMs = yearStartMs(backfill.from);
+    toMs = Math.min(nowHour, yearStartMs(backfill.to + 1) - HOUR_MS);
+  } else {
+    const years = cachedYears(station);
+    const newest = years.length ? readJSONIfExists(yearFilePath(station, years[years.length - 1])) : null;
+    const through = newest?.method === METHOD ? new Date(newest.through).getTime() : NaN;
+    fromMs = Number.isFinite(through) ? through - BUFFER_HOURS * HOUR_MS : nowHour - NEW_ARCHIVE_LOOKBACK_DAYS * DAY_MS;
+    toMs = nowHour;
+  }
+  if (toMs < fromMs) throw new Error(`Nothing to fetch: ${new Date(fromMs).toISOString()} is after now`);
+
+  fs.mkdirSync(stationDataPath(station, SURGE_DIR), { recursive: true });
+  let written = 0, failed = 0;
+  const fromYear = new Date(fromMs).getUTCFullYear();
+  const toYear = new Date(toMs).getUTCFullYear();
+  for (let year = fromYear; year <= toYear; year++) {
+    const a = Math.max(fromMs, yearStartMs(year));
+    const b = Math.min(toMs, yearStartMs(year + 1) - HOUR_MS);
+    try {
+      const residuals = await fetchResiduals(station, a, b);
+      const p = yearFilePath(station, year);
+      const doc = await withLock(stationDataDir(station), () => {
+        const merged = mergeIntoYear(readJSONIfExists(p), year, { fromMs: a, throughMs: b, residuals });
+        writeJSONAtomic(p, {
+          station: station.id,
+          method: METHOD,
+          datum: "NAVD88",
+          year,
+          start: merged.start,
+          step_minutes: merged.step_minutes,
+          generated_utc: new Date().toISOString(),
+          through: merged.through,
+          sources: {
+            observed: `USGS IV ${station.usgsSite} parameter ${station.usgsParam}`,
+            predicted: `NOAA CO-OPS ${station.coopsStation} hourly predictions, MLLW`
+          },
+          navd88_from_mllw_ft: Number(station.offsetsFromMllw.NAVD88),
+          n_values: merged.n_values,
+          resid: merged.resid
+        });
+        return merged;
+      });
+      written++;
+      log(`${tag} ${year}: ${residuals.length} hourly residual(s) in ${new Date(a).toISOString()} – ${new Date(b).toISOString()}, ${doc.n_values} in the year`);
+    } catch (e) {
+      failed++;
+      console.error(`${tag} ${year}: surge residual failed: ${e.message || e}`);
+    }
+  }
+  if (!written) throw new Error(`every year failed (${failed})`);
+
+  const clim = await withLock(stationDataDir(station), () => {
+    const docs = cachedYears(station)
+      .map(y => readJSONIfExists(yearFilePath(station, y)))
+      .filter(d => d?.method === METHOD && Array.isArray(d.resid));
+    const c = surgeClimatology(docs);
+    writeJSONAtomic(stationDataPath(station, CLIMATOLOGY_FILE), {
+      station: station.id,
+      method: METHOD,
+      generated_utc: new Date().toISOString(),
+      ...c
+    });
+    return c;
+  });
+  log(`${tag} Wrote ${station.dataDir}/${CLIMATOLOGY_FILE}: ${clim.n_values} hours` +
+    (clim.years ? ` (${clim.years.first}–${clim.years.last})` : "") +
+    (clim.all.p99 != null ? `, 99th percentile ${clim.all.p99 >= 0 ? "+" : ""}${clim.all.p99.toFixed(2)} ft` : ""));
+}
+
+async function main() {
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? new Date(nowArg).getTime() : Date.now();
+  if (!Number.isFinite(nowMs)) die(`Invalid --now=${nowArg}`);
+
+  let backfill = null;
+  const year = parseArg("--backfill-year");
+  const from = parseArg("--backfill-from");
+  const to = parseArg("--backfill-to");
+  if (year) {
+    const y = Number(year);
+    if (!Number.isInteger(y) || y < 1900 || y > 3000) die("Invalid --backfill-year=YYYY");
+    backfill = { from: y, to: y };
+  } else if (from || to) {
+    const y1 = Number(from), y2 = Number(to);
+    if (!Number.isInteger(y1) || !Number.isInteger(y2) || y2 < y1) die("Invalid --backfill-from / --backfill-to (years, from ≤ to)");
+    backfill = { from: y1, to: y2 };
+  }
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await surgeStation(station, { nowMs, backfill });
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Surge residual failed:`, e && (e.stack || e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Surge residual failed for every station: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  METHOD,
+  PERCENTILES,
+  MIN_CLIMATOLOGY_HOURS,
+  hourlyResidual,
+  mergeIntoYear,
+  surgeClimatology
+};
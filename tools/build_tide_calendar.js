@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * King-tide calendar: dates in the next 12 months when minor flooding is likely from the
+ * astronomical tide alone, for every station in data/stations.json.
+ *
+ *  - every predicted high tide (CO-OPS hilo, MLLW + registry offsetsFromMllw.NAVD88) in the window
+ *  - plus the typical recent anomaly: observed minus predicted at the high crests in
+ *    peaks_navd88.json over the ANOMALY_WINDOW_DAYS before the cache's last reading (widened to
+ *    ANOMALY_FALLBACK_DAYS when there are fewer than MIN_ANOMALY_SAMPLES; QC-suspect crests left out)
+ *  - chance = share of those recent anomalies that would lift this high tide to minor flooding;
+ *    "likely" at LIKELY_CHANCE or more (the median anomaly reaches minor), "possible" at
+ *    POSSIBLE_CHANCE or more
+ *
+ * No weather is involved: a storm adds surge on top of these dates, and a calm offshore wind can
+ * keep a "likely" tide below minor.
+ *
+ * Writes to:
+ *   <dataDir>/tide_calendar.json
+ *     { station, method, generated_utc, datum: "NAVD88", timezone, window, thresholdsNAVD88,
+ *       anomaly, rules, summary, days: [{ date, likelihood, crests: [{ t, pred_ft, expected_ft,
+ *       stage, chance }] }] }
+ *   <dataDir>/tide_calendar.ics   one event per flagged high tide (±1h), stable UIDs so a
+ *                                 subscribed calendar updates in place
+ *
+ * Env TIDE_SOURCE=fixtures:<dir> reads CO-OPS from recorded fixtures (lib/sources.js).
+ *
+ * Usage:
+ *   node tools/build_tide_calendar.js
+ *   node tools/build_tide_calendar.js --days=90 --now=2026-04-25T00:00:00Z
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { selectStations, stationDataPath } = require("./lib/stations");
+const { fetchNOAAHiloPredictions } = require("./lib/coops");
+const { writeFileAtomic, writeJSONAtomic } = require("./lib/datastore");
+const { classifyNAVD } = require("./update_peaks_navd88");
+
+// -------------------------
+// Config
+// -------------------------
+const JSON_FILE = "tide_calendar.json";
+const ICS_FILE = "tide_calendar.ics";
+const METHOD = "hilo_plus_recent_anomaly_v1";
+
+const WINDOW_DAYS = 365;
+const ANOMALY_WINDOW_DAYS = 90;
+const ANOMALY_FALLBACK_DAYS = 365;
+const MIN_ANOMALY_SAMPLES = 20;
+
+const LIKELY_CHANCE = 0.5;
+const POSSIBLE_CHANCE = 0.2;
+
+// Calendar days and event text follow the dashboard's clock
+const TIMEZONE = "America/New_York";
+const EVENT_HALF_WIDTH_MINUTES = 60;
+
+const DAY_MS = 86400 * 1000;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+function readJSONIfExists(p) {
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+const fmtLocalDate = new Intl.DateTimeFormat("en-CA", { timeZone: TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit" });
+const fmtLocalTime = new Intl.DateTimeFormat("en-US", { timeZone: TIMEZONE, hour: "numeric", minute: "2-digit", timeZoneName: "short" });
+
+/** "YYYY-MM-DD" in TIMEZONE */
+function localDate(iso) {
+  return fmtLocalDate.format(new Date(iso));
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// -------------------------
+// Anomaly + chance
+// -------------------------
+/**
+ * Observed-minus-predicted at recent high crests:
+ * { values (sorted), n, window_days, start, end, median_ft, p10_ft, p90_ft }.
+ */
+function recentAnomaly(events, { throughISO, windowDays = ANOMALY_WINDOW_DAYS, fallbackDays = ANOMALY_FALLBACK_DAYS, minSamples = MIN_ANOMALY_SAMPLES } = {}) {
+  const endMs = new Date(throughISO).getTime();
+  const highs = (events || []).filter(e =>
+    (e.kind || "CrestHigh") === "CrestHigh" && !e.suspect && Number.isFinite(e.anomaly_ft)
+  );
+
+  const pick = days => highs
+    .filter(e => {
+      const ms = new Date(e.crest || e.t).getTime();
+      return ms <= endMs && ms > endMs - days * DAY_MS;
+    })
+    .map(e => e.anomaly_ft)
+    .sort((a, b) => a - b);
+
+  let days = windowDays;
+  let values = Number.isFinite(endMs) ? pick(days) : [];
+  if (values.length < minSamples && Number.isFinite(endMs)) {
+    days = fallbackDays;
+    values = pick(days);
+  }
+  if (values.length < minSamples) values = [];
+
+  const q = p => (values.length ? round3(quantile(values, p)) : null);
+  return {
+    values,
+    n: values.length,
+    window_days: values.length ? days : null,
+    start: values.length ? new Date(endMs - days * DAY_MS).toISOString() : null,
+    end: values.length ? new Date(endMs).toISOString() : null,
+    median_ft: q(0.5),
+    p10_ft: q(0.1),
+    p90_ft: q(0.9)
+  };
+}
+
+/** Share of anomalies that lift predFt to threshold (tide alone when there are none) */
+function floodChance(predFt, threshold, anomalies) {
+  if (!anomalies.length) return predFt >= threshold ? 1 : 0;
+  const need = threshold - predFt;
+  return anomalies.filter(a => a >= need).length / anomalies.length;
+}
+
+/**
+ * highs: [{ t, pred_ft (NAVD88) }] -> flagged calendar days, chronological:
+ * [{ date, likelihood: "likely"|"possible", crests: [{ t, pred_ft, expected_ft, stage, chance }] }]
+ */
+function buildTideCalendar({ highs, thresholds, anomaly }) {
+  const median = anomaly.median_ft ?? 0;
+  const byDate = new Map();
+
+  for (const h of highs) {
+    if (!Number.isFinite(h.pred_ft)) continue;
+    const chance = floodChance(h.pred_ft, thresholds.minorLow, anomaly.values);
+    if (chance < POSSIBLE_CHANCE) continue;
+
+    const expected = round3(h.pred_ft + median);
+    const date = localDate(h.t);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push({
+      t: h.t,
+      pred_ft: round3(h.pred_ft),
+      expected_ft: expected,
+      stage: classifyNAVD(expected, thresholds),
+      chance: Math.round(chance * 100) / 100
+    });
+  }
+
+  return [...byDate.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([date, crests]) => ({
+      date,
+      likelihood: crests.some(c => c.chance >= LIKELY_CHANCE) ? "likely" : "possible",
+      crests
+    }));
+}
+
+// -------------------------
+// iCalendar (RFC 5545)
+// -------------------------
+function icsText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsTime(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/** Fold to 75 octets per line, never inside a UTF-8 character */
+function icsFold(line) {
+  const out = [];
+  let cur = "", bytes = 0, limit = 75;
+  for (const ch of line) {
+    const b = Buffer.byteLength(ch);
+    if (bytes + b > limit) {
+      out.push(cur);
+      cur = " ";
+      bytes = 1;
+    }
+    cur += ch;
+    bytes += b;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+const fmtFt = x => `${x.toFixed(2)} ft`;
+const fmtSigned = x => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(2)} ft`;
+
+function buildICS(cal) {
+  const stamp = icsTime(new Date(cal.generated_utc).getTime());
+  const half = EVENT_HALF_WIDTH_MINUTES * 60 * 1000;
+  const minor = cal.thresholdsNAVD88.minorLow;
+  const anomalyNote = cal.anomaly.n
+    ? `typical recent anomaly ${fmtSigned(cal.anomaly.median_ft)} (median of ${cal.anomaly.n} high tides over ${cal.anomaly.window_days} days)`
+    : "no recent anomaly available (tide alone)";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//tide-dashboard//tide calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(`King tides — ${cal.station_name}`)}`,
+    `X-WR-CALDESC:${icsText(`High tides expected to reach minor flooding (${fmtFt(minor)} NAVD88) from the astronomical tide alone.`)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:P1D",
+    "X-PUBLISHED-TTL:P1D"
+  ];
+
+  for (const day of cal.days) {
+    for (const c of day.crests) {
+      const ms = new Date(c.t).getTime();
+      const likely = c.chance >= LIKELY_CHANCE;
+      const summary = `${likely ? "Minor flooding likely" : "Minor flooding possible"}: king tide ${fmtFt(c.expected_ft)} NAVD88`;
+      const description = [
+        `High tide ${fmtLocalTime.format(new Date(c.t))}.`,
+        `Predicted ${fmtFt(c.pred_ft)} NAVD88 + ${anomalyNote} = ${fmtFt(c.expected_ft)} NAVD88 ` +
+          `(${c.stage === "Below" ? "below minor" : `${c.stage.toLowerCase()} flooding`}; minor flooding starts at ${fmtFt(minor)}).`,
+        `Chance from recent tides: ${Math.round(c.chance * 100)}%.`,
+        "Astronomical tide only: a storm adds surge on top."
+      ].join("\n");
+
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${cal.station}-${icsTime(ms)}@tide-calendar`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsTime(ms - half)}`,
+        `DTEND:${icsTime(ms + half)}`,
+        `SUMMARY:${icsText(summary)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        `CATEGORIES:${likely ? "King tide" : "King tide (possible)"}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT"
+      );
+    }
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// -------------------------
+// Station
+// -------------------------
+async function calendarStation(station, { nowMs, days }) {
+  const tag = `[${station.id}]`;
+  const off = Number(station.offsetsFromMllw?.NAVD88);
+  if (!Number.isFinite(off)) throw new Error("No offsetsFromMllw.NAVD88 in registry (needed to put predictions on NAVD88)");
+
+  const cache = readJSONIfExists(stationDataPath(station, "peaks_navd88.json"));
+  const anomaly = recentAnomaly(cache?.events, { throughISO: cache?.lastProcessedISO || new Date(nowMs).toISOString() });
+  if (!anomaly.n) log(`${tag} Fewer than ${MIN_ANOMALY_SAMPLES} recent crest anomalies; using the tide alone.`);
+
+  const startISO = new Date(nowMs).toISOString();
+  const endISO = new Date(nowMs + days * DAY_MS).toISOString();
+  const hilo = await fetchNOAAHiloPredictions({
+    station: station.coopsStation,
+    startISO,
+    endISO,
+    application: "tide-calendar",
+    userAgent: "tide-calendar/1.0"
+  });
+  const highs = hilo
+    .filter(p => p.type === "H" && p.ft != null && p.t >= startISO && p.t <= endISO)
+    .map(p => ({ t: p.t, pred_ft: p.ft + off }));
+  if (!highs.length) throw new Error("No predicted high tides returned");
+
+  const flagged = buildTideCalendar({ highs, thresholds: station.thresholdsNAVD88, anomaly });
+  const likely = flagged.filter(d => d.likelihood === "likely");
+
+  const { values, ...anomalyOut } = anomaly;
+  const cal = {
+    station: station.id,
+    station_name: station.name || station.id,
+    method: METHOD,
+    generated_utc: new Date().toISOString(),
+    datum: "NAVD88",
+    timezone: TIMEZONE,
+    window: { start: startISO, end: endISO, n_highs: highs.length },
+    thresholdsNAVD88: station.thresholdsNAVD88,
+    anomaly: anomalyOut,
+    rules: { likely_chance: LIKELY_CHANCE, possible_chance: POSSIBLE_CHANCE },
+    summary: {
+      likely_days: likely.length,
+      possible_days: flagged.length - likely.length,
+      next_likely: likely[0]?.date || null
+    },
+    days: flagged
+  };
+
+  writeJSONAtomic(stationDataPath(station, JSON_FILE), cal);
+  writeFileAtomic(stationDataPath(station, ICS_FILE), buildICS(cal));
+  log(`${tag} Wrote ${station.dataDir}/${JSON_FILE} + ${ICS_FILE}: ${likely.length} likely, ${flagged.length - likely.length} possible day(s) in ${highs.length} high tides` +
+    ` (anomaly ${anomaly.n ? fmtSigned(anomaly.median_ft) : "—"})`);
+}
+
+async function main() {
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? new Date(nowArg).getTime() : Date.now();
+  if (!Number.isFinite(nowMs)) die(`Invalid --now=${nowArg}`);
+  const days = parseArg("--days") ? Number(parseArg("--days")) : WINDOW_DAYS;
+  if (!(days > 0 && days <= 2 * WINDOW_DAYS)) die(`Invalid --days=${parseArg("--days")} (1–${2 * WINDOW_DAYS})`);
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await calendarStation(station, { nowMs, days });
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Tide calendar failed:`, e && (e.stack || e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Tide calendar failed for every station: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  METHOD,
+  LIKELY_CHANCE,
+  POSSIBLE_CHANCE,
+  recentAnomaly,
+  floodChance,
+  buildTideCalendar,
+  buildICS,
+  icsFold
+};
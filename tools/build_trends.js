@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Sea-level-rise / nuisance-flood trend report for every station in data/stations.json,
+ * computed from <dataDir>/peaks_navd88.json with the shared lib/trends.js (same numbers the
+ * dashboard panel shows).
+ *
+ * Writes to <dataDir>/:
+ *  - trends.json          full analysis (mean high water trend + CI, change point, flood days,
+ *                         projections under each rise rate)
+ *  - trends_annual.csv    year, n, coverage, mean_ft, flood_days, included
+ *  - trends_monthly.csv   year, month, n, coverage, mean_ft, anomaly_ft, included
+ *
+ * Usage:
+ *   node tools/build_trends.js
+ *   node tools/build_trends.js --rise=0.1,0.25,0.5      (ft/decade to project; observed trend always included)
+ *   node tools/build_trends.js --threshold=moderate     (minor | moderate | major; default minor)
+ *   node tools/build_trends.js --datum=MLLW             (any datum in the registry offsetsFromMllw)
+ *   node tools/build_trends.js --base-years=5 --targets=2030,2050
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { selectStations, stationDataPath } = require("./lib/stations");
+const { analyzeTrends, shiftAnalysisDatum, toCSV, ANNUAL_CSV_COLUMNS, MONTHLY_CSV_COLUMNS } = require("../lib/trends");
+
+const THRESHOLD_KEYS = { minor: "minorLow", moderate: "moderateLow", major: "majorLow" };
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function numList(s) {
+  return s ? s.split(",").map(Number).filter(Number.isFinite) : [];
+}
+
+function buildStation(station, { riseRates, threshold, datum, baseYears, targetYears }) {
+  const cachePath = stationDataPath(station, "peaks_navd88.json");
+  if (!fs.existsSync(cachePath)) throw new Error(`Missing ${cachePath}`);
+  const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+
+  let result = analyzeTrends(cache.events || [], {
+    thresholdsNAVD88: station.thresholdsNAVD88,
+    threshold,
+    riseRates,
+    baseYears,
+    targetYears
+  });
+
+  if (datum !== "NAVD88") {
+    const off = station.offsetsFromMllw || {};
+    if (!Number.isFinite(off[datum]) || !Number.isFinite(off.NAVD88)) {
+      throw new Error(`No offsetsFromMllw.${datum} / NAVD88 for ${station.id}`);
+    }
+    // value_in_datum = mllw + offset  =>  datum = navd - off.NAVD88 + off[datum]
+    result = shiftAnalysisDatum(result, datum, off[datum] - off.NAVD88);
+  }
+
+  const out = { station: station.id, generated_utc: new Date().toISOString(), source: "peaks_navd88.json", ...result };
+  fs.writeFileSync(stationDataPath(station, "trends.json"), JSON.stringify(out, null, 2) + "\n", "utf8");
+  fs.writeFileSync(stationDataPath(station, "trends_annual.csv"), toCSV(result.annual, ANNUAL_CSV_COLUMNS), "utf8");
+  fs.writeFileSync(stationDataPath(station, "trends_monthly.csv"), toCSV(result.monthly, MONTHLY_CSV_COLUMNS), "utf8");
+
+  const t = result.mean_high_water.annual_trend;
+  const cp = result.mean_high_water.change_point;
+  log(`[${station.id}] Mean high water: ${t ? `${t.per_decade} ft/decade (95% CI ${t.ci_low} to ${t.ci_high}, n=${t.n})` : "not enough complete years"}`);
+  if (cp) log(`[${station.id}] Change point: ${cp.year} (Pettitt p=${cp.p_value}${cp.significant ? ", significant" : ""})`);
+  for (const p of result.flood_days.projections) {
+    log(`[${station.id}] ${p.rise_ft_per_decade} ft/decade${p.observed_rate ? " (observed)" : ""}: ` +
+      p.rows.map(r => `${r.year} ≈ ${r.flood_days} days`).join(", "));
+  }
+  log(`[${station.id}] Wrote ${station.dataDir}/trends.json + trends_annual.csv + trends_monthly.csv (${datum})`);
+}
+
+function main() {
+  const thresholdName = (parseArg("--threshold") || "minor").toLowerCase();
+  const threshold = THRESHOLD_KEYS[thresholdName];
+  if (!threshold) die(`Unknown --threshold=${thresholdName} (minor | moderate | major)`);
+
+  const opts = {
+    riseRates: numList(parseArg("--rise")),
+    threshold,
+    datum: parseArg("--datum") || "NAVD88",
+    baseYears: Number(parseArg("--base-years")) || 5,
+    targetYears: parseArg("--targets") ? numList(parseArg("--targets")) : null
+  };
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      buildStation(station, opts);
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Trend build failed:`, e && (e.stack || e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Trend build failed for every station: ${failed.join(", ")}`);
+}
+
+main();
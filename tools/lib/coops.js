@@ -0,0 +1,112 @@
+/**
+ * NOAA CO-OPS astronomical predictions fetches shared by the updater tools: "hilo" crests
+ * (crest-anchored peaks, the tide calendar) and hourly values (storm replays, the surge residual).
+ * Goes through the active data source (lib/sources.js), so fixtures work offline.
+ */
+
+"use strict";
+
+const { getSource } = require("./sources");
+
+function yyyymmddUTC(d) {
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const day = String(d.getUTCDate()).padStart(2, "0");
+  return `${y}${m}${day}`;
+}
+
+function addDaysUTC(d, days) {
+  return new Date(d.getTime() + days * 86400 * 1000);
+}
+
+function startOfUTCDate(d) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
+}
+
+function parseNOAATimeToISO_UTC(t) {
+  // NOAA predictions return "YYYY-MM-DD HH:MM" (no timezone)
+  // We request time_zone=gmt so interpret as UTC and append Z.
+  // Example: "2026-01-28 14:12" -> "2026-01-28T14:12:00Z"
+  return t.replace(" ", "T") + ":00Z";
+}
+
+// -------------------------
+// Predictions fetch (chunked)
+// -------------------------
+/** Raw CO-OPS prediction rows for [startISO, endISO] in ~30-day requests, MLLW, times UTC */
+async function fetchPredictionRows({ station, startISO, endISO, interval, application, userAgent }) {
+  const start = new Date(startISO);
+  const end = new Date(endISO);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error("Invalid startISO/endISO for NOAA predictions.");
+  }
+
+  // NOAA is generally happier with ~31-day windows. We'll chunk 30 days.
+  const rows = [];
+  let cur = startOfUTCDate(start);
+  const endDay = startOfUTCDate(end);
+
+  while (cur <= endDay) {
+    const chunkEnd = addDaysUTC(cur, 30);
+    const actualEnd = chunkEnd < endDay ? chunkEnd : endDay;
+
+    const url =
+      "https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?" +
+      new URLSearchParams({
+        product: "predictions",
+        application,
+        format: "json",
+        station,
+        time_zone: "gmt",
+        units: "english",
+        interval,
+        datum: "MLLW", // converted to NAVD88 with the registry offset by the caller
+        begin_date: yyyymmddUTC(cur),
+        end_date: yyyymmddUTC(actualEnd)
+      }).toString();
+
+    const j = await getSource()
+      .fetchJson(url, { headers: { "User-Agent": userAgent } })
+      .catch(e => { throw new Error(`NOAA predictions fetch failed: ${e.message}`); });
+    if (Array.isArray(j?.predictions)) rows.push(...j.predictions);
+
+    cur = addDaysUTC(actualEnd, 1);
+  }
+  return rows;
+}
+
+/** One entry per time (chunks share their boundary day), chronological */
+function uniqueByTime(points) {
+  const byT = new Map(points.map(c => [c.t, c]));
+  return [...byT.values()].sort((a, b) => new Date(a.t) - new Date(b.t));
+}
+
+/** Predicted crests in the window: [{ t, type: "H"|"L", ft (MLLW) }] */
+async function fetchNOAAHiloPredictions({ station, startISO, endISO, application = "peaks-cache", userAgent = "peaks-cache/2.0" }) {
+  const rows = await fetchPredictionRows({ station, startISO, endISO, interval: "hilo", application, userAgent });
+  const crests = [];
+  for (const p of rows) {
+    if (p?.type !== "H" && p?.type !== "L") continue;
+    const iso = parseNOAATimeToISO_UTC(p.t);
+    const ms = new Date(iso).getTime();
+    if (!Number.isFinite(ms)) continue;
+    const ft = Number(p.v);
+    crests.push({ t: new Date(ms).toISOString(), type: p.type, ft: Number.isFinite(ft) ? ft : null });
+  }
+  return uniqueByTime(crests);
+}
+
+/** Hourly astronomical tide in the window: [{ t, ft (MLLW) }] */
+async function fetchNOAAHourlyPredictions({ station, startISO, endISO, application = "peaks-cache", userAgent = "peaks-cache/2.0" }) {
+  const rows = await fetchPredictionRows({ station, startISO, endISO, interval: "h", application, userAgent });
+  const points = [];
+  for (const p of rows) {
+    const ms = new Date(parseNOAATimeToISO_UTC(String(p?.t))).getTime();
+    const ft = Number(p?.v);
+    if (!Number.isFinite(ms) || p?.v == null || !Number.isFinite(ft)) continue;
+    points.push({ t: new Date(ms).toISOString(), ft });
+  }
+  return uniqueByTime(points);
+}
+
+module.exports = { fetchNOAAHiloPredictions, fetchNOAAHourlyPredictions };
@@ -0,0 +1,149 @@
+/**
+ * Safe writes for the station data files the tools share.
+ *
+ * writeFileAtomic(): the new contents go to a hidden temp file in the same directory, are flushed,
+ * and then renamed over the target — a reader (or a run killed mid-write) sees the old file or the
+ * new one, never half of each.
+ *
+ * acquireLock() / withLock(): one lock file per station dataDir (<dataDir>/.lock) around each
+ * read-merge-write, so two runs on the same checkout (a long --backfill-from next to a scheduled
+ * update, or the PETSS and peaks tools) take turns instead of overwriting each other. Hold it
+ * only for the merge and write, not for network fetches. A lock is stale — and is taken over —
+ * when its process is gone (same host) or it is older than LOCK_STALE_MS; otherwise a waiter
+ * polls for up to LOCK_WAIT_MS and then fails.
+ *
+ * Separate GitHub runners don't share files: there the peaks workflow's concurrency group and
+ * the git merge driver (tools/merge_peaks_cache.js) keep pushes from dropping events.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const LOCK_FILE = ".lock";
+const LOCK_STALE_MS = 10 * 60 * 1000;
+const LOCK_WAIT_MS = 2 * 60 * 1000;
+const LOCK_POLL_MS = 250;
+const UNREADABLE_GRACE_MS = 5000;
+
+function writeFileAtomic(p, text) {
+  const dir = path.dirname(p);
+  const tmp = path.join(dir, `.${path.basename(p)}.tmp-${process.pid}-${crypto.randomBytes(4).toString("hex")}`);
+  let fd = null;
+  try {
+    fd = fs.openSync(tmp, "w");
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tmp, p);
+  } catch (e) {
+    if (fd != null) fs.closeSync(fd);
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+function writeJSONAtomic(p, obj) {
+  writeFileAtomic(p, JSON.stringify(obj, null, 2) + "\n");
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+function readLock(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Why a held lock can be taken over, or null while its owner may still be working */
+function staleReason(info, { staleMs = LOCK_STALE_MS, nowMs = Date.now(), host = os.hostname(), alive = pidAlive } = {}) {
+  if (info.host === host && Number.isInteger(info.pid) && !alive(info.pid)) return `process ${info.pid} is gone`;
+  const age = nowMs - Date.parse(info.acquired_utc);
+  if (!Number.isFinite(age)) return "no acquired_utc";
+  if (age > staleMs) return `held for ${Math.round(age / 60000)} min`;
+  return null;
+}
+
+function describeLock(info) {
+  return info ? `${info.owner || "?"} (pid ${info.pid} on ${info.host}, since ${info.acquired_utc})` : "an unknown owner";
+}
+
+/**
+ * Take <dir>/.lock: -> { path, release() }. Waits while another run holds it, takes over a stale
+ * one, and throws after waitMs.
+ */
+async function acquireLock(dir, { owner = path.basename(process.argv[1] || "node"), staleMs = LOCK_STALE_MS, waitMs = LOCK_WAIT_MS, pollMs = LOCK_POLL_MS } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const p = path.join(dir, LOCK_FILE);
+  const token = crypto.randomBytes(8).toString("hex");
+  const deadline = Date.now() + waitMs;
+  let waiting = false;
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(p, "wx");
+      fs.writeSync(fd, JSON.stringify({ owner, pid: process.pid, host: os.hostname(), acquired_utc: new Date().toISOString(), token }) + "\n");
+      fs.closeSync(fd);
+      return {
+        path: p,
+        release() {
+          // Only our own lock: a run that took it over as stale keeps it
+          if (readLock(p)?.token === token) fs.rmSync(p, { force: true });
+        }
+      };
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+
+    const held = readLock(p);
+    const stat = fs.statSync(p, { throwIfNoEntry: false });
+    if (!stat) continue; // released in between
+    // A lock that reads as empty may be mid-write; only an old one counts as stale
+    const reason = held
+      ? staleReason(held, { staleMs })
+      : (Date.now() - stat.mtimeMs > UNREADABLE_GRACE_MS ? "unreadable" : null);
+    if (reason) {
+      console.warn(`Taking over stale lock ${p} from ${describeLock(held)}: ${reason}`);
+      // Re-check right before removing so a lock someone else just took is left alone
+      if (readLock(p)?.token === held?.token) fs.rmSync(p, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) throw new Error(`${p} is held by ${describeLock(held)}; gave up after ${Math.round(waitMs / 1000)}s`);
+    if (!waiting) console.log(`Waiting for ${p}, held by ${describeLock(held)}`);
+    waiting = true;
+    await new Promise(r => setTimeout(r, pollMs));
+  }
+}
+
+/** Run fn() while holding the dataDir lock; released however fn ends */
+async function withLock(dir, fn, opts) {
+  const lock = await acquireLock(dir, opts);
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+module.exports = {
+  LOCK_FILE,
+  LOCK_STALE_MS,
+  writeFileAtomic,
+  writeJSONAtomic,
+  staleReason,
+  acquireLock,
+  withLock
+};
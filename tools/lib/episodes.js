@@ -0,0 +1,197 @@
+/**
+ * Flood episodes from the USGS IV series (15-min, NAVD88): one record per spell above the minor
+ * threshold, with how long the water stayed above each stage.
+ *
+ * <dataDir>/episodes_navd88.json — { ..., method, episodes: [...] }, each episode:
+ *   { start, end, peak_t, peak_ft, type,
+ *     minutes_above: { minor, moderate, major },
+ *     area_ft_hours,           integral of (level − minor threshold) while above it
+ *     n_points,
+ *     open_start?, open_end? } edge not observed (series window edge or a data gap), so the
+ *                              duration is a lower bound
+ *
+ *  - start/end are the interpolated threshold crossings between the bracketing points
+ *  - consecutive points further apart than MAX_GAP_MINUTES are not interpolated across
+ *  - dips below minor shorter than MERGE_GAP_MINUTES stay in the same episode (wave chatter
+ *    around the threshold is one road closure, not several)
+ */
+
+"use strict";
+
+const MIN_MS = 60 * 1000;
+
+const MAX_GAP_MINUTES = 60;
+const MERGE_GAP_MINUTES = 30;
+
+const EPISODE_METHOD = "iv_episodes_v1";
+
+function round(x, d = 3) {
+  const p = Math.pow(10, d);
+  return Math.round(x * p) / p;
+}
+
+function classify(ft, T) {
+  if (ft >= T.majorLow) return "Major";
+  if (ft >= T.moderateLow) return "Moderate";
+  return "Minor";
+}
+
+/** Minutes of the linear segment (t0,y0)→(t1,y1) spent at or above level L */
+function minutesAbove(t0, y0, t1, y1, L) {
+  const dt = (t1 - t0) / MIN_MS;
+  if (y0 >= L && y1 >= L) return dt;
+  if (y0 < L && y1 < L) return 0;
+  const f = (L - y0) / (y1 - y0);          // crossing fraction along the segment
+  return y0 >= L ? dt * f : dt * (1 - f);
+}
+
+/** ft·hours of the segment above level L */
+function areaAbove(t0, y0, t1, y1, L) {
+  const h = (t1 - t0) / (60 * MIN_MS);
+  if (y0 >= L && y1 >= L) return h * ((y0 + y1) / 2 - L);
+  if (y0 < L && y1 < L) return 0;
+  const f = (L - y0) / (y1 - y0);
+  const part = y0 >= L ? h * f : h * (1 - f);
+  return part * (Math.max(y0, y1) - L) / 2;
+}
+
+/** Time the segment crosses L (assumes it does) */
+function crossingMs(t0, y0, t1, y1, L) {
+  return t0 + (t1 - t0) * (L - y0) / (y1 - y0);
+}
+
+/**
+ * series: [{ t, ft NAVD88 }] (any order) -> episodes, chronological.
+ * Options override the gap rules (minutes).
+ */
+function buildFloodEpisodes({ series, thresholdsNAVD88, maxGapMinutes = MAX_GAP_MINUTES, mergeGapMinutes = MERGE_GAP_MINUTES }) {
+  const T = thresholdsNAVD88;
+  const L = T.minorLow;
+  const maxGap = maxGapMinutes * MIN_MS;
+  const mergeGap = mergeGapMinutes * MIN_MS;
+
+  const pts = (series || [])
+    .map(p => ({ ms: new Date(p.t).getTime(), ft: Number(p.ft) }))
+    .filter(p => Number.isFinite(p.ms) && p.ft != null && Number.isFinite(p.ft))
+    .sort((a, b) => a.ms - b.ms);
+  if (!pts.length) return [];
+
+  const linked = (i) => i > 0 && pts[i].ms - pts[i - 1].ms <= maxGap;   // segment i-1 → i usable
+
+  // 1) runs of consecutive above-threshold points (a data gap ends a run)
+  const runs = [];
+  let run = null;
+  for (let i = 0; i < pts.length; i++) {
+    const above = pts[i].ft >= L;
+    if (above && run && linked(i) && run.last === i - 1) {
+      run.last = i;
+    } else if (above) {
+      run = { first: i, last: i };
+      runs.push(run);
+    }
+  }
+
+  // 2) merge runs separated by a short, fully observed dip
+  const merged = [];
+  for (const r of runs) {
+    const prev = merged[merged.length - 1];
+    if (prev) {
+      let continuous = true;
+      for (let i = prev.last + 1; i <= r.first; i++) if (!linked(i)) continuous = false;
+      if (continuous && pts[r.first].ms - pts[prev.last].ms <= mergeGap) {
+        prev.last = r.last;
+        continue;
+      }
+    }
+    merged.push({ ...r });
+  }
+
+  // 3) measure each episode over its segments, from the entry crossing to the exit crossing
+  return merged.map(({ first, last }) => {
+    const openStart = !linked(first);
+    const openEnd = !(last + 1 < pts.length && linked(last + 1));
+    const from = openStart ? first : first - 1;
+    const to = openEnd ? last : last + 1;
+
+    const minutes = { minor: 0, moderate: 0, major: 0 };
+    let area = 0;
+    for (let i = from + 1; i <= to; i++) {
+      const a = pts[i - 1], b = pts[i];
+      minutes.minor += minutesAbove(a.ms, a.ft, b.ms, b.ft, T.minorLow);
+      minutes.moderate += minutesAbove(a.ms, a.ft, b.ms, b.ft, T.moderateLow);
+      minutes.major += minutesAbove(a.ms, a.ft, b.ms, b.ft, T.majorLow);
+      area += areaAbove(a.ms, a.ft, b.ms, b.ft, L);
+    }
+
+    let peak = pts[first];
+    for (let i = first; i <= last; i++) if (pts[i].ft > peak.ft) peak = pts[i];
+
+    const startMs = openStart ? pts[first].ms : crossingMs(pts[from].ms, pts[from].ft, pts[first].ms, pts[first].ft, L);
+    const endMs = openEnd ? pts[last].ms : crossingMs(pts[last].ms, pts[last].ft, pts[to].ms, pts[to].ft, L);
+
+    const ep = {
+      start: new Date(Math.round(startMs / MIN_MS) * MIN_MS).toISOString(),
+      end: new Date(Math.round(endMs / MIN_MS) * MIN_MS).toISOString(),
+      peak_t: new Date(peak.ms).toISOString(),
+      peak_ft: round(peak.ft),
+      type: classify(peak.ft, T),
+      minutes_above: {
+        minor: Math.round(minutes.minor),
+        moderate: Math.round(minutes.moderate),
+        major: Math.round(minutes.major)
+      },
+      area_ft_hours: round(area),
+      n_points: last - first + 1
+    };
+    if (openStart) ep.open_start = true;
+    if (openEnd) ep.open_end = true;
+    return ep;
+  });
+}
+
+function overlaps(a, b) {
+  return new Date(a.start) <= new Date(b.end) && new Date(b.start) <= new Date(a.end);
+}
+
+/**
+ * Merge freshly built episodes into the cached list. A fresh episode replaces every cached one it
+ * overlaps — it was measured on the newer, longer view of the series — unless its start was cut
+ * off by the fetch window (open_start) while a cached episode already covers that start.
+ * Returns { episodes (chronological), added, replaced }.
+ */
+function mergeEpisodes(existing, fresh) {
+  let episodes = Array.isArray(existing) ? existing.slice() : [];
+  let added = 0;
+  let replaced = 0;
+
+  for (const f of fresh || []) {
+    const hit = episodes.filter(e => overlaps(e, f));
+    if (f.open_start && hit.some(e => new Date(e.start) < new Date(f.start))) continue;
+    if (hit.length) {
+      episodes = episodes.filter(e => !hit.includes(e));
+      replaced += hit.length;
+    } else {
+      added++;
+    }
+    episodes.push(f);
+  }
+
+  episodes.sort((a, b) => new Date(a.start) - new Date(b.start));
+  return { episodes, added, replaced };
+}
+
+/** Start of the newest cached episode when the series ended inside it (the next fetch must reach back to it) */
+function openEpisodeStart(episodes) {
+  const list = episodes || [];
+  const last = list[list.length - 1];
+  return last && last.open_end ? last.start : null;
+}
+
+module.exports = {
+  EPISODE_METHOD,
+  MAX_GAP_MINUTES,
+  MERGE_GAP_MINUTES,
+  buildFloodEpisodes,
+  mergeEpisodes,
+  openEpisodeStart
+};
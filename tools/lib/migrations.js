@@ -0,0 +1,112 @@
+/**
+ * Schema migrations for the versioned data files (see lib/schema.js).
+ *
+ * Each file kind has an ordered list of steps { to, describe, up(doc, ctx) }; a file without
+ * schema_version is version 0. migrate() runs every step above the file's version in order, so a
+ * cache from any older layout is upgraded in place and keeps its events — no full backfill.
+ * A step may throw when a file can't be carried forward (e.g. events built by a scheme nobody
+ * wrote a conversion for); the caller keeps the file untouched and reports it.
+ *
+ * Adding a layout change: bump "version" in the schema, add a step here with `to` = that version,
+ * and a test that migrates a file written at the previous version.
+ *
+ * ctx: { station } — the registry entry, for values older files never recorded.
+ */
+
+"use strict";
+
+const { schemaVersion } = require("./schema");
+
+// The crest-anchored method that wrote every pre-versioning peaks cache, and the one that took
+// over at schema 2 (highs and lows, crest max/min over the readings that pass QC). Spelled out
+// here rather than taken from the updater: a step must keep doing what it did when it was written.
+const CREST_METHOD_V1 = "crest_anchored_highs_v1";
+const CREST_METHOD_V2 = "crest_anchored_highs_lows_v2";
+
+const MIGRATIONS = {
+  peaks_navd88: [
+    {
+      to: 1,
+      describe: "add schema_version, station, datum, thresholds and skipped[]; default event kind to CrestHigh",
+      up(doc, { station }) {
+        const events = Array.isArray(doc.events) ? doc.events : [];
+        if (doc.method && doc.method !== CREST_METHOD_V1) {
+          throw new Error(`no migration from method ${doc.method}; delete the cache and backfill`);
+        }
+        if (!doc.method && events.length) {
+          throw new Error("events without a method tag; delete the cache and backfill");
+        }
+        return {
+          schema_version: 1,
+          station: doc.station || station.id,
+          ...doc,
+          datum: doc.datum || "NAVD88",
+          thresholdsNAVD88: doc.thresholdsNAVD88 || station.thresholdsNAVD88,
+          method: CREST_METHOD_V1,
+          // Caches from before lows were recorded hold highs only
+          events: events.map(e => (e.kind ? e : { ...e, kind: "CrestHigh" })),
+          skipped: Array.isArray(doc.skipped) ? doc.skipped : []
+        };
+      }
+    },
+    {
+      to: 2,
+      describe: `method ${CREST_METHOD_V1} -> ${CREST_METHOD_V2}; migrated_from records what built the events so far`,
+      up(doc) {
+        if (doc.method !== CREST_METHOD_V1) {
+          throw new Error(`no migration from method ${doc.method}; delete the cache and backfill`);
+        }
+        // Events through `through` may lack lows and may have a suspect reading as the crest;
+        // a re-run over a window (or --backfill) rebuilds them under the new method
+        return {
+          ...doc,
+          method: CREST_METHOD_V2,
+          migrated_from: { method: CREST_METHOD_V1, through: doc.lastProcessedISO }
+        };
+      }
+    }
+  ],
+
+  petss_meta: [
+    {
+      to: 1,
+      describe: "add schema_version and station",
+      up(doc, { station }) {
+        return { schema_version: 1, station: doc.station || station.id, ...doc };
+      }
+    }
+  ]
+};
+
+/** Version recorded in a document (0 = written before versioning) */
+function versionOf(doc) {
+  return Number.isInteger(doc?.schema_version) ? doc.schema_version : 0;
+}
+
+/**
+ * Upgrade `doc` to the current schema version of `name`:
+ *   -> { doc, from, to, applied: ["1: add schema_version, …"] }
+ * A document from a newer version than this code knows is an error (never downgrade).
+ */
+function migrate(name, doc, ctx = {}) {
+  const target = schemaVersion(name);
+  const from = versionOf(doc);
+  if (from > target) throw new Error(`${name} is schema_version ${from}; this code only knows up to ${target}`);
+
+  const applied = [];
+  let cur = doc;
+  for (const step of MIGRATIONS[name] || []) {
+    if (step.to <= from || step.to > target) continue;
+    cur = step.up(cur, ctx);
+    cur.schema_version = step.to;
+    applied.push(`${step.to}: ${step.describe}`);
+  }
+  if (versionOf(cur) !== target) throw new Error(`No migration path for ${name} from ${from} to ${target}`);
+  return { doc: cur, from, to: target, applied };
+}
+
+module.exports = {
+  MIGRATIONS,
+  versionOf,
+  migrate
+};
@@ -0,0 +1,245 @@
+/**
+ * Delivery channels for tools/notify_floods.js: email (SMTP), webhook (JSON POST) and ntfy.
+ *
+ * Like lib/sources.js, the transport is pluggable so the notifier can run without sending:
+ *   - live          (default) SMTP over net/tls, HTTPS POSTs
+ *   - outbox:<file> append every message to an NDJSON file instead (tests, dry runs that should
+ *                   still advance the de-duplication state)
+ * Select with env NOTIFY_TRANSPORT=live | outbox:<file>.
+ *
+ * SMTP settings come from the environment (never the subscriber file):
+ *   SMTP_HOST, SMTP_PORT (465 = implicit TLS, otherwise STARTTLS when offered), SMTP_USER,
+ *   SMTP_PASS, SMTP_FROM, SMTP_SECURE=true|false (overrides the port rule)
+ *
+ * A message is { title, text, priority: "default" | "high" | "urgent", tags: [], data: {...} };
+ * data is the machine-readable part a webhook receives.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const path = require("path");
+const { REPO_ROOT } = require("./stations");
+
+const CHANNEL_TYPES = ["email", "webhook", "ntfy"];
+const DEFAULT_NTFY_SERVER = "https://ntfy.sh";
+const SMTP_TIMEOUT_MS = 30000;
+
+// -------------------------
+// SMTP (just enough of RFC 5321 for one message: EHLO, STARTTLS, AUTH PLAIN, MAIL/RCPT/DATA)
+// -------------------------
+function smtpConfigFromEnv(env = process.env) {
+  const port = Number(env.SMTP_PORT || 587);
+  return {
+    host: env.SMTP_HOST || null,
+    port,
+    secure: env.SMTP_SECURE != null && env.SMTP_SECURE !== "" ? env.SMTP_SECURE === "true" : port === 465,
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    from: env.SMTP_FROM || env.SMTP_USER || null
+  };
+}
+
+/** One SMTP conversation; resolves once the server accepts the message. */
+function smtpSend(cfg, { to, subject, text }) {
+  if (!cfg.host || !cfg.from) return Promise.reject(new Error("SMTP_HOST and SMTP_FROM (or SMTP_USER) are required for email"));
+  const rcpts = [].concat(to).filter(Boolean);
+  if (!rcpts.length) return Promise.reject(new Error("email channel has no recipient"));
+
+  return new Promise((resolve, reject) => {
+    let socket = cfg.secure
+      ? tls.connect({ host: cfg.host, port: cfg.port, servername: cfg.host })
+      : net.connect({ host: cfg.host, port: cfg.port });
+
+    let buf = "";
+    let waiting = null;
+    let done = false;
+
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      reject(err);
+    };
+
+    // Reply lines "250-..." continue, "250 ..." ends the reply
+    const onData = (chunk) => {
+      buf += chunk.toString("utf8");
+      let m;
+      while ((m = buf.match(/^(\d{3})([ -])(.*)\r?\n/m)) && waiting) {
+        const end = buf.indexOf("\n", m.index) + 1;
+        const line = buf.slice(m.index, end);
+        buf = buf.slice(end);
+        waiting.lines.push(line.trim());
+        if (m[2] === " ") {
+          const w = waiting;
+          waiting = null;
+          w.resolve({ code: Number(m[1]), lines: w.lines });
+        }
+      }
+    };
+
+    const attach = (s) => {
+      s.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error(`SMTP timeout talking to ${cfg.host}`)));
+      s.on("data", onData);
+      s.on("error", fail);
+      // A dropped connection ends the pending reply (code 0) instead of waiting for the timeout
+      s.on("close", () => {
+        if (!waiting) return;
+        const w = waiting;
+        waiting = null;
+        w.resolve({ code: 0, lines: w.lines.concat("connection closed") });
+      });
+    };
+    attach(socket);
+
+    const reply = () => new Promise(res => { waiting = { lines: [], resolve: res }; onData(""); });
+    const expect = async (codes, what) => {
+      const r = await reply();
+      if (!codes.includes(r.code)) throw new Error(`SMTP ${what}: ${r.lines.join(" | ")}`);
+      return r;
+    };
+    const send = (line) => socket.write(line + "\r\n");
+
+    (async () => {
+      await expect([220], "greeting");
+      send(`EHLO ${os.hostname() || "localhost"}`);
+      let ehlo = await expect([250], "EHLO");
+
+      if (!cfg.secure && ehlo.lines.some(l => /STARTTLS/i.test(l))) {
+        send("STARTTLS");
+        await expect([220], "STARTTLS");
+        socket.removeListener("data", onData);
+        socket = tls.connect({ socket, servername: cfg.host });
+        attach(socket);
+        await new Promise((res, rej) => { socket.once("secureConnect", res); socket.once("error", rej); });
+        send(`EHLO ${os.hostname() || "localhost"}`);
+        ehlo = await expect([250], "EHLO after STARTTLS");
+      }
+
+      if (cfg.user) {
+        send("AUTH PLAIN " + Buffer.from(`\0${cfg.user}\0${cfg.pass || ""}`).toString("base64"));
+        await expect([235], "AUTH");
+      }
+
+      send(`MAIL FROM:<${cfg.from}>`);
+      await expect([250], "MAIL FROM");
+      for (const r of rcpts) {
+        send(`RCPT TO:<${r}>`);
+        await expect([250, 251], `RCPT TO ${r}`);
+      }
+      send("DATA");
+      await expect([354], "DATA");
+
+      const headers = [
+        `From: ${cfg.from}`,
+        `To: ${rcpts.join(", ")}`,
+        `Subject: ${subject.replace(/[\r\n]+/g, " ")}`,
+        `Date: ${new Date().toUTCString()}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: 8bit"
+      ];
+      // Dot-stuffing: a body line starting with "." gets another one
+      const body = String(text).replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+      socket.write(headers.join("\r\n") + "\r\n\r\n" + body + "\r\n.\r\n");
+      await expect([250], "message");
+
+      // The message is accepted; whatever QUIT gets back doesn't change that
+      send("QUIT");
+      await reply();
+      done = true;
+      socket.end();
+      resolve();
+    })().catch(fail);
+  });
+}
+
+// -------------------------
+// Live transport
+// -------------------------
+async function postOk(url, init) {
+  const res = await fetch(url, { method: "POST", ...init });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText || ""} for ${url}`.trim());
+}
+
+function createLiveTransport({ smtp = smtpConfigFromEnv() } = {}) {
+  return {
+    name: "live",
+    async send(channel, msg) {
+      if (channel.type === "email") {
+        return smtpSend(smtp, { to: channel.to, subject: msg.title, text: msg.text });
+      }
+      if (channel.type === "webhook") {
+        return postOk(channel.url, {
+          headers: { "Content-Type": "application/json", ...(channel.headers || {}) },
+          body: JSON.stringify({ title: msg.title, text: msg.text, ...msg.data })
+        });
+      }
+      if (channel.type === "ntfy") {
+        const server = String(channel.server || DEFAULT_NTFY_SERVER).replace(/\/+$/, "");
+        return postOk(`${server}/${encodeURIComponent(channel.topic)}`, {
+          headers: {
+            Title: msg.title,
+            Priority: msg.priority || "default",
+            Tags: (msg.tags || []).join(","),
+            ...(channel.token ? { Authorization: `Bearer ${channel.token}` } : {}),
+            ...(msg.data?.url ? { Click: msg.data.url } : {})
+          },
+          body: msg.text
+        });
+      }
+      throw new Error(`Unknown channel type "${channel.type}"`);
+    }
+  };
+}
+
+// -------------------------
+// Outbox transport
+// -------------------------
+function createOutboxTransport(file) {
+  const p = path.resolve(REPO_ROOT, file);
+  return {
+    name: `outbox:${file}`,
+    async send(channel, msg) {
+      fs.appendFileSync(p, JSON.stringify({ channel, ...msg }) + "\n", "utf8");
+    }
+  };
+}
+
+// -------------------------
+// Selection
+// -------------------------
+function createTransport(spec = "live") {
+  const s = String(spec || "live").trim();
+  if (s === "live") return createLiveTransport();
+  if (s.startsWith("outbox:")) return createOutboxTransport(s.slice("outbox:".length));
+  throw new Error(`Unknown notify transport "${s}" (expected live or outbox:<file>)`);
+}
+
+/** Human-readable channel name for logs (no full addresses or secrets) */
+function describeChannel(ch) {
+  if (ch.type === "email") {
+    const to = [].concat(ch.to || []);
+    return `email ${to.map(a => String(a).replace(/^(.).*(@.*)$/, "$1…$2")).join(", ")}`;
+  }
+  if (ch.type === "webhook") {
+    try { return `webhook ${new URL(ch.url).host}`; } catch (_) { return "webhook"; }
+  }
+  if (ch.type === "ntfy") return `ntfy ${ch.topic}`;
+  return String(ch.type);
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  DEFAULT_NTFY_SERVER,
+  smtpConfigFromEnv,
+  smtpSend,
+  createLiveTransport,
+  createOutboxTransport,
+  createTransport,
+  describeChannel
+};
@@ -0,0 +1,132 @@
+/**
+ * Append-only archive of PETSS forecast cycles, one compact JSON line per cycle.
+ *
+ * <dataDir>/petss_archive.ndjson — one line per (run_dir, cycle):
+ *   { run_dir, cycle, issued, t0, step_h, twl: [...], lo: [...], hi: [...] }
+ *
+ *  - values are ft MLLW on an hourly grid starting at t0 (null = missing)
+ *  - only lead >= 0 is kept (the NOMADS file also carries ~5 days of hindcast)
+ *  - lo/hi = ensemble band (min/max of TWL90p/TWL10p), omitted when the cycle had none
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+const HOUR_MS = 3600 * 1000;
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+/** "petss.20260430" + "t06z" -> "2026-04-30T06:00:00.000Z" */
+function cycleIssuedISO(runDir, cycle) {
+  const d = String(runDir).match(/(\d{4})(\d{2})(\d{2})/);
+  const h = String(cycle).match(/t(\d{2})z/);
+  if (!d || !h) return null;
+  return new Date(Date.UTC(+d[1], +d[2] - 1, +d[3], +h[1], 0, 0)).toISOString();
+}
+
+function cycleKey(rec) {
+  return `${String(rec.run_dir).replace(/\/$/, "")}/${rec.cycle}`;
+}
+
+/** Forecast rows (from parseNomadsStationCsv) -> one archive record */
+function buildCycleRecord({ runDir, cycle, rows }) {
+  const issued = cycleIssuedISO(runDir, cycle);
+  if (!issued) throw new Error(`Cannot derive issue time from ${runDir} ${cycle}`);
+  const issuedMs = new Date(issued).getTime();
+
+  const byHour = new Map();
+  for (const r of rows || []) {
+    const ms = new Date(r.t).getTime();
+    if (!Number.isFinite(ms) || ms < issuedMs) continue;
+    byHour.set(Math.floor(ms / HOUR_MS) * HOUR_MS, r);
+  }
+  if (!byHour.size) throw new Error(`No forecast rows at or after ${issued}`);
+
+  const hours = [...byHour.keys()].sort((a, b) => a - b);
+  const t0 = hours[0];
+  const n = Math.round((hours[hours.length - 1] - t0) / HOUR_MS) + 1;
+
+  const twl = new Array(n).fill(null);
+  const lo = new Array(n).fill(null);
+  const hi = new Array(n).fill(null);
+
+  for (const [ms, r] of byHour) {
+    const i = Math.round((ms - t0) / HOUR_MS);
+    if (Number.isFinite(r.twl)) twl[i] = round2(r.twl);
+    const a = Number(r.twl10p), b = Number(r.twl90p);
+    if (r.twl10p != null && r.twl90p != null && Number.isFinite(a) && Number.isFinite(b)) {
+      lo[i] = round2(Math.min(a, b));
+      hi[i] = round2(Math.max(a, b));
+    }
+  }
+
+  const rec = {
+    run_dir: String(runDir).replace(/\/$/, ""),
+    cycle,
+    issued,
+    t0: new Date(t0).toISOString(),
+    step_h: 1,
+    twl
+  };
+  if (lo.some(v => v != null)) {
+    rec.lo = lo;
+    rec.hi = hi;
+  }
+  return rec;
+}
+
+function readArchive(p) {
+  if (!fs.existsSync(p)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(p, "utf8").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec?.run_dir && rec?.cycle && Array.isArray(rec.twl)) out.push(rec);
+    } catch (_) {
+      // tolerate a torn last line; the next append starts a fresh line
+    }
+  }
+  return out;
+}
+
+/** Append a cycle unless it is already archived. Returns true when a line was written. */
+function appendCycle(p, rec) {
+  const key = cycleKey(rec);
+  if (readArchive(p).some(r => cycleKey(r) === key)) return false;
+
+  const needsNewline = fs.existsSync(p) && !/\n$/.test(fs.readFileSync(p, "utf8") || "\n");
+  fs.appendFileSync(p, (needsNewline ? "\n" : "") + JSON.stringify(rec) + "\n", "utf8");
+  return true;
+}
+
+/** Archive record -> [{ t, lead_h, twl, lo, hi }] */
+function expandCycle(rec) {
+  const t0 = new Date(rec.t0).getTime();
+  const issued = new Date(rec.issued).getTime();
+  const step = (rec.step_h || 1) * HOUR_MS;
+  const out = [];
+  for (let i = 0; i < rec.twl.length; i++) {
+    const ms = t0 + i * step;
+    out.push({
+      t: new Date(ms).toISOString(),
+      lead_h: (ms - issued) / HOUR_MS,
+      twl: rec.twl[i],
+      lo: rec.lo ? rec.lo[i] : null,
+      hi: rec.hi ? rec.hi[i] : null
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  cycleIssuedISO,
+  cycleKey,
+  buildCycleRecord,
+  readArchive,
+  appendCycle,
+  expandCycle
+};
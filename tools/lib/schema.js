@@ -0,0 +1,163 @@
+/**
+ * JSON Schema checks for the data files the tools write (schemas/*.schema.json).
+ *
+ * A small validator for the subset of JSON Schema 2020-12 those files use — type (incl.
+ * "integer" and type lists), const, enum, properties, required, additionalProperties, items,
+ * minItems, minimum, minLength, pattern, format: "date-time", anyOf and local $refs
+ * ("#/$defs/x"). Anything else in a schema is an error, so a keyword nobody checks can't slip in.
+ *
+ * Each schema carries "version": the schema_version its files are written at. Older files are
+ * upgraded by tools/lib/migrations.js before they are read or rewritten.
+ *
+ * writeValidatedJSON() is the only way the tools write these files: a document that fails its
+ * schema throws before anything touches disk, so the workflow never commits bad output.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { REPO_ROOT } = require("./stations");
+const { writeJSONAtomic } = require("./datastore");
+
+const SCHEMA_DIR = path.join(REPO_ROOT, "schemas");
+
+// Data file -> schema name (schemas/<name>.schema.json)
+const SCHEMA_FOR_FILE = {
+  "peaks_navd88.json": "peaks_navd88",
+  "petss_forecast.json": "petss_forecast",
+  "petss_meta.json": "petss_meta"
+};
+
+// Errors listed per failure; the rest are counted
+const MAX_ERRORS = 20;
+
+const KEYWORDS = new Set([
+  "$schema", "$id", "$comment", "$defs", "$ref", "title", "description", "version",
+  "type", "const", "enum", "properties", "required", "additionalProperties", "items",
+  "minItems", "minimum", "minLength", "pattern", "format", "anyOf"
+]);
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const cache = new Map();
+
+/** schemas/<name>.schema.json, parsed once */
+function loadSchema(name) {
+  if (!cache.has(name)) {
+    const p = path.join(SCHEMA_DIR, `${name}.schema.json`);
+    if (!fs.existsSync(p)) throw new Error(`No schema ${name} (${p})`);
+    cache.set(name, JSON.parse(fs.readFileSync(p, "utf8")));
+  }
+  return cache.get(name);
+}
+
+/** schema_version a file is written at today */
+function schemaVersion(name) {
+  return loadSchema(name).version;
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  if (type === "integer") return Number.isInteger(v);
+  if (type === "number") return typeof v === "number" && Number.isFinite(v);
+  return typeOf(v) === type;
+}
+
+function resolveRef(root, ref) {
+  const m = /^#\/\$defs\/([^/]+)$/.exec(ref);
+  const target = m && root.$defs?.[m[1]];
+  if (!target) throw new Error(`Unsupported or missing $ref ${ref}`);
+  return target;
+}
+
+function check(root, schema, v, at, errors) {
+  if (schema.$ref) return check(root, resolveRef(root, schema.$ref), v, at, errors);
+  for (const k of Object.keys(schema)) {
+    if (!KEYWORDS.has(k)) throw new Error(`Unsupported schema keyword ${k} at ${at || "/"}`);
+  }
+  const fail = msg => errors.push(`${at || "/"}: ${msg}`);
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some(s => {
+      const sub = [];
+      check(root, s, v, at, sub);
+      return !sub.length;
+    });
+    if (!ok) fail("matches none of the allowed shapes");
+    return;
+  }
+  if ("const" in schema && v !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(v)) return fail(`must be one of ${schema.enum.join(", ")}`);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(v, t))) return fail(`expected ${types.join(" or ")}, got ${typeOf(v)}`);
+  }
+
+  if (typeof v === "string") {
+    if (schema.minLength != null && v.length < schema.minLength) fail(`shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(v)) fail(`does not match ${schema.pattern}`);
+    if (schema.format === "date-time" && !(DATE_TIME.test(v) && Number.isFinite(Date.parse(v)))) fail("not an ISO 8601 date-time");
+  }
+  if (typeof v === "number" && schema.minimum != null && v < schema.minimum) fail(`below ${schema.minimum}`);
+
+  if (Array.isArray(v)) {
+    if (schema.minItems != null && v.length < schema.minItems) fail(`fewer than ${schema.minItems} items`);
+    if (schema.items) {
+      for (let i = 0; i < v.length && errors.length < MAX_ERRORS; i++) check(root, schema.items, v[i], `${at}/${i}`, errors);
+    }
+  }
+
+  if (typeOf(v) === "object") {
+    for (const k of schema.required || []) {
+      if (!(k in v)) fail(`missing ${k}`);
+    }
+    const props = schema.properties || {};
+    for (const [k, val] of Object.entries(v)) {
+      if (errors.length >= MAX_ERRORS) break;
+      if (props[k]) check(root, props[k], val, `${at}/${k}`, errors);
+      else if (schema.additionalProperties === false) fail(`unexpected property ${k}`);
+      else if (typeof schema.additionalProperties === "object") check(root, schema.additionalProperties, val, `${at}/${k}`, errors);
+    }
+  }
+}
+
+/** Errors (["/events/3/ft: expected number, got string", ...]); [] when the document is valid */
+function validate(name, doc) {
+  const schema = loadSchema(name);
+  const errors = [];
+  check(schema, schema, doc, "", errors);
+  return errors;
+}
+
+/** Throw with the first errors listed when `doc` fails its schema */
+function assertValid(name, doc, label = name) {
+  const errors = validate(name, doc);
+  if (errors.length) {
+    const more = errors.length >= MAX_ERRORS ? "\n  …" : "";
+    throw new Error(`${label} fails schema ${name} (v${schemaVersion(name)}):\n  ${errors.join("\n  ")}${more}`);
+  }
+}
+
+/** Validate against the file's schema, then write pretty JSON atomically (nothing is written when invalid) */
+function writeValidatedJSON(filePath, doc) {
+  const name = SCHEMA_FOR_FILE[path.basename(filePath)];
+  if (!name) throw new Error(`No schema registered for ${path.basename(filePath)}`);
+  assertValid(name, doc, filePath);
+  writeJSONAtomic(filePath, doc);
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  SCHEMA_FOR_FILE,
+  loadSchema,
+  schemaVersion,
+  validate,
+  assertValid,
+  writeValidatedJSON
+};
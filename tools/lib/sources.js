@@ -0,0 +1,160 @@
+/**
+ * Pluggable data sources for the updater tools.
+ *
+ * Every upstream request (NOMADS, USGS NWIS, CO-OPS, NWPS, NWS gridpoints, NDBC) goes through the
+ * active source, so the whole pipeline can run offline:
+ *   - http      (default) live network
+ *   - fixtures  recorded responses read from a directory; nothing leaves the machine
+ *
+ * Select with env TIDE_SOURCE=http | fixtures:<dir>  (dir relative to the repo root or absolute).
+ *
+ * Fixture layout (see fixtureFileForUrl), rooted at <dir>/<hostname>/<pathname>:
+ *   - plain file URLs map to the same path       .../petss.20260430/petss.t00z.csv.tar.gz
+ *   - directory URLs (trailing "/") -> index.html .../petss/prod/index.html
+ *   - query URLs -> <path>/<key params>.json, where key params are the values of
+ *     FIXTURE_KEY_PARAMS present in the query, joined by "."
+ *       nwis/iv/?sites=01407600&parameterCd=72279&...            -> nwis/iv/01407600.72279.json
+ *       api/prod/datagetter?station=8531804&product=predictions&interval=hilo&...
+ *                                                                 -> api/prod/datagetter/8531804.predictions.hilo.json
+ * Date-window params are ignored: a fixture answers every window with the same recording.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+const { REPO_ROOT } = require("./stations");
+
+const FIXTURE_KEY_PARAMS = ["sites", "parameterCd", "station", "product", "interval"];
+
+function httpError(status, url, statusText = "") {
+  const e = new Error(`HTTP ${status}${statusText ? " " + statusText : ""} for ${url}`);
+  e.status = status;
+  return e;
+}
+
+// -------------------------
+// Live network
+// -------------------------
+function createHttpSource() {
+  function fetchText(url, { headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      https.get(url, { headers }, (res) => {
+        // handle redirects
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          return resolve(fetchText(res.headers.location, { headers }));
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          return reject(httpError(res.statusCode, url));
+        }
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => resolve(data));
+      }).on("error", reject);
+    });
+  }
+
+  function download(url, outPath, { headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      const file = fs.createWriteStream(outPath);
+      https.get(url, { headers }, (res) => {
+        // redirects
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          file.close(() => fs.unlinkSync(outPath));
+          return resolve(download(res.headers.location, outPath, { headers }));
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          file.close(() => fs.unlinkSync(outPath));
+          return reject(httpError(res.statusCode, url));
+        }
+        res.pipe(file);
+        file.on("finish", () => file.close(resolve));
+      }).on("error", (err) => {
+        try { file.close(() => fs.unlinkSync(outPath)); } catch (_) {}
+        reject(err);
+      });
+    });
+  }
+
+  async function fetchJson(url, { headers = {} } = {}) {
+    const res = await fetch(url, { headers });
+    if (!res.ok) throw httpError(res.status, url, res.statusText);
+    return res.json();
+  }
+
+  return { name: "http", fetchText, fetchJson, download };
+}
+
+// -------------------------
+// Recorded fixtures
+// -------------------------
+function fixtureFileForUrl(dir, url) {
+  const u = new URL(url);
+  const base = path.join(dir, u.hostname, decodeURIComponent(u.pathname));
+
+  if (u.search) {
+    const keys = FIXTURE_KEY_PARAMS.filter(k => u.searchParams.has(k)).map(k => u.searchParams.get(k));
+    return path.join(base, (keys.join(".") || "index") + ".json");
+  }
+  return u.pathname.endsWith("/") ? path.join(base, "index.html") : base;
+}
+
+function createFixtureSource(dir) {
+  const root = path.resolve(REPO_ROOT, dir);
+  if (!fs.existsSync(root)) throw new Error(`Fixture directory not found: ${root}`);
+
+  function resolveFile(url) {
+    const file = fixtureFileForUrl(root, url);
+    if (!fs.existsSync(file)) {
+      throw httpError(404, url, `(no fixture ${path.relative(root, file)})`);
+    }
+    return file;
+  }
+
+  return {
+    name: `fixtures:${dir}`,
+    root,
+    async fetchText(url) {
+      return fs.readFileSync(resolveFile(url), "utf8");
+    },
+    async fetchJson(url) {
+      return JSON.parse(fs.readFileSync(resolveFile(url), "utf8"));
+    },
+    async download(url, outPath) {
+      fs.copyFileSync(resolveFile(url), outPath);
+    }
+  };
+}
+
+// -------------------------
+// Selection
+// -------------------------
+function createSource(spec = "http") {
+  const s = String(spec || "http").trim();
+  if (s === "http") return createHttpSource();
+  if (s.startsWith("fixtures:")) return createFixtureSource(s.slice("fixtures:".length));
+  throw new Error(`Unknown data source "${s}" (expected http or fixtures:<dir>)`);
+}
+
+let active = null;
+
+/** The source selected by TIDE_SOURCE (created once per process) */
+function getSource() {
+  if (!active) active = createSource(process.env.TIDE_SOURCE || "http");
+  return active;
+}
+
+module.exports = {
+  FIXTURE_KEY_PARAMS,
+  fixtureFileForUrl,
+  createHttpSource,
+  createFixtureSource,
+  createSource,
+  getSource
+};
@@ -0,0 +1,113 @@
+/**
+ * Station registry helpers shared by the updater tools.
+ *
+ * data/stations.json lists every gauge we track:
+ *   { defaultStation, stations: [{ id, name, dataDir, usgsSite, usgsParam, coopsStation,
+ *     nwpsGauge, petssStid, petssDatum, offsetsFromMllw, thresholdsNAVD88, topTenMllw, ... }] }
+ *   optional floodStages: { datum, minorLow, moderateLow, majorLow } (the published flood categories,
+ *   converted to thresholdsNAVD88 by tools/build_station_config.js),
+ *   optional waves: { gridPoint, ndbcBuoy, shoreNormalDeg, beachSlope } and
+ *   overtopping: { name, elevation, datum } feed tools/update_waves_wind.js
+ *
+ * Each station writes its data files under its own dataDir (e.g. data/sea-bright/), resolved
+ * against the repo root (an absolute dataDir is used as-is).
+ *
+ * Env TIDE_STATIONS=<path> swaps in another registry (tests point it at a temp copy).
+ *
+ * Datum offsets and flood thresholds are resolved from <dataDir>/station_config.json when it
+ * exists (built from CO-OPS datums by tools/build_station_config.js); the registry values are
+ * the inputs to that build and the fallback before it has run.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+const REGISTRY_PATH = process.env.TIDE_STATIONS
+  ? path.resolve(REPO_ROOT, process.env.TIDE_STATIONS)
+  : path.join(REPO_ROOT, "data", "stations.json");
+
+const STATION_CONFIG_FILE = "station_config.json";
+
+const REQUIRED_FIELDS = ["id", "dataDir", "usgsSite", "usgsParam", "coopsStation", "thresholdsNAVD88"];
+
+function loadRegistry(registryPath = REGISTRY_PATH) {
+  const j = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+  const stations = Array.isArray(j?.stations) ? j.stations : [];
+  if (!stations.length) throw new Error(`No stations listed in ${registryPath}`);
+
+  const seen = new Set();
+  for (const st of stations) {
+    const missing = REQUIRED_FIELDS.filter(k => st?.[k] == null || st[k] === "");
+    if (missing.length) throw new Error(`Station ${st?.id || "?"} is missing: ${missing.join(", ")}`);
+    if (seen.has(st.id)) throw new Error(`Duplicate station id: ${st.id}`);
+    seen.add(st.id);
+  }
+  return { defaultStation: j.defaultStation || stations[0].id, stations };
+}
+
+/**
+ * Registry entry with the built station config applied: offsetsFromMllw (every datum the config
+ * knows, plus LOCAL when one is set) and thresholdsNAVD88 come from station_config.json.
+ */
+function applyStationConfig(station) {
+  const p = stationDataPath(station, STATION_CONFIG_FILE);
+  if (!fs.existsSync(p)) return station;
+
+  const cfg = JSON.parse(fs.readFileSync(p, "utf8"));
+  const T = cfg.thresholdsNAVD88;
+  const R = station.thresholdsNAVD88;
+  if (T && R && ["minorLow", "moderateLow", "majorLow"].some(k => Math.abs(T[k] - R[k]) > 1e-6)) {
+    console.warn(
+      `[${station.id}] thresholdsNAVD88 in the registry differ from ${STATION_CONFIG_FILE}; ` +
+      `using the config (${cfg.thresholdsSource || "registry thresholdsNAVD88"}). Rerun tools/build_station_config.js after editing the registry.`
+    );
+  }
+  return {
+    ...station,
+    offsetsFromMllw: { ...station.offsetsFromMllw, ...cfg.offsetsFromMllw },
+    thresholdsNAVD88: T || R,
+    datumEpoch: cfg.epoch || null
+  };
+}
+
+/**
+ * Pick the stations a run should process.
+ *  - only: station id (or comma list) from --station=...; null = all
+ *  - filter: optional predicate (e.g. stations that have a petssStid)
+ *  - withConfig: apply station_config.json (false = raw registry entries)
+ */
+function selectStations({ only = null, filter = null, registryPath, withConfig = true } = {}) {
+  const registry = loadRegistry(registryPath).stations;
+  const stations = withConfig ? registry.map(applyStationConfig) : registry;
+  let out = filter ? stations.filter(filter) : stations.slice();
+
+  if (only) {
+    const want = new Set(String(only).split(",").map(s => s.trim()).filter(Boolean));
+    const unknown = [...want].filter(id => !stations.some(st => st.id === id));
+    if (unknown.length) throw new Error(`Unknown station id(s): ${unknown.join(", ")}`);
+    out = out.filter(st => want.has(st.id));
+  }
+  return out;
+}
+
+function stationDataDir(station) {
+  return path.resolve(REPO_ROOT, station.dataDir);
+}
+
+function stationDataPath(station, file) {
+  return path.join(stationDataDir(station), file);
+}
+
+module.exports = {
+  REPO_ROOT,
+  REGISTRY_PATH,
+  STATION_CONFIG_FILE,
+  loadRegistry,
+  applyStationConfig,
+  selectStations,
+  stationDataDir,
+  stationDataPath
+};
@@ -0,0 +1,42 @@
+/**
+ * USGS NWIS instantaneous-values (IV) fetch shared by the updater tools.
+ * Goes through the active data source (lib/sources.js), so fixtures work offline.
+ */
+
+"use strict";
+
+const { getSource } = require("./sources");
+
+// -------------------------
+// USGS IV fetch (15-min-ish)
+// -------------------------
+async function fetchUSGSIV({ site, param, startISO, endISO, userAgent = "peaks-cache/2.0" }) {
+  const url =
+    "https://waterservices.usgs.gov/nwis/iv/?" +
+    new URLSearchParams({
+      format: "json",
+      sites: site,
+      parameterCd: param,
+      startDT: startISO,
+      endDT: endISO,
+      siteStatus: "all",
+      agencyCd: "USGS"
+    }).toString();
+
+  const j = await getSource()
+    .fetchJson(url, { headers: { "User-Agent": userAgent } })
+    .catch(e => { throw new Error(`USGS IV fetch failed: ${e.message}`); });
+
+  const ts = j?.value?.timeSeries?.[0];
+  const vals = ts?.values?.[0]?.value || [];
+
+  // Qualifier codes (P, e, Eqp, ...) ride along for QC (lib/qc.js)
+  const series = vals
+    .map(v => ({ t: v.dateTime, ft: Number(v.value), qualifiers: Array.isArray(v.qualifiers) ? v.qualifiers : [] }))
+    .filter(p => p.t && Number.isFinite(p.ft));
+
+  series.sort((a, b) => new Date(a.t) - new Date(b.t));
+  return series;
+}
+
+module.exports = { fetchUSGSIV };
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Git merge driver for <dataDir>/peaks_navd88.json.
+ *
+ * Two runs that each committed the cache (e.g. a manual backfill and a scheduled update) leave
+ * git with two long events arrays that conflict line by line. This merges them the way the
+ * updater does — by crest key, see mergePeaksCaches() in update_peaks_navd88.js — validates the
+ * result against schemas/peaks_navd88.schema.json and writes it over "ours". The common ancestor
+ * is not needed: events are only ever added or improved, never deleted.
+ *
+ * Exit 0 = merged; anything else leaves git's normal conflict in place.
+ *
+ * Setup (the peaks workflow does this before `git pull --rebase`; .gitattributes maps the files):
+ *   git config merge.peaks-cache.name "peaks_navd88.json events by crest"
+ *   git config merge.peaks-cache.driver "node tools/merge_peaks_cache.js %O %A %B %P"
+ *
+ * Usage (as git calls it):
+ *   node tools/merge_peaks_cache.js <ancestor> <ours> <theirs> [<path in repo>]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { REPO_ROOT, selectStations, stationDataPath } = require("./lib/stations");
+const { assertValid } = require("./lib/schema");
+const { writeJSONAtomic } = require("./lib/datastore");
+const { mergePeaksCaches } = require("./update_peaks_navd88");
+
+/** Registry entry whose peaks cache lives at `repoPath` (migrations of old files need it) */
+function stationForPath(repoPath, fallbackId) {
+  const abs = repoPath ? path.resolve(REPO_ROOT, repoPath) : null;
+  let stations = [];
+  try {
+    stations = selectStations({});
+  } catch (_) {}
+  return stations.find(st => abs && stationDataPath(st, "peaks_navd88.json") === abs) ||
+    stations.find(st => st.id === fallbackId) ||
+    { id: fallbackId };
+}
+
+function main() {
+  const [, oursPath, theirsPath, repoPath] = process.argv.slice(2);
+  if (!oursPath || !theirsPath) {
+    console.error("Usage: merge_peaks_cache.js <ancestor> <ours> <theirs> [<path>]");
+    process.exit(2);
+  }
+
+  const ours = JSON.parse(fs.readFileSync(oursPath, "utf8"));
+  const theirs = JSON.parse(fs.readFileSync(theirsPath, "utf8"));
+  const station = stationForPath(repoPath, theirs.station || ours.station);
+
+  const merged = mergePeaksCaches(ours, theirs, { station });
+  assertValid("peaks_navd88", merged, repoPath || oursPath);
+  writeJSONAtomic(oursPath, merged);
+
+  const n = x => (Array.isArray(x.events) ? x.events.length : 0);
+  console.log(`[${station.id}] Merged ${repoPath || "peaks cache"}: ${n(ours)} + ${n(theirs)} events -> ${merged.events.length}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`peaks cache merge failed: ${err.message || err}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Upgrade every station's versioned data files to the current schemas, in place.
+ *
+ * For each registry station and each file with a schema (lib/schema.js SCHEMA_FOR_FILE):
+ *  - peaks_navd88.json, petss_meta.json: run the migration steps above the file's schema_version
+ *    (lib/migrations.js), validate the result and rewrite the file only when it changed version
+ *  - petss_forecast.json: validated only (it is rewritten every PETSS cycle, never migrated)
+ * Missing files are skipped. A file that can't be migrated or fails its schema is left untouched
+ * and reported, and the run exits 1; with --check, so does any file that still needs migrating.
+ *
+ * The updaters migrate their own files when they load them; this is for upgrading everything at
+ * once (e.g. right after a schema bump) and for the test workflow's --check of the committed data.
+ *
+ * Usage:
+ *   node tools/migrate_data.js                      (migrate + validate, writing upgraded files)
+ *   node tools/migrate_data.js --check              (report only, nothing is written; exit 1 if
+ *                                                    any file is invalid or out of date)
+ *   node tools/migrate_data.js --station=sea-bright
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { selectStations, stationDataPath } = require("./lib/stations");
+const { SCHEMA_FOR_FILE, validate, writeValidatedJSON } = require("./lib/schema");
+const { MIGRATIONS, migrate } = require("./lib/migrations");
+
+function log(...a) { console.log(...a); }
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+/**
+ * One file: -> { status: "missing" | "current" | "migrated" | "invalid" | "error", from?, to?, applied?, errors? }
+ * With check: true the upgraded document is validated but not written.
+ */
+function migrateFile(station, file, { check = false } = {}) {
+  const name = SCHEMA_FOR_FILE[file];
+  const p = stationDataPath(station, file);
+  if (!fs.existsSync(p)) return { status: "missing" };
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    return { status: "error", errors: [`not JSON: ${e.message}`] };
+  }
+
+  let result = { doc, applied: [] };
+  if (MIGRATIONS[name]) {
+    try {
+      result = migrate(name, doc, { station });
+    } catch (e) {
+      return { status: "error", errors: [e.message] };
+    }
+  }
+
+  const errors = validate(name, result.doc);
+  if (errors.length) return { status: "invalid", errors, from: result.from, to: result.to };
+  if (!result.applied.length) return { status: "current" };
+
+  if (!check) writeValidatedJSON(p, result.doc);
+  return { status: "migrated", from: result.from, to: result.to, applied: result.applied };
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  const stations = selectStations({ only: parseArg("--station") });
+
+  let bad = 0;
+  let stale = 0;
+  for (const station of stations) {
+    const tag = `[${station.id}]`;
+    for (const file of Object.keys(SCHEMA_FOR_FILE)) {
+      const r = migrateFile(station, file, { check });
+      if (r.status === "missing") continue;
+      if (r.status === "current") log(`${tag} ${file}: current`);
+      else if (r.status === "migrated") {
+        if (check) stale++;
+        log(`${tag} ${file}: ${check ? "needs migration" : "migrated"} v${r.from} -> v${r.to} (${r.applied.join("; ")})`);
+      } else {
+        bad++;
+        console.error(`${tag} ${file}: ${r.status === "invalid" ? "fails its schema" : "cannot be migrated"}\n  ${r.errors.join("\n  ")}`);
+      }
+    }
+  }
+
+  if (bad) {
+    console.error(`${bad} file(s) left untouched; fix them or add a migration.`);
+    process.exit(1);
+  }
+  if (stale) {
+    console.error(`${stale} file(s) need migration; run node tools/migrate_data.js and commit the result.`);
+    process.exit(1);
+  }
+}
+
+// Run when invoked directly; tests require() migrateFile
+if (require.main === module) main();
+
+module.exports = { migrateFile };
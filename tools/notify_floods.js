@@ -0,0 +1,494 @@
+#!/usr/bin/env node
+/**
+ * Flood notifications for subscribers, run after the PETSS forecast and peaks updates.
+ *
+ * For every subscriber (see "Subscribers" below) and each of their stations:
+ *  - forecast: the next FORECAST_HOURS of <dataDir>/forecast_blend.json (tools/blend_forecast.js)
+ *    when it is under BLEND_MAX_AGE_HOURS old, else <dataDir>/petss_forecast.json — the series the
+ *    dashboard outlook uses — cut into flood segments with the outlook's logic (lib/segments.js),
+ *    but at the subscriber's own level and datum. Windows only the ensemble upper band
+ *    (~90th percentile) reaches are sent as "possible" to subscribers who ask for them
+ *    (possible: true).
+ *  - observed: the newest crest in <dataDir>/peaks_navd88.json (not QC-suspect, at most
+ *    OBSERVED_MAX_AGE_HOURS old) when it reached the level.
+ * Each alert goes to all of the subscriber's channels (email / webhook / ntfy; tools/lib/notify.js).
+ *
+ * De-duplication: <dataDir>/notify_state.json remembers what each subscriber was told.
+ *  - a forecast window is the same event as a remembered one when they overlap (with
+ *    FORECAST_MATCH_HOURS of slack, since each PETSS cycle shifts it a little); it is announced
+ *    again only when it gets worse — a higher stage, or "possible" becoming expected
+ *  - an observed crest is announced once
+ *  - an alert counts as sent when at least one channel took it; otherwise the next run retries
+ *  - records are dropped STATE_KEEP_DAYS after their window ends
+ * The state holds subscriber ids only, never addresses.
+ *
+ * Subscribers: JSON from env NOTIFY_SUBSCRIBERS (e.g. a CI secret), else the file in env
+ * NOTIFY_SUBSCRIBERS_FILE or --subscribers=<path>:
+ *   { "subscribers": [{
+ *       "id": "harbor-office",                   // stable id for the dedupe state
+ *       "stations": ["sea-bright"],              // default: the registry's defaultStation
+ *       "threshold": "minor" | "moderate" | "major" | 6.5,   // a number is in "datum"
+ *       "datum": "MLLW",                         // any datum in the station's offsetsFromMllw
+ *       "sources": ["forecast", "observed"],     // default both
+ *       "possible": false,                       // also announce 90th-percentile-only windows
+ *       "channels": [
+ *         { "type": "email", "to": "someone@example.org" },
+ *         { "type": "webhook", "url": "https://example.org/hook", "headers": {} },
+ *         { "type": "ntfy", "topic": "sea-bright-floods", "server": "https://ntfy.sh", "token": "" }
+ *       ] }] }
+ *
+ * Env: NOTIFY_TRANSPORT=live | outbox:<file> (tools/lib/notify.js), SMTP_* for email,
+ *      NOTIFY_DASHBOARD_URL (links in messages get ?station=<id>).
+ *
+ * Writes to: <dataDir>/notify_state.json
+ *
+ * Usage:
+ *   node tools/notify_floods.js
+ *   node tools/notify_floods.js --dry-run          (print what would be sent; state untouched)
+ *   node tools/notify_floods.js --now=2026-04-25T06:00:00Z   (evaluate as of that time)
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { REPO_ROOT, loadRegistry, selectStations, stationDataDir, stationDataPath } = require("./lib/stations");
+const { withLock, writeJSONAtomic } = require("./lib/datastore");
+const { CHANNEL_TYPES, createTransport, describeChannel } = require("./lib/notify");
+const segments = require("../lib/segments");
+const qc = require("../lib/qc");
+
+// -------------------------
+// Config
+// -------------------------
+const STATE_FILE = "notify_state.json";
+const BLEND_FILE = "forecast_blend.json";
+
+// Same freshness rule as the dashboard: an older blend gives way to the PETSS file
+const BLEND_MAX_AGE_HOURS = 6;
+
+// Same horizon as the dashboard's flood outlook
+const FORECAST_HOURS = 72;
+
+// A forecast window within this of a remembered one is the same event
+const FORECAST_MATCH_HOURS = 3;
+
+// An observed crest older than this is history, not news
+const OBSERVED_MAX_AGE_HOURS = 12;
+
+const STATE_KEEP_DAYS = 7;
+
+const STAGE_KEYS = { minor: "minorLow", moderate: "moderateLow", major: "majorLow" };
+
+const DEFAULT_TIME_ZONE = "America/New_York";
+
+const HOUR_MS = 3600 * 1000;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function readJSONIfExists(p) {
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+// -------------------------
+// Subscribers
+// -------------------------
+function loadSubscribers({ env = process.env, file = parseArg("--subscribers") } = {}) {
+  let raw;
+  if (env.NOTIFY_SUBSCRIBERS) raw = env.NOTIFY_SUBSCRIBERS;
+  else {
+    const p = file || env.NOTIFY_SUBSCRIBERS_FILE;
+    if (!p) return [];
+    raw = fs.readFileSync(path.resolve(REPO_ROOT, p), "utf8");
+  }
+  const j = JSON.parse(raw);
+  return Array.isArray(j) ? j : (Array.isArray(j?.subscribers) ? j.subscribers : []);
+}
+
+/**
+ * Validated subscriber with defaults filled in. Throws on anything that would make alerts
+ * ambiguous (unknown threshold/datum/channel) rather than guessing.
+ */
+function normalizeSubscriber(sub, { defaultStation }) {
+  if (!sub || typeof sub !== "object") throw new Error("subscriber must be an object");
+  const channels = Array.isArray(sub.channels) ? sub.channels : [];
+  if (!channels.length) throw new Error(`subscriber ${sub.id || "?"} has no channels`);
+  for (const ch of channels) {
+    if (!CHANNEL_TYPES.includes(ch?.type)) throw new Error(`subscriber ${sub.id || "?"}: unknown channel type "${ch?.type}"`);
+    if (ch.type === "email" && !ch.to) throw new Error(`subscriber ${sub.id || "?"}: email channel needs "to"`);
+    if (ch.type === "webhook" && !ch.url) throw new Error(`subscriber ${sub.id || "?"}: webhook channel needs "url"`);
+    if (ch.type === "ntfy" && !ch.topic) throw new Error(`subscriber ${sub.id || "?"}: ntfy channel needs "topic"`);
+  }
+
+  const threshold = sub.threshold ?? "minor";
+  if (typeof threshold === "string" ? !STAGE_KEYS[threshold.toLowerCase()] : !Number.isFinite(threshold)) {
+    throw new Error(`subscriber ${sub.id || "?"}: threshold must be minor, moderate, major or a number`);
+  }
+
+  const sources = Array.isArray(sub.sources) && sub.sources.length ? sub.sources : ["forecast", "observed"];
+  if (sources.some(s => s !== "forecast" && s !== "observed")) throw new Error(`subscriber ${sub.id || "?"}: sources are forecast and/or observed`);
+
+  return {
+    // No id: a hash of the channels, so the state file never holds an address
+    id: String(sub.id || "sub-" + crypto.createHash("sha256").update(JSON.stringify(channels)).digest("hex").slice(0, 12)),
+    stations: [].concat(sub.stations || sub.station || defaultStation),
+    threshold: typeof threshold === "string" ? threshold.toLowerCase() : threshold,
+    datum: String(sub.datum || "NAVD88").toUpperCase(),
+    sources,
+    possible: !!sub.possible,
+    channels
+  };
+}
+
+/**
+ * The subscriber's level at a station, in their datum:
+ * { datum, level, label, T } where T are the station's stages in that datum.
+ */
+function subscriberLevel(sub, station) {
+  const off = station.offsetsFromMllw || {};
+  if (!Number.isFinite(off[sub.datum]) || !Number.isFinite(off.NAVD88)) {
+    throw new Error(`no ${sub.datum} offset for ${station.id}`);
+  }
+  const shift = off[sub.datum] - off.NAVD88;   // NAVD88 -> subscriber datum
+  const N = station.thresholdsNAVD88;
+  const T = { minorLow: N.minorLow + shift, moderateLow: N.moderateLow + shift, majorLow: N.majorLow + shift };
+
+  if (typeof sub.threshold === "number") {
+    return { datum: sub.datum, level: sub.threshold, label: `${sub.threshold.toFixed(2)} ft ${sub.datum}`, T };
+  }
+  const stage = sub.threshold[0].toUpperCase() + sub.threshold.slice(1);
+  return { datum: sub.datum, level: T[STAGE_KEYS[sub.threshold]], label: `${stage} flood stage`, T };
+}
+
+// -------------------------
+// Evaluation
+// -------------------------
+/** petss_forecast.json / forecast_blend.json points (MLLW by default) -> [{ t, ms, ft, hi }] in `datum` */
+function forecastPoints(rows, { station, datum, sourceDatum = "MLLW" }) {
+  const off = station.offsetsFromMllw || {};
+  const shift = off[datum] - (off[sourceDatum] ?? 0);
+  return (rows || [])
+    .map(r => {
+      const ms = new Date(r.t).getTime();
+      const twl = Number(r.twl ?? (r.tide != null && r.surge != null ? Number(r.tide) + Number(r.surge) : NaN));
+      if (!Number.isFinite(ms) || !Number.isFinite(twl)) return null;
+      const { hi } = segments.petssBand(r);
+      return { t: new Date(ms).toISOString(), ms, ft: twl + shift, hi: hi != null ? hi + shift : null };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.ms - b.ms);
+}
+
+/** Newest usable observed high crest: not low, not QC-suspect */
+function newestObservedCrest(events) {
+  let best = null;
+  for (const e of events || []) {
+    if (e?.kind === "CrestLow" || e?.suspect || qc.isSuspect(e?.qc)) continue;
+    const ms = new Date(e.t).getTime();
+    if (!Number.isFinite(ms) || !Number.isFinite(Number(e.ft))) continue;
+    if (!best || ms > best.ms) best = { ...e, ms };
+  }
+  return best;
+}
+
+/**
+ * Candidate alerts for one subscriber at one station:
+ * [{ kind: "forecast", start, end, startMs, endMs, peakFt, peakT, stage, hiPeakFt, possible }
+ *  | { kind: "observed", crest, t, ft, stage }]  — levels in the subscriber's datum.
+ */
+function evaluateSubscriber({ sub, station, forecastRows, forecastDatum = "MLLW", events, nowMs }) {
+  const { level, T, datum } = subscriberLevel(sub, station);
+  const out = [];
+
+  if (sub.sources.includes("forecast") && forecastRows?.length) {
+    const pts = forecastPoints(forecastRows, { station, datum, sourceDatum: forecastDatum })
+      .filter(p => p.ms >= nowMs && p.ms <= nowMs + FORECAST_HOURS * HOUR_MS);
+    const { rows } = segments.floodOutlook(pts, T, { level });
+    for (const seg of rows) {
+      if (seg.possibleOnly && !sub.possible) continue;
+      out.push({
+        kind: "forecast",
+        start: seg.startT,
+        end: seg.endT,
+        startMs: seg.startMs,
+        endMs: seg.endMs,
+        peakFt: round2(seg.peakFt),
+        peakT: seg.peakT,
+        stage: seg.peakStage,
+        hiPeakFt: Number.isFinite(seg.hiPeakFt) ? round2(seg.hiPeakFt) : null,
+        possible: !!seg.possibleOnly
+      });
+    }
+  }
+
+  if (sub.sources.includes("observed")) {
+    const c = newestObservedCrest(events);
+    if (c && nowMs - c.ms <= OBSERVED_MAX_AGE_HOURS * HOUR_MS) {
+      const off = station.offsetsFromMllw;
+      const ft = Number(c.ft) + off[datum] - off.NAVD88;
+      if (ft >= level) {
+        out.push({ kind: "observed", crest: c.crest || c.t, t: c.t, ft: round2(ft), stage: segments.stageName(ft, T) });
+      }
+    }
+  }
+  return out;
+}
+
+// -------------------------
+// De-duplication
+// -------------------------
+/** Worse = higher stage, or the same stage going from possible to expected */
+function severity(a) {
+  return segments.stageRank(a.stage) * 2 + (a.possible ? 0 : 1);
+}
+
+/**
+ * Compare candidates with a subscriber's remembered alerts.
+ * Returns { send: [{ alert, reason: "new" | "worse" }], records } where records is the updated
+ * memory (assuming every send succeeds; the caller keeps only what was delivered).
+ */
+function decideAlerts(candidates, records, { nowMs }) {
+  const slack = FORECAST_MATCH_HOURS * HOUR_MS;
+  const mem = (records || []).map(r => ({ ...r }));
+  const send = [];
+
+  for (const a of candidates) {
+    if (a.kind === "observed") {
+      if (mem.some(r => r.kind === "observed" && r.crest === a.crest)) continue;
+      send.push({ alert: a, reason: "new", record: { kind: "observed", crest: a.crest, stage: a.stage, ft: a.ft } });
+      continue;
+    }
+
+    const prev = mem.find(r => r.kind === "forecast" &&
+      new Date(r.start).getTime() - slack <= a.endMs && new Date(r.end).getTime() + slack >= a.startMs);
+    const record = { kind: "forecast", start: a.start, end: a.end, stage: a.stage, possible: a.possible, peak_ft: a.peakFt };
+
+    if (!prev) {
+      send.push({ alert: a, reason: "new", record });
+    } else if (severity(a) > severity(prev)) {
+      send.push({ alert: a, reason: "worse", record, replaces: prev });
+    } else {
+      // Same event, no worse: follow its drift silently
+      prev.start = new Date(Math.min(new Date(prev.start), a.startMs)).toISOString();
+      prev.end = new Date(Math.max(new Date(prev.end), a.endMs)).toISOString();
+    }
+  }
+
+  const keepMs = STATE_KEEP_DAYS * 86400 * 1000;
+  const fresh = mem.filter(r => {
+    const endMs = new Date(r.kind === "observed" ? r.crest : r.end).getTime();
+    return !Number.isFinite(endMs) || nowMs - endMs <= keepMs;
+  });
+  return { send, records: fresh };
+}
+
+// -------------------------
+// Messages
+// -------------------------
+function fmtLocal(iso, timeZone) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone, weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short"
+  }).format(new Date(iso));
+}
+
+function fmtLocalTime(iso, timeZone) {
+  return new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "2-digit" }).format(new Date(iso));
+}
+
+function buildMessage({ alert, reason, sub, station, levelInfo, meta = null, dashboardUrl = null }) {
+  const tz = station.timeZone || DEFAULT_TIME_ZONE;
+  const name = station.name || station.id;
+  const unit = `ft ${levelInfo.datum}`;
+  const stageText = alert.stage === "Below" ? "high water" : `${alert.stage} flooding`;
+  const url = dashboardUrl ? `${dashboardUrl}${dashboardUrl.includes("?") ? "&" : "?"}station=${encodeURIComponent(station.id)}` : null;
+
+  let title, lines;
+  if (alert.kind === "observed") {
+    title = `${name}: ${stageText} observed`;
+    lines = [
+      `The gauge reached ${alert.ft.toFixed(2)} ${unit} at ${fmtLocal(alert.t, tz)} (${alert.stage}).`,
+      `Your alert level: ${levelInfo.label} (${levelInfo.level.toFixed(2)} ${unit}).`
+    ];
+  } else {
+    const verb = alert.possible ? "possible" : "forecast";
+    title = `${name}: ${stageText} ${verb}` + (reason === "worse" ? " (update)" : "");
+    lines = [
+      `${alert.possible ? "The upper PETSS ensemble band (90th percentile)" : (meta?.blend_summary ? "The blended forecast" : "The PETSS forecast")} reaches ` +
+        `${levelInfo.label} (${levelInfo.level.toFixed(2)} ${unit}) from ${fmtLocal(alert.start, tz)} ` +
+        `to ${fmtLocalTime(alert.end, tz)}.`,
+      `Peak ${alert.peakFt.toFixed(2)} ${unit} (${alert.stage}) around ${fmtLocalTime(alert.peakT, tz)}.` +
+        (!alert.possible && alert.hiPeakFt != null && alert.hiPeakFt > alert.peakFt ? ` 90th percentile ${alert.hiPeakFt.toFixed(2)} ${unit}.` : "")
+    ];
+    if (reason === "worse") lines.push("This is worse than the earlier alert for this tide.");
+    if (meta?.blend_summary) lines.push(`Blended forecast, bias-corrected to the gauge: ${meta.blend_summary}.`);
+    if (meta?.run_dir) lines.push(`${meta.blend_summary ? "PETSS cycle" : "Forecast cycle"}: ${meta.run_dir} ${meta.cycle || ""}`.trim() + ".");
+  }
+  if (url) lines.push(url);
+
+  return {
+    title,
+    text: lines.join("\n"),
+    priority: alert.stage === "Major" ? "urgent" : (alert.stage === "Moderate" ? "high" : "default"),
+    tags: ["ocean", alert.kind === "observed" ? "warning" : "hourglass"],
+    data: {
+      station: station.id,
+      subscriber: sub.id,
+      kind: alert.kind,
+      reason,
+      stage: alert.stage,
+      possible: !!alert.possible,
+      datum: levelInfo.datum,
+      level_ft: round2(levelInfo.level),
+      ...(alert.kind === "observed"
+        ? { t: alert.t, crest: alert.crest, ft: alert.ft }
+        : { start: alert.start, end: alert.end, peak_t: alert.peakT, peak_ft: alert.peakFt, hi_peak_ft: alert.hiPeakFt }),
+      url
+    }
+  };
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function notifyStation(station, subs, { transport, nowMs, dryRun, dashboardUrl }) {
+  const tag = `[${station.id}]`;
+  const statePath = stationDataPath(station, STATE_FILE);
+  const state = readJSONIfExists(statePath) || { subscribers: {} };
+  state.subscribers = state.subscribers || {};
+
+  const blend = readJSONIfExists(stationDataPath(station, BLEND_FILE));
+  const blendAgeMs = blend ? Math.abs(nowMs - new Date(blend.generated_utc).getTime()) : NaN;
+  const useBlend = Array.isArray(blend?.points) && blendAgeMs <= BLEND_MAX_AGE_HOURS * HOUR_MS;
+  const petssMeta = readJSONIfExists(stationDataPath(station, "petss_meta.json"));
+  const forecastRows = useBlend ? blend.points : readJSONIfExists(stationDataPath(station, "petss_forecast.json"));
+  const forecastDatum = useBlend ? blend.datum : (petssMeta?.datum || station.petssDatum || "MLLW");
+  const meta = useBlend ? { ...petssMeta, blend_summary: blend.summary } : petssMeta;
+  const peaks = readJSONIfExists(stationDataPath(station, "peaks_navd88.json"));
+  if (!forecastRows) log(`${tag} No petss_forecast.json; forecast alerts skipped.`);
+  else log(`${tag} Forecast: ${useBlend ? `${BLEND_FILE} (${blend.summary})` : "petss_forecast.json"}`);
+
+  let sent = 0, failed = 0;
+  for (const sub of subs) {
+    let levelInfo, candidates;
+    try {
+      levelInfo = subscriberLevel(sub, station);
+      candidates = evaluateSubscriber({
+        sub,
+        station,
+        forecastRows: Array.isArray(forecastRows) ? forecastRows : [],
+        forecastDatum,
+        events: peaks?.events,
+        nowMs
+      });
+    } catch (err) {
+      failed++;
+      console.error(`${tag} Subscriber ${sub.id}: ${err.message || err}`);
+      continue;
+    }
+
+    const { send, records } = decideAlerts(candidates, state.subscribers[sub.id], { nowMs });
+    for (const s of send) {
+      const msg = buildMessage({ alert: s.alert, reason: s.reason, sub, station, levelInfo, meta, dashboardUrl });
+      if (dryRun) {
+        log(`${tag} [dry run] ${sub.id} -> ${sub.channels.map(describeChannel).join(", ")}\n  ${msg.title}\n  ${msg.text.replace(/\n/g, "\n  ")}`);
+        continue;
+      }
+
+      let delivered = 0;
+      for (const ch of sub.channels) {
+        try {
+          await transport.send(ch, msg);
+          delivered++;
+        } catch (err) {
+          console.error(`${tag} ${sub.id}: ${describeChannel(ch)} failed: ${err.message || err}`);
+        }
+      }
+      if (delivered) {
+        sent++;
+        if (s.replaces && records.includes(s.replaces)) records.splice(records.indexOf(s.replaces), 1);
+        records.push({ ...s.record, sent_utc: new Date(nowMs).toISOString() });
+        log(`${tag} ${sub.id}: ${msg.title} (${delivered}/${sub.channels.length} channels)`);
+      } else {
+        failed++;
+      }
+    }
+    state.subscribers[sub.id] = records;
+  }
+
+  if (!dryRun) {
+    // Sending isn't done under the lock: merge this run's records into the state as it is now
+    await withLock(stationDataDir(station), () => {
+      const current = readJSONIfExists(statePath) || {};
+      const ids = new Set(subs.map(s => s.id));
+      // Forget subscribers that were removed from the list
+      const subscribers = Object.fromEntries(Object.entries(current.subscribers || {}).filter(([id]) => ids.has(id)));
+      for (const sub of subs) if (state.subscribers[sub.id]) subscribers[sub.id] = state.subscribers[sub.id];
+      writeJSONAtomic(statePath, { ...current, subscribers, updated_utc: new Date(nowMs).toISOString() });
+    });
+  }
+  log(`${tag} ${subs.length} subscriber(s): ${sent} alert(s) sent${failed ? `, ${failed} failed` : ""}`);
+  return { sent, failed };
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? new Date(nowArg).getTime() : Date.now();
+  if (!Number.isFinite(nowMs)) die("Invalid --now=<ISO time>");
+
+  const { defaultStation } = loadRegistry();
+  const subs = loadSubscribers().map(s => normalizeSubscriber(s, { defaultStation }));
+  if (!subs.length) {
+    log("No subscribers configured (NOTIFY_SUBSCRIBERS / NOTIFY_SUBSCRIBERS_FILE / --subscribers); nothing to do.");
+    return;
+  }
+
+  const stations = selectStations({ only: parseArg("--station") })
+    .filter(st => subs.some(s => s.stations.includes(st.id)));
+  const transport = createTransport(process.env.NOTIFY_TRANSPORT || "live");
+  const dashboardUrl = process.env.NOTIFY_DASHBOARD_URL || null;
+
+  const failedStations = [];
+  for (const station of stations) {
+    try {
+      await notifyStation(station, subs.filter(s => s.stations.includes(station.id)), { transport, nowMs, dryRun, dashboardUrl });
+    } catch (err) {
+      failedStations.push(station.id);
+      console.error(`[${station.id}] Notify failed:`, err && (err.message || err));
+    }
+  }
+  if (stations.length && failedStations.length === stations.length) die(`Notify failed for every station: ${failedStations.join(", ")}`);
+  if (failedStations.length) log(`Finished with failures: ${failedStations.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  STATE_FILE,
+  normalizeSubscriber,
+  subscriberLevel,
+  forecastPoints,
+  evaluateSubscriber,
+  decideAlerts,
+  buildMessage
+};
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * USGS daily-statistics cache for the day-of-year (DOY) cumulative flooding panel, run for every
+ * station in data/stations.json.
+ * - Pulls USGS daily values (DV) 00021 (daily maximum) and 00022 (daily low-high) in NAVD88
+ * - Keeps every day as a compact row and, per year, cumulative DOY counts at each flood stage
+ *   (minor/moderate/major, thresholds from the station config) plus a sparse-year flag
+ *   (see lib/dailystats.js for the counting rules)
+ *
+ * Writes to: <station dataDir>/daily_stats_navd88.json
+ *   { station, site, param, method, start, lastDate, updated_utc, thresholdsNAVD88,
+ *     rows: [[date, highNavd, lowhiNavd], ...],
+ *     years: [{ year, days, expected_days, sparse, cum: { minor, moderate, major } }] }
+ *
+ * Modes:
+ *   node tools/update_daily_stats.js
+ *     -> incremental: refetch from REVISIT_DAYS before lastDate (provisional values get revised)
+ *        to today; a new cache starts at DEFAULT_START
+ *
+ *   node tools/update_daily_stats.js --backfill-from=2000
+ *     -> refetch from Jan 1 of that year and merge
+ *
+ *   Any mode + --station=sea-bright[,other-id]
+ *
+ *   TIDE_SOURCE=fixtures:test/fixtures/sources node tools/update_daily_stats.js
+ *     -> read the DV response from recorded fixtures (lib/sources.js)
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { selectStations, stationDataDir, stationDataPath } = require("./lib/stations");
+const { getSource } = require("./lib/sources");
+const {
+  parseDailyValues,
+  packRows,
+  unpackRows,
+  mergeRows,
+  buildYearStats
+} = require("../lib/dailystats");
+
+const CACHE_FILE = "daily_stats_navd88.json";
+const METHOD = "dv_doy_v1";
+
+// Matches the dashboard's old in-browser backfill start
+const DEFAULT_START = "2000-01-01";
+
+// USGS revises recent provisional daily values; refetch this much overlap every run
+const REVISIT_DAYS = 14;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function addDaysISODate(date, days) {
+  return new Date(Date.parse(date + "T00:00:00Z") + days * 86400000).toISOString().slice(0, 10);
+}
+
+/** Pretty JSON with arrays of plain values kept on one line (365-long count arrays, rows) */
+function stringifyCache(obj) {
+  return JSON.stringify(obj, null, 2)
+    .replace(/\[\s+([^[\]{}]*?)\s+\]/g, (_, inner) => "[" + inner.split(/,\s+/).join(",") + "]") + "\n";
+}
+
+async function fetchUSGSDV({ site, param, start, end }) {
+  const url =
+    "https://waterservices.usgs.gov/nwis/dv/?" +
+    new URLSearchParams({
+      format: "json",
+      sites: site,
+      parameterCd: param,
+      startDT: start,
+      endDT: end,
+      statisticCd: "00021,00022",
+      siteStatus: "all"
+    }).toString();
+
+  const j = await getSource()
+    .fetchJson(url, { headers: { "User-Agent": "daily-stats-cache/1.0" } })
+    .catch(e => { throw new Error(`USGS DV fetch failed: ${e.message}`); });
+  return parseDailyValues(j);
+}
+
+/**
+ * Cached rows + fresh rows -> cache body. Year stats are rebuilt from all rows every run (cheap),
+ * so a threshold change in the station config applies to the whole history.
+ */
+function buildDailyStatsCache({ station, rows, start, currentYear }) {
+  return {
+    station: station.id,
+    site: station.usgsSite,
+    param: station.usgsParam,
+    method: METHOD,
+    start,
+    lastDate: rows.length ? rows[rows.length - 1].date : null,
+    updated_utc: new Date().toISOString(),
+    thresholdsNAVD88: { ...station.thresholdsNAVD88 },
+    rows: packRows(rows),
+    years: buildYearStats(rows, station.thresholdsNAVD88, { currentYear })
+  };
+}
+
+async function updateStation(station) {
+  const tag = `[${station.id}]`;
+  const cachePath = stationDataPath(station, CACHE_FILE);
+
+  let cached = null;
+  if (fs.existsSync(cachePath)) {
+    cached = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    if (cached.method !== METHOD || cached.site !== station.usgsSite || cached.param !== station.usgsParam) {
+      log(`${tag} Cache method/site changed (${cached.method} ${cached.site}) -> rebuilding`);
+      cached = null;
+    }
+  }
+
+  const backfillFrom = parseArg("--backfill-from");
+  if (backfillFrom && !/^\d{4}$/.test(backfillFrom)) die("Invalid --backfill-from (expected a year)");
+
+  const today = new Date().toISOString().slice(0, 10);
+  let start = cached?.lastDate ? addDaysISODate(cached.lastDate, -REVISIT_DAYS) : DEFAULT_START;
+  if (backfillFrom) start = `${backfillFrom}-01-01`;
+
+  log(`${tag} USGS DV ${station.usgsSite}/${station.usgsParam}: ${start} -> ${today}`);
+  const fresh = await fetchUSGSDV({ site: station.usgsSite, param: station.usgsParam, start, end: today });
+
+  const rows = mergeRows(unpackRows(cached?.rows), fresh);
+  const firstStart = [cached?.start, start].filter(Boolean).sort()[0];
+  const out = buildDailyStatsCache({ station, rows, start: firstStart, currentYear: +today.slice(0, 4) });
+
+  fs.mkdirSync(stationDataDir(station), { recursive: true });
+  fs.writeFileSync(cachePath, stringifyCache(out), "utf8");
+
+  const sparse = out.years.filter(y => y.sparse).map(y => y.year);
+  log(`${tag} ${fresh.length} days fetched; ${rows.length} cached through ${out.lastDate}` +
+    (sparse.length ? `; sparse years: ${sparse.join(", ")}` : ""));
+  log(`${tag} Wrote ${station.dataDir}/${CACHE_FILE}`);
+}
+
+async function main() {
+  const stations = selectStations({ only: parseArg("--station") });
+
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await updateStation(station);
+    } catch (err) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Daily stats update failed:`, err && (err.message || err));
+    }
+  }
+  if (failed.length === stations.length) die(`Daily stats update failed for every station: ${failed.join(", ")}`);
+  if (failed.length) console.log(`Finished with failures: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  CACHE_FILE,
+  METHOD,
+  buildDailyStatsCache
+};
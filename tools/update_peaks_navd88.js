@@ -1,12 +1,58 @@
 #!/usr/bin/env node
 /**
- * Crest-anchored NAVD88 "high tide events" builder for USGS 01412150 (param 72279)
- * - Uses NOAA CO-OPS predicted HIGH tide crest times (interval=hilo, type=H) as the "tide clock"
- * - For each predicted HIGH tide crest:
- *    - Search observed USGS IV points within ±2 hours and take the MAX
- *    - BUT: if there are ZERO observed points within ±1 hour of the crest, SKIP that crest entirely
+ * Crest-anchored NAVD88 high AND low tide events builder, run for every station in data/stations.json
+ * (USGS site/param + CO-OPS tide-clock station come from the registry entry)
+ * - Uses NOAA CO-OPS predicted crest times AND heights (interval=hilo, type=H/L) as the "tide clock"
+ * - For each predicted HIGH crest: search observed USGS IV points within ±2 hours and take the MAX
+ *   (kind "CrestHigh"); for each predicted LOW: take the MIN (kind "CrestLow")
+ * - BUT: if there are ZERO observed points within ±1 hour of the crest, SKIP that crest entirely
+ *   (it is kept in skipped[] with the reason, so --repair can re-query just that window later)
+ * - Each event also carries (when the prediction height is known):
+ *    pred_ft      predicted crest height, NAVD88 (CO-OPS MLLW + registry offsetsFromMllw.NAVD88)
+ *    anomaly_ft   observed minus predicted at that crest
+ *   and, once the opposite crest before it is cached (one tidal cycle):
+ *    range_ft       |observed ft − observed ft of the previous opposite crest|
+ *    pred_range_ft  same for the predictions
  *
- * Writes to: data/peaks_navd88.json
+ * Highs and lows share one events[] list; consumers that count floods must filter kind !== "CrestLow".
+ *
+ * QC (lib/qc.js): every IV point is checked (spike, rate of change, flat line, gaps, USGS
+ * qualifiers, distance from the CO-OPS prediction), and the crest max/min is taken over the points
+ * that pass; a suspect reading more extreme than that is kept on the event as
+ * flagged_extreme: { t, ft, qc }, for information only. Only a window with nothing but suspect
+ * readings takes its max/min from them. Nothing is dropped — each event carries qc: [flags] of its
+ * chosen point and window, and suspect: true when any flag is a suspect one, so consumers can show
+ * it differently and leave it out of counts.
+ * Station overrides for the QC limits: registry qc: { predToleranceFt, spikeFt, ... }.
+ *
+ * The same IV series also feeds the flood-episode cache (tools/lib/episodes.js): start/end of each
+ * spell above minor, minutes above minor/moderate/major, peak and area above minor. Suspect
+ * points are left out there (a spike would otherwise open a flood episode of its own).
+ *
+ * Gaps: skipped[] lists the crests inside a fetched series that had no readings near them
+ *   { crest, kind, reason: "no_data" | "no_data_within_1h", n_window, pred_ft, first_seen,
+ *     attempts, last_attempt }
+ * and an entry goes away once an event exists for that crest. coverage holds high crests found
+ * vs expected (24/12.42 per day) per UTC year and month, with the skipped counts; a past year
+ * under half covered is marked sparse (the dashboard's "Sparse Data" note).
+ *
+ * latest: the newest IV reading that passed QC, { t, ft } (NAVD88) — the "current level" that
+ * tools/build_public_api.js publishes. Only incremental/backfill runs move it forward.
+ *
+ * Concurrent runs (e.g. a long backfill next to the scheduled update): fetching needs no lock;
+ * the merge and write happen under <dataDir>/.lock (tools/lib/datastore.js) against the cache as
+ * it is on disk at that moment, so one run's events are never overwritten by the other's, and
+ * every file is replaced atomically. lastProcessedISO only ever moves forward.
+ *
+ * The cache layout is schemas/peaks_navd88.schema.json. An older cache is upgraded in place by
+ * tools/lib/migrations.js when it is loaded, and every write is validated first: a cache that
+ * fails the schema is never written (the station fails instead, so nothing bad gets committed).
+ * A cache carried over from the highs-only method keeps migrated_from: { method, through }: the
+ * events up to `through` were built by that method (no lows, and a crest may be a suspect reading).
+ * Run tools/migrate_data.js to upgrade or check the files without fetching anything.
+ *
+ * Writes to: <station dataDir>/peaks_navd88.json (e.g. data/sea-bright/peaks_navd88.json)
+ *            <station dataDir>/episodes_navd88.json
  *
  * Modes:
  *   node tools/update_peaks_navd88.js
@@ -17,21 +63,48 @@
  *
  *   node tools/update_peaks_navd88.js --backfill-from=2000 --backfill-to=2026
  *     -> backfill inclusive year range (UTC)
+ *
+ *   node tools/update_peaks_navd88.js --repair [--repair-max=20]
+ *     -> re-fetch USGS IV only around the crests in skipped[] (nearby crests share one request,
+ *        least recently tried first, at most --repair-max requests) and fill in what now has data;
+ *        lastProcessedISO and the episode cache are left alone
+ *
+ *   Any mode + --station=sea-bright[,other-id]
+ *     -> only process those registry stations (default: all)
+ *
+ *   TIDE_SOURCE=fixtures:test/fixtures/sources node tools/update_peaks_navd88.js
+ *     -> read USGS/CO-OPS responses from recorded fixtures instead of the network (lib/sources.js)
  */
 
 const fs = require("fs");
 const path = require("path");
+const { selectStations, stationDataDir, stationDataPath } = require("./lib/stations");
+const { fetchUSGSIV } = require("./lib/usgs");
+const { fetchNOAAHiloPredictions } = require("./lib/coops");
+const { schemaVersion, writeValidatedJSON } = require("./lib/schema");
+const { withLock, writeJSONAtomic } = require("./lib/datastore");
+const { migrate } = require("./lib/migrations");
+const qc = require("../lib/qc");
+const { HIGHS_PER_DAY } = require("../lib/trends");
+const {
+  EPISODE_METHOD,
+  MAX_GAP_MINUTES,
+  MERGE_GAP_MINUTES,
+  buildFloodEpisodes,
+  mergeEpisodes,
+  openEpisodeStart
+} = require("./lib/episodes");
 
 // -------------------------
 // Config (matches your dashboard)
 // -------------------------
-const CACHE_PATH = path.join(__dirname, "..", "data", "peaks_navd88.json");
+// Gauge-specific settings (USGS site/param, NOAA tide-clock station, thresholds) live in
+// data/stations.json — see tools/lib/stations.js.
+const CACHE_FILE = "peaks_navd88.json";
+const EPISODES_FILE = "episodes_navd88.json";
 
-const SITE = "01407600";
-const PARAM = "72279";
-
-// NOAA tide-clock (predicted highs/lows) — used ONLY for crest times
-const NOAA_STATION = "8531804"; // , Maurice River, NJ (as in your dashboard)
+// A brand-new station cache starts this far back; run a backfill for the full history.
+const NEW_CACHE_LOOKBACK_DAYS = 30;
 
 // Keep this in cache for transparency; we still keep your 5-hour constant in JSON,
 // but we are no longer using declustering for cache building under this method.
@@ -41,11 +114,20 @@ const PEAK_MIN_SEP_MINUTES = 300;
 const BUFFER_HOURS = 12;
 
 // Crest anchoring rules (your request)
-const CREST_WINDOW_HOURS = 2;      // search max within ±2h of predicted crest
+const CREST_WINDOW_HOURS = 2;      // search max/min within ±2h of predicted crest
 const REQUIRE_WITHIN_HOURS = 1;    // if NO obs points within ±1h, skip that crest entirely
 
-// Method/version tag so you can cleanly rebuild without mixing old scheme
-const METHOD = "crest_anchored_highs_v1";
+// Repair mode: skipped crests closer than this share one USGS request, up to a span this long
+const REPAIR_JOIN_HOURS = 24;
+const REPAIR_MAX_SPAN_DAYS = 7;
+const REPAIR_MAX_REQUESTS = 20;
+
+// A high and low further apart than this are not the same tidal cycle (semidiurnal ≈ 6.2h)
+const MAX_CYCLE_GAP_HOURS = 9;
+
+// How events are built. A new method needs a migration step (lib/migrations.js) that converts
+// existing events, or the cache refuses to load rather than mixing schemes.
+const METHOD = "crest_anchored_highs_lows_v2";
 
 // -------------------------
 // Helpers
@@ -60,10 +142,6 @@ function loadJSON(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
 }
 
-function saveJSON(p, obj) {
-  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf8");
-}
-
 function isoNow() {
   return new Date().toISOString();
 }
@@ -74,6 +152,12 @@ function addHoursISO(iso, hours) {
   return new Date(t + hours * 3600 * 1000).toISOString();
 }
 
+/** The later of two ISO times (either may be missing) */
+function laterISO(a, b) {
+  if (!a || !b) return a || b;
+  return new Date(a) >= new Date(b) ? a : b;
+}
+
 function clampISO(iso) {
   const t = new Date(iso).getTime();
   return Number.isFinite(t) ? new Date(t).toISOString() : null;
@@ -88,28 +172,6 @@ function roundFt(x) {
   return Math.round(x * 1000) / 1000;
 }
 
-function yyyymmddUTC(d) {
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(d.getUTCDate()).padStart(2, "0");
-  return `${y}${m}${day}`;
-}
-
-function addDaysUTC(d, days) {
-  return new Date(d.getTime() + days * 86400 * 1000);
-}
-
-function startOfUTCDate(d) {
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
-}
-
-function parseNOAATimeToISO_UTC(t) {
-  // NOAA predictions return "YYYY-MM-DD HH:MM" (no timezone)
-  // We request time_zone=gmt so interpret as UTC and append Z.
-  // Example: "2026-01-28 14:12" -> "2026-01-28T14:12:00Z"
-  return t.replace(" ", "T") + ":00Z";
-}
-
 function classifyNAVD(ft, T) {
   let type = "Below";
   if (ft >= T.majorLow) type = "Major";
@@ -118,111 +180,37 @@ function classifyNAVD(ft, T) {
   return type;
 }
 
-// -------------------------
-// USGS IV fetch (15-min-ish)
-// -------------------------
-async function fetchUSGSIV({ startISO, endISO }) {
-  const url =
-    "https://waterservices.usgs.gov/nwis/iv/?" +
-    new URLSearchParams({
-      format: "json",
-      sites: SITE,
-      parameterCd: PARAM,
-      startDT: startISO,
-      endDT: endISO,
-      siteStatus: "all",
-      agencyCd: "USGS"
-    }).toString();
-
-  const res = await fetch(url, { headers: { "User-Agent": "peaks-cache/2.0" } });
-  if (!res.ok) throw new Error(`USGS IV fetch failed: ${res.status} ${res.statusText}`);
-  const j = await res.json();
-
-  const ts = j?.value?.timeSeries?.[0];
-  const vals = ts?.values?.[0]?.value || [];
-
-  const series = vals
-    .map(v => ({ t: v.dateTime, ft: Number(v.value) }))
-    .filter(p => p.t && Number.isFinite(p.ft));
-
-  series.sort((a, b) => new Date(a.t) - new Date(b.t));
-  return series;
-}
-
-// -------------------------
-// NOAA "hilo" predictions fetch (chunked)
-// -------------------------
-async function fetchNOAAHiloPredictionsHighs({ startISO, endISO }) {
-  const start = new Date(startISO);
-  const end = new Date(endISO);
-  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
-    throw new Error("Invalid startISO/endISO for NOAA predictions.");
-  }
-
-  // NOAA is generally happier with ~31-day windows. We'll chunk 30 days.
-  const highs = [];
-  let cur = startOfUTCDate(start);
-  const endDay = startOfUTCDate(end);
-
-  while (cur <= endDay) {
-    const chunkEnd = addDaysUTC(cur, 30);
-    const actualEnd = chunkEnd < endDay ? chunkEnd : endDay;
-
-    const url =
-      "https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?" +
-      new URLSearchParams({
-        product: "predictions",
-        application: "peaks-cache",
-        format: "json",
-        station: NOAA_STATION,
-        time_zone: "gmt",
-        units: "english",
-        interval: "hilo",
-        datum: "MLLW", // required by NOAA; crest TIMES are what we care about
-        begin_date: yyyymmddUTC(cur),
-        end_date: yyyymmddUTC(actualEnd)
-      }).toString();
-
-    const res = await fetch(url, { headers: { "User-Agent": "peaks-cache/2.0" } });
-    if (!res.ok) throw new Error(`NOAA predictions fetch failed: ${res.status} ${res.statusText}`);
-
-    const j = await res.json();
-    const arr = Array.isArray(j?.predictions) ? j.predictions : [];
-
-    for (const p of arr) {
-      if (p?.type !== "H") continue; // highs only
-      const iso = parseNOAATimeToISO_UTC(p.t);
-      const ms = new Date(iso).getTime();
-      if (!Number.isFinite(ms)) continue;
-      highs.push({ t: new Date(ms).toISOString() });
-    }
-
-    cur = addDaysUTC(actualEnd, 1);
-  }
-
-  highs.sort((a, b) => new Date(a.t) - new Date(b.t));
-  return highs;
-}
-
 // -------------------------
 // Crest-anchored event builder
 // -------------------------
-function buildCrestAnchoredHighEvents({ series, predictedHighs, thresholdsNAVD88 }) {
+/**
+ * predicted: [{ t, type: "H"|"L", pred_ft? (NAVD88) }] -> events, one per crest that has data.
+ * Highs take the window MAX, lows the window MIN.
+ * Series points may carry qc flags (lib/qc.js checkSeries); events then get qc/suspect.
+ * Pass skipped: [] to collect the crests left out for lack of data ({ crest, kind, reason,
+ * n_window, pred_ft? }). Only crests whose ±1h window lies inside the series span are listed —
+ * near either end the readings may simply not have been fetched (or published) yet.
+ */
+function buildCrestAnchoredEvents({ series, predicted, thresholdsNAVD88, qcOptions = {}, skipped = null }) {
   if (!Array.isArray(series) || !series.length) return [];
-  if (!Array.isArray(predictedHighs) || !predictedHighs.length) return [];
+  if (!Array.isArray(predicted) || !predicted.length) return [];
 
   const w2 = CREST_WINDOW_HOURS * 3600 * 1000;
   const w1 = REQUIRE_WITHIN_HOURS * 3600 * 1000;
 
   const pts = [...series].sort((a, b) => new Date(a.t) - new Date(b.t));
+  const crests = [...predicted].sort((a, b) => new Date(a.t) - new Date(b.t));
 
   const out = [];
   let left = 0;
+  const firstMs = new Date(pts[0].t).getTime();
+  const lastMs = new Date(pts[pts.length - 1].t).getTime();
 
-  for (const h of predictedHighs) {
+  for (const h of crests) {
     const crestISO = h.t;
     const crestMs = new Date(crestISO).getTime();
     if (!Number.isFinite(crestMs)) continue;
+    const isLow = h.type === "L";
 
     // Advance left pointer to first point >= crest - 2h
     while (left < pts.length) {
@@ -233,7 +221,9 @@ function buildCrestAnchoredHighEvents({ series, predictedHighs, thresholdsNAVD88
 
     let i = left;
     let hasWithin1h = false;
-    let best = null;
+    let best = null;   // max/min over the points that passed QC
+    let raw = null;    // max/min over every point, suspect ones included
+    const windowPoints = [];
 
     while (i < pts.length) {
       const tMs = new Date(pts[i].t).getTime();
@@ -243,166 +233,679 @@ function buildCrestAnchoredHighEvents({ series, predictedHighs, thresholdsNAVD88
       const dt = Math.abs(tMs - crestMs);
       if (dt <= w1) hasWithin1h = true;
 
-      if (!best || pts[i].ft > best.ft) best = pts[i];
+      windowPoints.push(pts[i]);
+      const beats = b => !b || (isLow ? pts[i].ft < b.ft : pts[i].ft > b.ft);
+      if (beats(raw)) raw = pts[i];
+      if (!qc.isSuspect(pts[i].qc) && beats(best)) best = pts[i];
       i++;
     }
+    // Every reading in the window is suspect: keep the crest, flagged, rather than lose it
+    if (!best) best = raw;
 
     // Your rule: if we do not have ANY observed values within ±1h, do not report anything
-    if (!hasWithin1h) continue;
-    if (!best) continue;
+    if (!hasWithin1h || !best) {
+      if (skipped && crestMs - w1 >= firstMs && crestMs + w1 <= lastMs) {
+        const s = {
+          crest: new Date(crestISO).toISOString(),
+          kind: isLow ? "CrestLow" : "CrestHigh",
+          reason: windowPoints.length ? "no_data_within_1h" : "no_data",
+          n_window: windowPoints.length
+        };
+        const predFt = Number(h.pred_ft);
+        if (h.pred_ft != null && Number.isFinite(predFt)) s.pred_ft = roundFt(predFt);
+        skipped.push(s);
+      }
+      continue;
+    }
 
     const ft = Number(best.ft);
-    out.push({
-      t: new Date(best.t).toISOString(),     // observed time of window max
+    const ev = {
+      t: new Date(best.t).toISOString(),     // observed time of window max/min
       ft: roundFt(ft),
       type: classifyNAVD(ft, thresholdsNAVD88),
       crest: new Date(crestISO).toISOString(), // predicted crest time (key)
-      kind: "CrestHigh"
-    });
+      kind: isLow ? "CrestLow" : "CrestHigh"
+    };
+    const predFt = Number(h.pred_ft);
+    if (h.pred_ft != null && Number.isFinite(predFt)) {
+      ev.pred_ft = roundFt(predFt);
+      ev.anomaly_ft = roundFt(ft - predFt);
+    }
+    if (best.qc) {
+      const flags = qc.crestFlags({
+        best,
+        windowPoints,
+        windowMinutes: 2 * CREST_WINDOW_HOURS * 60,
+        predFt: ev.pred_ft ?? null
+      }, qcOptions);
+      ev.qc = flags;   // [] = checked and clean (lets a re-check clear old flags)
+      if (qc.isSuspect(flags)) ev.suspect = true;
+      // A suspect reading more extreme than the chosen one is noted, not used
+      if (raw !== best) ev.flagged_extreme = { t: new Date(raw.t).toISOString(), ft: roundFt(Number(raw.ft)), qc: raw.qc };
+    }
+    out.push(ev);
   }
 
   return out;
 }
 
+/** Highs-only form (predictedHighs: [{ t }]) */
+function buildCrestAnchoredHighEvents({ series, predictedHighs, thresholdsNAVD88 }) {
+  return buildCrestAnchoredEvents({
+    series,
+    predicted: (predictedHighs || []).map(h => ({ ...h, type: "H" })),
+    thresholdsNAVD88
+  });
+}
+
+/**
+ * Tidal cycle annotation over the full (chronological) event list: each event gets range_ft
+ * against the previous opposite-kind crest within MAX_CYCLE_GAP_HOURS (rise into a high, fall into
+ * a low), plus pred_range_ft when both crests carry predictions. Mutates and returns events.
+ */
+function annotateTidalCycles(events) {
+  const gapMs = MAX_CYCLE_GAP_HOURS * 3600 * 1000;
+  let prev = null;
+
+  for (const e of events) {
+    delete e.range_ft;
+    delete e.pred_range_ft;
+
+    const kind = e.kind === "CrestLow" ? "CrestLow" : "CrestHigh";
+    const prevKind = prev && (prev.kind === "CrestLow" ? "CrestLow" : "CrestHigh");
+    const gap = prev ? new Date(e.crest || e.t) - new Date(prev.crest || prev.t) : Infinity;
+
+    if (prev && prevKind !== kind && gap > 0 && gap <= gapMs) {
+      const a = Number(e.ft), b = Number(prev.ft);
+      if (Number.isFinite(a) && Number.isFinite(b)) e.range_ft = roundFt(Math.abs(a - b));
+      if (e.pred_ft != null && prev.pred_ft != null) e.pred_range_ft = roundFt(Math.abs(e.pred_ft - prev.pred_ft));
+    }
+    prev = e;
+  }
+  return events;
+}
+
+// -------------------------
+// Merge/dedupe by crest time
+// -------------------------
+function sameFlags(a, b) {
+  return (a || []).join(",") === (b || []).join(",");
+}
+
+function copyQC(dst, src) {
+  if (src.qc) dst.qc = src.qc; else delete dst.qc;
+  if (src.suspect) dst.suspect = true; else delete dst.suspect;
+  if (src.flagged_extreme) dst.flagged_extreme = src.flagged_extreme; else delete dst.flagged_extreme;
+}
+
+/**
+ * Merge freshly built events into the cached list, keyed by predicted crest time.
+ * A crest already cached is only replaced by a more extreme observation — a HIGHER max for highs,
+ * a LOWER min for lows (or when the cached ft is missing/NaN) — so re-running a window never
+ * flattens a crest; the exception is a suspect crest, which any crest that passed QC replaces. Prediction fields missing from older cache entries are filled in, and QC flags
+ * follow the chosen reading (a re-check of the same reading replaces them).
+ * Mutates and returns `existing` (sorted chronologically) plus counts.
+ */
+function mergeCrestEvents(existing, fresh) {
+  const events = Array.isArray(existing) ? existing : [];
+  const byCrest = new Map();
+
+  for (const e of events) {
+    if (e?.crest) byCrest.set(String(e.crest), e);
+  }
+
+  let added = 0;
+  let updated = 0;
+
+  for (const e of fresh || []) {
+    const key = String(e.crest);
+    const prev = byCrest.get(key);
+
+    if (!prev) {
+      events.push(e);
+      byCrest.set(key, e);
+      added++;
+      continue;
+    }
+
+    // Update if we now have a better observed max/min (or previous was missing/NaN)
+    const prevFt = Number(prev.ft);
+    const newFt = Number(e.ft);
+    const isLow = e.kind === "CrestLow";
+
+    // If the old one exists but was based on sparse data and later we capture a more extreme
+    // value, prefer it. A reading that passed QC beats a suspect one however extreme that was.
+    const cleaner = !prev.suspect !== !e.suspect;
+    const better = Number.isFinite(newFt) && (cleaner ? !e.suspect : isLow ? newFt < prevFt : newFt > prevFt);
+    if (!Number.isFinite(prevFt) || better) {
+      prev.t = e.t;
+      prev.ft = e.ft;
+      prev.type = e.type;
+      prev.kind = e.kind;
+      prev.crest = e.crest;
+      if (e.pred_ft != null) {
+        prev.pred_ft = e.pred_ft;
+        prev.anomaly_ft = e.anomaly_ft;
+      }
+      copyQC(prev, e);
+      updated++;
+    } else if (newFt === prevFt && e.qc !== undefined && !sameFlags(prev.qc, e.qc)) {
+      // Same reading re-checked (e.g. provisional -> approved): take the newer flags
+      copyQC(prev, e);
+      updated++;
+    } else if (prev.pred_ft == null && e.pred_ft != null) {
+      prev.pred_ft = e.pred_ft;
+      prev.anomaly_ft = roundFt(prevFt - e.pred_ft);
+      updated++;
+    }
+  }
+
+  // Keep chronological order
+  events.sort((a, b) => new Date(a.t) - new Date(b.t));
+  return { events, added, updated };
+}
+
+/**
+ * Reconcile two copies of the cache that diverged — two runs that each wrote their own, or the
+ * two sides of a git merge (tools/merge_peaks_cache.js). Events are unioned by crest with the
+ * mergeCrestEvents rule (the more extreme reading wins, missing predictions are filled in);
+ * skipped crests keep the most-tried entry and drop any crest that now has an event;
+ * lastProcessedISO and latest take the later of the two; registry mirrors and qc come from
+ * `theirs`. Both copies are migrated first. Returns a new cache; neither input is changed.
+ */
+function mergePeaksCaches(ours, theirs, { station }) {
+  const a = migrate("peaks_navd88", structuredClone(ours), { station }).doc;
+  const b = migrate("peaks_navd88", structuredClone(theirs), { station }).doc;
+  if (a.method !== b.method) throw new Error(`Can't merge caches built by ${a.method} and ${b.method}`);
+
+  const { events } = mergeCrestEvents(a.events, b.events);
+
+  const mostTried = new Map();
+  for (const s of [...a.skipped, ...b.skipped]) {
+    const prev = mostTried.get(s.crest);
+    if (!prev || (s.attempts || 0) > (prev.attempts || 0)) mostTried.set(s.crest, s);
+  }
+
+  const merged = {
+    ...a,
+    ...b,
+    events: annotateTidalCycles(events),
+    lastProcessedISO: laterISO(a.lastProcessedISO, b.lastProcessedISO),
+    latest: !a.latest ? b.latest ?? null : !b.latest ? a.latest : new Date(b.latest.t) > new Date(a.latest.t) ? b.latest : a.latest
+  };
+  merged.skipped = mergeSkipped([...mostTried.values()], [], merged.events);
+  merged.coverage = buildCoverageReport(merged.events, merged.skipped, { throughISO: merged.lastProcessedISO });
+  return merged;
+}
+
+// -------------------------
+// Skipped crests (gaps) + coverage
+// -------------------------
+/**
+ * Fold freshly skipped crests into the cached list, keyed by crest time. A crest seen again keeps
+ * its first_seen/attempts and takes the new reason; any crest that now has an event is dropped.
+ * Returns a new chronological list.
+ */
+function mergeSkipped(existing, fresh, events, { nowISO = isoNow() } = {}) {
+  const byCrest = new Map();
+  for (const s of existing || []) {
+    if (s?.crest) byCrest.set(String(s.crest), s);
+  }
+  for (const s of fresh || []) {
+    const prev = byCrest.get(s.crest);
+    byCrest.set(s.crest, prev
+      ? { ...prev, ...s }
+      : { ...s, first_seen: nowISO, attempts: 0 });
+  }
+  for (const e of events || []) {
+    if (e?.crest) byCrest.delete(String(e.crest));
+  }
+  return [...byCrest.values()].sort((a, b) => new Date(a.crest) - new Date(b.crest));
+}
+
+function monthKeyUTC(ms) {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Coverage of the high crests, per UTC month and year:
+ *   { method, through, years: [{ year, highs, expected, coverage, skipped, sparse }],
+ *     months: [{ month: "YYYY-MM", highs, expected, coverage, skipped }] }
+ * expected = days × 24/12.42. The first month counts from the earliest crest (a cache that
+ * starts mid-month isn't a gap) and the last one stops at `through`. A year before the one
+ * holding `through` with less than half its highs is sparse. null when nothing is cached.
+ */
+function buildCoverageReport(events, skipped, { throughISO }) {
+  const highs = (events || []).filter(e => e?.kind !== "CrestLow");
+  const highGaps = (skipped || []).filter(s => s?.kind !== "CrestLow");
+  const throughMs = new Date(throughISO).getTime();
+  const crestMs = x => new Date(x.crest || x.t).getTime();
+
+  const times = [...highs, ...highGaps].map(crestMs).filter(Number.isFinite);
+  if (!times.length || !Number.isFinite(throughMs)) return null;
+  const fromMs = Math.min(...times);
+  if (fromMs > throughMs) return null;
+
+  const count = (list) => {
+    const m = new Map();
+    for (const x of list) {
+      const ms = crestMs(x);
+      if (!Number.isFinite(ms)) continue;
+      const k = monthKeyUTC(ms);
+      m.set(k, (m.get(k) || 0) + 1);
+    }
+    return m;
+  };
+  const nHighs = count(highs);
+  const nSkipped = count(highGaps);
+
+  const months = [];
+  const from = new Date(fromMs);
+  for (let y = from.getUTCFullYear(), mo = from.getUTCMonth(); ; mo++) {
+    if (mo === 12) { y++; mo = 0; }
+    const startMs = Math.max(Date.UTC(y, mo, 1), fromMs);
+    if (startMs > throughMs) break;
+    const endMs = Math.min(Date.UTC(y, mo + 1, 1), throughMs);
+    const key = monthKeyUTC(Date.UTC(y, mo, 1));
+    const expected = (endMs - startMs) / 86400000 * HIGHS_PER_DAY;
+    months.push({ month: key, highs: nHighs.get(key) || 0, expected, skipped: nSkipped.get(key) || 0 });
+  }
+
+  const throughYear = new Date(throughMs).getUTCFullYear();
+  const byYear = new Map();
+  for (const m of months) {
+    const year = +m.month.slice(0, 4);
+    const y = byYear.get(year) || { year, highs: 0, expected: 0, skipped: 0 };
+    y.highs += m.highs;
+    y.expected += m.expected;
+    y.skipped += m.skipped;
+    byYear.set(year, y);
+  }
+
+  const ratio = (n, d) => (d > 0 ? Math.round(Math.min(1, n / d) * 1000) / 1000 : null);
+  const finish = r => ({ ...r, expected: Math.round(r.expected * 10) / 10, coverage: ratio(r.highs, r.expected) });
+
+  return {
+    method: "highs_vs_expected",
+    through: new Date(throughMs).toISOString(),
+    years: [...byYear.values()].map(y => {
+      const out = finish(y);
+      out.sparse = y.year < throughYear && out.coverage != null && out.coverage < 0.5;
+      return out;
+    }),
+    months: months.map(finish)
+  };
+}
+
 // -------------------------
 // Main update logic
 // -------------------------
-async function main() {
-  const cache = loadJSON(CACHE_PATH);
-
-  // Ensure required metadata exists (you already store these)
-  cache.site = cache.site || SITE;
-  cache.parameterCd = cache.parameterCd || PARAM;
-  cache.datum = cache.datum || "NAVD88";
-  cache.peakMinSepMinutes = cache.peakMinSepMinutes || PEAK_MIN_SEP_MINUTES;
-
-  const THRESH_NAVD88 = cache?.thresholdsNAVD88 || null;
-  if (!THRESH_NAVD88) {
-    die(
-      "Missing NAVD88 thresholds. Add thresholdsNAVD88 to data/peaks_navd88.json, e.g.\n" +
-      '  "thresholdsNAVD88": {"minorLow": 4.19, "moderateLow": 5.19, "majorLow": 6.19}\n'
-    );
+/** Newer of the cached latest reading and the newest non-suspect point in `checked` */
+function newestReading(latest, checked) {
+  for (let i = checked.length - 1; i >= 0; i--) {
+    const p = checked[i];
+    if (qc.isSuspect(p.qc)) continue;
+    const t = new Date(p.t).toISOString();
+    if (latest && new Date(latest.t) >= new Date(t)) return latest;
+    return { t, ft: roundFt(Number(p.ft)) };
   }
+  return latest || null;
+}
 
-  // If method changed, clear events to avoid mixing old peak scheme with crest-anchored scheme
-  if (cache.method !== METHOD) {
-    console.log(`Method changed (${cache.method || "none"} -> ${METHOD}). Clearing events for clean rebuild.`);
-    cache.method = METHOD;
-    cache.events = [];
-    // Leave lastProcessedISO as-is; you can run a backfill range to rebuild.
+/** Cache from disk, upgraded to the current schema version (throws when it can't be) */
+function loadCache(station) {
+  const tag = `[${station.id}]`;
+  const { doc, from, to, applied } = migrate("peaks_navd88", loadJSON(stationDataPath(station, CACHE_FILE)), { station });
+  if (applied.length) console.log(`${tag} Migrated ${CACHE_FILE} v${from} -> v${to}: ${applied.join("; ")}`);
+  if (doc.method !== METHOD) {
+    throw new Error(`${CACHE_FILE} events were built by ${doc.method}, not ${METHOD}, and no migration converts them`);
   }
+  return doc;
+}
+
+function loadOrInitCache(station) {
+  if (fs.existsSync(stationDataPath(station, CACHE_FILE))) return loadCache(station);
+
+  const startISO = new Date(Date.now() - NEW_CACHE_LOOKBACK_DAYS * 86400 * 1000).toISOString();
+  console.log(
+    `[${station.id}] No ${CACHE_FILE} yet; starting a new cache at ${startISO}. ` +
+    `Run --backfill-from/--backfill-to for the full history.`
+  );
+  return {
+    schema_version: schemaVersion("peaks_navd88"),
+    station: station.id,
+    method: METHOD,
+    lastProcessedISO: startISO,
+    events: [],
+    skipped: []
+  };
+}
 
+function loadOrInitEpisodes(station) {
+  const p = stationDataPath(station, EPISODES_FILE);
+  const epCache = fs.existsSync(p) ? loadJSON(p) : { episodes: [] };
+  if (epCache.method !== EPISODE_METHOD) {
+    if (epCache.method) console.log(`[${station.id}] Episode method changed (${epCache.method} -> ${EPISODE_METHOD}). Clearing episodes.`);
+    epCache.method = EPISODE_METHOD;
+    epCache.episodes = [];
+  }
+  return epCache;
+}
+
+/** Identifies the version of a file on disk (null = not written yet), to spot another run's write */
+function fileStamp(p) {
+  const st = fs.statSync(p, { throwIfNoEntry: false });
+  return st ? `${st.mtimeMs}:${st.size}` : null;
+}
+
+/** The cached copy again if the file changed since `stamp` (another run wrote it), else `loaded` */
+function reloadIfChanged(p, stamp, loaded, reload, tag) {
+  if (fileStamp(p) === stamp) return loaded;
+  console.log(`${tag} ${path.basename(p)} changed on disk since this run read it; merging into the newer copy.`);
+  return reload();
+}
+
+function resolveWindow(cache) {
   const backfillYear = parseArg("--backfill-year");
   const backfillFrom = parseArg("--backfill-from");
   const backfillTo = parseArg("--backfill-to");
 
-  let startISO, endISO;
-
   if (backfillYear) {
     const y = Number(backfillYear);
     if (!Number.isFinite(y) || y < 1900 || y > 3000) die("Invalid --backfill-year=YYYY");
-    startISO = new Date(Date.UTC(y, 0, 1, 0, 0, 0)).toISOString();
-    endISO = new Date(Date.UTC(y + 1, 0, 1, 0, 0, 0)).toISOString();
-    console.log(`Backfill year ${y}: ${startISO} → ${endISO}`);
-  } else if (backfillFrom && backfillTo) {
+    return {
+      startISO: new Date(Date.UTC(y, 0, 1, 0, 0, 0)).toISOString(),
+      endISO: new Date(Date.UTC(y + 1, 0, 1, 0, 0, 0)).toISOString(),
+      label: `Backfill year ${y}`
+    };
+  }
+
+  if (backfillFrom && backfillTo) {
     const y1 = Number(backfillFrom);
     const y2 = Number(backfillTo);
     if (!Number.isFinite(y1) || !Number.isFinite(y2)) die("Invalid --backfill-from / --backfill-to (must be years)");
     const lo = Math.min(y1, y2);
     const hi = Math.max(y1, y2);
     if (lo < 1900 || hi > 3000) die("Backfill range out of bounds.");
-    startISO = new Date(Date.UTC(lo, 0, 1, 0, 0, 0)).toISOString();
-    endISO = new Date(Date.UTC(hi + 1, 0, 1, 0, 0, 0)).toISOString();
-    console.log(`Backfill years ${lo}–${hi}: ${startISO} → ${endISO}`);
-  } else {
-    const last = clampISO(cache.lastProcessedISO || "2000-01-01T00:00:00Z");
-    if (!last) die("Cache lastProcessedISO is invalid ISO.");
-    startISO = addHoursISO(last, -BUFFER_HOURS);
-    endISO = isoNow();
-    console.log(`Incremental: ${startISO} → ${endISO}`);
+    return {
+      startISO: new Date(Date.UTC(lo, 0, 1, 0, 0, 0)).toISOString(),
+      endISO: new Date(Date.UTC(hi + 1, 0, 1, 0, 0, 0)).toISOString(),
+      label: `Backfill years ${lo}–${hi}`
+    };
+  }
+
+  const last = clampISO(cache.lastProcessedISO || "2000-01-01T00:00:00Z");
+  if (!last) die("Cache lastProcessedISO is invalid ISO.");
+  return { startISO: addHoursISO(last, -BUFFER_HOURS), endISO: isoNow(), label: "Incremental" };
+}
+
+async function updateStation(station) {
+  const tag = `[${station.id}]`;
+  const cachePath = stationDataPath(station, CACHE_FILE);
+  const episodesPath = stationDataPath(station, EPISODES_FILE);
+  const THRESH_NAVD88 = station.thresholdsNAVD88;
+
+  // Read without the lock (writes are atomic); the merge below re-reads under it
+  const cacheStamp = fileStamp(cachePath);
+  const cache = loadOrInitCache(station);
+  const episodesStamp = fileStamp(episodesPath);
+  const epCache = loadOrInitEpisodes(station);
+
+  let { startISO, endISO, label } = resolveWindow(cache);
+
+  // A flood still in progress at the end of the last run is re-measured from its start
+  const openStart = openEpisodeStart(epCache.episodes);
+  if (openStart && new Date(openStart) < new Date(startISO)) {
+    startISO = addHoursISO(openStart, -1);
+    label += " (reaching back to an open flood episode)";
   }
+  console.log(`${tag} ${label}: ${startISO} → ${endISO}`);
 
   // 1) Fetch observed series from USGS
-  const series = await fetchUSGSIV({ startISO, endISO });
+  const series = await fetchUSGSIV({ site: station.usgsSite, param: station.usgsParam, startISO, endISO });
   if (!series.length) {
-    console.log("No series points returned; nothing to do.");
+    console.log(`${tag} No series points returned; nothing to do.`);
     return;
   }
 
-  // 2) Fetch predicted high tide crest times from NOAA (pad window slightly)
+  // 2) Fetch predicted high AND low crests (times + heights) from NOAA (pad window slightly)
   const predStartISO = addHoursISO(startISO, -3);
   const predEndISO = addHoursISO(endISO, +3);
 
-  const predictedHighs = await fetchNOAAHiloPredictionsHighs({ startISO: predStartISO, endISO: predEndISO });
-  if (!predictedHighs.length) {
-    console.log("No NOAA predicted highs returned; nothing to do.");
-    return;
-  }
-
-  // 3) Build crest-anchored events
-  const crestHighs = buildCrestAnchoredHighEvents({
-    series,
-    predictedHighs,
-    thresholdsNAVD88: THRESH_NAVD88
+  const hilo = await fetchNOAAHiloPredictions({
+    station: station.coopsStation,
+    startISO: predStartISO,
+    endISO: predEndISO
   });
 
-  // 4) Merge/dedupe by crest time (stable key)
-  const existing = Array.isArray(cache.events) ? cache.events : [];
-  const byCrest = new Map();
+  // Predictions come in MLLW; events are NAVD88 (value_in_datum = mllw + offset)
+  const navdOffset = Number(station.offsetsFromMllw?.NAVD88);
+  if (!Number.isFinite(navdOffset)) console.log(`${tag} No offsetsFromMllw.NAVD88 in registry; skipping pred_ft/anomaly_ft.`);
+  const predicted = hilo.map(c => ({
+    t: c.t,
+    type: c.type,
+    pred_ft: Number.isFinite(navdOffset) && c.ft != null ? c.ft + navdOffset : null
+  }));
+
+  // 2b) QC every point (flags only; see lib/qc.js)
+  const qcOptions = { ...(station.qc || {}) };
+  const checked = qc.checkSeries(series, { ...qcOptions, predicted: predicted.filter(c => c.pred_ft != null) });
+  const qcSummary = qc.summarize(checked);
+
+  // 2c) Flood episodes straight from the IV series, over the points that passed QC
+  const freshEpisodes = buildFloodEpisodes({ series: checked.filter(p => !qc.isSuspect(p.qc)), thresholdsNAVD88: THRESH_NAVD88 });
+
+  // 3) Build crest-anchored events (highs = window max, lows = window min)
+  const freshSkipped = [];
+  const crestEvents = hilo.length
+    ? buildCrestAnchoredEvents({ series: checked, predicted, thresholdsNAVD88: THRESH_NAVD88, qcOptions, skipped: freshSkipped })
+    : [];
+
+  // Newest timestamp in the fetched USGS series. A backfill of old years never moves either
+  // cache's lastProcessedISO back (an overlapping scheduled run may already be past it).
+  const newestT = new Date(series[series.length - 1].t).toISOString();
+
+  // 4) Under the station lock: merge into the caches as they are on disk now (another run may
+  //    have written them since this one read them) and write them atomically
+  await withLock(stationDataDir(station), () => {
+    const epNow = reloadIfChanged(episodesPath, episodesStamp, epCache, () => loadOrInitEpisodes(station), tag);
+    const ep = mergeEpisodes(epNow.episodes, freshEpisodes);
+    Object.assign(epNow, {
+      station: station.id,
+      site: station.usgsSite,
+      parameterCd: station.usgsParam,
+      datum: "NAVD88",
+      thresholdsNAVD88: THRESH_NAVD88,
+      maxGapMinutes: MAX_GAP_MINUTES,
+      mergeGapMinutes: MERGE_GAP_MINUTES,
+      lastProcessedISO: laterISO(epNow.lastProcessedISO, newestT),
+      episodes: ep.episodes
+    });
+    writeJSONAtomic(episodesPath, epNow);
+    console.log(`${tag} Flood episodes:             ${freshEpisodes.length} in window (${ep.added} new, ${ep.replaced} re-measured)`);
 
-  for (const e of existing) {
-    if (e?.crest) byCrest.set(String(e.crest), e);
+    if (!hilo.length) {
+      console.log(`${tag} No NOAA predicted crests returned; nothing to do.`);
+      return;
+    }
+
+    const cur = reloadIfChanged(cachePath, cacheStamp, cache, () => loadCache(station), tag);
+
+    // Registry is the source of truth; mirror it into the cache for transparency
+    cur.station = station.id;
+    cur.site = station.usgsSite;
+    cur.parameterCd = station.usgsParam;
+    cur.datum = cur.datum || "NAVD88";
+    cur.peakMinSepMinutes = cur.peakMinSepMinutes || PEAK_MIN_SEP_MINUTES;
+    cur.thresholdsNAVD88 = THRESH_NAVD88;
+
+    // Merge/dedupe by crest time (stable key), then recompute tidal ranges across the cache
+    const { events, added, updated } = mergeCrestEvents(cur.events, crestEvents);
+    cur.events = annotateTidalCycles(events);
+    cur.lastProcessedISO = laterISO(cur.lastProcessedISO, newestT);
+    cur.latest = newestReading(cur.latest, checked);
+    cur.qc = { version: qc.QC_VERSION, limits: { ...qc.DEFAULTS, ...qcOptions } };
+    cur.skipped = mergeSkipped(cur.skipped, freshSkipped, cur.events);
+    cur.coverage = buildCoverageReport(cur.events, cur.skipped, { throughISO: cur.lastProcessedISO });
+
+    writeValidatedJSON(cachePath, cur);
+
+    console.log(`${tag} Fetched USGS points:         ${series.length}`);
+    console.log(`${tag} NOAA predicted crests:       ${predicted.filter(c => c.type === "H").length} high, ${predicted.filter(c => c.type === "L").length} low`);
+    console.log(`${tag} QC flags:                    ${qcSummary.suspect} suspect point(s)` +
+      (Object.keys(qcSummary.byFlag).length ? ` (${Object.entries(qcSummary.byFlag).map(([f, n]) => `${f} ${n}`).join(", ")})` : ""));
+    console.log(`${tag} Crest-anchored events built: ${crestEvents.length} (${crestEvents.filter(e => e.suspect).length} suspect)`);
+    console.log(`${tag} Events added:               ${added}`);
+    console.log(`${tag} Events updated:             ${updated}`);
+    console.log(`${tag} Crests without data:        ${freshSkipped.length} in window (${cur.skipped.length} awaiting --repair)`);
+    console.log(`${tag} New lastProcessedISO:       ${cur.lastProcessedISO}`);
+  }, { owner: "update_peaks_navd88" });
+}
+
+/**
+ * Group skipped crests into USGS request spans: [{ startISO, endISO, crests: [skipped entries] }].
+ * Crests whose ±2h windows lie within REPAIR_JOIN_HOURS of each other share a span, capped at
+ * REPAIR_MAX_SPAN_DAYS. Spans come back least recently attempted first (never tried = first).
+ */
+function planRepairSpans(skipped) {
+  const w2 = CREST_WINDOW_HOURS * 3600 * 1000;
+  const joinMs = REPAIR_JOIN_HOURS * 3600 * 1000;
+  const maxMs = REPAIR_MAX_SPAN_DAYS * 86400 * 1000;
+
+  const crests = (skipped || [])
+    .filter(s => Number.isFinite(new Date(s?.crest).getTime()))
+    .sort((a, b) => new Date(a.crest) - new Date(b.crest));
+
+  const spans = [];
+  let cur = null;
+  for (const s of crests) {
+    const ms = new Date(s.crest).getTime();
+    if (cur && ms - w2 - cur.endMs <= joinMs && ms + w2 - cur.startMs <= maxMs) {
+      cur.endMs = ms + w2;
+      cur.crests.push(s);
+    } else {
+      cur = { startMs: ms - w2, endMs: ms + w2, crests: [s] };
+      spans.push(cur);
+    }
   }
 
-  let added = 0;
-  let updated = 0;
+  const lastTried = span => Math.min(...span.crests.map(s => (s.last_attempt ? new Date(s.last_attempt).getTime() : -Infinity)));
+  return spans
+    .sort((a, b) => lastTried(a) - lastTried(b) || a.startMs - b.startMs)
+    .map(({ startMs, endMs, crests }) => ({
+      startISO: new Date(startMs).toISOString(),
+      endISO: new Date(endMs).toISOString(),
+      crests
+    }));
+}
 
-  for (const e of crestHighs) {
-    const key = String(e.crest);
-    const prev = byCrest.get(key);
+async function repairStation(station, { maxRequests = REPAIR_MAX_REQUESTS } = {}) {
+  const tag = `[${station.id}]`;
+  const cachePath = stationDataPath(station, CACHE_FILE);
+  if (!fs.existsSync(cachePath)) {
+    console.log(`${tag} No ${CACHE_FILE}; nothing to repair.`);
+    return;
+  }
+  const cacheStamp = fileStamp(cachePath);
+  const cache = loadCache(station);
 
-    if (!prev) {
-      existing.push(e);
-      byCrest.set(key, e);
-      added++;
+  const spans = planRepairSpans(cache.skipped).slice(0, maxRequests);
+  if (!spans.length) {
+    console.log(`${tag} No skipped crests; nothing to repair.`);
+    return;
+  }
+
+  const qcOptions = { ...(station.qc || {}) };
+  const nowISO = isoNow();
+  const fresh = [];
+  const tried = new Set();
+  let failedSpans = 0;
+
+  for (const span of spans) {
+    for (const s of span.crests) tried.add(s.crest);
+    let series;
+    try {
+      series = await fetchUSGSIV({ site: station.usgsSite, param: station.usgsParam, startISO: span.startISO, endISO: span.endISO });
+    } catch (err) {
+      failedSpans++;
+      console.error(`${tag} Repair fetch ${span.startISO} → ${span.endISO} failed:`, err && (err.message || err));
       continue;
     }
+    // No prediction curve here (only the skipped crests are known), so pred_dev comes from
+    // crestFlags against each crest's own pred_ft
+    const built = buildCrestAnchoredEvents({
+      series: qc.checkSeries(series, qcOptions),
+      predicted: span.crests.map(s => ({ t: s.crest, type: s.kind === "CrestLow" ? "L" : "H", pred_ft: s.pred_ft ?? null })),
+      thresholdsNAVD88: station.thresholdsNAVD88,
+      qcOptions
+    });
+    fresh.push(...built);
+  }
 
-    // Update if we now have a better observed max (or previous was missing/NaN)
-    const prevFt = Number(prev.ft);
-    const newFt = Number(e.ft);
+  const repaired = new Set(fresh.map(e => e.crest));
+  await withLock(stationDataDir(station), () => {
+    const cur = reloadIfChanged(cachePath, cacheStamp, cache, () => loadCache(station), tag);
+    const { events, added, updated } = mergeCrestEvents(cur.events, fresh);
+    cur.events = annotateTidalCycles(events);
 
-    // If the old one exists but was based on sparse data and later we capture a higher max,
-    // prefer the higher max.
-    if (!Number.isFinite(prevFt) || (Number.isFinite(newFt) && newFt > prevFt)) {
-      prev.t = e.t;
-      prev.ft = e.ft;
-      prev.type = e.type;
-      prev.kind = e.kind;
-      prev.crest = e.crest;
-      updated++;
-    }
-  }
+    cur.skipped = mergeSkipped(cur.skipped, [], cur.events).map(s =>
+      tried.has(s.crest) && !repaired.has(s.crest)
+        ? { ...s, attempts: (s.attempts || 0) + 1, last_attempt: nowISO }
+        : s
+    );
+    cur.coverage = buildCoverageReport(cur.events, cur.skipped, { throughISO: cur.lastProcessedISO });
 
-  // Keep chronological order
-  existing.sort((a, b) => new Date(a.t) - new Date(b.t));
-  cache.events = existing;
+    writeValidatedJSON(cachePath, cur);
+
+    console.log(`${tag} Repair requests:            ${spans.length} (${failedSpans} failed) for ${tried.size} skipped crest(s)`);
+    console.log(`${tag} Crests repaired:            ${repaired.size} (${added} added, ${updated} updated)`);
+    console.log(`${tag} Still without data:         ${cur.skipped.length}`);
+  }, { owner: "update_peaks_navd88 --repair" });
+  if (failedSpans === spans.length) throw new Error("every repair request failed");
+}
 
-  // Advance lastProcessedISO to newest timestamp in the fetched USGS series
-  const newestT = series[series.length - 1]?.t;
-  if (newestT) cache.lastProcessedISO = new Date(newestT).toISOString();
+async function main() {
+  const stations = selectStations({ only: parseArg("--station") });
+  const repair = process.argv.includes("--repair");
+  const repairMax = parseArg("--repair-max");
+  if (repairMax != null && !(Number(repairMax) > 0)) die("Invalid --repair-max=N");
+
+  // Keep going past a failing station so one bad gauge doesn't block the rest
+  const failed = [];
+  for (const station of stations) {
+    try {
+      if (repair) await repairStation(station, { maxRequests: repairMax ? Number(repairMax) : REPAIR_MAX_REQUESTS });
+      else await updateStation(station);
+    } catch (err) {
+      failed.push(station.id);
+      console.error(`[${station.id}] ${repair ? "Repair" : "Update"} failed:`, err);
+    }
+  }
 
-  saveJSON(CACHE_PATH, cache);
+  // Only fail the run (and skip the commit step) when nothing could be updated
+  if (failed.length === stations.length) die(`Peaks update failed for every station: ${failed.join(", ")}`);
+  if (failed.length) console.log(`Finished with failures: ${failed.join(", ")}`);
+}
 
-  console.log(`Fetched USGS points:         ${series.length}`);
-  console.log(`NOAA predicted HIGH crests:  ${predictedHighs.length}`);
-  console.log(`Crest-anchored events built: ${crestHighs.length}`);
-  console.log(`Events added:               ${added}`);
-  console.log(`Events updated:             ${updated}`);
-  console.log(`New lastProcessedISO:       ${cache.lastProcessedISO}`);
+// Run when invoked directly; tests require() the builders without touching the network
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+module.exports = {
+  METHOD,
+  buildCrestAnchoredEvents,
+  buildCrestAnchoredHighEvents,
+  annotateTidalCycles,
+  mergeCrestEvents,
+  mergePeaksCaches,
+  mergeSkipped,
+  buildCoverageReport,
+  planRepairSpans,
+  newestReading,
+  classifyNAVD
+};
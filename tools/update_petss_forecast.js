@@ -2,14 +2,40 @@
 /**
  * Update PETSS forecast (ensemble mean) from NOMADS PETSS production tarballs.
  *
- * Outputs:
- *  - data/petss_forecast.csv   (time_utc_iso, twl_ft_mllw, tide_ft_mllw, surge_ft, src_time)
- *  - data/petss_forecast.json  ([{ t: "...Z", twl, tide, surge }...])
- *  - data/petss_meta.json      ({ stid, datum, run_dir, cycle, source_url, updated_utc, n_points })
+ * Runs for every station in data/stations.json that has a petssStid. One NOMADS tarball
+ * holds all stations, so it is downloaded once and each station writes into its own dataDir.
  *
- * Env:
- *  - PETSS_STID  (required) e.g. "8531804"
- *  - PETSS_DATUM (optional; metadata only) e.g. "MLLW"
+ * Outputs (per station, under <dataDir>/):
+ *  - petss_forecast.csv   (time_utc_iso, twl_ft_mllw, tide_ft_mllw, surge_ft, src_time,
+ *                          ob_ft_mllw, bias_ft, surge90p_ft, twl90p_ft_mllw, surge10p_ft, twl10p_ft_mllw)
+ *  - petss_forecast.json  ([{ t: "...Z", twl, tide, surge, ob, bias, surge90p, twl90p, surge10p, twl10p }...])
+ *  - petss_meta.json      ({ schema_version, station, stid, datum, run_dir, cycle, source_url, updated_utc,
+ *                          n_points, fallback })
+ *  - petss_archive.ndjson (append-only, one compact line per cycle; see lib/petss_archive.js)
+ *                         consumed by tools/verify_petss.js for forecast-vs-observed skill
+ *
+ * Both JSON files follow schemas/petss_forecast.schema.json and schemas/petss_meta.schema.json
+ * and are validated together before anything is written: output that fails the schema stops the
+ * station, which keeps its previous files and gets petss_error.txt. The files are written
+ * atomically (temp file + rename) while holding the station's data lock (lib/datastore.js).
+ *
+ * Cycle fallback:
+ *  Cycles are tried newest first — every t??z tarball in the newest petss.YYYYMMDD/ dir, then the
+ *  previous MAX_FALLBACK_DAYS dirs — until the station's file is usable: present, extractable,
+ *  at least MIN_FORECAST_HOURS of forecast and mostly non-9999. A cycle older than the one already
+ *  in petss_meta.json is never used; the station keeps its files and gets petss_error.txt instead.
+ *  meta.fallback = { used, newest_available, chosen, reason, skipped: [{ cycle, reason }] }.
+ *
+ * Ensemble spread:
+ *  NOMADS labels the spread columns by EXCEEDANCE probability: TWL10p is the level exceeded
+ *  by 10% of members (upper band, ~90th percentile) and TWL90p the level exceeded by 90%
+ *  (lower band, ~10th percentile). We keep the NOMADS names as-is so nothing gets flipped.
+ *
+ * Args / env:
+ *  - --station=<id>[,<id>]  (optional) only update these registry stations
+ *  - PETSS_STID  (optional) only update the station(s) with this stid, e.g. "8531804"
+ *  - PETSS_DATUM (optional; metadata only) overrides the registry petssDatum, e.g. "MLLW"
+ *  - TIDE_SOURCE (optional) http (default) | fixtures:<dir> — see lib/sources.js
  */
 
 "use strict";
@@ -17,11 +43,24 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const https = require("https");
 const { execSync } = require("child_process");
+const { REPO_ROOT, selectStations, stationDataDir, stationDataPath } = require("./lib/stations");
+const { buildCycleRecord, appendCycle, cycleIssuedISO } = require("./lib/petss_archive");
+const { getSource } = require("./lib/sources");
+const { schemaVersion, assertValid, writeValidatedJSON } = require("./lib/schema");
+const { withLock, writeFileAtomic } = require("./lib/datastore");
+
+const HTTP_HEADERS = { "User-Agent": "petss-forecast-updater" };
 
 const BASE = "https://nomads.ncep.noaa.gov/pub/data/nccf/com/petss/prod/";
 
+// Fallback search: newest run dir plus this many previous days, every cycle in each
+const MAX_FALLBACK_DAYS = 2;
+
+// A station file must have at least this many forecast hours and this share of non-9999 rows
+const MIN_FORECAST_HOURS = 72;
+const MIN_VALID_FRACTION = 0.5;
+
 function log(...a) { console.log(...a); }
 function die(msg, err) {
   console.error(msg);
@@ -29,73 +68,29 @@ function die(msg, err) {
   process.exit(1);
 }
 
-function ensureDir(p) {
-  fs.mkdirSync(p, { recursive: true });
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
 }
 
-function fetchText(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { "User-Agent": "petss-forecast-updater" } }, (res) => {
-      // handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return resolve(fetchText(res.headers.location));
-      }
-      if (res.statusCode !== 200) {
-        return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-      }
-      let data = "";
-      res.setEncoding("utf8");
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => resolve(data));
-    }).on("error", reject);
-  });
-}
-
-function downloadFile(url, outPath) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(outPath);
-    https.get(url, { headers: { "User-Agent": "petss-forecast-updater" } }, (res) => {
-      // redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        file.close(() => fs.unlinkSync(outPath));
-        return resolve(downloadFile(res.headers.location, outPath));
-      }
-      if (res.statusCode !== 200) {
-        file.close(() => fs.unlinkSync(outPath));
-        return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-      }
-      res.pipe(file);
-      file.on("finish", () => file.close(resolve));
-    }).on("error", (err) => {
-      try { file.close(() => fs.unlinkSync(outPath)); } catch (_) {}
-      reject(err);
-    });
-  });
+function ensureDir(p) {
+  fs.mkdirSync(p, { recursive: true });
 }
 
-function listLatestProdDir(html) {
-  // Expect directory names like petss.20260131/
+function listProdDirs(html) {
+  // Expect directory names like petss.20260131/ — newest first
   const re = /petss\.(\d{8})\/?/g;
-  const dates = [];
+  const dates = new Set();
   let m;
-  while ((m = re.exec(html)) !== null) dates.push(m[1]);
-  if (!dates.length) throw new Error("Could not find petss.YYYYMMDD directories in NOMADS listing.");
-  dates.sort(); // ascending
-  const latest = dates[dates.length - 1];
-  return `petss.${latest}/`;
+  while ((m = re.exec(html)) !== null) dates.add(m[1]);
+  if (!dates.size) throw new Error("Could not find petss.YYYYMMDD directories in NOMADS listing.");
+  return [...dates].sort().reverse().map(d => `petss.${d}/`);
 }
 
-function chooseCycleTarball(html) {
-  // Prefer t18z, then t12z, t06z, t00z. We want the station CSV tarball.
-  const preferred = ["t18z", "t12z", "t06z", "t00z"];
-  for (const cyc of preferred) {
-    const name = `petss.${cyc}.csv.tar.gz`;
-    if (html.includes(name)) return name;
-  }
-  // Fallback: pick ANY petss.t??z.csv.tar.gz
-  const m = html.match(/petss\.t\d{2}z\.csv\.tar\.gz/g);
-  if (m && m.length) return m.sort().pop();
-  throw new Error("Could not find any petss.t??z.csv.tar.gz tarball in run dir listing.");
+function listCycleTarballs(html) {
+  // Station CSV tarballs in a run dir, newest cycle first (t18z, t12z, t06z, t00z)
+  const names = new Set(html.match(/petss\.t\d{2}z\.csv\.tar\.gz/g) || []);
+  return [...names].sort().reverse();
 }
 
 function findFileRecursive(rootDir, filename) {
@@ -133,6 +128,12 @@ function parseNomadsStationCsv(text, stid) {
   const idxTWL = header.indexOf("TWL");
   const idxTIDE = header.indexOf("TIDE");
   const idxSURGE = header.indexOf("SURGE");
+  const idxOB = header.indexOf("OB");
+  const idxBIAS = header.indexOf("BIAS");
+  const idxSURGE90 = header.indexOf("SURGE90P");
+  const idxTWL90 = header.indexOf("TWL90P");
+  const idxSURGE10 = header.indexOf("SURGE10P");
+  const idxTWL10 = header.indexOf("TWL10P");
 
   if (idxTIME === -1 || idxTWL === -1) {
     throw new Error(`Header missing TIME or TWL for STID=${stid}. Header=${header.join("|")}`);
@@ -161,6 +162,12 @@ function parseNomadsStationCsv(text, stid) {
     return dt;
   }
 
+  function col(parts, idx) {
+    if (idx < 0) return null;
+    const v = parseNum(parts[idx]);
+    return v != null ? Number(v.toFixed(3)) : null;
+  }
+
   const rows = [];
   for (let i = headerIdx + 1; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -188,7 +195,13 @@ function parseNomadsStationCsv(text, stid) {
       twl: Number(twlBest.toFixed(3)),
       tide: tide != null ? Number(tide.toFixed(3)) : null,
       surge: surge != null ? Number(surge.toFixed(3)) : null,
-      src_time: String(parts[idxTIME]).trim()
+      src_time: String(parts[idxTIME]).trim(),
+      ob: col(parts, idxOB),
+      bias: col(parts, idxBIAS),
+      surge90p: col(parts, idxSURGE90),
+      twl90p: col(parts, idxTWL90),
+      surge10p: col(parts, idxSURGE10),
+      twl10p: col(parts, idxTWL10)
     });
   }
 
@@ -204,76 +217,50 @@ function parseNomadsStationCsv(text, stid) {
   return rows;
 }
 
-async function main() {
-  const stid = process.env.PETSS_STID?.trim();
-  const datum = (process.env.PETSS_DATUM || "MLLW").trim();
-
-  if (!stid) die("PETSS_STID is required (e.g., 8531804).");
-
-  log("Running PETSS forecast updater via NOMADS…");
-  log("STID:", stid);
-  log("DATUM (for metadata only):", datum);
-  log("Base:", BASE);
-
-  // 1) Find latest run dir
-  const baseHtml = await fetchText(BASE);
-  const runDir = listLatestProdDir(baseHtml);
-  log("Latest PETSS prod dir:", runDir);
-
-  // 2) Choose cycle tarball
-  const runHtml = await fetchText(BASE + runDir);
-  const tarball = chooseCycleTarball(runHtml);
-  log("Chosen cycle tarball:", tarball);
-
-  const cycleMatch = tarball.match(/petss\.(t\d{2}z)\.csv\.tar\.gz/);
-  const cycle = cycleMatch ? cycleMatch[1] : "unknown";
-
-  const url = BASE + runDir + tarball;
-  log("Downloading:", url);
-
-  // 3) Download + extract
-  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "petss-"));
-  const tgzPath = path.join(tmp, tarball);
-  await downloadFile(url, tgzPath);
-
-  const extractDir = path.join(tmp, "extract");
-  ensureDir(extractDir);
-
-  // Use system tar (available on ubuntu-latest)
-  execSync(`tar -xzf "${tgzPath}" -C "${extractDir}"`, { stdio: "inherit" });
-
-  // 4) Locate station file
-  const stationFile = findFileRecursive(extractDir, `${stid}.csv`);
-  if (!stationFile) {
-    // Dump a quick directory tree depth 3 to help if this ever changes
-    const listing = execSync(`find "${extractDir}" -maxdepth 4 -type f | head -n 200`, { encoding: "utf8" });
-    throw new Error(`Could not find ${stid}.csv under extract dir.\nSample files:\n${listing}`);
+/** Parse a station file and decide whether it is good enough to replace the current forecast */
+function assessStationFile(text, stid, issuedISO) {
+  let rows;
+  try {
+    rows = parseNomadsStationCsv(text, stid);
+  } catch (e) {
+    return { ok: false, reason: e.message };
   }
-  log("Station CSV file:", stationFile);
 
-  const stationText = fs.readFileSync(stationFile, "utf8");
+  // The file is 6-minute (tide/obs) but the ensemble is hourly: judge coverage on the top-of-hour rows
+  const hourlyLines = text.split(/\r?\n/).filter(l => /^\d{10}00\s*,/.test(l.trim())).length;
+  const validFrac = hourlyLines ? rows.length / hourlyLines : 0;
+  if (validFrac < MIN_VALID_FRACTION) {
+    return { ok: false, reason: `only ${rows.length}/${hourlyLines} hourly rows usable (mostly 9999 missing)` };
+  }
 
-  // Always write a debug snapshot of the station file (small and helpful)
-  ensureDir("data");
-  fs.writeFileSync("data/petss_station_debug.txt", stationText.split(/\r?\n/).slice(0, 250).join("\n") + "\n", "utf8");
+  const issuedMs = new Date(issuedISO).getTime();
+  const forecastHours = rows.filter(r => new Date(r.t).getTime() >= issuedMs).length;
+  if (forecastHours < MIN_FORECAST_HOURS) {
+    return { ok: false, reason: `only ${forecastHours} forecast hours after ${issuedISO} (need ${MIN_FORECAST_HOURS})` };
+  }
 
-  // 5) Parse NOMADS station CSV and keep ensemble mean TWL
-  const rows = parseNomadsStationCsv(stationText, stid);
+  return { ok: true, rows };
+}
 
-  // 6) Write outputs
-  const outCsv = [
-    "time_utc_iso,twl_ft_mllw,tide_ft_mllw,surge_ft,src_time",
-    ...rows.map(r => {
-      const tide = (r.tide == null ? "" : r.tide);
-      const surge = (r.surge == null ? "" : r.surge);
-      return `${r.t},${r.twl},${tide},${surge},${r.src_time}`;
-    })
-  ].join("\n") + "\n";
+function readCurrentCycle(station) {
+  const p = stationDataPath(station, "petss_meta.json");
+  if (!fs.existsSync(p)) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(p, "utf8"));
+    const issued = cycleIssuedISO(meta.run_dir, meta.cycle);
+    return issued ? { label: `${meta.run_dir}/${meta.cycle}`, issued } : null;
+  } catch (_) {
+    return null;
+  }
+}
 
-  fs.writeFileSync("data/petss_forecast.csv", outCsv, "utf8");
-  fs.writeFileSync("data/petss_forecast.json", JSON.stringify(rows, null, 2) + "\n", "utf8");
+function writeStationOutputs({ station, stationText, rows, runDir, cycle, url, datum, fallback }) {
+  const stid = station.petssStid;
+  const dir = stationDataDir(station);
 
   const meta = {
+    schema_version: schemaVersion("petss_meta"),
+    station: station.id,
     stid,
     datum,
     run_dir: runDir.replace(/\/$/, ""),
@@ -281,17 +268,211 @@ async function main() {
     source_url: url,
     updated_utc: new Date().toISOString(),
     n_points: rows.length,
-    notes: "Ensemble mean plotted as TWL (fallback to TIDE+SURGE when TWL missing)."
+    n_spread_points: rows.filter(r => r.twl10p != null && r.twl90p != null).length,
+    fallback,
+    notes: "Ensemble mean plotted as TWL (fallback to TIDE+SURGE when TWL missing). " +
+      "Spread: TWL10p = 10% exceedance (upper band), TWL90p = 90% exceedance (lower band)."
   };
-  fs.writeFileSync("data/petss_meta.json", JSON.stringify(meta, null, 2) + "\n", "utf8");
 
-  log(`Wrote ${rows.length} points → data/petss_forecast.csv + .json + meta`);
+  // The forecast and its meta are replaced together or not at all
+  assertValid("petss_forecast", rows, `${station.id} petss_forecast.json`);
+  assertValid("petss_meta", meta, `${station.id} petss_meta.json`);
+  ensureDir(dir);
+
+  // Always write a debug snapshot of the station file (small and helpful)
+  writeFileAtomic(path.join(dir, "petss_station_debug.txt"), stationText.split(/\r?\n/).slice(0, 250).join("\n") + "\n");
+
+  // Write outputs (new columns appended so positional readers keep working)
+  const blank = (v) => (v == null ? "" : v);
+  const outCsv = [
+    "time_utc_iso,twl_ft_mllw,tide_ft_mllw,surge_ft,src_time," +
+      "ob_ft_mllw,bias_ft,surge90p_ft,twl90p_ft_mllw,surge10p_ft,twl10p_ft_mllw",
+    ...rows.map(r => [
+      r.t, r.twl, blank(r.tide), blank(r.surge), r.src_time,
+      blank(r.ob), blank(r.bias), blank(r.surge90p), blank(r.twl90p), blank(r.surge10p), blank(r.twl10p)
+    ].join(","))
+  ].join("\n") + "\n";
+
+  writeFileAtomic(path.join(dir, "petss_forecast.csv"), outCsv);
+  writeValidatedJSON(path.join(dir, "petss_forecast.json"), rows);
+  writeValidatedJSON(path.join(dir, "petss_meta.json"), meta);
+
+  log(`[${station.id}] Wrote ${rows.length} points → ${station.dataDir}/petss_forecast.csv + .json + meta`);
+
+  // Keep every cycle for verification (petss_forecast.json is overwritten each run)
+  const added = appendCycle(path.join(dir, "petss_archive.ndjson"), buildCycleRecord({ runDir, cycle, rows }));
+  log(`[${station.id}] ${added ? "Archived" : "Already archived"} ${meta.run_dir} ${cycle}`);
 }
 
-main().catch((e) => {
-  try {
-    ensureDir("data");
-    fs.writeFileSync("data/petss_error.txt", String(e && (e.stack || e.message || e)) + "\n", "utf8");
-  } catch (_) {}
-  die("PETSS update failed:", e);
-});
+async function main() {
+  const only = parseArg("--station");
+  const stidFilter = process.env.PETSS_STID?.trim() || null;
+  const datumOverride = process.env.PETSS_DATUM?.trim() || null;
+
+  // Every registry station with a PETSS stid (optionally narrowed by --station / PETSS_STID)
+  const stations = selectStations({
+    only,
+    filter: st => !!st.petssStid && (!stidFilter || String(st.petssStid) === stidFilter)
+  });
+  if (!stations.length) die("No stations with a petssStid matched (check data/stations.json, --station, PETSS_STID).");
+
+  log("Running PETSS forecast updater via NOMADS…");
+  log("Stations:", stations.map(st => `${st.id} (${st.petssStid})`).join(", "));
+  log("Base:", BASE);
+
+  // 1) Candidate cycles, newest first: every cycle in the newest run dir, then previous days
+  const source = getSource();
+  if (source.name !== "http") log("Data source:", source.name);
+  const baseHtml = await source.fetchText(BASE, { headers: HTTP_HEADERS });
+  const runDirs = listProdDirs(baseHtml).slice(0, MAX_FALLBACK_DAYS + 1);
+  log("PETSS prod dirs (newest first):", runDirs.join(", "));
+
+  const candidates = [];
+  for (const runDir of runDirs) {
+    let tarballs = [];
+    try {
+      tarballs = listCycleTarballs(await source.fetchText(BASE + runDir, { headers: HTTP_HEADERS }));
+    } catch (e) {
+      log(`Could not list ${runDir}: ${e.message}`);
+    }
+    for (const tarball of tarballs) {
+      const cycle = tarball.match(/petss\.(t\d{2}z)\.csv\.tar\.gz/)[1];
+      candidates.push({ runDir, cycle, tarball, url: BASE + runDir + tarball, issued: cycleIssuedISO(runDir, cycle) });
+    }
+  }
+  if (!candidates.length) throw new Error(`No petss.t??z.csv.tar.gz tarballs in ${runDirs.join(", ")}`);
+
+  const label = (c) => `${c.runDir.replace(/\/$/, "")}/${c.cycle}`;
+  const newest = label(candidates[0]);
+  log("Newest cycle available:", newest);
+
+  // Per station: the cycle it already has (never go back past it) and why newer ones were skipped
+  const states = stations.map(station => ({
+    station,
+    current: readCurrentCycle(station),
+    skipped: [],
+    done: false,
+    stopped: null
+  }));
+
+  // 2) Walk cycles until every station has a usable file. One tarball holds every station, so
+  //    each candidate is downloaded at most once, and only while some station still needs it.
+  for (const cand of candidates) {
+    const active = [];
+    for (const st of states) {
+      if (st.done || st.stopped) continue;
+      if (st.current && cand.issued < st.current.issued) {
+        st.stopped = `reached ${label(cand)}, older than the current ${st.current.label}`;
+        continue;
+      }
+      active.push(st);
+    }
+    if (!active.length) continue;
+
+    log("Trying:", cand.url);
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "petss-"));
+    try {
+      const tgzPath = path.join(tmp, cand.tarball);
+      const extractDir = path.join(tmp, "extract");
+      let reason = null;
+      try {
+        await source.download(cand.url, tgzPath, { headers: HTTP_HEADERS });
+        ensureDir(extractDir);
+        // Use system tar (available on ubuntu-latest); a half-uploaded tarball fails here
+        execSync(`tar -xzf "${tgzPath}" -C "${extractDir}"`, { stdio: "pipe" });
+      } catch (e) {
+        const detail = String((e.stderr && String(e.stderr).trim()) || e.message || e).split("\n")[0];
+        reason = fs.existsSync(extractDir) ? `tarball incomplete (${detail})` : `download failed (${detail})`;
+      }
+      if (reason) {
+        log(`${label(cand)} ${reason}`);
+        for (const st of active) st.skipped.push({ cycle: label(cand), reason });
+        continue;
+      }
+
+      for (const st of active) {
+        const { station } = st;
+        const stid = station.petssStid;
+        const stationFile = findFileRecursive(extractDir, `${stid}.csv`);
+        if (!stationFile) {
+          st.skipped.push({ cycle: label(cand), reason: `${stid}.csv not in tarball` });
+          log(`[${station.id}] ${label(cand)}: ${stid}.csv not in tarball`);
+          continue;
+        }
+
+        const stationText = fs.readFileSync(stationFile, "utf8");
+        const verdict = assessStationFile(stationText, stid, cand.issued);
+        if (!verdict.ok) {
+          st.skipped.push({ cycle: label(cand), reason: verdict.reason });
+          log(`[${station.id}] ${label(cand)} rejected: ${verdict.reason}`);
+          continue;
+        }
+
+        try {
+          log(`[${station.id}] Station CSV file:`, stationFile);
+          await withLock(stationDataDir(station), () => writeStationOutputs({
+            station,
+            stationText,
+            rows: verdict.rows,
+            runDir: cand.runDir,
+            cycle: cand.cycle,
+            url: cand.url,
+            datum: datumOverride || station.petssDatum || "MLLW",
+            fallback: {
+              used: st.skipped.length > 0,
+              newest_available: newest,
+              chosen: label(cand),
+              reason: st.skipped.length ? st.skipped.map(x => `${x.cycle}: ${x.reason}`).join("; ") : null,
+              skipped: st.skipped
+            }
+          }), { owner: "update_petss_forecast" });
+          st.done = true;
+        } catch (e) {
+          st.stopped = String(e && (e.stack || e.message || e));
+        }
+      }
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  }
+
+  // 3) Anything without a usable cycle keeps its previous files and gets petss_error.txt
+  const failed = [];
+  for (const st of states) {
+    if (st.done) continue;
+    failed.push(st.station.id);
+    const msg = [
+      `No usable PETSS cycle for ${st.station.id} (stid ${st.station.petssStid}); kept ${st.current ? st.current.label : "no previous forecast"}.`,
+      st.stopped ? `Stopped: ${st.stopped}` : `Searched ${candidates.length} cycle(s) back to ${label(candidates[candidates.length - 1])}.`,
+      ...st.skipped.map(x => `  ${x.cycle}: ${x.reason}`)
+    ].join("\n");
+    console.error(`[${st.station.id}] PETSS update failed:\n${msg}`);
+    try {
+      ensureDir(stationDataDir(st.station));
+      fs.writeFileSync(stationDataPath(st.station, "petss_error.txt"), msg + "\n", "utf8");
+    } catch (_) {}
+  }
+
+  if (failed.length === stations.length) {
+    throw new Error(`PETSS update failed for every station: ${failed.join(", ")}`);
+  }
+  if (failed.length) log(`Finished with failures: ${failed.join(", ")}`);
+}
+
+// Run when invoked directly; tests require() the parser without touching NOMADS
+if (require.main === module) {
+  main().catch((e) => {
+    try {
+      ensureDir(path.join(REPO_ROOT, "data"));
+      fs.writeFileSync(path.join(REPO_ROOT, "data", "petss_error.txt"), String(e && (e.stack || e.message || e)) + "\n", "utf8");
+    } catch (_) {}
+    die("PETSS update failed:", e);
+  });
+}
+
+module.exports = {
+  parseNomadsStationCsv,
+  assessStationFile,
+  listProdDirs,
+  listCycleTarballs
+};
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * Wind and wave context for the flood outlook, run for every station in data/stations.json after
+ * the forecast blend: at an open-ocean site the seawall is overtopped by wave runup on top of the
+ * still water the surge models forecast.
+ *
+ * Per station:
+ *  - wind: the NWS gridpoint forecast (api.weather.gov /points -> forecastGridData) at the
+ *    registry's waves.gridPoint, else the station's lat/lon
+ *  - waves: the last day of the nearest NDBC buoy (NDBC_BUOYS, or the registry's waves.ndbcBuoy)
+ *    from its realtime2 file, then the gridpoint's wave forecast (lib/waves.js buildHourly)
+ *  - runup from the registry's waves.beachSlope; waves.shoreNormalDeg (the compass direction the
+ *    beach faces) splits out the onshore wind
+ *  - overtopping: the registry's { name, elevation, datum } (e.g. a seawall crest), resolved to
+ *    NAVD88 like an impact level; the dashboard lets each browser set its own
+ * Either source may fail on its own; the file is written with whatever came back.
+ *
+ * Writes to: <dataDir>/waves_wind.json
+ *   { station, method, generated_utc, horizon_hours, shore, wind, buoy, overtopping,
+ *     hours: [{ t, wind_mph, gust_mph, wind_dir_deg, onshore_mph, wave_ft, period_s,
+ *               wave_source, runup_ft }] }
+ * hours are on the dashboard's hourly grid (UTC, on the hour) from OBSERVED_HOURS back to
+ * HORIZON_HOURS ahead.
+ *
+ * Env TIDE_SOURCE=fixtures:<dir> reads NWS and NDBC from recorded fixtures (lib/sources.js).
+ *
+ * Usage:
+ *   node tools/update_waves_wind.js
+ *   node tools/update_waves_wind.js --now=2026-04-26T01:00:00Z     (as of that time)
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const { selectStations, stationDataPath } = require("./lib/stations");
+const { getSource } = require("./lib/sources");
+const { writeJSONAtomic } = require("./lib/datastore");
+const waves = require("../lib/waves");
+const impacts = require("../lib/impacts");
+
+// -------------------------
+// Config
+// -------------------------
+const OUT_FILE = "waves_wind.json";
+const METHOD = "stockdon2006_v1";
+
+const HORIZON_HOURS = 72;
+const OBSERVED_HOURS = 24;
+
+// NDBC buoys off the NJ / Long Island coast that report waves (realtime2 standard met files)
+const NDBC_BUOYS = [
+  { id: "44065", name: "New York Harbor Entrance", lat: 40.369, lon: -73.703 },
+  { id: "44025", name: "Long Island", lat: 40.251, lon: -73.164 },
+  { id: "44091", name: "Barnegat", lat: 39.768, lon: -73.770 },
+  { id: "44009", name: "Delaware Bay", lat: 38.457, lon: -74.702 }
+];
+
+const HTTP_HEADERS = { "User-Agent": "waves-wind/1.0", Accept: "application/geo+json" };
+
+const HOUR_MS = 3600 * 1000;
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+// -------------------------
+// Inputs
+// -------------------------
+/** NWS gridpoint properties for a lat/lon, via the /points lookup */
+async function fetchGridpoint({ lat, lon }) {
+  const source = getSource();
+  const pt = await source.fetchJson(`https://api.weather.gov/points/${lat.toFixed(4)},${lon.toFixed(4)}`, { headers: HTTP_HEADERS });
+  const url = pt?.properties?.forecastGridData;
+  if (!url) throw new Error(`no forecast grid for ${lat},${lon}`);
+  const grid = await source.fetchJson(url, { headers: HTTP_HEADERS });
+  if (!grid?.properties) throw new Error(`empty gridpoint ${url}`);
+  return { url, office: pt.properties.gridId, x: pt.properties.gridX, y: pt.properties.gridY, properties: grid.properties };
+}
+
+async function fetchBuoy(id) {
+  const text = await getSource().fetchText(`https://www.ndbc.noaa.gov/data/realtime2/${id}.txt`, { headers: HTTP_HEADERS });
+  return waves.parseNdbcRealtime(text);
+}
+
+/** registry waves.ndbcBuoy (id) or the nearest of NDBC_BUOYS to the point */
+function pickBuoy(station, point) {
+  const want = station.waves?.ndbcBuoy;
+  if (!want) return waves.nearestBuoy(point, NDBC_BUOYS);
+  const known = NDBC_BUOYS.find(b => b.id === String(want));
+  return known ? waves.nearestBuoy(point, [known]) : { id: String(want), name: null, distance_km: null };
+}
+
+/** registry overtopping -> { name, elevation, datum, navd88_ft }, or null (bad datum throws) */
+function resolveOvertopping(station) {
+  const o = station.overtopping;
+  if (!o) return null;
+  const level = impacts.normalizeLevel({ ...o, name: o.name || "Overtopping" });
+  if (!level) throw new Error("overtopping needs an elevation");
+  const navd88_ft = impacts.levelNavd(level, station.offsetsFromMllw);
+  if (!Number.isFinite(navd88_ft)) throw new Error(`no ${level.datum} offset for the overtopping elevation`);
+  return { name: level.name, elevation: level.elevation, datum: level.datum, navd88_ft };
+}
+
+// -------------------------
+// Station
+// -------------------------
+async function updateStation(station, { nowMs }) {
+  const tag = `[${station.id}]`;
+  const point = station.waves?.gridPoint || { lat: station.lat, lon: station.lon };
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lon)) throw new Error("No lat/lon (or waves.gridPoint) in registry");
+
+  const shore = {
+    normalDeg: Number.isFinite(station.waves?.shoreNormalDeg) ? station.waves.shoreNormalDeg : null,
+    slope: Number.isFinite(station.waves?.beachSlope) ? station.waves.beachSlope : waves.DEFAULT_BEACH_SLOPE
+  };
+  const overtopping = resolveOvertopping(station);
+
+  let grid = null;
+  const wind = { source: "NWS gridpoint", lat: point.lat, lon: point.lon };
+  try {
+    const g = await fetchGridpoint(point);
+    grid = g.properties;
+    Object.assign(wind, { office: g.office, grid_x: g.x, grid_y: g.y, updated: grid.updateTime || null, has_waves: !!grid.waveHeight?.values?.length });
+  } catch (e) {
+    log(`${tag} NWS gridpoint unavailable: ${e.message}`);
+    wind.error = e.message;
+  }
+
+  const pick = pickBuoy(station, point);
+  const buoy = { id: pick.id, name: pick.name, distance_km: pick.distance_km, latest: null };
+  let readings = [];
+  try {
+    readings = (await fetchBuoy(pick.id)).filter(r => {
+      const ms = new Date(r.t).getTime();
+      return ms <= nowMs && ms > nowMs - (OBSERVED_HOURS + 1) * HOUR_MS;
+    });
+    buoy.latest = [...readings].reverse().find(r => r.wave_ft != null) || null;
+  } catch (e) {
+    log(`${tag} NDBC ${pick.id} unavailable: ${e.message}`);
+    buoy.error = e.message;
+  }
+  if (!grid && !readings.length) throw new Error("Neither the NWS gridpoint nor the buoy answered");
+
+  const hours = waves.buildHourly({
+    labels: waves.hourlyLabels(nowMs - OBSERVED_HOURS * HOUR_MS, nowMs + HORIZON_HOURS * HOUR_MS),
+    grid,
+    buoy: readings,
+    shore
+  });
+
+  writeJSONAtomic(stationDataPath(station, OUT_FILE), {
+    station: station.id,
+    method: METHOD,
+    generated_utc: new Date(nowMs).toISOString(),
+    horizon_hours: HORIZON_HOURS,
+    shore: { normal_deg: shore.normalDeg, beach_slope: shore.slope },
+    wind,
+    buoy,
+    overtopping,
+    hours
+  });
+
+  const withRunup = hours.filter(h => h.runup_ft != null).length;
+  const maxRunup = Math.max(...hours.map(h => h.runup_ft ?? -Infinity));
+  log(
+    `${tag} Wrote ${station.dataDir}/${OUT_FILE}: ${hours.length} hours, ${withRunup} with runup` +
+    (withRunup ? ` (max ${maxRunup.toFixed(2)} ft)` : "") + `, buoy ${pick.id}`
+  );
+}
+
+async function main() {
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? new Date(nowArg).getTime() : Date.now();
+  if (!Number.isFinite(nowMs)) die(`Invalid --now=${nowArg}`);
+
+  const stations = selectStations({ only: parseArg("--station") });
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await updateStation(station, { nowMs });
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] Waves and wind update failed:`, e && (e.message || e));
+    }
+  }
+  if (failed.length === stations.length) die(`Waves and wind update failed for every station: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  OUT_FILE,
+  METHOD,
+  NDBC_BUOYS,
+  pickBuoy,
+  resolveOvertopping
+};
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Vendors the dashboard's third-party libraries into vendor/ so the page (and its service worker,
+ * sw.js) works without a CDN — during a storm the island's cell service is the first thing to go.
+ *
+ * Each package is fetched with `npm pack` at the pinned version and only the files the page loads
+ * are extracted, with the package's license. Bump a version here, run this and commit vendor/.
+ *
+ * Writes to:
+ *   vendor/<name>/...        files listed in LIBS (flattened under the package's dist/)
+ *   vendor/VERSIONS.json     { <name>: "<version>" }   what is vendored (checked by the tests)
+ *
+ * A new version also needs a SHELL_CACHE bump in lib/offline.js so installed copies re-download it.
+ *
+ * Usage:
+ *   node tools/vendor_libs.js
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { writeJSONAtomic } = require("./lib/datastore");
+
+const REPO_ROOT = path.join(__dirname, "..");
+const VENDOR_DIR = path.join(REPO_ROOT, "vendor");
+
+// package -> files inside its tarball ("package/" prefix left out); dist/ is dropped on the way out
+const LIBS = {
+  "chart.js": {
+    version: "4.4.1",
+    files: ["dist/chart.umd.js", "LICENSE.md"]
+  },
+  leaflet: {
+    version: "1.9.4",
+    files: [
+      "dist/leaflet.js",
+      "dist/leaflet.css",
+      "dist/images/layers.png",
+      "dist/images/layers-2x.png",
+      "dist/images/marker-icon.png",
+      "dist/images/marker-icon-2x.png",
+      "dist/images/marker-shadow.png",
+      "LICENSE"
+    ]
+  }
+};
+
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function vendorPackage(name, { version, files }, tmp) {
+  const tgz = execFileSync("npm", ["pack", `${name}@${version}`, "--silent", "--pack-destination", tmp], {
+    encoding: "utf8"
+  }).trim().split("\n").pop();
+  const unpacked = path.join(tmp, name);
+  fs.mkdirSync(unpacked, { recursive: true });
+  execFileSync("tar", ["xzf", path.join(tmp, tgz), "-C", unpacked]);
+
+  const outDir = path.join(VENDOR_DIR, name);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  for (const f of files) {
+    const src = path.join(unpacked, "package", f);
+    if (!fs.existsSync(src)) throw new Error(`${name}@${version} has no ${f}`);
+    const dest = path.join(outDir, f.replace(/^dist\//, ""));
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(src, dest);
+  }
+  log(`Vendored ${name}@${version}: ${files.length} file(s) -> vendor/${name}/`);
+}
+
+function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "vendor-libs-"));
+  try {
+    for (const [name, spec] of Object.entries(LIBS)) vendorPackage(name, spec, tmp);
+  } catch (e) {
+    die(`Vendoring failed: ${e.message}`);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+  writeJSONAtomic(
+    path.join(VENDOR_DIR, "VERSIONS.json"),
+    Object.fromEntries(Object.entries(LIBS).map(([name, { version }]) => [name, version]))
+  );
+}
+
+if (require.main === module) main();
+
+module.exports = { LIBS };
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * PETSS forecast-vs-observed skill, run for every station in data/stations.json that has a petssStid.
+ *
+ * Reads <dataDir>/petss_archive.ndjson (every archived cycle, written by update_petss_forecast.js),
+ * pairs each forecast hour with the USGS IV observation at that time (NAVD88 -> MLLW via the
+ * registry offsetsFromMllw), and summarizes skill by lead time:
+ *  - bias (forecast - observed), MAE, RMSE in ft
+ *  - how often the observation fell inside the 10–90% band (cycles that carried spread)
+ *  - peak timing: each forecast high (local max) vs the observed max within ±3h of it
+ *
+ * Writes to: <dataDir>/petss_skill.json
+ *
+ * Env TIDE_SOURCE=fixtures:<dir> reads USGS from recorded fixtures (lib/sources.js).
+ *
+ * Usage:
+ *   node tools/verify_petss.js                 (cycles issued in the last 30 days)
+ *   node tools/verify_petss.js --days=60
+ *   Any mode + --station=sea-bright[,other-id]
+ */
+
+"use strict";
+
+const path = require("path");
+const { selectStations, stationDataDir, stationDataPath } = require("./lib/stations");
+const { fetchUSGSIV } = require("./lib/usgs");
+const { readArchive, expandCycle } = require("./lib/petss_archive");
+const { withLock, writeJSONAtomic } = require("./lib/datastore");
+
+// -------------------------
+// Config
+// -------------------------
+const DEFAULT_DAYS = 30;
+
+// Lead-time buckets (hours, [min, max))
+const LEAD_BUCKETS = [
+  { label: "0–12h", min_h: 0, max_h: 12 },
+  { label: "12–24h", min_h: 12, max_h: 24 },
+  { label: "24–48h", min_h: 24, max_h: 48 },
+  { label: "48–72h", min_h: 48, max_h: 72 },
+  { label: "72h+", min_h: 72, max_h: Infinity }
+];
+
+// An hourly forecast value is paired with the nearest observation within this window
+const PAIR_TOLERANCE_MIN = 10;
+
+// Peak timing: a forecast high must be the max within ±PEAK_HALF_WINDOW_H of the forecast,
+// and is matched to the observed max within ±PEAK_MATCH_H of it
+const PEAK_HALF_WINDOW_H = 4;
+const PEAK_MATCH_H = 3;
+
+// -------------------------
+// Helpers
+// -------------------------
+function log(...a) { console.log(...a); }
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const hit = process.argv.find(a => a.startsWith(name + "="));
+  return hit ? hit.split("=").slice(1).join("=") : null;
+}
+
+function round(x, d = 2) {
+  if (!Number.isFinite(x)) return null;
+  const k = Math.pow(10, d);
+  return Math.round(x * k) / k;
+}
+
+function bucketFor(leadH) {
+  return LEAD_BUCKETS.find(b => leadH >= b.min_h && leadH < b.max_h) || null;
+}
+
+/** Sorted obs [{ms, ft}] -> nearest point within tolMs of ms (binary search) */
+function nearestObs(obs, ms, tolMs) {
+  let lo = 0, hi = obs.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (obs[mid].ms < ms) lo = mid + 1; else hi = mid;
+  }
+  let best = null;
+  for (const i of [lo - 1, lo]) {
+    const p = obs[i];
+    if (!p) continue;
+    const d = Math.abs(p.ms - ms);
+    if (d <= tolMs && (!best || d < Math.abs(best.ms - ms))) best = p;
+  }
+  return best;
+}
+
+function obsMaxBetween(obs, startMs, endMs) {
+  let best = null;
+  for (const p of obs) {
+    if (p.ms < startMs) continue;
+    if (p.ms > endMs) break;
+    if (!best || p.ft > best.ft) best = p;
+  }
+  return best;
+}
+
+/** Indices of forecast highs: finite values that are the max within ±halfWindow points */
+function forecastPeakIndices(pts, halfWindow) {
+  const out = [];
+  for (let i = 0; i < pts.length; i++) {
+    const v = pts[i].twl;
+    if (!Number.isFinite(v)) continue;
+    let isPeak = true, seen = 0;
+    for (let j = Math.max(0, i - halfWindow); j <= Math.min(pts.length - 1, i + halfWindow); j++) {
+      if (j === i || !Number.isFinite(pts[j].twl)) continue;
+      seen++;
+      // ties resolve to the earliest hour
+      if (pts[j].twl > v || (pts[j].twl === v && j < i)) { isPeak = false; break; }
+    }
+    if (isPeak && seen >= halfWindow) out.push(i);
+  }
+  return out;
+}
+
+function newAcc() {
+  return { n: 0, sumErr: 0, sumAbs: 0, sumSq: 0, band_n: 0, band_in: 0, peaks: [] };
+}
+
+function summarize(b, acc) {
+  const peakN = acc.peaks.length;
+  const mean = (f) => (peakN ? acc.peaks.reduce((s, p) => s + f(p), 0) / peakN : NaN);
+  return {
+    label: b.label,
+    min_h: b.min_h,
+    max_h: Number.isFinite(b.max_h) ? b.max_h : null,
+    n: acc.n,
+    bias_ft: acc.n ? round(acc.sumErr / acc.n) : null,
+    mae_ft: acc.n ? round(acc.sumAbs / acc.n) : null,
+    rmse_ft: acc.n ? round(Math.sqrt(acc.sumSq / acc.n)) : null,
+    band_n: acc.band_n,
+    band_coverage: acc.band_n ? round(acc.band_in / acc.band_n, 3) : null,
+    n_peaks: peakN,
+    peak_timing_mean_min: peakN ? round(mean(p => p.dtMin), 0) : null,
+    peak_timing_mae_min: peakN ? round(mean(p => Math.abs(p.dtMin)), 0) : null,
+    peak_bias_ft: peakN ? round(mean(p => p.err)) : null
+  };
+}
+
+// -------------------------
+// Skill for one station
+// -------------------------
+async function verifyStation(station, days) {
+  const archivePath = stationDataPath(station, "petss_archive.ndjson");
+  const navdOffset = Number(station.offsetsFromMllw?.NAVD88);
+  if (!Number.isFinite(navdOffset)) throw new Error("Registry entry has no offsetsFromMllw.NAVD88");
+
+  const nowMs = Date.now();
+  const sinceMs = nowMs - days * 86400 * 1000;
+  const cycles = readArchive(archivePath)
+    .filter(rec => new Date(rec.issued).getTime() >= sinceMs)
+    .sort((a, b) => new Date(a.issued) - new Date(b.issued));
+
+  log(`[${station.id}] ${cycles.length} archived cycle(s) issued in the last ${days} days`);
+
+  const accs = LEAD_BUCKETS.map(newAcc);
+  let obs = [];
+
+  if (cycles.length) {
+    const startISO = new Date(Math.min(...cycles.map(c => new Date(c.t0).getTime())) - PEAK_MATCH_H * 3600 * 1000).toISOString();
+    const endISO = new Date(nowMs).toISOString();
+    log(`[${station.id}] Fetching USGS IV ${station.usgsSite} ${startISO} → ${endISO}`);
+
+    // Observations are NAVD88; the archive is MLLW (value_in_datum = mllw + offset)
+    obs = (await fetchUSGSIV({
+      site: station.usgsSite,
+      param: station.usgsParam,
+      startISO,
+      endISO,
+      userAgent: "petss-verify/1.0"
+    }))
+      .map(p => ({ ms: new Date(p.t).getTime(), ft: p.ft - navdOffset }))
+      .filter(p => Number.isFinite(p.ms));
+  }
+
+  const tolMs = PAIR_TOLERANCE_MIN * 60 * 1000;
+  const matchMs = PEAK_MATCH_H * 3600 * 1000;
+  const lastObsMs = obs.length ? obs[obs.length - 1].ms : -Infinity;
+  let cyclesVerified = 0;
+
+  for (const rec of cycles) {
+    const pts = expandCycle(rec).filter(p => p.lead_h >= 0);
+    let paired = 0;
+
+    for (const p of pts) {
+      if (!Number.isFinite(p.twl)) continue;
+      const b = bucketFor(p.lead_h);
+      const o = nearestObs(obs, new Date(p.t).getTime(), tolMs);
+      if (!b || !o) continue;
+
+      const acc = accs[LEAD_BUCKETS.indexOf(b)];
+      const err = p.twl - o.ft;
+      acc.n++;
+      acc.sumErr += err;
+      acc.sumAbs += Math.abs(err);
+      acc.sumSq += err * err;
+      if (Number.isFinite(p.lo) && Number.isFinite(p.hi)) {
+        acc.band_n++;
+        if (o.ft >= p.lo && o.ft <= p.hi) acc.band_in++;
+      }
+      paired++;
+    }
+
+    for (const i of forecastPeakIndices(pts, PEAK_HALF_WINDOW_H)) {
+      const p = pts[i];
+      const ms = new Date(p.t).getTime();
+      if (ms + matchMs > lastObsMs) continue; // observed window not complete yet
+      const o = obsMaxBetween(obs, ms - matchMs, ms + matchMs);
+      const b = bucketFor(p.lead_h);
+      if (!o || !b) continue;
+      accs[LEAD_BUCKETS.indexOf(b)].peaks.push({ dtMin: (o.ms - ms) / 60000, err: p.twl - o.ft });
+    }
+
+    if (paired) cyclesVerified++;
+  }
+
+  const out = {
+    station: station.id,
+    usgsSite: station.usgsSite,
+    petssStid: station.petssStid,
+    datum: "MLLW",
+    generated_utc: new Date(nowMs).toISOString(),
+    window_days: days,
+    n_cycles: cycles.length,
+    n_cycles_verified: cyclesVerified,
+    first_issued: cycles.length ? cycles[0].issued : null,
+    last_issued: cycles.length ? cycles[cycles.length - 1].issued : null,
+    lead_buckets: LEAD_BUCKETS.map((b, i) => summarize(b, accs[i])),
+    notes: "Error = PETSS ensemble mean minus USGS observed (NAVD88 converted to MLLW). " +
+      `Hourly forecast values paired with the nearest observation within ±${PAIR_TOLERANCE_MIN} min. ` +
+      "band_coverage = share of observations inside the 10–90% band (ideal ~0.8). " +
+      `Peak timing = observed max time within ±${PEAK_MATCH_H}h of each forecast high minus forecast time (positive = observed later).`
+  };
+
+  await withLock(stationDataDir(station), () => writeJSONAtomic(stationDataPath(station, "petss_skill.json"), out));
+
+  const first = out.lead_buckets[0];
+  log(`[${station.id}] Wrote ${station.dataDir}/petss_skill.json (${cyclesVerified} cycle(s) verified; ` +
+    `${first.label}: n=${first.n}, bias=${first.bias_ft}, rmse=${first.rmse_ft})`);
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function main() {
+  const only = parseArg("--station");
+  const daysArg = parseArg("--days");
+  const days = daysArg == null ? DEFAULT_DAYS : Number(daysArg);
+  if (!Number.isFinite(days) || days <= 0) die(`Invalid --days=${daysArg}`);
+
+  const stations = selectStations({ only, filter: st => !!st.petssStid });
+  if (!stations.length) die("No stations with a petssStid matched (check data/stations.json and --station).");
+
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await verifyStation(station, days);
+    } catch (e) {
+      failed.push(station.id);
+      console.error(`[${station.id}] PETSS verification failed:`, e && (e.stack || e.message || e));
+    }
+  }
+
+  if (failed.length === stations.length) die(`PETSS verification failed for every station: ${failed.join(", ")}`);
+  if (failed.length) log(`Finished with failures: ${failed.join(", ")}`);
+}
+
+if (require.main === module) {
+  main().catch(e => die(e && (e.stack || e.message || e)));
+}
+
+module.exports = {
+  LEAD_BUCKETS,
+  bucketFor,
+  nearestObs,
+  forecastPeakIndices,
+  verifyStation
+};